@@ -0,0 +1,643 @@
+// ===== 採購：從讀者薦購到上架 =====
+// 取代在 email 裡來回討論的採購流程：
+// 1. 讀者薦購 (suggest)；同一本書再有人薦購時不另開一筆，只把讀者加進 requestedBy
+// 2. 館員核准 (approve) 或退回 (reject，必須附理由)；核准時依分類檢查本會計年度的預算，
+//    核准後直接建立訂單 (館員也可以不經薦購直接 placeOrder)
+// 3. 訂單狀態：ordered → received → cataloged (ordered 時也可以 cancel)
+//    - received   到貨；自動在 Library 建立書目 (Book 或 AcademicBook，還沒有複本)，館藏已有同 ISBN 則沿用
+//    - cataloged  編目完成；依訂購數量新增複本並上架 (有人預約時直接保留給預約者)
+// 4. 依會計年度產生支出報表 (spendReport)：每個分類的預算、已承諾 (訂購中)、已支出與剩餘
+//
+// 金額：訂購時以預估單價 × 數量計入「已承諾」，到貨時改以發票金額計入「已支出」；
+// 訂單記在核准當下的會計年度，跨年度到貨也不會移到下一年。
+// 報表的每個區塊都是 { title, columns, rows }，可以用 circulation-reports 的 reportToCsv 匯出給試算表。
+//
+// Python 等價物：兩個 @dataclass (Suggestion、Order) + 狀態轉換表，預算用 dict[(year, category), Decimal]
+
+const fs = require('fs');
+const { NotFoundError, ValidationError, ConflictError } = require('./errors');
+
+const SUGGESTION_STATUSES = ["pending", "approved", "rejected"];
+
+// 訂單狀態 => 可以轉換到的狀態
+const ORDER_TRANSITIONS = {
+    ordered: ["received", "cancelled"],
+    received: ["cataloged"],
+    cataloged: [],
+    cancelled: []
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// 可以採購的館藏類型；AcademicBook 一律記在 "Academic" 分類的預算
+const ACQUISITION_TYPES = ["Book", "AcademicBook"];
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function formatDate(date) {
+    return date ? date.toISOString().slice(0, 10) : null;
+}
+
+function isPositiveNumber(value) {
+    return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+// 書名 + 作者 (忽略大小寫與多餘空白)，沒有 ISBN 的薦購用來判斷是不是同一本
+function titleKey({ title, author }) {
+    return [title, author ?? ""].map(part => part.trim().replace(/\s+/g, " ").toLowerCase()).join("|");
+}
+
+function normalizeIsbn(isbn) {
+    return isbn ? String(isbn).replace(/[-\s]/g, "") : null;
+}
+
+class AcquisitionsDesk {
+    #library;
+    #fiscalYearStartMonth; // 會計年度從幾月開始 (1-12)
+    #budgets;              // Map of 會計年度 => Map of 分類 => 預算金額
+    #suggestions;          // Map of suggestionId => 薦購
+    #orders;               // Map of orderId => 訂單
+    #nextSuggestionId;
+    #nextOrderId;
+    #filePath;             // save / load 之後每次修改都寫回這個檔案 (null 代表只在記憶體中)
+
+    // options:
+    //   fiscalYearStartMonth  會計年度從幾月開始 (預設 1，即曆年)；例如 7 代表 FY2026 是 2025-07-01 到 2026-06-30
+    constructor(library, { fiscalYearStartMonth = 1 } = {}) {
+        if (!Number.isInteger(fiscalYearStartMonth) || fiscalYearStartMonth < 1 || fiscalYearStartMonth > 12) {
+            throw new ValidationError(`Invalid fiscalYearStartMonth: ${fiscalYearStartMonth}. Expected 1-12`);
+        }
+
+        this.#library = library;
+        this.#fiscalYearStartMonth = fiscalYearStartMonth;
+        this.#budgets = new Map();
+        this.#suggestions = new Map();
+        this.#orders = new Map();
+        this.#nextSuggestionId = 1;
+        this.#nextOrderId = 1;
+        this.#filePath = null;
+    }
+
+    get fiscalYearStartMonth() { return this.#fiscalYearStartMonth; }
+
+    // ----- 會計年度與預算 -----
+
+    // 日期所屬的會計年度，以結束的那一年命名 (和大多數學校、政府機關一樣)
+    fiscalYearOf(date = this.#library.now()) {
+        const start = this.#fiscalYearStartMonth;
+        return start > 1 && date.getMonth() + 1 >= start ? date.getFullYear() + 1 : date.getFullYear();
+    }
+
+    // 會計年度的範圍 { from, to }，to 不含 (下一年度的第一天)
+    fiscalYearRange(fiscalYear) {
+        if (!Number.isInteger(fiscalYear)) throw new ValidationError(`Invalid fiscal year: ${fiscalYear}`);
+        const startYear = this.#fiscalYearStartMonth > 1 ? fiscalYear - 1 : fiscalYear;
+        return {
+            from: new Date(startYear, this.#fiscalYearStartMonth - 1, 1),
+            to: new Date(startYear + 1, this.#fiscalYearStartMonth - 1, 1)
+        };
+    }
+
+    // 設定某年度某分類的預算 (覆蓋原本的金額)
+    setBudget(fiscalYear, category, amount) {
+        this.fiscalYearRange(fiscalYear);
+        if (typeof category !== "string" || category.trim() === "") {
+            throw new ValidationError("Budget category must be a non-empty string");
+        }
+        if (typeof amount !== "number" || !Number.isFinite(amount) || amount < 0) {
+            throw new ValidationError(`Invalid budget amount: ${amount}`);
+        }
+
+        if (!this.#budgets.has(fiscalYear)) this.#budgets.set(fiscalYear, new Map());
+        this.#budgets.get(fiscalYear).set(category, roundMoney(amount));
+        this.#persist();
+        return this.getBudget(fiscalYear, category);
+    }
+
+    // { fiscalYear, category, allocated, committed, spent, remaining }；沒有設定預算時回傳 null
+    getBudget(fiscalYear, category) {
+        const allocated = this.#budgets.get(fiscalYear)?.get(category);
+        return allocated === undefined ? null : this.#tally(fiscalYear, category, allocated);
+    }
+
+    // 已承諾 = 訂購中的預估金額；已支出 = 已到貨的發票金額；取消的訂單不計
+    #tally(fiscalYear, category, allocated) {
+        let committed = 0;
+        let spent = 0;
+        for (const order of this.#orders.values()) {
+            if (order.fiscalYear !== fiscalYear || order.category !== category) continue;
+            if (order.status === "ordered") committed += order.estimatedTotal;
+            if (order.status === "received" || order.status === "cataloged") spent += order.actualTotal;
+        }
+        return {
+            fiscalYear,
+            category,
+            allocated,
+            committed: roundMoney(committed),
+            spent: roundMoney(spent),
+            remaining: roundMoney(allocated - committed - spent)
+        };
+    }
+
+    // 某年度所有分類的預算，依分類名稱排序
+    getBudgets(fiscalYear) {
+        return Array.from(this.#budgets.get(fiscalYear)?.keys() ?? [])
+            .sort((a, b) => a.localeCompare(b))
+            .map(category => this.getBudget(fiscalYear, category));
+    }
+
+    // ----- 薦購 -----
+
+    // 讀者薦購，例如 suggest({ userId: 1, title: "Dune", author: "Frank Herbert", category: "Science Fiction" })
+    // 館藏已有這本時拒絕；已經有人薦購 (尚未處理) 時把讀者加進 requestedBy，回傳原本那筆
+    suggest({ userId, type = "Book", title, author = null, isbn = null, category = null, academicField = null,
+        pages = null, estimatedCost = null, note = "" } = {}) {
+        const user = this.#library.getUser(userId);
+        if (!user) throw new NotFoundError(`User with ID ${userId} not found`);
+        const fields = AcquisitionsDesk.#itemFields({ type, title, author, isbn, category, academicField, pages });
+        if (estimatedCost !== null && !isPositiveNumber(estimatedCost)) {
+            throw new ValidationError(`Invalid estimated cost: ${estimatedCost}`);
+        }
+        if (fields.isbn && this.#library.findBookByIsbn(fields.isbn)) {
+            throw new ConflictError(`Book with ISBN ${fields.isbn} is already in the catalog`);
+        }
+
+        const existing = this.#findOpenSuggestion(fields);
+        if (existing) {
+            if (!existing.requestedBy.includes(userId)) existing.requestedBy.push(userId);
+            this.#persist();
+            return AcquisitionsDesk.#presentSuggestion(existing);
+        }
+
+        const suggestion = {
+            id: this.#nextSuggestionId++,
+            ...fields,
+            estimatedCost,
+            note,
+            requestedBy: [userId],
+            submittedAt: this.#library.now(),
+            status: "pending",
+            decidedAt: null,
+            decidedBy: null,
+            reason: null,
+            orderId: null
+        };
+        this.#suggestions.set(suggestion.id, suggestion);
+        this.#persist();
+        return AcquisitionsDesk.#presentSuggestion(suggestion);
+    }
+
+    getSuggestion(suggestionId) {
+        const suggestion = this.#suggestions.get(suggestionId);
+        return suggestion && AcquisitionsDesk.#presentSuggestion(suggestion);
+    }
+
+    // 依薦購時間排列；status 可以篩選
+    getSuggestions({ status = null } = {}) {
+        if (status !== null && !SUGGESTION_STATUSES.includes(status)) {
+            throw new ValidationError(`Invalid suggestion status: ${status}. Expected one of: ${SUGGESTION_STATUSES.join(", ")}`);
+        }
+        return Array.from(this.#suggestions.values())
+            .filter(suggestion => status === null || suggestion.status === status)
+            .map(AcquisitionsDesk.#presentSuggestion);
+    }
+
+    // 核准並建立訂單 (回傳訂單)；unitCost 沒給時用薦購時的預估價格
+    approve(suggestionId, { unitCost = null, quantity = 1, vendor = null, approvedBy = null } = {}) {
+        const suggestion = this.#pendingSuggestion(suggestionId);
+        const order = this.placeOrder({
+            ...AcquisitionsDesk.#fieldsOf(suggestion),
+            unitCost: unitCost ?? suggestion.estimatedCost,
+            quantity,
+            vendor,
+            orderedBy: approvedBy,
+            suggestionId
+        });
+        Object.assign(suggestion, {
+            status: "approved", decidedAt: this.#library.now(), decidedBy: approvedBy, orderId: order.id
+        });
+        this.#persist();
+        return order;
+    }
+
+    // 退回薦購，必須說明理由 (會顯示給讀者)
+    reject(suggestionId, reason, { rejectedBy = null } = {}) {
+        const suggestion = this.#pendingSuggestion(suggestionId);
+        if (typeof reason !== "string" || reason.trim() === "") {
+            throw new ValidationError("A reason is required to reject a suggestion");
+        }
+        Object.assign(suggestion, {
+            status: "rejected", decidedAt: this.#library.now(), decidedBy: rejectedBy, reason: reason.trim()
+        });
+        this.#persist();
+        return AcquisitionsDesk.#presentSuggestion(suggestion);
+    }
+
+    #pendingSuggestion(suggestionId) {
+        const suggestion = this.#suggestions.get(suggestionId);
+        if (!suggestion) throw new NotFoundError(`Suggestion with ID ${suggestionId} not found`);
+        if (suggestion.status !== "pending") {
+            throw new ConflictError(`Suggestion with ID ${suggestionId} is already ${suggestion.status}`);
+        }
+        return suggestion;
+    }
+
+    #findOpenSuggestion(fields) {
+        const key = titleKey(fields);
+        for (const suggestion of this.#suggestions.values()) {
+            if (suggestion.status !== "pending") continue;
+            if (fields.isbn && suggestion.isbn ? fields.isbn === suggestion.isbn : titleKey(suggestion) === key) {
+                return suggestion;
+            }
+        }
+        return undefined;
+    }
+
+    // ----- 訂單 -----
+
+    // 建立訂單 (不經薦購時由館員直接呼叫)；總額超過該分類本年度的剩餘預算時拒絕
+    placeOrder({ type = "Book", title, author = null, isbn = null, category = null, academicField = null, pages = null,
+        unitCost, quantity = 1, vendor = null, orderedBy = null, suggestionId = null } = {}) {
+        const fields = AcquisitionsDesk.#itemFields({ type, title, author, isbn, category, academicField, pages });
+        if (!isPositiveNumber(unitCost)) throw new ValidationError(`Invalid unit cost: ${unitCost}`);
+        if (!Number.isInteger(quantity) || quantity < 1) throw new ValidationError(`Invalid quantity: ${quantity}`);
+
+        const orderedAt = this.#library.now();
+        const fiscalYear = this.fiscalYearOf(orderedAt);
+        const estimatedTotal = roundMoney(unitCost * quantity);
+        const budget = this.getBudget(fiscalYear, fields.category);
+        if (!budget) {
+            throw new ConflictError(`Cannot order "${fields.title}": no ${fields.category} budget for FY${fiscalYear}`);
+        }
+        if (estimatedTotal > budget.remaining) {
+            throw new ConflictError(`Order total ${estimatedTotal} exceeds the remaining ${fields.category} budget ` +
+                `for FY${fiscalYear} (${budget.remaining})`);
+        }
+
+        const order = {
+            id: this.#nextOrderId++,
+            ...fields,
+            quantity,
+            unitCost: roundMoney(unitCost),
+            estimatedTotal,
+            actualTotal: null,
+            vendor,
+            fiscalYear,
+            suggestionId,
+            orderedBy,
+            status: "ordered",
+            orderedAt,
+            receivedAt: null,
+            catalogedAt: null,
+            cancelledAt: null,
+            cancelReason: null,
+            bookId: null,
+            copyIds: []
+        };
+        this.#orders.set(order.id, order);
+        this.#persist();
+        return AcquisitionsDesk.#presentOrder(order);
+    }
+
+    getOrder(orderId) {
+        const order = this.#orders.get(orderId);
+        return order && AcquisitionsDesk.#presentOrder(order);
+    }
+
+    // 依訂購時間排列；可以依狀態或會計年度篩選
+    getOrders({ status = null, fiscalYear = null } = {}) {
+        if (status !== null && !ORDER_STATUSES.includes(status)) {
+            throw new ValidationError(`Invalid order status: ${status}. Expected one of: ${ORDER_STATUSES.join(", ")}`);
+        }
+        return Array.from(this.#orders.values())
+            .filter(order => (status === null || order.status === status) &&
+                (fiscalYear === null || order.fiscalYear === fiscalYear))
+            .map(AcquisitionsDesk.#presentOrder);
+    }
+
+    // 到貨：依發票金額 (總額，沒給時等於預估) 計入支出，並在 Library 建立書目
+    // 館藏已有同 ISBN 的書目 (例如加購複本) 時沿用；pages 可以在到貨時補上
+    receive(orderId, { invoiceTotal = null, pages = null } = {}) {
+        const order = this.#requireOrder(orderId);
+        this.#assertTransition(order, "received");
+        if (invoiceTotal !== null && !(typeof invoiceTotal === "number" && Number.isFinite(invoiceTotal) && invoiceTotal >= 0)) {
+            throw new ValidationError(`Invalid invoice total: ${invoiceTotal}`);
+        }
+
+        const fields = { ...AcquisitionsDesk.#fieldsOf(order), pages: pages ?? order.pages };
+        const book = (fields.isbn && this.#library.findBookByIsbn(fields.isbn)) ??
+            this.#library.addItem(order.type, fields, { copies: 0 });
+        Object.assign(order, {
+            status: "received",
+            receivedAt: this.#library.now(),
+            actualTotal: roundMoney(invoiceTotal ?? order.estimatedTotal),
+            pages: fields.pages,
+            bookId: book.id
+        });
+        this.#persist();
+        return AcquisitionsDesk.#presentOrder(order);
+    }
+
+    // 編目完成：新增訂購數量的複本並上架，回傳新增的複本
+    catalog(orderId, { shelfLocation = "", branch = null } = {}) {
+        const order = this.#requireOrder(orderId);
+        this.#assertTransition(order, "cataloged");
+        if (!this.#library.getBook(order.bookId)) {
+            throw new NotFoundError(`Book with ID ${order.bookId} not found (removed after order #${order.id} was received)`);
+        }
+
+        const copies = [];
+        for (let i = 0; i < order.quantity; i++) {
+            copies.push(this.#library.addCopy(order.bookId, { shelfLocation, branch }));
+        }
+        Object.assign(order, {
+            status: "cataloged",
+            catalogedAt: this.#library.now(),
+            copyIds: copies.map(copy => copy.id)
+        });
+        this.#persist();
+        return copies;
+    }
+
+    // 取消尚未到貨的訂單，已承諾的金額退回預算
+    cancel(orderId, reason = "") {
+        const order = this.#requireOrder(orderId);
+        this.#assertTransition(order, "cancelled");
+        Object.assign(order, { status: "cancelled", cancelledAt: this.#library.now(), cancelReason: reason });
+        this.#persist();
+        return AcquisitionsDesk.#presentOrder(order);
+    }
+
+    #requireOrder(orderId) {
+        const order = this.#orders.get(orderId);
+        if (!order) throw new NotFoundError(`Order with ID ${orderId} not found`);
+        return order;
+    }
+
+    #assertTransition(order, to) {
+        if (!ORDER_TRANSITIONS[order.status].includes(to)) {
+            throw new ConflictError(`Cannot move order #${order.id} from ${order.status} to ${to}`);
+        }
+    }
+
+    // ----- 報表 -----
+
+    // 會計年度的支出報表：{ title, fiscalYear, from, to, generatedAt, summary, sections }
+    // sections.budgets 是每個分類的預算執行狀況，sections.orders 是該年度的所有訂單
+    spendReport(fiscalYear) {
+        const { from, to } = this.fiscalYearRange(fiscalYear);
+        const budgets = this.getBudgets(fiscalYear);
+        const orders = this.getOrders({ fiscalYear });
+
+        // 有訂單卻沒有設定預算的分類 (預算 0) 也要列出來
+        const budgeted = new Set(budgets.map(budget => budget.category));
+        for (const category of new Set(orders.map(order => order.category))) {
+            if (!budgeted.has(category)) budgets.push(this.#tally(fiscalYear, category, 0));
+        }
+        budgets.sort((a, b) => a.category.localeCompare(b.category));
+
+        const total = key => roundMoney(budgets.reduce((sum, budget) => sum + budget[key], 0));
+        const budgetRows = budgets.map(budget => ({
+            ...budget,
+            used: budget.allocated === 0 ? null : Math.round((budget.committed + budget.spent) / budget.allocated * 1000) / 1000
+        }));
+        const orderRows = orders.map(order => ({
+            orderId: order.id,
+            orderedAt: formatDate(order.orderedAt),
+            title: order.title,
+            category: order.category,
+            vendor: order.vendor ?? "",
+            quantity: order.quantity,
+            estimatedTotal: order.estimatedTotal,
+            actualTotal: order.actualTotal ?? "",
+            status: order.status,
+            suggestionId: order.suggestionId ?? ""
+        }));
+
+        return {
+            title: `Acquisitions spend FY${fiscalYear}`,
+            fiscalYear,
+            from,
+            to,
+            generatedAt: this.#library.now(),
+            summary: {
+                allocated: total("allocated"),
+                committed: total("committed"),
+                spent: total("spent"),
+                remaining: total("remaining"),
+                orders: orders.filter(order => order.status !== "cancelled").length,
+                items: orders.filter(order => order.status !== "cancelled").reduce((sum, order) => sum + order.quantity, 0),
+                suggestions: this.getSuggestions().filter(s => s.submittedAt >= from && s.submittedAt < to).length
+            },
+            sections: {
+                budgets: {
+                    title: "Budget by category",
+                    columns: [
+                        { key: "category", label: "Category" },
+                        { key: "allocated", label: "Allocated" },
+                        { key: "committed", label: "Committed" },
+                        { key: "spent", label: "Spent" },
+                        { key: "remaining", label: "Remaining" },
+                        { key: "used", label: "Used" }
+                    ],
+                    rows: budgetRows
+                },
+                orders: {
+                    title: "Orders",
+                    columns: [
+                        { key: "orderId", label: "Order" },
+                        { key: "orderedAt", label: "Ordered" },
+                        { key: "title", label: "Title" },
+                        { key: "category", label: "Category" },
+                        { key: "vendor", label: "Vendor" },
+                        { key: "quantity", label: "Quantity" },
+                        { key: "estimatedTotal", label: "Estimated" },
+                        { key: "actualTotal", label: "Invoiced" },
+                        { key: "status", label: "Status" },
+                        { key: "suggestionId", label: "Suggestion" }
+                    ],
+                    rows: orderRows
+                }
+            }
+        };
+    }
+
+    // ----- 欄位 -----
+
+    // 檢查並整理書目欄位；Book 必須有分類，AcademicBook 的分類固定是 "Academic"
+    static #itemFields({ type, title, author, isbn, category, academicField, pages }) {
+        if (!ACQUISITION_TYPES.includes(type)) {
+            throw new ValidationError(`Unknown acquisition type "${type}". Expected one of: ${ACQUISITION_TYPES.join(", ")}`);
+        }
+        if (typeof title !== "string" || title.trim() === "") throw new ValidationError("Title is required");
+        if (type === "Book" && (typeof category !== "string" || category.trim() === "")) {
+            throw new ValidationError("Category is required");
+        }
+        if (type === "AcademicBook" && (typeof academicField !== "string" || academicField.trim() === "")) {
+            throw new ValidationError("Academic field is required");
+        }
+        if (pages !== null && (!Number.isInteger(pages) || pages < 1)) throw new ValidationError(`Invalid pages: ${pages}`);
+
+        return {
+            type,
+            title: title.trim(),
+            author: author?.trim() || null,
+            isbn: normalizeIsbn(isbn),
+            category: type === "AcademicBook" ? "Academic" : category.trim(),
+            academicField: type === "AcademicBook" ? academicField.trim() : null,
+            pages
+        };
+    }
+
+    // 建立館藏時傳給 Library.addItem 的欄位
+    static #fieldsOf({ type, title, author, isbn, category, academicField, pages }) {
+        return { type, title, author, isbn, category, academicField, pages };
+    }
+
+    static #presentSuggestion(suggestion) {
+        return { ...suggestion, requestedBy: [...suggestion.requestedBy] };
+    }
+
+    static #presentOrder(order) {
+        return { ...order, copyIds: [...order.copyIds] };
+    }
+
+    // ----- 存檔 -----
+    // 書目與複本存在 Library 的存檔裡，這裡只存薦購、訂單與預算
+    // save 或 load 之後，每個修改 (薦購、審核、訂單狀態、預算) 都會整份寫回同一個檔案；
+    // 放在圖書館存檔旁邊 (pathFor)，兩者一起載入
+
+    // library.json => library.json.acquisitions.json
+    static pathFor(libraryFilePath) {
+        return `${libraryFilePath}.acquisitions.json`;
+    }
+
+    toJSON() {
+        const dates = (entry, keys) => Object.fromEntries(keys.map(key => [key, entry[key]?.toISOString() ?? null]));
+        return {
+            fiscalYearStartMonth: this.#fiscalYearStartMonth,
+            nextSuggestionId: this.#nextSuggestionId,
+            nextOrderId: this.#nextOrderId,
+            budgets: Array.from(this.#budgets, ([fiscalYear, categories]) =>
+                Array.from(categories, ([category, amount]) => ({ fiscalYear, category, amount }))).flat(),
+            suggestions: Array.from(this.#suggestions.values(), suggestion =>
+                ({ ...suggestion, ...dates(suggestion, ["submittedAt", "decidedAt"]) })),
+            orders: Array.from(this.#orders.values(), order =>
+                ({ ...order, ...dates(order, ["orderedAt", "receivedAt", "catalogedAt", "cancelledAt"]) }))
+        };
+    }
+
+    static fromJSON(library, state) {
+        const desk = new AcquisitionsDesk(library, { fiscalYearStartMonth: state.fiscalYearStartMonth });
+        const dates = (entry, keys) => Object.fromEntries(keys.map(key => [key, entry[key] ? new Date(entry[key]) : null]));
+
+        for (const { fiscalYear, category, amount } of state.budgets) desk.setBudget(fiscalYear, category, amount);
+        for (const suggestion of state.suggestions) {
+            if (!SUGGESTION_STATUSES.includes(suggestion.status)) {
+                throw new Error(`Invalid suggestion status: ${suggestion.status}`);
+            }
+            desk.#suggestions.set(suggestion.id, {
+                ...suggestion,
+                requestedBy: [...suggestion.requestedBy],
+                ...dates(suggestion, ["submittedAt", "decidedAt"])
+            });
+        }
+        for (const order of state.orders) {
+            if (!ORDER_STATUSES.includes(order.status)) throw new Error(`Invalid order status: ${order.status}`);
+            desk.#orders.set(order.id, {
+                ...order,
+                copyIds: [...order.copyIds],
+                ...dates(order, ["orderedAt", "receivedAt", "catalogedAt", "cancelledAt"])
+            });
+        }
+        desk.#nextSuggestionId = state.nextSuggestionId;
+        desk.#nextOrderId = state.nextOrderId;
+        return desk;
+    }
+
+    save(filePath) {
+        this.#filePath = filePath;
+        this.#persist();
+    }
+
+    // 檔案不存在時建立新的 (options 同 constructor)，之後的修改寫入這個檔案
+    static load(library, filePath, options = {}) {
+        const desk = fs.existsSync(filePath)
+            ? AcquisitionsDesk.fromJSON(library, JSON.parse(fs.readFileSync(filePath, "utf8")))
+            : new AcquisitionsDesk(library, options);
+        desk.save(filePath);
+        return desk;
+    }
+
+    // 先寫暫存檔再改名，避免寫到一半崩潰時留下殘缺的檔案
+    #persist() {
+        if (!this.#filePath) return;
+        const tmpPath = `${this.#filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.toJSON(), null, 2));
+        fs.renameSync(tmpPath, this.#filePath);
+    }
+}
+
+// ===== 示範：一本薦購書從 email 變成架上的書 =====
+if (require.main === module) {
+    const { Library, SimulatedClock } = require('../object-modeling');
+
+    const clock = new SimulatedClock(new Date(2025, 8, 1));
+    const library = new Library(1, { clock });
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Student");
+
+    // 會計年度從 7 月開始：2025-09 屬於 FY2026
+    const desk = new AcquisitionsDesk(library, { fiscalYearStartMonth: 7 });
+    const fiscalYear = desk.fiscalYearOf();
+    desk.setBudget(fiscalYear, "Science Fiction", 100);
+    desk.setBudget(fiscalYear, "Academic", 300);
+
+    console.log(`----- FY${fiscalYear} 薦購 -----`);
+    const dune = desk.suggest({
+        userId: amy.id, title: "Dune Messiah", author: "Frank Herbert", isbn: "978-0-593-09823-5",
+        category: "Science Fiction", estimatedCost: 18
+    });
+    desk.suggest({ userId: ben.id, title: "dune messiah", author: "Frank Herbert", category: "Science Fiction" });
+    const sicp = desk.suggest({
+        userId: ben.id, type: "AcademicBook", title: "Structure and Interpretation of Computer Programs",
+        author: "Harold Abelson", isbn: "9780262510875", academicField: "Computer Science", estimatedCost: 65
+    });
+    const boxSet = desk.suggest({
+        userId: amy.id, title: "The Expanse Box Set", author: "James S. A. Corey", category: "Science Fiction", estimatedCost: 120
+    });
+    desk.getSuggestions().forEach(s => console.log(`#${s.id} ${s.title} (薦購人 ${s.requestedBy.length} 位)`));
+
+    console.log("\n----- 審核 -----");
+    const duneOrder = desk.approve(dune.id, { quantity: 2, vendor: "Bookland", approvedBy: "Librarian Lin" });
+    const sicpOrder = desk.approve(sicp.id, { unitCost: 60, quantity: 3, vendor: "Academic Press", approvedBy: "Librarian Lin" });
+    try {
+        desk.approve(boxSet.id);
+    } catch (error) {
+        console.log("無法核准:", error.message);
+        desk.reject(boxSet.id, "Over budget; individual volumes are already on order", { rejectedBy: "Librarian Lin" });
+    }
+    desk.getSuggestions().forEach(s => console.log(`#${s.id} ${s.title}: ${s.status}${s.reason ? ` (${s.reason})` : ""}`));
+
+    console.log("\n----- 到貨與編目 -----");
+    clock.advanceDays(10);
+    desk.receive(duneOrder.id, { invoiceTotal: 34.5, pages: 256 });
+    desk.catalog(duneOrder.id, { shelfLocation: "SF-H" });
+    desk.receive(sicpOrder.id);
+    desk.getOrders().forEach(o => console.log(`訂單 #${o.id} ${o.title}: ${o.status}, 書目 ID ${o.bookId}, 複本 ${o.copyIds.length} 本`));
+    const book = library.findBookByIsbn("9780593098235");
+    console.log(`館藏: ${book.title} / 可借 ${book.availableCopies} 本`);
+
+    const report = desk.spendReport(fiscalYear);
+    console.log(`\n----- ${report.title} -----`);
+    console.log("摘要:", report.summary);
+    report.sections.budgets.rows.forEach(row =>
+        console.log(`${row.category.padEnd(16)} 預算 ${row.allocated}  承諾 ${row.committed}  支出 ${row.spent}  剩餘 ${row.remaining}`));
+}
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    ACQUISITION_TYPES,
+    AcquisitionsDesk
+};
@@ -0,0 +1,579 @@
+// ===== 條碼：Code 128 與 QR code，輸出 SVG =====
+// 不依賴任何套件，直接照規格編碼：
+// - Code 128 (ISO/IEC 15417)：複本條碼、會員證號這類短字串，櫃台的一維掃描器都讀得到。
+//   只用 B 與 C 兩個字集：一般字元用 B，連續的數字切到 C (兩位數一個符號，條碼短一截)
+// - QR code (ISO/IEC 18004)：byte 模式 (UTF-8)，自動選擇最小的版本 (1-40) 與懲罰分數最低的遮罩
+//
+// encodeCode128 / encodeQr 回傳編碼結果 (方便檢查)，code128Svg / qrSvg 直接產生 SVG。
+// SVG 可以單獨存檔，也可以帶 { x, y, width, height } 嵌進別的 SVG (標籤、會員證)。
+//
+// Python 等價物：python-barcode 的 Code128 + segno (或 qrcode) 的 SVG 輸出
+
+const { ValidationError } = require('./errors');
+
+// ----- Code 128 -----
+
+// 每個符號 (0-106) 的條、空寬度，依序為 條 空 條 空 條 空 (停止符多一條)，每個符號共 11 個模組寬
+const CODE128_PATTERNS = [
+    "212222", "222122", "222221", "121223", "121322", "131222", "122213", "122312", "132212", "221213",
+    "221312", "231212", "112232", "122132", "122231", "113222", "123122", "123221", "223211", "221132",
+    "221231", "213212", "223112", "312131", "311222", "321122", "321221", "312212", "322112", "322211",
+    "212123", "212321", "232121", "111323", "131123", "131321", "112313", "132113", "132311", "211313",
+    "231113", "231311", "112133", "112331", "132131", "113123", "113321", "133121", "313121", "211331",
+    "231131", "213113", "213311", "213131", "311123", "311321", "331121", "312113", "312311", "332111",
+    "314111", "221411", "431111", "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+    "112412", "122114", "122411", "142112", "142211", "241211", "221114", "413111", "241112", "134111",
+    "111242", "121142", "121241", "114212", "124112", "124211", "411212", "421112", "421211", "212141",
+    "214121", "412121", "111143", "111341", "131141", "114113", "114311", "411113", "411311", "113141",
+    "114131", "311141", "411131", "211412", "211214", "211232", "2331112"
+];
+const CODE128_CODE_C = 99;  // 在字集 B 中切換到 C
+const CODE128_CODE_B = 100; // 在字集 C 中切換到 B
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+function isDigit(char) {
+    return char >= "0" && char <= "9";
+}
+
+// 從 index 開始連續幾個數字
+function digitRun(text, index) {
+    let length = 0;
+    while (index + length < text.length && isDigit(text[index + length])) length++;
+    return length;
+}
+
+// 編碼成符號值 (含起始符、檢查碼與停止符)
+// 切換字集要多一個符號，所以只有數字夠多時才切到 C：結尾的 4 位以上、中間的 6 位以上
+function code128Values(text) {
+    if (typeof text !== "string" || text === "") throw new ValidationError("Barcode text is required");
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 32 || code > 126) {
+            throw new ValidationError(`Cannot encode character ${JSON.stringify(char)} in Code 128 (printable ASCII only)`);
+        }
+    }
+
+    const leading = digitRun(text, 0);
+    let set = leading >= 4 || (leading === 2 && text.length === 2) ? "C" : "B";
+    const values = [set === "C" ? CODE128_START_C : CODE128_START_B];
+    let i = 0;
+    while (i < text.length) {
+        if (set === "C") {
+            if (digitRun(text, i) >= 2) {
+                values.push(Number(text.slice(i, i + 2)));
+                i += 2;
+                continue;
+            }
+            values.push(CODE128_CODE_B);
+            set = "B";
+        }
+
+        const run = digitRun(text, i);
+        if (run >= (i + run === text.length ? 4 : 6)) {
+            // 奇數個數字時第一個留在 B，其餘兩兩一組
+            if (run % 2 === 1) values.push(text.charCodeAt(i++) - 32);
+            values.push(CODE128_CODE_C);
+            set = "C";
+            continue;
+        }
+        values.push(text.charCodeAt(i++) - 32);
+    }
+
+    const checksum = values.reduce((sum, value, position) => sum + value * Math.max(position, 1), 0) % 103;
+    return [...values, checksum, CODE128_STOP];
+}
+
+// { text, values, pattern, modules }：pattern 是由條開始、條空交替的寬度，modules 是總寬 (不含靜區)
+function encodeCode128(text) {
+    const values = code128Values(text);
+    const pattern = values.map(value => CODE128_PATTERNS[value]).join("");
+    const modules = Array.from(pattern).reduce((sum, width) => sum + Number(width), 0);
+    return { text, values, pattern, modules };
+}
+
+// ----- QR code -----
+
+// ordinal 是下面兩張表的列；formatBits 是格式資訊裡的錯誤修正等級
+const QR_EC_LEVELS = {
+    L: { ordinal: 0, formatBits: 1 }, // 約可修復 7%
+    M: { ordinal: 1, formatBits: 0 }, // 約 15%
+    Q: { ordinal: 2, formatBits: 3 }, // 約 25%
+    H: { ordinal: 3, formatBits: 2 }  // 約 30%
+};
+
+// [錯誤修正等級][版本] => 每個區塊的修正碼數；索引 0 不用
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// [錯誤修正等級][版本] => 區塊數
+const QR_ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// 遮罩 0-7：條件成立的資料模組要反轉
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// GF(2^8) 乘法，既約多項式 x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+// Reed-Solomon 生成多項式 (最高次項係數 1 省略)
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+// 資料除以生成多項式的餘數，就是錯誤修正碼
+function reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+// 扣掉定位、校正、時序、格式與版本資訊之後，能放資料與修正碼的模組數
+function qrRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function qrDataCodewordCount(version, ecLevel) {
+    const { ordinal } = QR_EC_LEVELS[ecLevel];
+    return Math.floor(qrRawDataModules(version) / 8) -
+        QR_ECC_CODEWORDS_PER_BLOCK[ordinal][version] * QR_ECC_BLOCKS[ordinal][version];
+}
+
+// 校正圖形中心的座標 (行與列共用)
+function qrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let position = version * 4 + 10; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+// byte 模式的字數欄位長度
+function qrCharCountBits(version) {
+    return version <= 9 ? 8 : 16;
+}
+
+// 模式指示 + 字數 + 資料，補上結束符與填充位元組
+function qrDataCodewords(bytes, version, ecLevel) {
+    const capacityBits = qrDataCodewordCount(version, ecLevel) * 8;
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, qrCharCountBits(version));
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacityBits - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+// 分成區塊、各自加上修正碼，再交錯排列
+function qrInterleave(data, version, ecLevel) {
+    const { ordinal } = QR_EC_LEVELS[ecLevel];
+    const blockCount = QR_ECC_BLOCKS[ordinal][version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[ordinal][version];
+    const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+        offset += block.length;
+        const ecc = reedSolomonRemainder(block, divisor);
+        if (i < shortBlocks) block.push(0); // 佔位，讓每個區塊一樣長，交錯時略過
+        blocks.push([...block, ...ecc]);
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= shortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// 模組矩陣：modules[y][x] 為 true 代表深色；reserved 標記功能圖形 (不放資料、不套遮罩)
+class QrMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        const grid = () => Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.modules = grid();
+        this.reserved = grid();
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const { size } = this;
+        // 時序圖形
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+        // 三個角落的定位圖形 (含白邊)
+        for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+        // 校正圖形 (和定位圖形重疊的三個角落不畫)
+        const positions = qrAlignmentPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => positions.forEach((cy, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+        this.drawFormatBits("M", 0); // 先佔位，選好遮罩後再寫入
+        this.drawVersionBits();
+    }
+
+    // 錯誤修正等級與遮罩編號，BCH(15,5) 編碼後寫兩份
+    drawFormatBits(ecLevel, mask) {
+        const { size } = this;
+        const data = (QR_EC_LEVELS[ecLevel].formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+        this.setFunction(8, size - 8, true); // 固定的深色模組
+    }
+
+    // 版本 7 以上才有版本資訊，BCH(18,6) 編碼後寫在右上與左下
+    drawVersionBits() {
+        if (this.version < 7) return;
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const bits = (this.version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, dark);
+            this.setFunction(b, a, dark);
+        }
+    }
+
+    // 由右下角開始，兩欄一組上下來回填入資料 (跳過第 6 欄的時序圖形)
+    drawCodewords(codewords) {
+        const { size } = this;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (this.reserved[y][x] || i >= codewords.length * 8) continue;
+                    this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+
+    // 套用遮罩；再套一次就還原
+    applyMask(mask) {
+        const condition = QR_MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && condition(x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    // 規格的四項懲罰分數：同色連續、同色 2×2、類似定位圖形的樣式、深淺比例
+    penalty() {
+        const { size, modules } = this;
+        let penalty = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+        for (const line of lines) {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                    continue;
+                }
+                if (run >= 5) penalty += 3 + (run - 5);
+                run = 1;
+            }
+            const text = line.map(dark => (dark ? "1" : "0")).join("");
+            for (const pattern of ["10111010000", "00001011101"]) {
+                for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) penalty += 40;
+            }
+        }
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+}
+
+// 編碼成 QR code：{ text, version, ecLevel, mask, size, modules }，modules[y][x] 為 true 代表深色
+// options:
+//   ecLevel     錯誤修正等級 "L" | "M" | "Q" | "H" (預設 "M")
+//   minVersion  最小版本 (預設 1)；印刷尺寸要一致時可以固定版本
+//   mask        遮罩 0-7 (預設 null，自動選懲罰分數最低的)
+function encodeQr(text, { ecLevel = "M", minVersion = 1, mask = null } = {}) {
+    if (typeof text !== "string" || text === "") throw new ValidationError("QR code text is required");
+    if (!Object.hasOwn(QR_EC_LEVELS, ecLevel)) {
+        throw new ValidationError(`Invalid error correction level: ${ecLevel}. Expected one of: ${Object.keys(QR_EC_LEVELS).join(", ")}`);
+    }
+    if (!Number.isInteger(minVersion) || minVersion < 1 || minVersion > 40) {
+        throw new ValidationError(`Invalid QR code version: ${minVersion}. Expected 1-40`);
+    }
+    if (mask !== null && !(Number.isInteger(mask) && mask >= 0 && mask <= 7)) {
+        throw new ValidationError(`Invalid QR code mask: ${mask}. Expected 0-7`);
+    }
+
+    const bytes = Array.from(Buffer.from(text, "utf8"));
+    let version = minVersion;
+    while (4 + qrCharCountBits(version) + bytes.length * 8 > qrDataCodewordCount(version, ecLevel) * 8) {
+        if (++version > 40) {
+            throw new ValidationError(`Invalid QR code text: ${bytes.length} bytes is too long for error correction level ${ecLevel}`);
+        }
+    }
+
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(qrInterleave(qrDataCodewords(bytes, version, ecLevel), version, ecLevel));
+
+    if (mask === null) {
+        let best = Infinity;
+        for (let candidate = 0; candidate < QR_MASKS.length; candidate++) {
+            matrix.applyMask(candidate);
+            matrix.drawFormatBits(ecLevel, candidate);
+            const penalty = matrix.penalty();
+            if (penalty < best) {
+                best = penalty;
+                mask = candidate;
+            }
+            matrix.applyMask(candidate);
+        }
+    }
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(ecLevel, mask);
+
+    return { text, version, ecLevel, mask, size: matrix.size, modules: matrix.modules };
+}
+
+// ----- SVG -----
+
+function escapeXml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// 數字最多保留三位小數，SVG 比較短
+function formatNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+// 有 x、y 時可以嵌進別的 SVG；width、height 沒給時等於 viewBox 的大小
+function svgElement(viewWidth, viewHeight, content, { x = null, y = null, width = null, height = null, preserveAspectRatio = null }) {
+    const attributes = [
+        `xmlns="http://www.w3.org/2000/svg"`,
+        x === null ? null : `x="${formatNumber(x)}" y="${formatNumber(y ?? 0)}"`,
+        `width="${formatNumber(width ?? viewWidth)}" height="${formatNumber(height ?? viewHeight)}"`,
+        `viewBox="0 0 ${formatNumber(viewWidth)} ${formatNumber(viewHeight)}"`,
+        preserveAspectRatio === null ? null : `preserveAspectRatio="${preserveAspectRatio}"`,
+        `shape-rendering="crispEdges"`
+    ].filter(Boolean);
+    return `<svg ${attributes.join(" ")}>${content}</svg>`;
+}
+
+// Code 128 條碼的 SVG
+// options (單位都是 px，嵌進別的 SVG 時是外層的使用者單位):
+//   moduleWidth  最細的條寬 (預設 2)
+//   barHeight    條的高度 (預設 60)
+//   quietZone    左右靜區，以模組計 (預設 10，規格的最小值)
+//   showText     條碼下方印出文字 (預設 true)
+//   fontSize     文字大小 (預設 14)
+//   x, y, width, height  嵌進別的 SVG 時的位置與大小 (條碼會延展填滿)
+function code128Svg(text, { moduleWidth = 2, barHeight = 60, quietZone = 10, showText = true, fontSize = 14,
+    x = null, y = null, width = null, height = null } = {}) {
+    const { pattern, modules } = encodeCode128(text);
+    const viewWidth = (modules + quietZone * 2) * moduleWidth;
+    const viewHeight = barHeight + (showText ? fontSize + 4 : 0);
+
+    const bars = [];
+    let position = quietZone;
+    Array.from(pattern, Number).forEach((widthInModules, i) => {
+        if (i % 2 === 0) {
+            bars.push(`M${formatNumber(position * moduleWidth)} 0h${formatNumber(widthInModules * moduleWidth)}v${barHeight}h-${formatNumber(widthInModules * moduleWidth)}z`);
+        }
+        position += widthInModules;
+    });
+
+    const label = showText
+        ? `<text x="${formatNumber(viewWidth / 2)}" y="${formatNumber(barHeight + fontSize + 1)}" font-family="monospace" ` +
+            `font-size="${fontSize}" text-anchor="middle">${escapeXml(text)}</text>`
+        : "";
+    return svgElement(viewWidth, viewHeight,
+        `<rect width="100%" height="100%" fill="#fff"/><path d="${bars.join("")}" fill="#000"/>${label}`,
+        { x, y, width, height, preserveAspectRatio: width === null ? null : "none" });
+}
+
+// QR code 的 SVG
+// options:
+//   moduleSize  每個模組的邊長 (預設 4 px)
+//   quietZone   四周靜區，以模組計 (預設 4，規格的最小值)
+//   ecLevel、minVersion、mask 同 encodeQr
+//   x, y, width, height  嵌進別的 SVG 時的位置與大小 (維持正方形)
+function qrSvg(text, { moduleSize = 4, quietZone = 4, ecLevel = "M", minVersion = 1, mask = null,
+    x = null, y = null, width = null, height = null } = {}) {
+    const { size, modules } = encodeQr(text, { ecLevel, minVersion, mask });
+    const viewSize = (size + quietZone * 2) * moduleSize;
+
+    // 同一列相鄰的深色模組合併成一個長方形
+    const runs = [];
+    modules.forEach((row, rowIndex) => {
+        for (let column = 0; column < size; column++) {
+            if (!row[column]) continue;
+            const start = column;
+            while (column + 1 < size && row[column + 1]) column++;
+            const runWidth = (column - start + 1) * moduleSize;
+            runs.push(`M${(start + quietZone) * moduleSize} ${(rowIndex + quietZone) * moduleSize}` +
+                `h${runWidth}v${moduleSize}h-${runWidth}z`);
+        }
+    });
+
+    return svgElement(viewSize, viewSize,
+        `<rect width="100%" height="100%" fill="#fff"/><path d="${runs.join("")}" fill="#000"/>`,
+        { x, y, width, height });
+}
+
+// ===== 示範：複本條碼與讀者證的 QR code =====
+if (require.main === module) {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    const code = encodeCode128("C00000042");
+    console.log(`Code 128 "${code.text}": 符號 [${code.values.join(", ")}]，寬 ${code.modules} 模組`);
+
+    const qr = encodeQr("https://library.example.com/users/42");
+    console.log(`QR "${qr.text}": 版本 ${qr.version}-${qr.ecLevel}，遮罩 ${qr.mask}，${qr.size}×${qr.size} 模組`);
+    // 終端機預覽 (兩個字元一個模組)
+    const border = "  ".repeat(qr.size + 2);
+    console.log([border, ...qr.modules.map(row => `  ${row.map(dark => (dark ? "██" : "  ")).join("")}  `), border]
+        .join("\n"));
+
+    const directory = path.join(os.tmpdir(), "library-barcodes");
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, "copy-42.svg"), code128Svg("C00000042"));
+    fs.writeFileSync(path.join(directory, "user-42.svg"), qrSvg("https://library.example.com/users/42"));
+    console.log(`已輸出 SVG 到 ${directory}`);
+}
+
+module.exports = {
+    QR_EC_LEVELS,
+    encodeCode128,
+    encodeQr,
+    code128Svg,
+    qrSvg,
+    escapeXml
+};
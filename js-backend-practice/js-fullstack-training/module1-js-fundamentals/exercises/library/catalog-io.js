@@ -0,0 +1,590 @@
+// ===== 館藏批次匯入 / 匯出 =====
+// 支援 CSV、BibTeX、RIS 三種格式：
+// - 匯入：驗證並正規化 ISBN (一律存成 ISBN-13)，逐筆回報 accepted / duplicate / rejected
+// - 匯出：整份館藏目錄，以及學術書籍的參考文獻 (BibTeX / RIS)
+//
+// 欄位對應：
+//   Library      CSV            BibTeX                 RIS
+//   title        title          title                  TI (或 T1)
+//   author       author         author (以 and 分隔)    AU (或 A1，可多行)
+//   isbn         isbn           isbn                   SN
+//   pages        pages          pagetotal (或 pages)    SP
+//   category     category       keywords               KW
+//   academicField academicField subject                C1
+//   citations    citations (以 | 分隔)
+//   copies       copies
+//   shelfLocation shelfLocation
+// 有 academicField 的資料會建立成 AcademicBook。
+// 這些都是書目格式，所以只匯出書籍；DVD、期刊、設備等其他館藏類型不在匯出範圍內。
+// 多位作者在 Library 裡以 "; " 連接。
+//
+// Python 等價物：csv.DictReader / bibtexparser / rispy
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeIsbn, isbn10To13, isbn13To10 } = require('./isbn');
+const { ValidationError } = require('./errors');
+
+const CSV_COLUMNS = ["title", "author", "isbn", "pages", "category", "academicField", "citations", "copies", "shelfLocation"];
+const FORMATS = ["csv", "bibtex", "ris"];
+const AUTHOR_SEPARATOR = "; ";
+const BOOK_TYPES = ["Book", "AcademicBook"];
+
+// ----- CSV -----
+
+// 解析 CSV (RFC 4180：雙引號包住的欄位可以含逗號、換行，"" 代表一個雙引號)
+// 回傳 [{ line, values }]，line 是該列開始的行號
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    text = text.replace(/^﻿/, "");
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === "\n") line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push({ line: rowLine, values: row });
+            row = [];
+            field = "";
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, values: row });
+    }
+    // 略過空白列
+    return rows.filter(({ values }) => values.some(value => value.trim() !== ""));
+}
+
+// 第一列是標題 (不分大小寫)，之後每一列轉成 { line, fields }
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+
+    const lookup = new Map(CSV_COLUMNS.map(column => [column.toLowerCase(), column]));
+    const columns = header.values.map(name => lookup.get(name.trim().toLowerCase()) ?? name.trim());
+    return rows.map(({ line, values }) => ({
+        line,
+        fields: Object.fromEntries(columns.map((column, i) => [column, (values[i] ?? "").trim()]))
+    }));
+}
+
+function csvEscape(value) {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ----- BibTeX -----
+
+// 把 LaTeX 的跳脫字元和大括號還原成一般文字
+function decodeLatex(value) {
+    return value
+        .replace(/\\([&%$#_{}])|[{}]/g, (_, escaped) => escaped ?? "")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+function encodeLatex(value) {
+    return String(value).replace(/([&%$#_{}])/g, "\\$1");
+}
+
+// 解析 BibTeX，回傳 [{ line, entryType, key, fields }]
+// 只處理一般條目；@string、@comment、@preamble 會略過
+function parseBibtex(text) {
+    const entries = [];
+    let i = 0;
+    const lineAt = index => text.slice(0, index).split("\n").length;
+
+    while ((i = text.indexOf("@", i)) !== -1) {
+        const start = i;
+        const header = /^@(\w+)\s*[{(]/.exec(text.slice(i));
+        if (!header) {
+            i++;
+            continue;
+        }
+        const entryType = header[1].toLowerCase();
+        i += header[0].length;
+
+        // 找到對應的結尾括號
+        let depth = 1;
+        let end = i;
+        while (end < text.length && depth > 0) {
+            if (text[end] === "{" || text[end] === "(") depth++;
+            else if (text[end] === "}" || text[end] === ")") depth--;
+            end++;
+        }
+        const body = text.slice(i, end - 1);
+        i = end;
+        if (["string", "comment", "preamble"].includes(entryType)) continue;
+
+        const entry = { line: lineAt(start), entryType, key: "", fields: {}, error: null };
+        const comma = body.indexOf(",");
+        entry.key = (comma === -1 ? body : body.slice(0, comma)).trim();
+        if (depth > 0) entry.error = "Unterminated BibTeX entry";
+        else Object.assign(entry.fields, parseBibtexFields(comma === -1 ? "" : body.slice(comma + 1)));
+        entries.push(entry);
+    }
+    return entries;
+}
+
+// name = {value} | name = "value" | name = 123，以逗號分隔
+function parseBibtexFields(body) {
+    const fields = {};
+    let i = 0;
+    while (i < body.length) {
+        const match = /^\s*([\w-]+)\s*=\s*/.exec(body.slice(i));
+        if (!match) break;
+        const name = match[1].toLowerCase();
+        i += match[0].length;
+
+        let value = "";
+        if (body[i] === "{") {
+            let depth = 0;
+            const start = i;
+            do {
+                if (body[i] === "{") depth++;
+                else if (body[i] === "}") depth--;
+                i++;
+            } while (i < body.length && depth > 0);
+            value = body.slice(start + 1, i - 1);
+        } else if (body[i] === '"') {
+            const end = body.indexOf('"', i + 1);
+            value = body.slice(i + 1, end === -1 ? body.length : end);
+            i = end === -1 ? body.length : end + 1;
+        } else {
+            const end = body.indexOf(",", i);
+            value = body.slice(i, end === -1 ? body.length : end);
+            i = end === -1 ? body.length : end;
+        }
+        fields[name] = decodeLatex(value);
+
+        const comma = body.indexOf(",", i);
+        if (comma === -1) break;
+        i = comma + 1;
+    }
+    return fields;
+}
+
+// 產生引用鍵：作者姓氏 (英文字母) + 編號，例如 cormen3
+function citationKey(author, suffix) {
+    const surname = String(author ?? "").split(AUTHOR_SEPARATOR)[0].split(",")[0].trim().split(/\s+/).pop() ?? "";
+    const ascii = surname.normalize("NFKD").replace(/[^A-Za-z]/g, "").toLowerCase();
+    return `${ascii || "ref"}${suffix}`;
+}
+
+function formatBibtexEntry(entryType, key, fields) {
+    const lines = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null && value !== "")
+        .map(([name, value]) => `  ${name} = {${encodeLatex(value)}}`);
+    return `@${entryType}{${key},\n${lines.join(",\n")}\n}\n`;
+}
+
+// ----- RIS -----
+
+// 解析 RIS (每行 "XX  - 值"，TY 開始一筆、ER 結束)，回傳 [{ line, tags }]
+function parseRis(text) {
+    const entries = [];
+    let current = null;
+
+    text.replace(/^﻿/, "").split(/\r?\n/).forEach((rawLine, index) => {
+        const match = /^([A-Z][A-Z0-9])  -(?: (.*))?$/.exec(rawLine.trimEnd());
+        if (!match) return;
+        const [, tag, value = ""] = match;
+
+        if (tag === "TY") {
+            current = { line: index + 1, tags: { TY: [value.trim()] }, error: null };
+            entries.push(current);
+        } else if (tag === "ER") {
+            current = null;
+        } else if (current) {
+            (current.tags[tag] ??= []).push(value.trim());
+        }
+    });
+
+    // 檔案結尾沒有 ER 的最後一筆視為不完整
+    if (current) current.error = "Missing ER tag at end of RIS record";
+    return entries;
+}
+
+function formatRisEntry(type, tags) {
+    const lines = [`TY  - ${type}`];
+    for (const [tag, values] of tags) {
+        for (const value of [].concat(values)) {
+            if (value !== undefined && value !== null && value !== "") lines.push(`${tag}  - ${value}`);
+        }
+    }
+    lines.push("ER  - ");
+    return lines.join("\n") + "\n";
+}
+
+// ----- 各格式 => 統一的書目欄位 -----
+
+function recordsFromCsv(text) {
+    return parseCsv(text).map(({ line, fields }) => ({
+        line,
+        error: null,
+        fields: {
+            ...fields,
+            citations: fields.citations ? fields.citations.split("|").map(c => c.trim()).filter(Boolean) : []
+        }
+    }));
+}
+
+function recordsFromBibtex(text) {
+    return parseBibtex(text).map(({ line, fields, error }) => ({
+        line,
+        error,
+        fields: {
+            title: fields.title,
+            author: fields.author?.split(/\s+and\s+/).join(AUTHOR_SEPARATOR),
+            isbn: fields.isbn,
+            pages: fields.pagetotal ?? (/^\d+$/.test(fields.pages ?? "") ? fields.pages : ""),
+            category: fields.keywords?.split(/[,;]/)[0].trim(),
+            academicField: fields.subject,
+            citations: []
+        }
+    }));
+}
+
+function recordsFromRis(text) {
+    return parseRis(text).map(({ line, tags, error }) => ({
+        line,
+        error,
+        fields: {
+            title: (tags.TI ?? tags.T1 ?? [])[0],
+            author: (tags.AU ?? tags.A1 ?? []).join(AUTHOR_SEPARATOR),
+            isbn: (tags.SN ?? [])[0],
+            pages: (tags.SP ?? [])[0],
+            category: (tags.KW ?? [])[0],
+            academicField: (tags.C1 ?? [])[0],
+            citations: []
+        }
+    }));
+}
+
+const READERS = { csv: recordsFromCsv, bibtex: recordsFromBibtex, ris: recordsFromRis };
+
+// 依副檔名或內容判斷格式
+function detectFormat(text, fileName = "") {
+    const extension = path.extname(fileName).toLowerCase();
+    if (extension === ".csv") return "csv";
+    if (extension === ".bib") return "bibtex";
+    if (extension === ".ris") return "ris";
+
+    const trimmed = text.replace(/^﻿/, "").trimStart();
+    if (trimmed.startsWith("@")) return "bibtex";
+    if (/^TY {2}- /m.test(trimmed)) return "ris";
+    return "csv";
+}
+
+// 驗證單筆資料，回傳可以交給 addBook 的參數或錯誤原因
+function validateRecord(fields, defaultCategory) {
+    const title = (fields.title ?? "").trim();
+    const author = (fields.author ?? "").trim();
+    if (!title) return { error: "Missing title" };
+    if (!author) return { error: "Missing author" };
+    if (!fields.isbn) return { error: "Missing ISBN" };
+
+    const isbn = normalizeIsbn(fields.isbn);
+    if (!isbn) return { error: `Invalid ISBN: ${fields.isbn}` };
+
+    let pages = 0;
+    if (fields.pages !== undefined && fields.pages !== "") {
+        pages = Number(fields.pages);
+        if (!Number.isInteger(pages) || pages <= 0) return { error: `Invalid page count: ${fields.pages}` };
+    }
+
+    let copies = 1;
+    if (fields.copies !== undefined && fields.copies !== "") {
+        copies = Number(fields.copies);
+        if (!Number.isInteger(copies) || copies < 0) return { error: `Invalid number of copies: ${fields.copies}` };
+    }
+
+    return {
+        book: {
+            title,
+            author,
+            isbn,
+            pages,
+            category: (fields.category ?? "").trim() || defaultCategory,
+            academicField: (fields.academicField ?? "").trim(),
+            citations: fields.citations ?? [],
+            copies,
+            shelfLocation: (fields.shelfLocation ?? "").trim()
+        }
+    };
+}
+
+// 館藏中可能存的是 ISBN-10 或有連字號的寫法，兩種都要查
+function findExisting(library, isbn13) {
+    const isbn10 = isbn13To10(isbn13);
+    return library.findBookByIsbn(isbn13) ?? (isbn10 ? library.findBookByIsbn(isbn10) : undefined);
+}
+
+// ----- 匯入 -----
+
+// 匯入館藏，回傳逐筆報告
+// options: { format (預設自動判斷), defaultCategory = "General", dryRun = false (只驗證不寫入) }
+function importCatalog(library, text, { format = null, defaultCategory = "General", dryRun = false } = {}) {
+    format = format ?? detectFormat(text);
+    if (!FORMATS.includes(format)) {
+        throw new ValidationError(`Unsupported catalog format: ${format}`);
+    }
+
+    const report = { format, accepted: [], duplicates: [], rejected: [] };
+    const seen = new Map(); // 同一份檔案中已出現的 ISBN => 行號
+
+    for (const { line, error, fields } of READERS[format](text)) {
+        if (error) {
+            report.rejected.push({ line, title: fields.title ?? "", reason: error });
+            continue;
+        }
+
+        const { book, error: invalid } = validateRecord(fields, defaultCategory);
+        if (invalid) {
+            report.rejected.push({ line, title: fields.title ?? "", reason: invalid });
+            continue;
+        }
+
+        const existing = findExisting(library, book.isbn);
+        if (existing || seen.has(book.isbn)) {
+            report.duplicates.push({
+                line,
+                title: book.title,
+                isbn: book.isbn,
+                existingBookId: existing?.id ?? null,
+                firstLine: seen.get(book.isbn) ?? null
+            });
+            continue;
+        }
+        seen.set(book.isbn, line);
+
+        if (dryRun) {
+            report.accepted.push({ line, title: book.title, isbn: book.isbn, bookId: null });
+            continue;
+        }
+
+        try {
+            const options = { copies: book.copies, shelfLocation: book.shelfLocation };
+            const added = book.academicField
+                ? library.addAcademicBook(book.title, book.author, book.isbn, book.pages, book.academicField, book.citations, options)
+                : library.addBook(book.title, book.author, book.isbn, book.pages, book.category, options);
+            report.accepted.push({ line, title: book.title, isbn: book.isbn, bookId: added.id });
+        } catch (e) {
+            report.rejected.push({ line, title: book.title, reason: e.message });
+        }
+    }
+
+    report.summary = {
+        total: report.accepted.length + report.duplicates.length + report.rejected.length,
+        accepted: report.accepted.length,
+        duplicates: report.duplicates.length,
+        rejected: report.rejected.length
+    };
+    return report;
+}
+
+function importCatalogFile(library, filePath, options = {}) {
+    const text = fs.readFileSync(filePath, "utf8");
+    return importCatalog(library, text, { ...options, format: options.format ?? detectFormat(text, filePath) });
+}
+
+// ----- 匯出 -----
+
+function exportCatalog(library, format = "csv") {
+    const books = library.getAllBooks().filter(book => BOOK_TYPES.includes(book.itemType));
+
+    switch (format) {
+        case "csv": {
+            const rows = books.map(book => [
+                book.title,
+                book.author,
+                book.isbn,
+                book.pages || "",
+                book.category,
+                book.academicField ?? "",
+                (book.citations ?? []).join(" | "),
+                book.totalCopies,
+                book.copies[0]?.shelfLocation ?? ""
+            ].map(csvEscape).join(","));
+            return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+        }
+        case "bibtex":
+            return books.map(book => formatBibtexEntry("book", citationKey(book.author, book.id), {
+                title: book.title,
+                author: book.author.split(AUTHOR_SEPARATOR).join(" and "),
+                isbn: book.isbn,
+                pagetotal: book.pages || "",
+                keywords: book.category,
+                subject: book.academicField
+            })).join("\n");
+        case "ris":
+            return books.map(book => formatRisEntry("BOOK", [
+                ["TI", book.title],
+                ["AU", book.author.split(AUTHOR_SEPARATOR)],
+                ["SN", book.isbn],
+                ["SP", book.pages || ""],
+                ["KW", book.category],
+                ["C1", book.academicField]
+            ])).join("\n");
+        default:
+            throw new ValidationError(`Unsupported catalog format: ${format}`);
+    }
+}
+
+// 匯出學術書籍的參考文獻 (bibtex 或 ris)
+// 引用的書在館藏中找得到時 (Library.resolveCitation)，缺少的作者與 ISBN 由館藏補上
+function exportCitations(library, format = "bibtex", { bookIds = null } = {}) {
+    if (format !== "bibtex" && format !== "ris") {
+        throw new ValidationError(`Unsupported citation format: ${format}`);
+    }
+
+    const books = library.getAllBooks().filter(book =>
+        Array.isArray(book.citations) && (bookIds === null || bookIds.includes(book.id)));
+
+    const entries = [];
+    for (const book of books) {
+        book.citations.forEach((citation, index) => {
+            const cited = library.resolveCitation(citation);
+            const authors = citation.authors.length > 0 ? citation.authors : (cited?.author?.split(AUTHOR_SEPARATOR) ?? []);
+            const isbn = citation.isbn ?? cited?.isbn;
+            const note = `Cited by ${book.title} (ISBN ${book.isbn})`;
+
+            if (format === "bibtex") {
+                entries.push(formatBibtexEntry(cited ? "book" : "misc", citationKey(authors[0], `${book.id}_${index + 1}`), {
+                    title: citation.title,
+                    author: authors.join(" and "),
+                    year: citation.year,
+                    publisher: citation.publisher,
+                    isbn,
+                    doi: citation.doi,
+                    note
+                }));
+            } else {
+                entries.push(formatRisEntry(cited ? "BOOK" : "GEN", [
+                    ["TI", citation.title],
+                    ["AU", authors],
+                    ["PY", citation.year],
+                    ["PB", citation.publisher],
+                    ["SN", isbn],
+                    ["DO", citation.doi],
+                    ["N1", note]
+                ]));
+            }
+        });
+    }
+    return entries.join("\n");
+}
+
+function exportCatalogFile(library, filePath, format = null) {
+    const extensions = { ".csv": "csv", ".bib": "bibtex", ".ris": "ris" };
+    format = format ?? extensions[path.extname(filePath).toLowerCase()] ?? "csv";
+    fs.writeFileSync(filePath, exportCatalog(library, format));
+}
+
+// ===== 示範 =====
+if (require.main === module) {
+    const os = require('os');
+    const { Library } = require('../object-modeling');
+
+    const library = new Library();
+    library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "978-0-7432-7356-5", 180, "Fiction");
+
+    const csv = [
+        "title,author,isbn,pages,category,copies,shelfLocation",
+        "Clean Code,Robert C. Martin,0132350882,464,Programming,2,B-12",
+        "\"Design Patterns: Elements of Reusable Object-Oriented Software\",\"Gamma; Helm; Johnson; Vlissides\",978-0201633610,395,Programming,1,B-13",
+        "The Great Gatsby (reprint),F. Scott Fitzgerald,9780743273565,180,Fiction,1,",
+        "Bad Checksum,Nobody,9780132350881,100,Programming,1,",
+        "三體,劉慈欣,9787536692930,302,科幻,3,C-01"
+    ].join("\n");
+
+    const bibtex = `
+@book{cormen2009,
+  title = {Introduction to Algorithms},
+  author = {Cormen, Thomas H. and Leiserson, Charles E. and Rivest, Ronald L. and Stein, Clifford},
+  isbn = {978-0-262-03384-8},
+  pagetotal = {1312},
+  subject = {Computer Science}
+}
+@book{broken, title = {No ISBN Here}, author = {Someone}}
+`;
+
+    const ris = [
+        "TY  - BOOK",
+        "TI  - The Pragmatic Programmer",
+        "AU  - Hunt, Andrew",
+        "AU  - Thomas, David",
+        "SN  - 020161622X",
+        "SP  - 352",
+        "KW  - Programming",
+        "ER  - "
+    ].join("\n");
+
+    for (const [name, text] of [["CSV", csv], ["BibTeX", bibtex], ["RIS", ris]]) {
+        const { summary, duplicates, rejected } = importCatalog(library, text);
+        console.log(`${name}: 總共 ${summary.total} 筆，接受 ${summary.accepted}，重複 ${summary.duplicates}，拒絕 ${summary.rejected}`);
+        duplicates.forEach(d => console.log(`  重複 (第 ${d.line} 行): ${d.title} [${d.isbn}]`));
+        rejected.forEach(r => console.log(`  拒絕 (第 ${r.line} 行): ${r.title} - ${r.reason}`));
+    }
+
+    const academic = library.findBookByIsbn("9780262033848");
+    library.addCitation(academic.id, "Knuth, D. E. The Art of Computer Programming");
+    library.addCitation(academic.id, {
+        authors: ["Gamma, Erich", "Helm, Richard", "Johnson, Ralph", "Vlissides, John"],
+        title: "Design Patterns: Elements of Reusable Object-Oriented Software",
+        year: 1994,
+        publisher: "Addison-Wesley"
+    });
+
+    console.log("\n----- 匯出 CSV -----");
+    console.log(exportCatalog(library, "csv"));
+    console.log("----- 參考文獻 (BibTeX) -----");
+    console.log(exportCitations(library, "bibtex"));
+
+    const filePath = path.join(os.tmpdir(), "library-catalog.ris");
+    exportCatalogFile(library, filePath);
+    const copy = new Library();
+    console.log("RIS 匯出再匯入:", importCatalogFile(copy, filePath).summary);
+    fs.rmSync(filePath);
+}
+
+module.exports = {
+    normalizeIsbn,
+    csvEscape,
+    isbn10To13,
+    isbn13To10,
+    parseCsv,
+    parseBibtex,
+    parseRis,
+    detectFormat,
+    importCatalog,
+    importCatalogFile,
+    exportCatalog,
+    exportCatalogFile,
+    exportCitations
+};
@@ -0,0 +1,295 @@
+// ===== 館藏全文檢索 =====
+// 倒排索引 (inverted index)：詞彙 => 出現在哪些書、哪個欄位、出現幾次。
+// 查詢時只需要看查詢詞對應的書，不必逐本掃描，館藏有數萬筆也很快。
+//
+// - 英文：切成單字、轉小寫、去掉常見虛詞，並做簡單的詞尾還原 (algorithms => algorithm)
+// - 中文 (以及日文、韓文)：沒有空白分詞，改用相鄰兩字 (bigram)，另外保留單字方便單字查詢
+// - 排序：BM25 分數，書名、作者等欄位有不同權重
+// - 容錯：查不到的英文詞會改找拼法相近 (編輯距離 1~2) 或以它開頭的詞
+// - 分面 (facet)：依分類、作者、是否可借、館藏類型統計結果數量
+//
+// Python 等價物：類似用 whoosh 或 Elasticsearch 建索引，這裡用 Map 手工實作
+
+const FIELD_BOOSTS = {
+    title: 3,
+    author: 2,
+    category: 1.5,
+    academicField: 1.5,
+    isbn: 5
+};
+
+// BM25 參數
+const K1 = 1.2;
+const B = 0.75;
+
+// 英文常見虛詞，不建索引
+const STOP_WORDS = new Set(["a", "an", "the", "of", "and", "or", "to", "in", "for", "on", "with", "by", "at"]);
+
+// 中日韓文字 (漢字、平假名、片假名、韓文)
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+// 中日韓文字連續段落，或英數字單字
+const TOKEN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[\p{L}\p{N}]+/gu;
+
+// 看起來像 ISBN 的查詢 (允許連字號與空白)
+const ISBN_QUERY_PATTERN = /^[\d\s-]{9,16}[\dXx]$/;
+
+// 簡單的英文詞尾還原，只處理複數與所有格
+function stem(word) {
+    if (word.length <= 3) return word;
+    if (word.endsWith("'s")) return word.slice(0, -2);
+    if (word.endsWith("ies") && word.length > 4) return word.slice(0, -3) + "y";
+    if (word.endsWith("s") && !word.endsWith("ss") && !word.endsWith("us")) return word.slice(0, -1);
+    return word;
+}
+
+// 把文字切成詞彙列表
+// 中文段落 "資料結構" => ["資料", "料結", "結構", "資", "料", "結", "構"]
+// 英文 "Introduction to Algorithms" => ["introduction", "algorithm"]
+function tokenize(text) {
+    const normalized = String(text ?? "").normalize("NFKC").toLowerCase();
+    const tokens = [];
+
+    for (const [run] of normalized.matchAll(TOKEN_PATTERN)) {
+        if (CJK_PATTERN.test(run)) {
+            const chars = Array.from(run);
+            for (let i = 0; i < chars.length - 1; i++) tokens.push(chars[i] + chars[i + 1]);
+            tokens.push(...chars);
+        } else if (!STOP_WORDS.has(run)) {
+            tokens.push(stem(run));
+        }
+    }
+    return tokens;
+}
+
+// 查詢詞：中文段落只取 bigram (單字段落才用單字)，避免單字把不相關的書都找出來
+function tokenizeQuery(query) {
+    const normalized = String(query ?? "").normalize("NFKC").toLowerCase().trim();
+    if (ISBN_QUERY_PATTERN.test(normalized)) return [normalized.replace(/[\s-]/g, "")];
+
+    const terms = [];
+    for (const [run] of normalized.matchAll(TOKEN_PATTERN)) {
+        if (CJK_PATTERN.test(run)) {
+            const chars = Array.from(run);
+            if (chars.length === 1) {
+                terms.push(chars[0]);
+            } else {
+                for (let i = 0; i < chars.length - 1; i++) terms.push(chars[i] + chars[i + 1]);
+            }
+        } else if (!STOP_WORDS.has(run)) {
+            terms.push(stem(run));
+        }
+    }
+    return [...new Set(terms)];
+}
+
+// 編輯距離 (含相鄰字元互換)，超過 maxDistance 就提早放棄
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+class CatalogSearchIndex {
+    #postings;     // Map of term => Map of bookId => { field: 次數 }
+    #documents;    // Map of bookId => { book, lengths: { field: 詞數 }, terms: Set }
+    #fieldLengths; // 各欄位的總詞數 (計算平均長度用)
+
+    constructor() {
+        this.clear();
+    }
+
+    get size() {
+        return this.#documents.size;
+    }
+
+    clear() {
+        this.#postings = new Map();
+        this.#documents = new Map();
+        this.#fieldLengths = Object.fromEntries(Object.keys(FIELD_BOOSTS).map(field => [field, 0]));
+    }
+
+    // 加入 (或更新) 一本書
+    add(book) {
+        if (this.#documents.has(book.id)) this.remove(book.id);
+
+        const fields = {
+            title: tokenize(book.title),
+            author: tokenize(book.author),
+            category: tokenize(book.category),
+            academicField: tokenize(book.academicField),
+            isbn: book.isbn ? [String(book.isbn).replace(/[\s-]/g, "").toLowerCase()] : []
+        };
+
+        const lengths = {};
+        const terms = new Set();
+        for (const [field, tokens] of Object.entries(fields)) {
+            lengths[field] = tokens.length;
+            this.#fieldLengths[field] += tokens.length;
+            for (const token of tokens) {
+                terms.add(token);
+                if (!this.#postings.has(token)) this.#postings.set(token, new Map());
+                const postings = this.#postings.get(token);
+                const counts = postings.get(book.id) ?? {};
+                counts[field] = (counts[field] ?? 0) + 1;
+                postings.set(book.id, counts);
+            }
+        }
+        this.#documents.set(book.id, { book, lengths, terms });
+    }
+
+    // 依 ISBN 找書 (忽略連字號、空白與大小寫)
+    findByIsbn(isbn) {
+        const postings = this.#postings.get(String(isbn).replace(/[\s-]/g, "").toLowerCase());
+        if (!postings) return undefined;
+        for (const [bookId, counts] of postings) {
+            if (counts.isbn) return this.#documents.get(bookId).book;
+        }
+        return undefined;
+    }
+
+    remove(bookId) {
+        const document = this.#documents.get(bookId);
+        if (!document) return false;
+
+        for (const term of document.terms) {
+            const postings = this.#postings.get(term);
+            postings.delete(bookId);
+            if (postings.size === 0) this.#postings.delete(term);
+        }
+        for (const [field, length] of Object.entries(document.lengths)) {
+            this.#fieldLengths[field] -= length;
+        }
+        return this.#documents.delete(bookId);
+    }
+
+    // 查詢
+    // filters: { category, author, available, type } 只影響結果，不影響分面統計 (方便使用者切換條件)
+    search(query, { limit = 20, offset = 0, filters = {} } = {}) {
+        const terms = tokenizeQuery(query);
+        const scores = terms.length === 0 ? this.#matchAll() : this.#score(terms);
+
+        const matches = Array.from(scores.entries())
+            .map(([bookId, { score, matchedTerms }]) => ({
+                book: this.#documents.get(bookId).book,
+                score: Math.round(score * 1000) / 1000,
+                matchedTerms
+            }))
+            .sort((a, b) => b.score - a.score || a.book.title.localeCompare(b.book.title));
+
+        const facets = CatalogSearchIndex.#facets(matches.map(match => match.book));
+        const filtered = matches.filter(({ book }) => CatalogSearchIndex.#passesFilters(book, filters));
+
+        return {
+            query,
+            terms,
+            total: filtered.length,
+            results: filtered.slice(offset, offset + limit),
+            facets
+        };
+    }
+
+    // 計算每本書的分數；找不到的詞改用拼法相近或開頭相同的詞 (分數打折)
+    #score(terms) {
+        const scores = new Map();
+        const documentCount = this.#documents.size;
+
+        for (const term of terms) {
+            for (const { term: indexed, weight } of this.#expand(term)) {
+                const postings = this.#postings.get(indexed);
+                const idf = Math.log(1 + (documentCount - postings.size + 0.5) / (postings.size + 0.5));
+
+                for (const [bookId, counts] of postings) {
+                    const { lengths } = this.#documents.get(bookId);
+                    let termScore = 0;
+                    for (const [field, tf] of Object.entries(counts)) {
+                        const averageLength = this.#fieldLengths[field] / documentCount || 1;
+                        const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * lengths[field] / averageLength));
+                        termScore += FIELD_BOOSTS[field] * norm;
+                    }
+
+                    const entry = scores.get(bookId) ?? { score: 0, matchedTerms: new Set() };
+                    entry.score += idf * termScore * weight;
+                    entry.matchedTerms.add(term);
+                    scores.set(bookId, entry);
+                }
+            }
+        }
+
+        // 命中越多查詢詞的書排越前面
+        for (const entry of scores.values()) {
+            entry.score *= (entry.matchedTerms.size / terms.length) ** 2;
+            entry.matchedTerms = [...entry.matchedTerms];
+        }
+        return scores;
+    }
+
+    // 查詢詞 => [{ term, weight }]
+    #expand(term) {
+        if (this.#postings.has(term)) return [{ term, weight: 1 }];
+        // 只對英文字容錯；數字 (ISBN、年份) 差一碼就是不同的東西
+        if (!/^\p{Script=Latin}+$/u.test(term) || term.length < 3) return [];
+
+        const maxDistance = term.length >= 8 ? 2 : 1;
+        const expansions = [];
+        for (const indexed of this.#postings.keys()) {
+            if (indexed.startsWith(term)) {
+                expansions.push({ term: indexed, weight: 0.8 });
+            } else if (term.length >= 4 && editDistance(term, indexed, maxDistance) <= maxDistance) {
+                expansions.push({ term: indexed, weight: 0.5 });
+            }
+        }
+        return expansions;
+    }
+
+    #matchAll() {
+        return new Map(Array.from(this.#documents.keys(), bookId => [bookId, { score: 0, matchedTerms: [] }]));
+    }
+
+    static #passesFilters(book, { category, author, available, type }) {
+        if (type !== undefined && book.itemType !== type) return false;
+        if (category !== undefined && book.category !== category) return false;
+        if (author !== undefined && book.author !== author) return false;
+        if (available !== undefined && book.available !== available) return false;
+        return true;
+    }
+
+    static #facets(books) {
+        // 沒有作者的館藏 (例如設備沒填製造商) 不列入該分面
+        const count = (key) => books.reduce((counts, book) => {
+            const value = key(book);
+            if (value !== null && value !== undefined) counts[value] = (counts[value] ?? 0) + 1;
+            return counts;
+        }, {});
+
+        return {
+            category: count(book => book.category),
+            author: count(book => book.author),
+            availability: count(book => (book.available ? "available" : "unavailable")),
+            type: count(book => book.itemType)
+        };
+    }
+}
+
+module.exports = {
+    CatalogSearchIndex,
+    tokenize,
+    tokenizeQuery,
+    editDistance
+};
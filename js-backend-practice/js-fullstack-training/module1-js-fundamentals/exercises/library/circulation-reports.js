@@ -0,0 +1,347 @@
+// ===== 借閱統計報表 =====
+// getStatistics 只有「現在」的數字；這裡從 BorrowRecord 的歷史資料算出一段期間的報表：
+// - 每月借出 / 歸還次數
+// - 最常被借的書、分類，以及借最多的讀者
+// - 各館藏類型 (書、DVD、期刊、設備…) 的借出次數
+// - 平均借閱天數 (以期間內歸還的記錄計算)
+// - 期間結束時逾期未還的帳齡分布 (1-7 天、8-30 天、30 天以上)
+//
+// 每個報表區塊都是 { title, columns, rows } 的表格，可以匯出成 CSV 或單一 HTML 檔
+// (樣式與長條圖都內嵌在檔案裡，直接用瀏覽器打開或寄給理事會即可)。
+//
+// Python 等價物：pandas 的 groupby + DataFrame.to_csv / to_html
+
+const fs = require('fs');
+const path = require('path');
+const { csvEscape } = require('./catalog-io');
+const { ValidationError } = require('./errors');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// 逾期帳齡區間 (天數，max 為 null 代表沒有上限)
+const OVERDUE_BUCKETS = [
+    { label: "1-7 days", min: 1, max: 7 },
+    { label: "8-30 days", min: 8, max: 30 },
+    { label: "30+ days", min: 31, max: null }
+];
+
+// 某年某季的期間，例如 quarterRange(2025, 3) => 2025-07-01 ~ 2025-10-01 (不含)
+function quarterRange(year, quarter) {
+    if (![1, 2, 3, 4].includes(quarter)) {
+        throw new ValidationError(`Invalid quarter: ${quarter}. Expected 1-4`);
+    }
+    return {
+        from: new Date(year, (quarter - 1) * 3, 1),
+        to: new Date(year, quarter * 3, 1)
+    };
+}
+
+function monthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+// from ~ to 之間的每個月 (含頭尾月份)
+function monthsBetween(from, to) {
+    const months = [];
+    const cursor = new Date(from.getFullYear(), from.getMonth(), 1);
+    while (cursor < to) {
+        months.push(monthKey(cursor));
+        cursor.setMonth(cursor.getMonth() + 1);
+    }
+    return months;
+}
+
+function formatDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// 依 key 計數後取前 N 名 (同數量時依 key 排序，結果才穩定)
+function topCounts(items, key, limit) {
+    const counts = new Map();
+    for (const item of items) {
+        const value = key(item);
+        counts.set(value, (counts.get(value) ?? 0) + 1);
+    }
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+        .slice(0, limit);
+}
+
+// 產生報表
+// options: { from, to (不含), now = library.now(), top = 10 }
+// 未指定 from 時從第一筆借閱開始，未指定 to 時到 now 為止
+function buildCirculationReport(library, { from = null, to = null, now = null, top = 10 } = {}) {
+    now = now ?? library.now();
+    const records = library.getAllRecords();
+    from = from ?? (records.length > 0
+        ? new Date(records.reduce((min, record) => Math.min(min, record.borrowDate.getTime()), Infinity))
+        : new Date(now));
+    to = to ?? new Date(now.getTime() + 1);
+    if (from >= to) {
+        throw new ValidationError(`Invalid report period: ${from.toISOString()} is not before ${to.toISOString()}`);
+    }
+
+    const inPeriod = date => date !== null && date >= from && date < to;
+    const loans = records.filter(record => inPeriod(record.borrowDate));
+    const returns = records.filter(record => inPeriod(record.returnDate));
+
+    // 書目或使用者可能已被刪除，只剩下 ID
+    const bookOf = record => library.getBook(record.bookId);
+    const titleOf = bookId => library.getBook(bookId)?.title ?? `(removed book #${bookId})`;
+    const nameOf = userId => library.getUser(userId)?.name ?? `(removed user #${userId})`;
+
+    // 每月借出 / 歸還
+    const perMonth = new Map(monthsBetween(from, to).map(month => [month, { loans: 0, returns: 0 }]));
+    loans.forEach(record => perMonth.get(monthKey(record.borrowDate)).loans++);
+    returns.forEach(record => perMonth.get(monthKey(record.returnDate)).returns++);
+
+    // 平均借閱天數
+    const loanDays = returns.map(record => (record.returnDate - record.borrowDate) / DAY_MS);
+    const averageLoanDays = loanDays.length === 0
+        ? null
+        : Math.round(loanDays.reduce((sum, days) => sum + days, 0) / loanDays.length * 10) / 10;
+
+    // 逾期帳齡：期間結束時 (或現在，取較早者) 仍在讀者手上且已過到期日的借閱 (報失之後就不算)
+    const asOf = to < now ? to : now;
+    const overdue = records
+        .filter(record => record.borrowDate < asOf && record.dueDate < asOf &&
+            (record.loanEndedAt === null || record.loanEndedAt >= asOf))
+        .map(record => ({ record, days: Math.ceil((asOf - record.dueDate) / DAY_MS) }));
+    const bucketOf = days => OVERDUE_BUCKETS.find(b => days >= b.min && (b.max === null || days <= b.max));
+
+    const sections = {
+        loansPerMonth: {
+            title: "Loans per month",
+            columns: [
+                { key: "month", label: "Month" },
+                { key: "loans", label: "Loans" },
+                { key: "returns", label: "Returns" }
+            ],
+            rows: Array.from(perMonth.entries()).map(([month, counts]) => ({ month, ...counts }))
+        },
+        topTitles: {
+            title: "Most borrowed titles",
+            columns: [
+                { key: "rank", label: "Rank" },
+                { key: "bookId", label: "Book ID" },
+                { key: "title", label: "Title" },
+                { key: "loans", label: "Loans" }
+            ],
+            rows: topCounts(loans, record => record.bookId, top)
+                .map(([bookId, count], i) => ({ rank: i + 1, bookId, title: titleOf(bookId), loans: count }))
+        },
+        topCategories: {
+            title: "Most borrowed categories",
+            columns: [
+                { key: "rank", label: "Rank" },
+                { key: "category", label: "Category" },
+                { key: "loans", label: "Loans" }
+            ],
+            rows: topCounts(loans, record => bookOf(record)?.category ?? "(unknown)", top)
+                .map(([category, count], i) => ({ rank: i + 1, category, loans: count }))
+        },
+        loansByType: {
+            title: "Loans by item type",
+            columns: [
+                { key: "type", label: "Item type" },
+                { key: "loans", label: "Loans" }
+            ],
+            rows: topCounts(loans, record => bookOf(record)?.itemType ?? "(unknown)", top)
+                .map(([type, count]) => ({ type, loans: count }))
+        },
+        topPatrons: {
+            title: "Busiest patrons",
+            columns: [
+                { key: "rank", label: "Rank" },
+                { key: "userId", label: "User ID" },
+                { key: "name", label: "Name" },
+                { key: "loans", label: "Loans" }
+            ],
+            rows: topCounts(loans, record => record.userId, top)
+                .map(([userId, count], i) => ({ rank: i + 1, userId, name: nameOf(userId), loans: count }))
+        },
+        loanLength: {
+            title: "Average loan length",
+            columns: [
+                { key: "returnedLoans", label: "Returned loans" },
+                { key: "averageDays", label: "Average days" },
+                { key: "shortestDays", label: "Shortest (days)" },
+                { key: "longestDays", label: "Longest (days)" }
+            ],
+            rows: [{
+                returnedLoans: loanDays.length,
+                averageDays: averageLoanDays ?? "",
+                shortestDays: loanDays.length ? Math.round(loanDays.reduce((a, b) => Math.min(a, b)) * 10) / 10 : "",
+                longestDays: loanDays.length ? Math.round(loanDays.reduce((a, b) => Math.max(a, b)) * 10) / 10 : ""
+            }]
+        },
+        overdueAging: {
+            title: `Overdue aging as of ${formatDate(asOf)}`,
+            columns: [
+                { key: "bucket", label: "Days overdue" },
+                { key: "loans", label: "Loans" }
+            ],
+            rows: OVERDUE_BUCKETS.map(bucket => ({
+                bucket: bucket.label,
+                loans: overdue.filter(({ days }) => bucketOf(days) === bucket).length
+            }))
+        }
+    };
+
+    return {
+        title: `Circulation report ${formatDate(from)} to ${formatDate(new Date(to.getTime() - 1))}`,
+        period: { from, to },
+        generatedAt: now,
+        summary: {
+            loans: loans.length,
+            returns: returns.length,
+            averageLoanDays,
+            overdue: overdue.length
+        },
+        sections
+    };
+}
+
+// ----- CSV -----
+
+function sectionToCsv(section) {
+    const header = section.columns.map(column => csvEscape(column.label)).join(",");
+    const rows = section.rows.map(row => section.columns.map(column => csvEscape(row[column.key])).join(","));
+    return [header, ...rows].join("\n") + "\n";
+}
+
+// 每個區塊一份 CSV：{ loansPerMonth: "Month,Loans,...", ... }
+function reportToCsv(report) {
+    return Object.fromEntries(Object.entries(report.sections).map(([name, section]) => [name, sectionToCsv(section)]));
+}
+
+// ----- HTML -----
+
+function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function sectionToHtml(section) {
+    const head = section.columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join("");
+    const body = section.rows.length === 0
+        ? `<tr><td colspan="${section.columns.length}" class="empty">No data</td></tr>`
+        : section.rows.map(row =>
+            `<tr>${section.columns.map(column => `<td>${escapeHtml(row[column.key])}</td>`).join("")}</tr>`).join("\n");
+    return `<section>
+<h2>${escapeHtml(section.title)}</h2>
+<table>
+<thead><tr>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</section>`;
+}
+
+// 每月借出次數的長條圖 (內嵌 SVG，不需要外部圖表函式庫)
+function monthlyChart(rows) {
+    const width = 40;
+    const height = 160;
+    const max = Math.max(1, ...rows.map(row => row.loans));
+    const bars = rows.map((row, i) => {
+        const barHeight = Math.round(row.loans / max * (height - 30));
+        const x = i * width + 8;
+        const y = height - 20 - barHeight;
+        return `<rect x="${x}" y="${y}" width="${width - 16}" height="${barHeight}" fill="#4a7ab5"><title>${escapeHtml(row.month)}: ${row.loans}</title></rect>` +
+            `<text x="${x + (width - 16) / 2}" y="${y - 4}" text-anchor="middle">${row.loans}</text>` +
+            `<text x="${x + (width - 16) / 2}" y="${height - 6}" text-anchor="middle">${escapeHtml(row.month.slice(5))}</text>`;
+    }).join("\n");
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.max(rows.length * width, width) + 16}" height="${height}" font-size="11" role="img" aria-label="Loans per month">
+${bars}
+</svg>`;
+}
+
+function reportToHtml(report) {
+    const { summary } = report;
+    const sections = Object.values(report.sections).map(sectionToHtml).join("\n");
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+h1 { font-size: 1.5rem; }
+h2 { font-size: 1.1rem; margin-top: 2rem; }
+table { border-collapse: collapse; min-width: 20rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; }
+th { background: #f0f0f0; }
+td.empty { color: #888; font-style: italic; }
+.summary { display: flex; gap: 2rem; }
+.summary div { font-size: 0.9rem; }
+.summary strong { display: block; font-size: 1.4rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p>Generated ${escapeHtml(report.generatedAt.toISOString())}</p>
+<div class="summary">
+<div><strong>${summary.loans}</strong>loans</div>
+<div><strong>${summary.returns}</strong>returns</div>
+<div><strong>${summary.averageLoanDays ?? "-"}</strong>average loan days</div>
+<div><strong>${summary.overdue}</strong>overdue at period end</div>
+</div>
+${monthlyChart(report.sections.loansPerMonth.rows)}
+${sections}
+</body>
+</html>
+`;
+}
+
+// 寫出 HTML 與每個區塊的 CSV，回傳寫入的檔案路徑
+function writeReport(report, directory, baseName = "circulation-report") {
+    fs.mkdirSync(directory, { recursive: true });
+    const files = [];
+
+    const htmlPath = path.join(directory, `${baseName}.html`);
+    fs.writeFileSync(htmlPath, reportToHtml(report));
+    files.push(htmlPath);
+
+    for (const [name, csv] of Object.entries(reportToCsv(report))) {
+        const csvPath = path.join(directory, `${baseName}-${name}.csv`);
+        fs.writeFileSync(csvPath, csv);
+        files.push(csvPath);
+    }
+    return files;
+}
+
+// ===== 示範：用借閱模擬器產生一學期的資料，輸出第三季報表 =====
+if (require.main === module) {
+    const os = require('os');
+    const { Library } = require('../object-modeling');
+    const { CirculationSimulator, populateLibrary } = require('./circulation-simulation');
+
+    const library = new Library(1);
+    const simulator = new CirculationSimulator(library, { startDate: new Date(2025, 6, 1), seed: 7 });
+    populateLibrary(library, simulator.random, { titles: 60, patrons: 40 });
+    simulator.run(120);
+
+    const report = buildCirculationReport(library, quarterRange(2025, 3));
+    console.log(report.title);
+    console.log("摘要:", report.summary);
+    console.log(reportToCsv(report).loansPerMonth);
+    console.log(reportToCsv(report).overdueAging);
+
+    const files = writeReport(report, path.join(os.tmpdir(), "library-reports"), "2025-Q3");
+    console.log("已輸出:");
+    files.forEach(file => console.log(`- ${file}`));
+}
+
+module.exports = {
+    OVERDUE_BUCKETS,
+    quarterRange,
+    buildCirculationReport,
+    sectionToCsv,
+    reportToCsv,
+    reportToHtml,
+    writeReport
+};
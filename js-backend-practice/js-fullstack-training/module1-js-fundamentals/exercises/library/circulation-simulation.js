@@ -0,0 +1,339 @@
+// ===== 借閱模擬器 =====
+// 在 Library 上產生一整個學期的模擬借閱活動：隨機讀者借書、續借、預約、取書、
+// 逾期還書與繳款。模擬使用 SimulatedClock 推進時間，所以罰款、報表與逾期偵測
+// 都可以端到端檢查，不必真的等兩個星期。
+//
+// 亂數使用固定種子，同樣的設定每次都會得到同樣的結果 (方便重現問題)。
+
+const { Library, SimulatedClock } = require('../object-modeling');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// ----- 可重現的亂數產生器 -----
+// Python 等價物：rng = random.Random(seed)
+// JavaScript 的 Math.random() 不能設定種子，所以自己實作 mulberry32
+function createRandom(seed = 1) {
+    let state = seed >>> 0;
+
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next,
+        // random.randint(min, max)
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        // random.random() < probability
+        chance: probability => next() < probability,
+        // random.choice(items)
+        pick: items => items[Math.floor(next() * items.length)]
+    };
+}
+
+// ----- 產生模擬館藏與讀者 -----
+const FIRST_NAMES = ["Amy", "Ben", "Chloe", "Daniel", "Emma", "Felix", "Grace", "Henry", "Ivy", "Jason",
+    "怡君", "志明", "雅婷", "家豪", "淑芬", "俊傑"];
+const LAST_NAMES = ["Chen", "Lin", "Wang", "Huang", "Smith", "Garcia", "Kim", "Tanaka", "Müller", "Rossi"];
+const TITLE_WORDS = ["Modern", "Introduction", "Principles", "History", "Theory", "Practical", "Data",
+    "Systems", "Design", "Networks", "Society", "Language", "Ocean", "Music", "Economics", "Light"];
+const CATEGORIES = ["Fiction", "Science", "History", "Computer Science", "Art", "Reference"];
+const MEMBERSHIP_TYPES = ["Regular", "Premium", "Student", "Researcher"];
+
+// 產生檢查碼正確的 ISBN-13
+function syntheticIsbn(sequence) {
+    const digits = `978${String(sequence).padStart(9, "0")}`;
+    const sum = digits.split("").reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+    return digits + ((10 - (sum % 10)) % 10);
+}
+
+// 在圖書館加入隨機的書目與讀者
+function populateLibrary(library, random, { titles = 60, patrons = 40, maxCopies = 3 } = {}) {
+    const books = [];
+    for (let i = 1; i <= titles; i++) {
+        const title = `${random.pick(TITLE_WORDS)} ${random.pick(TITLE_WORDS)} ${i}`;
+        const author = `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`;
+        const category = random.pick(CATEGORIES);
+        books.push(library.addBook(title, author, syntheticIsbn(i), random.int(80, 900), category, {
+            copies: random.int(1, maxCopies),
+            shelfLocation: `${category.slice(0, 3).toUpperCase()}-${random.int(1, 40)}`
+        }));
+    }
+
+    const users = [];
+    for (let i = 1; i <= patrons; i++) {
+        const name = `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`;
+        users.push(library.addUser(name, `patron${i}@example.edu`, random.pick(MEMBERSHIP_TYPES)));
+    }
+
+    return { books, users };
+}
+
+// ----- 模擬器 -----
+const DEFAULT_OPTIONS = {
+    borrowProbability: 0.08,  // 每位讀者每天來借書的機率
+    lateReturnRate: 0.2,      // 借出的書會逾期歸還的比例
+    maxLateDays: 21,          // 逾期最多幾天才還
+    renewProbability: 0.4,    // 快到期又還沒看完時，嘗試續借的機率
+    holdProbability: 0.5,     // 借不到時改為預約的機率
+    pickupProbability: 0.6,   // 預約書保留期間，每天來取書的機率
+    paymentProbability: 0.15  // 有欠款的讀者每天來繳款的機率
+};
+
+class CirculationSimulator {
+    #library;
+    #clock;
+    #random;
+    #options;
+    #plans;  // Map of recordId => 預計還書時間
+    #holds;  // 模擬中建立的預約
+    #stats;
+
+    constructor(library, { startDate = new Date(), seed = 1, ...options } = {}) {
+        if (!(library instanceof Library)) {
+            throw new Error("CirculationSimulator requires a Library instance");
+        }
+        this.#library = library;
+        this.#clock = new SimulatedClock(startDate);
+        this.#random = createRandom(seed);
+        this.#options = { ...DEFAULT_OPTIONS, ...options };
+        this.#plans = new Map();
+        this.#holds = [];
+        this.#stats = CirculationSimulator.#emptyStats();
+
+        // 之後圖書館的「現在」由模擬時鐘決定
+        library.setClock(this.#clock);
+    }
+
+    get clock() { return this.#clock; }
+    get random() { return this.#random; }
+
+    // 模擬指定天數 (預設 16 週，約一學期)，回傳統計摘要
+    run(days = 112) {
+        const startDate = this.#clock.now();
+        for (let day = 0; day < days; day++) {
+            this.#simulateDay();
+            this.#clock.advanceDays(1);
+        }
+
+        return {
+            startDate,
+            endDate: this.#clock.now(),
+            days,
+            ...this.#stats,
+            refusals: { ...this.#stats.refusals },
+            statistics: this.#library.getStatistics(),
+            outstandingBalances: this.#library.getOutstandingBalances().length
+        };
+    }
+
+    // 端到端驗證：依借閱日期與條款重算每筆已還記錄的罰款，和帳本中的罰款比對
+    verifyFines() {
+        const mismatches = [];
+        let checked = 0;
+
+        for (const record of this.#library.getAllRecords()) {
+            if (record.status !== "returned") continue;
+            checked++;
+
+            const expected = CirculationSimulator.#expectedFine(record);
+            const user = this.#library.getUser(record.userId);
+            const assessed = user.ledger.entries
+                .filter(entry => entry.type === "fine" && entry.recordId === record.id)
+                .reduce((total, entry) => total + entry.amount, 0);
+
+            if (Math.abs(expected - assessed) > 0.001) {
+                mismatches.push({ recordId: record.id, expected, assessed });
+            }
+        }
+
+        return { checked, mismatches };
+    }
+
+    // 一天的活動：過期預約 => 續借 => 還書 => 取書 => 借書 => 繳款 => 逾期檢查
+    #simulateDay() {
+        const library = this.#library;
+
+        // 營業時間內的隨機時刻
+        const opening = this.#clock.now();
+        opening.setHours(9, 0, 0, 0);
+        this.#clock.set(opening);
+        this.#clock.advanceHours(this.#random.int(0, 10));
+
+        this.#stats.holdsExpired += library.processExpiredHolds().length;
+
+        this.#renewDueLoans();
+        this.#returnPlannedLoans();
+        this.#pickUpHolds();
+
+        for (const user of library.getAllUsers()) {
+            if (this.#random.chance(this.#options.borrowProbability)) {
+                this.#tryBorrow(user, this.#random.pick(library.getAllBooks()));
+            }
+        }
+
+        this.#payFines();
+        this.#stats.overdueDetected += library.checkOverdueBooks().length;
+    }
+
+    // 明天到期、但讀者還沒打算還的書，有機率來續借
+    #renewDueLoans() {
+        const now = this.#clock.now();
+        for (const [recordId, plannedReturn] of this.#plans) {
+            const record = this.#library.getAllRecords().find(r => r.id === recordId);
+            const dueSoon = record.dueDate - now < DAY_MS;
+            if (!dueSoon || plannedReturn <= record.dueDate) continue;
+            if (!this.#random.chance(this.#options.renewProbability)) continue;
+
+            try {
+                this.#library.renewLoan(recordId);
+                this.#stats.renewals++;
+            } catch (error) {
+                this.#stats.renewalsRefused++;
+            }
+        }
+    }
+
+    #returnPlannedLoans() {
+        const now = this.#clock.now();
+        for (const [recordId, plannedReturn] of this.#plans) {
+            if (plannedReturn > now) continue;
+
+            const record = this.#library.getAllRecords().find(r => r.id === recordId);
+            const result = this.#library.returnBook(record.bookId, record.userId);
+            this.#plans.delete(recordId);
+            this.#stats.returns++;
+            if (record.returnDate > record.dueDate) this.#stats.lateReturns++;
+            this.#stats.finesAssessed += result.fine;
+        }
+    }
+
+    #pickUpHolds() {
+        for (const hold of this.#holds) {
+            if (hold.status !== "ready" || !this.#random.chance(this.#options.pickupProbability)) continue;
+            if (this.#tryBorrow(this.#library.getUser(hold.userId), this.#library.getBook(hold.bookId))) {
+                this.#stats.holdsFulfilled++;
+            }
+        }
+        this.#holds = this.#holds.filter(hold => hold.isActive);
+    }
+
+    // 借書成功就排定還書日；借不到時可能改為預約
+    #tryBorrow(user, book) {
+        try {
+            const record = this.#library.borrowBook(user.id, book.id);
+            this.#stats.borrows++;
+            this.#plans.set(record.id, this.#planReturn(record));
+            return true;
+        } catch (error) {
+            const reason = CirculationSimulator.#classifyRefusal(error);
+            this.#stats.refusals[reason] = (this.#stats.refusals[reason] ?? 0) + 1;
+            if (reason === "unavailable" && this.#random.chance(this.#options.holdProbability)) {
+                this.#tryPlaceHold(user, book);
+            }
+            return false;
+        }
+    }
+
+    #tryPlaceHold(user, book) {
+        try {
+            this.#holds.push(this.#library.placeHold(user.id, book.id));
+            this.#stats.holdsPlaced++;
+        } catch (error) {
+            // 已經預約過或手上就有這本書，略過
+        }
+    }
+
+    // 大多數人在到期前還書，部分人會逾期
+    #planReturn(record) {
+        const plan = new Date(record.dueDate);
+        if (this.#random.chance(this.#options.lateReturnRate)) {
+            plan.setDate(plan.getDate() + this.#random.int(1, this.#options.maxLateDays));
+        } else {
+            plan.setDate(plan.getDate() - this.#random.int(0, Math.max(0, record.terms.loanDays - 1)));
+        }
+        return plan;
+    }
+
+    // 有欠款的讀者隨機來繳全部或一部分
+    #payFines() {
+        for (const { user, balance } of this.#library.getOutstandingBalances()) {
+            if (!this.#random.chance(this.#options.paymentProbability)) continue;
+            const amount = this.#random.chance(0.7) ? balance : Math.ceil(balance / 2);
+            this.#library.payFine(user.id, Math.min(amount, balance));
+            this.#stats.paymentsReceived += Math.min(amount, balance);
+        }
+    }
+
+    // 依記錄上的條款重算罰款 (與 BorrowRecord.calculateFine 的規則相同)
+    static #expectedFine(record) {
+        const { fineRate, fineCap, graceDays } = record.terms;
+        const lateMs = record.returnDate - record.dueDate;
+        if (lateMs <= 0) return 0;
+
+        // 以日曆日計算：到期日當天晚還不算一天
+        const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const overdueDays = Math.round((startOfDay(record.returnDate) - startOfDay(record.dueDate)) / DAY_MS);
+        if (overdueDays <= graceDays) return 0;
+        const fine = overdueDays * fineRate;
+        return fineCap === null ? fine : Math.min(fine, fineCap);
+    }
+
+    static #classifyRefusal(error) {
+        const rules = [
+            [/borrowing limit/, "limit"],
+            [/outstanding balance/, "balance"],
+            [/not available|reserved for another/, "unavailable"],
+            [/already has/, "duplicate"],
+            [/members cannot borrow/, "restricted"],
+            [/membership (is suspended|expired)/, "membership"]
+        ];
+        const match = rules.find(([pattern]) => pattern.test(error.message));
+        return match ? match[1] : "other";
+    }
+
+    static #emptyStats() {
+        return {
+            borrows: 0,
+            returns: 0,
+            lateReturns: 0,
+            renewals: 0,
+            renewalsRefused: 0,
+            holdsPlaced: 0,
+            holdsFulfilled: 0,
+            holdsExpired: 0,
+            overdueDetected: 0,
+            finesAssessed: 0,
+            paymentsReceived: 0,
+            refusals: {}
+        };
+    }
+}
+
+// ===== 示例使用 =====
+if (require.main === module) {
+    const library = new Library(1);
+    const simulator = new CirculationSimulator(library, { startDate: new Date(2025, 8, 1), seed: 2025 });
+    populateLibrary(library, simulator.random, { titles: 80, patrons: 60 });
+
+    const summary = simulator.run(112);
+    console.log(`模擬期間: ${summary.startDate.toLocaleDateString()} - ${summary.endDate.toLocaleDateString()}`);
+    console.log(`借出 ${summary.borrows} 次，歸還 ${summary.returns} 次 (逾期 ${summary.lateReturns} 次)`);
+    console.log(`續借 ${summary.renewals} 次，被拒 ${summary.renewalsRefused} 次`);
+    console.log(`預約 ${summary.holdsPlaced} 筆，取書 ${summary.holdsFulfilled} 筆，過期 ${summary.holdsExpired} 筆`);
+    console.log(`罰款 ${summary.finesAssessed} 元，已收 ${summary.paymentsReceived} 元`);
+    console.log("借書被拒原因:", summary.refusals);
+
+    const verification = simulator.verifyFines();
+    console.log(`罰款驗證: 檢查 ${verification.checked} 筆，不一致 ${verification.mismatches.length} 筆`);
+}
+
+module.exports = {
+    CirculationSimulator,
+    createRandom,
+    populateLibrary,
+    syntheticIsbn
+};
@@ -0,0 +1,359 @@
+// ===== 引用文獻：格式化與引用網絡 =====
+// - formatCitation：依 APA (第 7 版)、MLA (第 9 版)、Chicago (第 17 版，書目格式) 輸出參考文獻
+// - CitationGraph：把館藏中學術書籍的引用建成有向圖 (引用者 => 被引用的著作)，
+//   回答「這個領域最常被引用的著作」、「哪些書引用了 X」、「常和 X 一起被引用的著作」，
+//   研究館員可以用 readingList 從一本書出發整理延伸閱讀清單
+//
+// 被引用的著作在館藏中找得到時 (Library.resolveCitation)，節點就是那本書 (book:<id>)；
+// 找不到時以 DOI、ISBN 或「標題 + 年份」辨識，同一著作的不同寫法會合併成同一個節點
+//
+// Python 等價物：類似用 networkx.DiGraph 建引用網絡，格式化類似 citeproc-py
+
+const { Citation } = require('../object-modeling');
+const { normalizeIsbn } = require('./isbn');
+const { ValidationError } = require('./errors');
+
+const CITATION_STYLES = ["apa", "mla", "chicago"];
+
+// 拆出作者的姓與名
+// "Knuth, Donald E." => { family: "Knuth", given: "Donald E." }
+// "Donald E. Knuth" => { family: "Knuth", given: "Donald E." }
+// 只有一個詞的作者 (例如機構名稱) 整個當作姓
+function parseAuthorName(author) {
+    const name = String(author).trim();
+    if (name.includes(",")) {
+        const [family, ...given] = name.split(",");
+        return { family: family.trim(), given: given.join(",").trim() };
+    }
+    const words = name.split(/\s+/);
+    return { family: words.pop(), given: words.join(" ") };
+}
+
+// "Donald Ervin" => "D. E."，"D. E." 不變
+function initials(given) {
+    return given.split(/[\s.]+/).filter(Boolean)
+        .map(part => part.split("-").map(piece => `${piece[0].toUpperCase()}.`).join("-"))
+        .join(" ");
+}
+
+// ["A", "B", "C"] => "A, B, and C"；兩位作者時 "A and B" (separator 控制有沒有逗號)
+function joinNames(names, conjunction, separator = ", ") {
+    if (names.length <= 1) return names.join("");
+    if (names.length === 2) return `${names[0]}${separator}${conjunction} ${names[1]}`;
+    return `${names.slice(0, -1).join(", ")}, ${conjunction} ${names[names.length - 1]}`;
+}
+
+// 句尾補句點 (已經有 . ? ! 結尾的不重複)
+function sentence(text) {
+    return /[.?!]$/.test(text) ? text : `${text}.`;
+}
+
+function formatApa(citation) {
+    const names = citation.authors.map(parseAuthorName).map(({ family, given }) =>
+        given ? `${family}, ${initials(given)}` : family);
+    // 第 7 版：最多列 20 位，超過時列前 19 位、省略號、最後一位
+    const authors = names.length > 20
+        ? `${names.slice(0, 19).join(", ")}, . . . ${names[names.length - 1]}`
+        : joinNames(names, "&", ", ");
+
+    const parts = [];
+    const year = `(${citation.year ?? "n.d."}).`;
+    if (authors) {
+        parts.push(sentence(authors), year, sentence(citation.title));
+    } else {
+        // 沒有作者時標題移到最前面
+        parts.push(sentence(citation.title), year);
+    }
+    if (citation.publisher) parts.push(sentence(citation.publisher));
+    if (citation.doi) parts.push(`https://doi.org/${citation.doi}`);
+    return parts.join(" ");
+}
+
+function formatMla(citation) {
+    const names = citation.authors.map(parseAuthorName);
+    const inverted = ({ family, given }) => (given ? `${family}, ${given}` : family);
+    const natural = ({ family, given }) => (given ? `${given} ${family}` : family);
+
+    let authors = "";
+    if (names.length === 1) authors = inverted(names[0]);
+    if (names.length === 2) authors = `${inverted(names[0])}, and ${natural(names[1])}`;
+    if (names.length >= 3) authors = `${inverted(names[0])}, et al`;
+
+    const parts = [];
+    if (authors) parts.push(sentence(authors));
+    parts.push(sentence(citation.title));
+    const publication = [citation.publisher, citation.year].filter(Boolean).join(", ");
+    if (publication) parts.push(sentence(publication));
+    if (citation.doi) parts.push(`https://doi.org/${citation.doi}.`);
+    return parts.join(" ");
+}
+
+function formatChicago(citation) {
+    const names = citation.authors.map(parseAuthorName);
+    const natural = ({ family, given }) => (given ? `${given} ${family}` : family);
+    // 第一位作者姓在前，其他作者名在前；超過 10 位時列前 7 位加 et al.
+    const listed = names.length > 10 ? names.slice(0, 7) : names;
+    const formatted = listed.map((name, index) =>
+        index === 0 && name.given ? `${name.family}, ${name.given}` : natural(name));
+    const authors = names.length > 10
+        ? `${formatted.join(", ")}, et al`
+        : joinNames(formatted, "and", ", ");
+
+    const parts = [];
+    if (authors) parts.push(sentence(authors));
+    parts.push(sentence(citation.title));
+    const publication = [citation.publisher, citation.year ?? "n.d."].filter(Boolean).join(", ");
+    parts.push(sentence(publication));
+    if (citation.doi) parts.push(`https://doi.org/${citation.doi}.`);
+    return parts.join(" ");
+}
+
+// 依指定格式輸出一筆參考文獻 (純文字，書名不加斜體)
+function formatCitation(citation, style = "apa") {
+    citation = Citation.from(citation);
+    switch (String(style).toLowerCase()) {
+        case "apa": return formatApa(citation);
+        case "mla": return formatMla(citation);
+        case "chicago": return formatChicago(citation);
+        default:
+            throw new ValidationError(`Unsupported citation style: ${style}`);
+    }
+}
+
+// 館藏中的書轉成引用 (被引用的著作在館藏中時，用館藏資料輸出)
+function citationForBook(book) {
+    return new Citation({
+        authors: book.author ? book.author.split(/\s*;\s*/) : [],
+        title: book.title,
+        isbn: book.isbn
+    });
+}
+
+class CitationGraph {
+    #library;
+    #nodes;       // Map of key => { key, citation, book, citedBy: Set of 引用它的 bookId }
+    #aliases;     // Map of "doi:..." / "isbn:..." / "title:...|年份" => 節點 key
+    #references;  // Map of 引用者 bookId => Set of 被引用的節點 key
+
+    constructor(library) {
+        this.#library = library;
+        this.rebuild();
+    }
+
+    // 館藏或引用有變動後重建 (圖是建立當下的快照)
+    rebuild() {
+        this.#nodes = new Map();
+        this.#aliases = new Map();
+        this.#references = new Map();
+
+        for (const book of this.#library.getAllBooks()) {
+            if (!Array.isArray(book.citations)) continue;
+            const references = new Set();
+            for (const citation of book.citations) {
+                const node = this.#nodeFor(citation, true);
+                // 自我引用不算
+                if (node.book?.id === book.id) continue;
+                node.citedBy.add(book.id);
+                references.add(node.key);
+            }
+            this.#references.set(book.id, references);
+        }
+        return this;
+    }
+
+    get size() {
+        return this.#nodes.size;
+    }
+
+    // 被最多本書引用的著作；field 限定「引用者」的學術領域 (不分大小寫)
+    mostCited({ field = null, limit = 10 } = {}) {
+        const inField = (bookId) => field === null ||
+            this.#library.getBook(bookId)?.academicField?.toLowerCase() === String(field).toLowerCase();
+
+        return Array.from(this.#nodes.values())
+            .map(node => ({ ...CitationGraph.#present(node), count: [...node.citedBy].filter(inField).length }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count || a.citation.title.localeCompare(b.citation.title))
+            .slice(0, limit);
+    }
+
+    // 引用了 target 的書
+    // target 可以是館藏的書 ID、Citation、{ authors, title, ... }、自由文字或節點 key
+    citing(target) {
+        const node = this.#find(target);
+        if (!node) return [];
+        return [...node.citedBy].map(bookId => this.#library.getBook(bookId)).filter(Boolean);
+    }
+
+    // 某本書引用的著作
+    references(bookId) {
+        return [...(this.#references.get(bookId) ?? [])].map(key => CitationGraph.#present(this.#nodes.get(key)));
+    }
+
+    // 共被引 (co-citation)：和 target 出現在同一份參考文獻中的著作，count 是一起被引用的次數
+    coCited(target, { limit = 10 } = {}) {
+        const node = this.#find(target);
+        if (!node) return [];
+
+        const counts = new Map();
+        for (const bookId of node.citedBy) {
+            for (const key of this.#references.get(bookId)) {
+                if (key !== node.key) counts.set(key, (counts.get(key) ?? 0) + 1);
+            }
+        }
+        return Array.from(counts, ([key, count]) => ({ ...CitationGraph.#present(this.#nodes.get(key)), count }))
+            .sort((a, b) => b.count - a.count || a.citation.title.localeCompare(b.citation.title))
+            .slice(0, limit);
+    }
+
+    // 延伸閱讀清單：seed 引用的著作、引用 seed 的書、常和 seed 一起被引用的著作
+    // 依關聯強度排序，並附上指定格式的參考文獻與館藏狀態
+    readingList(seed, { limit = 10, style = "apa" } = {}) {
+        const node = this.#find(seed);
+        if (!node) return [];
+
+        const scores = new Map();
+        const add = (key, score, reason) => {
+            if (key === node.key) return;
+            const entry = scores.get(key) ?? { score: 0, reasons: new Set() };
+            entry.score += score;
+            entry.reasons.add(reason);
+            scores.set(key, entry);
+        };
+
+        if (node.book) {
+            for (const key of this.#references.get(node.book.id) ?? []) add(key, 2, "cited by seed");
+        }
+        for (const bookId of node.citedBy) {
+            add(`book:${bookId}`, 2, "cites seed");
+        }
+        for (const { key, count } of this.coCited(node.key, { limit: Infinity })) {
+            add(key, count, "co-cited");
+        }
+
+        return Array.from(scores, ([key, { score, reasons }]) => {
+            const entry = CitationGraph.#present(this.#nodes.get(key) ?? this.#bookNode(key));
+            return {
+                ...entry,
+                score,
+                reasons: [...reasons],
+                formatted: formatCitation(entry.citation, style),
+                available: entry.book ? entry.book.available : null
+            };
+        })
+            .sort((a, b) => b.score - a.score || a.citation.title.localeCompare(b.citation.title))
+            .slice(0, limit);
+    }
+
+    // 找出 (或建立) 引用對應的節點
+    #nodeFor(value, create = false) {
+        const citation = Citation.from(value);
+        const aliases = CitationGraph.#aliasesOf(citation);
+        const book = this.#library.resolveCitation(citation);
+        const existingKey = (book && this.#nodes.has(`book:${book.id}`) ? `book:${book.id}` : null) ??
+            aliases.map(alias => this.#aliases.get(alias)).find(Boolean);
+
+        let node = existingKey ? this.#nodes.get(existingKey) : null;
+        if (!node) {
+            if (!create) return book ? this.#bookNode(`book:${book.id}`) : null;
+            const key = book ? `book:${book.id}` : aliases[0];
+            node = { key, citation, book: book ?? null, citedBy: new Set() };
+            this.#nodes.set(key, node);
+        }
+        // 不同寫法的引用合併到同一個節點
+        for (const alias of aliases) {
+            if (!this.#aliases.has(alias)) this.#aliases.set(alias, node.key);
+        }
+        return node;
+    }
+
+    #find(target) {
+        if (typeof target === "number") return this.#nodes.get(`book:${target}`) ?? this.#bookNode(`book:${target}`);
+        if (typeof target === "string" && /^(book|doi|isbn|title):/.test(target)) {
+            return this.#nodes.get(target) ?? this.#nodes.get(this.#aliases.get(target)) ?? this.#bookNode(target);
+        }
+        return this.#nodeFor(target);
+    }
+
+    // 沒有被引用過的館藏書 (例如只引用別人的書) 也能當作查詢起點
+    #bookNode(key) {
+        const match = /^book:(\d+)$/.exec(key);
+        const book = match ? this.#library.getBook(Number(match[1])) : undefined;
+        if (!book) return null;
+        return { key, citation: citationForBook(book), book, citedBy: new Set() };
+    }
+
+    static #aliasesOf(citation) {
+        const aliases = [];
+        if (citation.doi) aliases.push(`doi:${citation.doi}`);
+        if (citation.isbn) aliases.push(`isbn:${normalizeIsbn(citation.isbn) ?? citation.isbn}`);
+        aliases.push(`title:${Citation.normalizeTitle(citation.title)}|${citation.year ?? ""}`);
+        return aliases;
+    }
+
+    static #present(node) {
+        return { key: node.key, citation: node.citation, book: node.book };
+    }
+}
+
+// ===== 示範 =====
+if (require.main === module) {
+    const { Library } = require('../object-modeling');
+
+    const library = new Library();
+    const clrs = library.addAcademicBook("Introduction to Algorithms", "Thomas H. Cormen; Charles E. Leiserson; Ronald L. Rivest; Clifford Stein",
+        "9780262033848", 1312, "Computer Science");
+    const taocp = library.addBook("The Art of Computer Programming", "Donald E. Knuth", "9780201896831", 672);
+    const sicp = library.addAcademicBook("Structure and Interpretation of Computer Programs", "Harold Abelson; Gerald Jay Sussman",
+        "9780262510875", 657, "Computer Science");
+    const dragon = library.addAcademicBook("Compilers: Principles, Techniques, and Tools", "Alfred V. Aho; Monica S. Lam; Ravi Sethi; Jeffrey D. Ullman",
+        "9780321486813", 1000, "Computer Science");
+    const econ = library.addAcademicBook("Algorithmic Game Theory", "Noam Nisan; Tim Roughgarden; Eva Tardos; Vijay V. Vazirani",
+        "9780521872829", 778, "Economics");
+
+    const knuth = { authors: ["Knuth, Donald E."], title: "The Art of Computer Programming", year: 1968, isbn: "0-201-89683-4" };
+    const shannon = {
+        authors: ["Shannon, Claude E."], title: "A Mathematical Theory of Communication", year: 1948,
+        publisher: "Bell System Technical Journal", doi: "https://doi.org/10.1002/j.1538-7305.1948.tb01338.x"
+    };
+
+    library.addCitation(clrs.id, knuth);
+    library.addCitation(clrs.id, shannon);
+    library.addCitation(sicp.id, knuth);
+    library.addCitation(sicp.id, "Knuth, D. E. (1968). The Art of Computer Programming.");
+    library.addCitation(dragon.id, { authors: ["Cormen, Thomas H.", "Leiserson, Charles E.", "Rivest, Ronald L.", "Stein, Clifford"],
+        title: "Introduction to Algorithms", year: 2009, isbn: "9780262033848" });
+    library.addCitation(dragon.id, knuth);
+    library.addCitation(dragon.id, shannon);
+    library.addCitation(econ.id, { authors: ["Nash, John F."], title: "Non-Cooperative Games", year: 1951, doi: "10.2307/1969529" });
+    library.addCitation(econ.id, "Cormen, T. H. Introduction to Algorithms");
+
+    const graph = new CitationGraph(library);
+
+    console.log("----- Computer Science 領域最常被引用 -----");
+    graph.mostCited({ field: "Computer Science" }).forEach(({ citation, count, book }) =>
+        console.log(`${count} 次  ${citation.title}${book ? " (館藏)" : ""}`));
+
+    console.log("\n----- 引用 The Art of Computer Programming 的書 -----");
+    graph.citing(taocp.id).forEach(book => console.log(`  ${book.title}`));
+
+    console.log("\n----- 常和 The Art of Computer Programming 一起被引用 -----");
+    graph.coCited(taocp.id).forEach(({ citation, count }) => console.log(`  ${count} 次  ${citation.title}`));
+
+    console.log("\n----- 參考文獻格式 -----");
+    for (const style of CITATION_STYLES) {
+        console.log(`${style.toUpperCase()}:`);
+        clrs.citations.forEach(citation => console.log(`  ${formatCitation(citation, style)}`));
+    }
+
+    console.log("\n----- 延伸閱讀清單 (從 Introduction to Algorithms 出發) -----");
+    graph.readingList(clrs.id, { style: "chicago" }).forEach(({ formatted, reasons, available }) =>
+        console.log(`  ${formatted}  [${reasons.join(", ")}]${available === null ? "" : available ? " 可借" : " 已借出"}`));
+}
+
+module.exports = {
+    CITATION_STYLES,
+    formatCitation,
+    parseAuthorName,
+    CitationGraph
+};
@@ -0,0 +1,232 @@
+// ===== 數位借閱：有簽章、有時效的下載連結 =====
+// 電子書 (EBook) 借出時不交付實體複本，而是給讀者一個下載連結：
+//   https://library.example/downloads/42?expires=1735689600&signature=...
+// - signature 是 HMAC-SHA256(secret, "借閱記錄 ID.到期時間")，改動網址任何一段都會對不上
+// - 到期時間取「借期結束」與「簽發後 linkTtlHours 小時」較早者，所以連結外流也不會長期有效
+// - 下載時除了驗證簽章，還會回頭查借閱記錄：已經還書或借期已滿 (自動歸還) 的連結立即失效
+//
+// handler() 是一般的 Node (req, res) 處理函式，可以直接給 http.createServer，
+// 也可以掛在 Express 上：app.use("/downloads", lending.handler())
+// 回應：200 檔案內容、403 簽章不符、404 找不到檔案、410 連結或借閱已過期 / 已歸還
+//
+// Python 等價物：itsdangerous.TimestampSigner + Flask 的 send_from_directory
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const { NotFoundError, ValidationError, ConflictError } = require('./errors');
+
+const MIN_SECRET_BYTES = 32;
+const HOUR_MS = 60 * 60 * 1000;
+
+// 驗證失敗的原因 => HTTP 狀態碼
+const LINK_ERRORS = {
+    invalid: 403,
+    notFound: 404,
+    expired: 410
+};
+
+class DigitalLending {
+    #library;
+    #secret;
+    #baseUrl;
+    #contentDirectory;
+    #linkTtlHours;
+
+    // secret 至少 32 bytes (例如 crypto.randomBytes(32))；換掉 secret 會讓所有已發出的連結失效
+    // baseUrl 是下載處理函式對外的網址，contentDirectory 是電子書檔案 (EBook.file) 所在的目錄
+    constructor(library, { secret, baseUrl = "http://localhost:3000/downloads", contentDirectory, linkTtlHours = 48 } = {}) {
+        if (!secret || Buffer.byteLength(secret) < MIN_SECRET_BYTES) {
+            throw new ValidationError(`Invalid secret: must be at least ${MIN_SECRET_BYTES} bytes`);
+        }
+        if (!contentDirectory) throw new ValidationError("Content directory is required");
+        if (!(typeof linkTtlHours === "number" && linkTtlHours > 0)) {
+            throw new ValidationError(`Invalid link TTL: ${linkTtlHours} must be a positive number of hours`);
+        }
+        this.#library = library;
+        this.#secret = Buffer.from(secret);
+        this.#baseUrl = baseUrl.replace(/\/+$/, "");
+        this.#contentDirectory = path.resolve(contentDirectory);
+        this.#linkTtlHours = linkTtlHours;
+    }
+
+    get linkTtlHours() { return this.#linkTtlHours; }
+
+    // 為借出中的電子書簽發下載連結；讀者可以隨時重新索取 (例如連結過了 linkTtlHours)
+    issueLink(recordId, { now = this.#library.now() } = {}) {
+        const record = this.#library.getRecord(recordId);
+        if (!record) throw new NotFoundError(`Borrow record with ID ${recordId} not found`);
+        const book = this.#library.getBook(record.bookId);
+        if (!book?.isDigital) {
+            throw new ConflictError(`Cannot issue a download link for borrow record ${recordId} because it is not a digital loan`);
+        }
+        const problem = this.#loanProblem(record, now);
+        if (problem) throw new ConflictError(`Cannot issue a download link for borrow record ${recordId} because ${problem}`);
+        if (!book.file) throw new ConflictError(`Cannot issue a download link for "${book.title}" because it has no file`);
+
+        const expiresAt = new Date(Math.min(record.dueDate.getTime(), now.getTime() + this.#linkTtlHours * HOUR_MS));
+        const expires = Math.floor(expiresAt.getTime() / 1000);
+        const query = new URLSearchParams({ expires: String(expires), signature: this.#sign(recordId, expires) });
+        return {
+            recordId,
+            url: `${this.#baseUrl}/${recordId}?${query}`,
+            expiresAt: new Date(expires * 1000)
+        };
+    }
+
+    // 驗證下載請求；成功時回傳 { ok: true, record, book, filePath }，
+    // 失敗時回傳 { ok: false, reason, status, message } (reason 為 LINK_ERRORS 的鍵)
+    verify(recordId, expires, signature, { now = this.#library.now() } = {}) {
+        const fail = (reason, message) => ({ ok: false, reason, status: LINK_ERRORS[reason], message });
+
+        // 先驗簽章，簽章不對的請求不透露借閱記錄是否存在
+        const id = Number(recordId);
+        const expiresAt = Number(expires);
+        if (!Number.isInteger(id) || !Number.isInteger(expiresAt) || typeof signature !== "string" ||
+            !this.#signatureMatches(id, expiresAt, signature)) {
+            return fail("invalid", "Invalid download signature");
+        }
+        if (now.getTime() >= expiresAt * 1000) return fail("expired", "Download link has expired");
+
+        const record = this.#library.getRecord(id);
+        const book = record && this.#library.getBook(record.bookId);
+        if (!book) return fail("expired", "Loan no longer exists");
+        const problem = this.#loanProblem(record, now);
+        if (problem) return fail("expired", `Loan ${problem}`);
+
+        const filePath = this.#resolveFile(book.file);
+        if (!filePath) return fail("notFound", `File for "${book.title}" not found`);
+        return { ok: true, record, book, filePath };
+    }
+
+    // Node 的 (req, res) 處理函式：網址最後一段是借閱記錄 ID
+    handler() {
+        return (req, res) => {
+            if (req.method !== "GET" && req.method !== "HEAD") {
+                res.writeHead(405, { "Allow": "GET, HEAD", "Content-Type": "text/plain; charset=utf-8" });
+                return res.end("Method not allowed");
+            }
+            const url = new URL(req.url, "http://localhost");
+            const [, recordId = null] = url.pathname.match(/\/(\d+)\/?$/) ?? [];
+            const result = this.verify(recordId, url.searchParams.get("expires"), url.searchParams.get("signature"));
+            const fail = (status, message) => {
+                res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" });
+                res.end(message);
+            };
+            if (!result.ok) return fail(result.status, result.message);
+
+            // verify 之後檔案仍可能被刪除或變得無法讀取
+            const { book, filePath } = result;
+            let size;
+            try {
+                size = fs.statSync(filePath).size;
+            } catch (error) {
+                return fail(LINK_ERRORS.notFound, `File for "${book.title}" not found`);
+            }
+            const fileName = path.basename(filePath).replace(/[^\w.-]/g, "_");
+            res.writeHead(200, {
+                "Content-Type": book.contentType,
+                "Content-Length": size,
+                "Content-Disposition": `attachment; filename="${fileName}"`,
+                "Cache-Control": "private, no-store"
+            });
+            if (req.method === "HEAD") return res.end();
+            // 標頭已經送出，讀檔失敗時只能中斷連線 (pipeline 會關閉 res)，不能讓錯誤讓整個程式停掉
+            pipeline(fs.createReadStream(filePath), res, () => {});
+        };
+    }
+
+    // 借閱不能再下載的原因 (可以下載則為 null)；到期但還沒被 processExpiredLoans 處理的也算過期
+    #loanProblem(record, now) {
+        if (!record.isOnLoan) return `is ${record.status}`;
+        if (record.dueDate <= now) return "has expired";
+        return null;
+    }
+
+    #sign(recordId, expires) {
+        return crypto.createHmac("sha256", this.#secret).update(`${recordId}.${expires}`).digest("base64url");
+    }
+
+    // timingSafeEqual 要求長度相同，長度不同直接視為不符
+    #signatureMatches(recordId, expires, signature) {
+        const expected = Buffer.from(this.#sign(recordId, expires));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    // 檔案必須在內容目錄之內 (擋掉 "../" 之類的路徑)，而且確實存在
+    #resolveFile(file) {
+        if (!file) return null;
+        const filePath = path.resolve(this.#contentDirectory, file);
+        if (!filePath.startsWith(this.#contentDirectory + path.sep)) return null;
+        return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+    }
+}
+
+// ===== 示範：借一本電子書、下載、還書後連結失效 =====
+if (require.main === module) {
+    const http = require('http');
+    const os = require('os');
+    const { Library, SimulatedClock } = require('../object-modeling');
+
+    const contentDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "ebooks-"));
+    fs.writeFileSync(path.join(contentDirectory, "sicp.pdf"), "%PDF-1.4\n% demo file\n");
+
+    const clock = new SimulatedClock(new Date());
+    const library = new Library(1, { clock });
+    const sicp = library.addItem("EBook", {
+        title: "Structure and Interpretation of Computer Programs", author: "Harold Abelson",
+        isbn: "9780262510875", format: "PDF", licenses: 1, file: "sicp.pdf"
+    });
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Regular");
+
+    const lending = new DigitalLending(library, { secret: crypto.randomBytes(32), contentDirectory });
+    const server = http.createServer(lending.handler());
+    server.listen(0, async () => {
+        const baseUrl = `http://localhost:${server.address().port}`;
+        const fetchLink = async (label, url) => {
+            const response = await fetch(url.replace("http://localhost:3000/downloads", baseUrl));
+            console.log(`${label}: ${response.status} ${response.headers.get("content-type")}`);
+        };
+        try {
+            const record = library.borrowBook(amy.id, sicp.id, 14);
+            console.log(`Amy 借了 ${sicp.title}：${sicp.availability}`);
+            try {
+                library.borrowBook(ben.id, sicp.id);
+            } catch (error) {
+                console.log(`Ben 借不到：${error.message}`);
+            }
+
+            const link = lending.issueLink(record.id);
+            console.log(`下載連結 (到 ${link.expiresAt.toISOString()} 為止)：${link.url}`);
+            await fetchLink("下載", link.url);
+            await fetchLink("竄改到期時間", link.url.replace(/expires=\d+/, "expires=9999999999"));
+
+            clock.advanceDays(3);
+            await fetchLink("超過連結時效", link.url);
+            const renewed = lending.issueLink(record.id);
+            await fetchLink("重新索取的連結", renewed.url);
+
+            library.returnBook(sicp.id, amy.id);
+            await fetchLink("還書後", renewed.url);
+            console.log(`還書後：${sicp.availability}`);
+
+            const benLoan = library.borrowBook(ben.id, sicp.id, 7);
+            const benLink = lending.issueLink(benLoan.id);
+            clock.advanceDays(8);
+            await fetchLink("借期屆滿後", benLink.url);
+            library.processExpiredLoans();
+            console.log(`Ben 的借閱：${library.getRecord(benLoan.id).status}，${sicp.availability}`);
+        } finally {
+            server.close();
+            fs.rmSync(contentDirectory, { recursive: true, force: true });
+        }
+    });
+}
+
+module.exports = {
+    LINK_ERRORS,
+    DigitalLending
+};
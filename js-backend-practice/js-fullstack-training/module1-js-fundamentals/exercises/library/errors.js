@@ -0,0 +1,45 @@
+// ===== 圖書館的領域錯誤 =====
+// Library 與 library/ 底下的模組刻意丟出的錯誤都是 LibraryError，用 code 分辨種類：
+//   not_found  找不到書目、使用者、借閱記錄...
+//   invalid    輸入不合法 (格式、範圍、缺少必要欄位)
+//   conflict   輸入本身沒問題，但違反目前狀態下的規則 (已借出、超過上限、有欠款...)
+// 其他錯誤 (TypeError、RangeError、載入損壞的快照...) 都是程式或環境的問題，不屬於這裡。
+// rest-api.js 只依 code 決定 HTTP 狀態碼，其餘一律回 500。
+//
+// Python 等價物：class LibraryError(Exception) 與它的子類別
+
+class LibraryError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "LibraryError";
+        this.code = code;
+    }
+}
+
+class NotFoundError extends LibraryError {
+    constructor(message) {
+        super("not_found", message);
+        this.name = "NotFoundError";
+    }
+}
+
+class ValidationError extends LibraryError {
+    constructor(message) {
+        super("invalid", message);
+        this.name = "ValidationError";
+    }
+}
+
+class ConflictError extends LibraryError {
+    constructor(message) {
+        super("conflict", message);
+        this.name = "ConflictError";
+    }
+}
+
+module.exports = {
+    LibraryError,
+    NotFoundError,
+    ValidationError,
+    ConflictError
+};
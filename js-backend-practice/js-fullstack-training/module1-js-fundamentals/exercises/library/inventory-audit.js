@@ -0,0 +1,486 @@
+// ===== 館藏盤點 =====
+// 取代每年暑假用試算表做的盤點：
+// 1. 開一個盤點作業 (InventorySession)，範圍是一個分館、一段架位 (例如 "FIC-A" 到 "FIC-M")，或兩者都指定
+// 2. 依任何順序掃描條碼 (也可以輸入複本 ID)，重複掃描不影響結果；作業可以存檔，隔天接著掃
+// 3. 結束作業時產生對帳報表：
+//    - present      在範圍內、應該在架上，也掃到了
+//    - missing      應該在架上 (在架、保留給預約者、損壞待處理) 卻沒掃到
+//    - misshelved   掃到了，但不屬於這個範圍 (別的分館或別的架位)
+//    - onLoan       掃到了，系統卻記錄為借出中 (多半是還書沒有登記)
+//    - otherStatus  掃到了，系統記錄為遺失、註銷或運送中
+//    - unknown      系統裡找不到的條碼
+// 4. 需要時把 missing 的複本標成遺失 (markMissingAsLost)，每一本都是一筆可以復原的 setCopyStatus
+//
+// InventoryDesk 管理編了號的多個作業 (REST API 用)，存檔後每次掃描、結束都會寫回檔案，重新啟動後接著做。
+//
+// 報表的每個區塊都是 { title, columns, rows }，可以用 circulation-reports 的 reportToCsv 匯出給試算表。
+//
+// Python 等價物：一個 @dataclass 記錄掃描，結束時用 set 的差集對帳
+
+const fs = require('fs');
+const path = require('path');
+const { reportToCsv } = require('./circulation-reports');
+const { NotFoundError, ValidationError, ConflictError } = require('./errors');
+
+// 在這些狀態的複本應該要在架上 (保留中的在預約書架，損壞的等待處理)；修復中的送出去了，不算
+const EXPECTED_ON_SHELF = ["available", "reserved", "damaged"];
+const SESSION_STATUSES = ["open", "closed"];
+
+// 架位依「自然順序」比較，"FIC-9" 排在 "FIC-10" 之前
+const shelfCollator = new Intl.Collator("en", { numeric: true, sensitivity: "base" });
+
+const COPY_COLUMNS = [
+    { key: "barcode", label: "Barcode" },
+    { key: "copyId", label: "Copy ID" },
+    { key: "title", label: "Title" },
+    { key: "shelfLocation", label: "Shelf" },
+    { key: "branch", label: "Branch" },
+    { key: "status", label: "Status" }
+];
+
+class InventorySession {
+    #library;
+    #branch;     // 盤點的分館 (null 代表不限分館)
+    #shelfRange; // { from, to } (含頭尾；null 代表不限架位)
+    #label;
+    #status;
+    #openedAt;
+    #closedAt;
+    #scans;      // Map of 掃描的代碼 => { count, firstScannedAt }
+    #report;     // 結束時產生的對帳報表
+
+    constructor(library, { branch = null, shelfRange = null, label = null, openedAt = null } = {}) {
+        if (branch !== null) library.getBranch(branch);
+        if (shelfRange !== null) {
+            const { from, to } = shelfRange;
+            if (typeof from !== "string" || typeof to !== "string" || shelfCollator.compare(from, to) > 0) {
+                throw new ValidationError(`Invalid shelf range: ${JSON.stringify(shelfRange)}. Expected { from, to } with from <= to`);
+            }
+        }
+
+        this.#library = library;
+        this.#branch = branch;
+        this.#shelfRange = shelfRange && { from: shelfRange.from, to: shelfRange.to };
+        this.#label = label ?? InventorySession.#defaultLabel(branch, shelfRange);
+        this.#status = "open";
+        this.#openedAt = openedAt ? new Date(openedAt) : library.now();
+        this.#closedAt = null;
+        this.#scans = new Map();
+        this.#report = null;
+    }
+
+    get branch() { return this.#branch; }
+    get shelfRange() { return this.#shelfRange && { ...this.#shelfRange }; }
+    get label() { return this.#label; }
+    get status() { return this.#status; }
+    get openedAt() { return new Date(this.#openedAt); }
+    get closedAt() { return this.#closedAt ? new Date(this.#closedAt) : null; }
+    get scanCount() { return this.#scans.size; }
+    get report() { return this.#report; }
+
+    // ----- 掃描 -----
+
+    // 掃描一個條碼或複本 ID，回傳對應的複本 (找不到時為 undefined，結束時列為 unknown)
+    scan(code) {
+        this.#assertOpen();
+        const key = String(code ?? "").trim();
+        if (key === "") throw new ValidationError("Scanned code must be a non-empty barcode or copy ID");
+
+        const scan = this.#scans.get(key);
+        if (scan) {
+            scan.count++;
+        } else {
+            this.#scans.set(key, { count: 1, firstScannedAt: this.#library.now() });
+        }
+        return this.#resolve(key);
+    }
+
+    // 一次掃描多個 (例如掃描器匯出的清單)
+    scanAll(codes) {
+        return codes.map(code => this.scan(code));
+    }
+
+    // 掃錯了可以取消
+    unscan(code) {
+        this.#assertOpen();
+        return this.#scans.delete(String(code ?? "").trim());
+    }
+
+    // ----- 對帳 -----
+
+    // 結束盤點並產生對帳報表；結束之後不能再掃描
+    close() {
+        this.#assertOpen();
+        this.#closedAt = this.#library.now();
+        this.#report = this.#reconcile();
+        this.#status = "closed";
+        return this.#report;
+    }
+
+    // 盤點中也可以先看目前的對帳結果 (不結束作業)
+    preview() {
+        return this.#reconcile();
+    }
+
+    // 把報表中沒找到的複本標成遺失；結束後複本狀態又變了的 (例如已經借出或找到了) 會略過
+    // 回傳 { marked: [copyId...], skipped: [{ copyId, barcode, reason }] }
+    markMissingAsLost() {
+        if (this.#status !== "closed") {
+            throw new ConflictError(`Cannot mark missing copies as lost before inventory session "${this.#label}" is closed`);
+        }
+
+        const marked = [];
+        const skipped = [];
+        for (const { copyId, barcode, status } of this.#report.sections.missing.rows) {
+            const copy = this.#library.getCopy(copyId);
+            if (!copy || copy.status !== status) {
+                skipped.push({ copyId, barcode, reason: `status changed to ${copy?.status ?? "removed"} since the session closed` });
+                continue;
+            }
+            try {
+                this.#library.setCopyStatus(copyId, "lost");
+                marked.push(copyId);
+            } catch (error) {
+                skipped.push({ copyId, barcode, reason: error.message });
+            }
+        }
+        return { marked, skipped };
+    }
+
+    #reconcile() {
+        const scanned = new Map(); // copyId => { copy, code, count }
+        const unknown = [];
+        for (const [code, { count }] of this.#scans) {
+            const copy = this.#resolve(code);
+            if (!copy) {
+                unknown.push({ code, scans: count });
+            } else if (scanned.has(copy.id)) {
+                // 同一本用條碼和 ID 各掃了一次
+                scanned.get(copy.id).count += count;
+            } else {
+                scanned.set(copy.id, { copy, code, count });
+            }
+        }
+
+        const rows = { present: [], missing: [], misshelved: [], onLoan: [], otherStatus: [] };
+        for (const book of this.#library.getAllBooks()) {
+            for (const copy of book.copies) {
+                const inScope = this.#inScope(copy);
+                const seen = scanned.has(copy.id);
+                const row = InventorySession.#copyRow(book, copy);
+
+                if (!seen) {
+                    if (inScope && EXPECTED_ON_SHELF.includes(copy.status)) rows.missing.push(row);
+                } else if (copy.status === "on_loan") {
+                    rows.onLoan.push({ ...row, ...this.#loanFor(copy) });
+                } else if (!copy.isHolding || copy.status === "in_transit") {
+                    rows.otherStatus.push(row);
+                } else if (!inScope) {
+                    rows.misshelved.push({ ...row, reason: this.#outOfScopeReason(copy) });
+                } else {
+                    rows.present.push(row);
+                }
+            }
+        }
+
+        const byShelf = (a, b) => shelfCollator.compare(a.shelfLocation, b.shelfLocation) ||
+            String(a.barcode).localeCompare(String(b.barcode));
+        Object.values(rows).forEach(list => list.sort(byShelf));
+
+        const sections = {
+            present: { title: "Present", columns: COPY_COLUMNS, rows: rows.present },
+            missing: { title: "Missing", columns: COPY_COLUMNS, rows: rows.missing },
+            misshelved: {
+                title: "Misshelved",
+                columns: [...COPY_COLUMNS, { key: "reason", label: "Reason" }],
+                rows: rows.misshelved
+            },
+            onLoan: {
+                title: "Present but recorded as on loan",
+                columns: [...COPY_COLUMNS, { key: "recordId", label: "Borrow record" },
+                    { key: "userId", label: "User ID" }, { key: "dueDate", label: "Due" }],
+                rows: rows.onLoan
+            },
+            otherStatus: { title: "Present but recorded as lost, withdrawn or in transit", columns: COPY_COLUMNS, rows: rows.otherStatus },
+            unknown: {
+                title: "Unknown barcodes",
+                columns: [{ key: "code", label: "Scanned code" }, { key: "scans", label: "Times scanned" }],
+                rows: unknown.sort((a, b) => a.code.localeCompare(b.code))
+            }
+        };
+
+        const expected = rows.present.length + rows.missing.length;
+        return {
+            title: `Inventory reconciliation: ${this.#label}`,
+            branch: this.#branch,
+            shelfRange: this.shelfRange,
+            openedAt: this.openedAt,
+            closedAt: this.closedAt,
+            generatedAt: this.#library.now(),
+            summary: {
+                scanned: this.#scans.size,
+                expected,
+                ...Object.fromEntries(Object.entries(sections).map(([name, section]) => [name, section.rows.length])),
+                // 應該在架上的複本中找到的比例
+                presentRate: expected === 0 ? null : Math.round(rows.present.length / expected * 1000) / 1000
+            },
+            sections
+        };
+    }
+
+    // 條碼優先，其次是複本 ID
+    #resolve(code) {
+        return this.#library.findCopyByBarcode(code) ??
+            (/^\d+$/.test(code) ? this.#library.getCopy(Number(code)) : undefined);
+    }
+
+    #inScope(copy) {
+        return (this.#branch === null || copy.location === this.#branch) && this.#inShelfRange(copy.shelfLocation);
+    }
+
+    #inShelfRange(shelfLocation) {
+        if (this.#shelfRange === null) return true;
+        return shelfCollator.compare(shelfLocation, this.#shelfRange.from) >= 0 &&
+            shelfCollator.compare(shelfLocation, this.#shelfRange.to) <= 0;
+    }
+
+    #outOfScopeReason(copy) {
+        if (this.#branch !== null && copy.location !== this.#branch) {
+            return `belongs at branch ${copy.location}`;
+        }
+        return `shelved at ${copy.shelfLocation || "(no shelf)"}, outside ${this.#shelfRange.from} - ${this.#shelfRange.to}`;
+    }
+
+    #loanFor(copy) {
+        const record = this.#library.getAllRecords().find(r => r.copyId === copy.id && r.isOnLoan);
+        return {
+            recordId: record?.id ?? null,
+            userId: record?.userId ?? null,
+            dueDate: record ? record.dueDate.toISOString().slice(0, 10) : null
+        };
+    }
+
+    #assertOpen() {
+        if (this.#status !== "open") throw new ConflictError(`Inventory session "${this.#label}" is already closed`);
+    }
+
+    static #copyRow(book, copy) {
+        return {
+            copyId: copy.id,
+            barcode: copy.barcode,
+            bookId: book.id,
+            title: book.title,
+            shelfLocation: copy.shelfLocation,
+            branch: copy.location,
+            status: copy.status
+        };
+    }
+
+    static #defaultLabel(branch, shelfRange) {
+        const parts = [branch ?? "all branches"];
+        if (shelfRange) parts.push(`${shelfRange.from} - ${shelfRange.to}`);
+        return parts.join(" ");
+    }
+
+    // ----- 存檔 -----
+    // 盤點通常要好幾天，每天結束時存檔，隔天載入繼續掃描
+
+    toJSON() {
+        return {
+            branch: this.#branch,
+            shelfRange: this.shelfRange,
+            label: this.#label,
+            status: this.#status,
+            openedAt: this.#openedAt.toISOString(),
+            closedAt: this.#closedAt?.toISOString() ?? null,
+            scans: Array.from(this.#scans, ([code, { count, firstScannedAt }]) =>
+                ({ code, count, firstScannedAt: firstScannedAt.toISOString() }))
+        };
+    }
+
+    // 已結束的作業會依現在的館藏重新對帳
+    static fromJSON(library, state) {
+        if (!SESSION_STATUSES.includes(state.status)) throw new Error(`Invalid inventory session status: ${state.status}`);
+        const session = new InventorySession(library, state);
+        for (const { code, count, firstScannedAt } of state.scans) {
+            session.#scans.set(code, { count, firstScannedAt: new Date(firstScannedAt) });
+        }
+        if (state.status === "closed") {
+            session.#closedAt = new Date(state.closedAt);
+            session.#report = session.#reconcile();
+            session.#status = "closed";
+        }
+        return session;
+    }
+
+    save(filePath) {
+        fs.writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2));
+    }
+
+    static load(library, filePath) {
+        return InventorySession.fromJSON(library, JSON.parse(fs.readFileSync(filePath, "utf8")));
+    }
+}
+
+// ===== 盤點作業清單 =====
+// 依 ID 管理多個盤點作業。存檔裡也記著下一個 ID，所以載入後舊的 ID 只會找到原本的作業，
+// 不會對到別的作業；找不到的 ID 丟 NotFoundError
+class InventoryDesk {
+    #library;
+    #sessions;   // Map of sessionId => InventorySession
+    #nextId;
+    #filePath;   // save / load 之後每次修改都寫回這個檔案 (null 代表只在記憶體中)
+
+    constructor(library) {
+        this.#library = library;
+        this.#sessions = new Map();
+        this.#nextId = 1;
+        this.#filePath = null;
+    }
+
+    // options 同 InventorySession 的 constructor；回傳新作業的 ID
+    open(options = {}) {
+        const session = new InventorySession(this.#library, options);
+        const id = this.#nextId++;
+        this.#sessions.set(id, session);
+        this.#persist();
+        return id;
+    }
+
+    getSession(sessionId) {
+        return this.#sessions.get(sessionId);
+    }
+
+    // 就算中途失敗，已經掃到的也要寫回檔案
+    scanAll(sessionId, codes) {
+        const session = this.#requireSession(sessionId);
+        try {
+            return session.scanAll(codes);
+        } finally {
+            this.#persist();
+        }
+    }
+
+    close(sessionId) {
+        const report = this.#requireSession(sessionId).close();
+        this.#persist();
+        return report;
+    }
+
+    // 複本狀態記在 Library 裡 (有自己的日誌)，作業本身沒有變更，不用寫檔
+    markMissingAsLost(sessionId) {
+        return this.#requireSession(sessionId).markMissingAsLost();
+    }
+
+    #requireSession(sessionId) {
+        const session = this.#sessions.get(sessionId);
+        if (!session) throw new NotFoundError(`Inventory session with ID ${sessionId} not found`);
+        return session;
+    }
+
+    // ----- 存檔 -----
+    // 放在圖書館存檔旁邊 (pathFor)，兩者一起載入
+
+    // library.json => library.json.inventory.json
+    static pathFor(libraryFilePath) {
+        return `${libraryFilePath}.inventory.json`;
+    }
+
+    toJSON() {
+        return {
+            nextId: this.#nextId,
+            sessions: Array.from(this.#sessions, ([id, session]) => ({ id, ...session.toJSON() }))
+        };
+    }
+
+    static fromJSON(library, state) {
+        const desk = new InventoryDesk(library);
+        for (const { id, ...session } of state.sessions) {
+            desk.#sessions.set(id, InventorySession.fromJSON(library, session));
+        }
+        desk.#nextId = state.nextId;
+        return desk;
+    }
+
+    save(filePath) {
+        this.#filePath = filePath;
+        this.#persist();
+    }
+
+    // 檔案不存在時建立新的，之後的修改寫入這個檔案
+    static load(library, filePath) {
+        const desk = fs.existsSync(filePath)
+            ? InventoryDesk.fromJSON(library, JSON.parse(fs.readFileSync(filePath, "utf8")))
+            : new InventoryDesk(library);
+        desk.save(filePath);
+        return desk;
+    }
+
+    // 先寫暫存檔再改名，避免寫到一半崩潰時留下殘缺的檔案
+    #persist() {
+        if (!this.#filePath) return;
+        const tmpPath = `${this.#filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.toJSON(), null, 2));
+        fs.renameSync(tmpPath, this.#filePath);
+    }
+}
+
+// 每個區塊寫成一份 CSV (給試算表用)，回傳寫入的檔案路徑
+function writeReconciliation(report, directory, baseName = "inventory") {
+    fs.mkdirSync(directory, { recursive: true });
+    return Object.entries(reportToCsv(report)).map(([name, csv]) => {
+        const csvPath = path.join(directory, `${baseName}-${name}.csv`);
+        fs.writeFileSync(csvPath, csv);
+        return csvPath;
+    });
+}
+
+// ===== 示範：盤點小說區 =====
+if (require.main === module) {
+    const os = require('os');
+    const { Library } = require('../object-modeling');
+
+    const library = new Library();
+    library.addBranch("NORTH", { name: "North Campus Library" });
+    const gatsby = library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", 180, "Fiction", {
+        copies: 3, shelfLocation: "FIC-F"
+    });
+    const mockingbird = library.addBook("To Kill a Mockingbird", "Harper Lee", "9780061120084", 281, "Fiction", {
+        copies: 2, shelfLocation: "FIC-L"
+    });
+    const dune = library.addBook("Dune", "Frank Herbert", "9780441172719", 412, "Science Fiction", {
+        copies: 1, shelfLocation: "SF-H"
+    });
+    library.addBook("Beloved", "Toni Morrison", "9781400033416", 324, "Fiction", { shelfLocation: "FIC-M", branch: "NORTH" });
+    const reader = library.addUser("Amy Chen", "amy@example.com", "Regular");
+    library.borrowBook(reader.id, mockingbird.id);
+
+    const session = new InventorySession(library, { branch: "MAIN", shelfRange: { from: "FIC-A", to: "FIC-Z" } });
+    const [g1, g2] = gatsby.copies;
+    const [m1] = mockingbird.copies; // 借出中，但其實已經還回架上
+    const [d1] = dune.copies;        // 放錯架位
+    session.scanAll([g1.barcode, g2.barcode, g2.barcode, String(m1.id), d1.barcode, "X-UNKNOWN-1"]);
+
+    const report = session.close();
+    console.log(report.title);
+    console.log("摘要:", report.summary);
+    for (const [name, section] of Object.entries(report.sections)) {
+        if (section.rows.length === 0) continue;
+        console.log(`\n${section.title}:`);
+        section.rows.forEach(row => console.log(`- ${row.barcode ?? row.code} ${row.title ?? ""} ${row.reason ?? ""}`.trimEnd()));
+    }
+
+    const { marked, skipped } = session.markMissingAsLost();
+    console.log(`\n標成遺失: ${marked.length} 本，略過: ${skipped.length} 本`);
+
+    const files = writeReconciliation(report, path.join(os.tmpdir(), "library-inventory"));
+    console.log("已輸出:");
+    files.forEach(file => console.log(`- ${file}`));
+}
+
+module.exports = {
+    EXPECTED_ON_SHELF,
+    InventoryDesk,
+    InventorySession,
+    writeReconciliation
+};
@@ -0,0 +1,57 @@
+// ===== ISBN 驗證與轉換 =====
+// 館藏匯入 (catalog-io) 與引用比對 (Library.resolveCitation) 共用
+//
+// Python 等價物：isbnlib.is_isbn10 / is_isbn13 / to_isbn13 / to_isbn10
+
+// ISBN-10 檢查碼：加權總和 (10..1) 可被 11 整除，最後一碼可以是 X (代表 10)
+function isValidIsbn10(digits) {
+    if (!/^\d{9}[\dX]$/.test(digits)) return false;
+    const sum = Array.from(digits).reduce((total, char, i) => {
+        const value = char === "X" ? 10 : Number(char);
+        return total + value * (10 - i);
+    }, 0);
+    return sum % 11 === 0;
+}
+
+// ISBN-13 檢查碼：奇數位權重 1、偶數位權重 3，總和可被 10 整除
+function isValidIsbn13(digits) {
+    if (!/^97[89]\d{10}$/.test(digits)) return false;
+    const sum = Array.from(digits).reduce((total, char, i) => total + Number(char) * (i % 2 === 0 ? 1 : 3), 0);
+    return sum % 10 === 0;
+}
+
+function isbn13CheckDigit(first12) {
+    const sum = Array.from(first12).reduce((total, char, i) => total + Number(char) * (i % 2 === 0 ? 1 : 3), 0);
+    return String((10 - (sum % 10)) % 10);
+}
+
+// ISBN-10 => ISBN-13 (加上 978 前綴並重算檢查碼)
+function isbn10To13(isbn10) {
+    const first12 = "978" + isbn10.slice(0, 9);
+    return first12 + isbn13CheckDigit(first12);
+}
+
+// ISBN-13 => ISBN-10 (只有 978 開頭的才有對應的 ISBN-10)
+function isbn13To10(isbn13) {
+    if (!isbn13.startsWith("978")) return null;
+    const first9 = isbn13.slice(3, 12);
+    const sum = Array.from(first9).reduce((total, char, i) => total + Number(char) * (10 - i), 0);
+    const check = (11 - (sum % 11)) % 11;
+    return first9 + (check === 10 ? "X" : String(check));
+}
+
+// 驗證並正規化 ISBN：去掉連字號、空白與 "ISBN" 前綴，回傳 ISBN-13；無效時回傳 null
+function normalizeIsbn(raw) {
+    const digits = String(raw ?? "").toUpperCase().replace(/^ISBN(?:-1[03])?:?/, "").replace(/[\s-]/g, "");
+    if (digits.length === 10 && isValidIsbn10(digits)) return isbn10To13(digits);
+    if (digits.length === 13 && isValidIsbn13(digits)) return digits;
+    return null;
+}
+
+module.exports = {
+    isValidIsbn10,
+    isValidIsbn13,
+    normalizeIsbn,
+    isbn10To13,
+    isbn13To10
+};
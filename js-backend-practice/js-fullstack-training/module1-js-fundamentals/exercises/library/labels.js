@@ -0,0 +1,255 @@
+// ===== 標籤與會員證：從 Library 資料產生可列印的 SVG =====
+// 取代另外買的標籤軟體：
+// - 書背標籤：左邊是索書號 (架位、作者號、複本號)，右邊是書名與複本條碼 (Code 128)
+// - 會員證：信用卡大小，印姓名、會員等級、到期日、證號條碼與 QR code
+//
+// 每一頁是一份 SVG (單位是公釐)，直接用瀏覽器開啟、以 100% 比例列印到對應的標籤紙。
+// 印過一部分的標籤紙可以用 skip 跳過前面已經用掉的格子。
+//
+// Python 等價物：用 f-string 組 SVG (或 reportlab 的 labels 套件)
+
+const fs = require('fs');
+const path = require('path');
+const { code128Svg, qrSvg, escapeXml } = require('./barcodes');
+const { NotFoundError, ValidationError } = require('./errors');
+
+// 標籤紙規格 (公釐)：頁面大小、欄列數、每格大小、邊界與間距
+const LABEL_SHEETS = {
+    // Avery 5160 / 8160：Letter，3 欄 × 10 列
+    "avery-5160": {
+        pageWidth: 215.9, pageHeight: 279.4, columns: 3, rows: 10,
+        labelWidth: 66.7, labelHeight: 25.4, marginTop: 12.7, marginLeft: 4.8, gapX: 3.2, gapY: 0
+    },
+    // Avery L7159：A4，3 欄 × 8 列
+    "avery-l7159": {
+        pageWidth: 210, pageHeight: 297, columns: 3, rows: 8,
+        labelWidth: 63.5, labelHeight: 33.9, marginTop: 12.9, marginLeft: 7.2, gapX: 2.5, gapY: 0
+    },
+    // 信用卡大小 (CR80) 的會員證，A4 一頁 2 欄 × 5 列
+    "cr80-a4": {
+        pageWidth: 210, pageHeight: 297, columns: 2, rows: 5,
+        labelWidth: 85.6, labelHeight: 54, marginTop: 13.5, marginLeft: 16.9, gapX: 5, gapY: 0
+    }
+};
+
+const FONT = `font-family="Helvetica, Arial, sans-serif"`;
+const MONO = `font-family="Menlo, Consolas, monospace"`;
+
+function sheetLayout(sheet) {
+    if (!Object.hasOwn(LABEL_SHEETS, sheet)) {
+        throw new ValidationError(`Unknown label sheet "${sheet}". Expected one of: ${Object.keys(LABEL_SHEETS).join(", ")}`);
+    }
+    return LABEL_SHEETS[sheet];
+}
+
+function formatDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// 沒辦法量字寬，用字級估算一行放得下幾個字 (全形字算兩個)
+function fitText(text, width, fontSize) {
+    const limit = Math.floor(width / (fontSize * 0.55));
+    let used = 0;
+    let result = "";
+    for (const char of text) {
+        used += char.codePointAt(0) > 0x2e80 ? 2 : 1;
+        if (used > limit) return `${result.slice(0, -1)}…`;
+        result += char;
+    }
+    return result;
+}
+
+function text(x, y, content, { size, weight = "normal", anchor = "start", fill = "#000", font = FONT }) {
+    return `<text x="${x}" y="${y}" ${font} font-size="${size}" font-weight="${weight}" text-anchor="${anchor}" ` +
+        `fill="${fill}">${escapeXml(content)}</text>`;
+}
+
+// 把每個項目畫進標籤紙的格子，回傳每一頁的 SVG
+// draw(item, width, height) 回傳一格的內容 (以格子左上角為原點)
+function renderSheets(items, sheet, draw, { skip = 0, outline = false } = {}) {
+    const layout = sheetLayout(sheet);
+    const perPage = layout.columns * layout.rows;
+    if (!Number.isInteger(skip) || skip < 0 || skip >= perPage) {
+        throw new ValidationError(`Invalid skip: ${skip}. Expected 0-${perPage - 1} labels already used on the first sheet`);
+    }
+
+    const pages = [];
+    items.forEach((item, index) => {
+        const slot = skip + index;
+        const page = Math.floor(slot / perPage);
+        const position = slot % perPage;
+        const x = layout.marginLeft + (position % layout.columns) * (layout.labelWidth + layout.gapX);
+        const y = layout.marginTop + Math.floor(position / layout.columns) * (layout.labelHeight + layout.gapY);
+        const border = outline
+            ? `<rect width="${layout.labelWidth}" height="${layout.labelHeight}" rx="2" fill="none" stroke="#999" stroke-width="0.2"/>`
+            : "";
+        pages[page] = (pages[page] ?? "") +
+            `<g transform="translate(${x.toFixed(2)} ${y.toFixed(2)})">${draw(item, layout.labelWidth, layout.labelHeight)}${border}</g>\n`;
+    });
+    return pages.map(content => svgPage(layout.pageWidth, layout.pageHeight, content));
+}
+
+function svgPage(width, height, content) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">\n` +
+        `${content}</svg>\n`;
+}
+
+// ----- 書背標籤 -----
+
+// 作者號：作者 (沒有時用書名) 姓氏的前三個字母；中文姓名取第一個字
+function cutterOf(book) {
+    const name = String(book.author ?? book.title).trim();
+    if (/^[\u3400-\u9fff]/.test(name)) return name[0];
+    return name.split(/\s+/).at(-1).replace(/[^\p{L}\p{N}]/gu, "").slice(0, 3).toUpperCase();
+}
+
+// 索書號的每一行：架位 (沒有時用分類)、作者號、複本號 (有多本時)
+function callNumber(book, copy) {
+    const lines = [copy.shelfLocation || book.category || book.itemType, cutterOf(book)];
+    if (book.copies.length > 1) lines.push(`c.${book.copies.findIndex(c => c.id === copy.id) + 1}`);
+    return lines;
+}
+
+function drawSpineLabel({ book, copy }, width, height) {
+    const padding = 1.5;
+    const callWidth = Math.min(width * 0.3, 20);
+    const left = callWidth + padding;
+    const right = width - padding;
+    const barcodeTop = padding + 3.5;
+    const barcodeHeight = height - barcodeTop - padding - 3.5;
+
+    const lines = callNumber(book, copy).map((line, i) =>
+        text(padding, (padding + 3.6 + i * 4.4).toFixed(2), fitText(line, callWidth - padding * 2, 3.6), { size: 3.6, weight: "bold" }));
+    return [
+        ...lines,
+        `<line x1="${callWidth}" y1="${padding}" x2="${callWidth}" y2="${height - padding}" stroke="#000" stroke-width="0.2"/>`,
+        text(left, padding + 2.4, fitText(book.title, right - left, 2.4), { size: 2.4 }),
+        code128Svg(copy.barcode, { x: left, y: barcodeTop, width: right - left, height: barcodeHeight, showText: false }),
+        text((left + right) / 2, (height - padding - 0.6).toFixed(2), copy.barcode, { size: 2.6, anchor: "middle", font: MONO })
+    ].join("");
+}
+
+// 書背標籤，回傳每一頁的 SVG
+// options:
+//   copyIds   指定複本 (例如新編目的複本)
+//   bookIds   指定書目 (印這些書在館內的所有複本)；copyIds 與 bookIds 都沒給時印全部館藏
+//   branch    只印館藏在這個分館的複本
+//   sheet     標籤紙 (預設 "avery-5160")
+//   skip      第一張標籤紙已經用掉幾格
+//   outline   畫出格線 (試印到白紙上對位用)
+function spineLabelSheets(library, { copyIds = null, bookIds = null, branch = null, sheet = "avery-5160",
+    skip = 0, outline = false } = {}) {
+    let items;
+    if (copyIds !== null) {
+        items = copyIds.map(copyId => {
+            const copy = library.getCopy(copyId);
+            if (!copy) throw new NotFoundError(`Copy with ID ${copyId} not found`);
+            return { book: library.getBook(copy.bookId), copy };
+        });
+    } else {
+        const books = bookIds === null ? library.getAllBooks() : bookIds.map(bookId => {
+            const book = library.getBook(bookId);
+            if (!book) throw new NotFoundError(`Book with ID ${bookId} not found`);
+            return book;
+        });
+        // 遺失、註銷的複本不用再印
+        items = books.flatMap(book => book.copies
+            .filter(copy => copy.isHolding && (branch === null || copy.homeBranch === branch))
+            .map(copy => ({ book, copy })));
+    }
+    return renderSheets(items, sheet, drawSpineLabel, { skip, outline });
+}
+
+// ----- 會員證 -----
+
+function drawMembershipCard(user, width, height, { title, qrContent }) {
+    const padding = 4;
+    const qrSize = 22;
+    const qrLeft = width - padding - qrSize;
+    return [
+        `<rect width="${width}" height="11" fill="#1f4e79"/>`,
+        text(padding, 7.5, fitText(title, width - padding * 2, 4.5), { size: 4.5, weight: "bold", fill: "#fff" }),
+        text(padding, 19, fitText(user.name, qrLeft - padding * 2, 5), { size: 5, weight: "bold" }),
+        text(padding, 25, `${user.membershipType} member`, { size: 3 }),
+        text(padding, 30, `Expires ${formatDate(user.membershipExpiresAt)}`, { size: 3 }),
+        qrSvg(qrContent(user), { x: qrLeft, y: 13, width: qrSize, height: qrSize, quietZone: 2 }),
+        code128Svg(user.cardNumber, { x: padding, y: 37, width: 50, height: 10, showText: false }),
+        text(padding + 25, 51, user.cardNumber, { size: 3, anchor: "middle", font: MONO })
+    ].join("");
+}
+
+function cardOptions({ title = "Library Card", qrContent = user => user.cardNumber }) {
+    return { title, qrContent };
+}
+
+// 一張會員證的 SVG (實際大小 85.6 × 54 mm)
+// options:
+//   title      卡片上方的館名 (預設 "Library Card")
+//   qrContent  QR code 的內容 (預設證號；也可以是讀者專屬的網址)
+function membershipCardSvg(user, options = {}) {
+    const { labelWidth, labelHeight } = LABEL_SHEETS["cr80-a4"];
+    const content = drawMembershipCard(user, labelWidth, labelHeight, cardOptions(options)) +
+        `<rect width="${labelWidth}" height="${labelHeight}" rx="3" fill="none" stroke="#999" stroke-width="0.2"/>`;
+    return svgPage(labelWidth, labelHeight, content);
+}
+
+// 會員證排版，回傳每一頁的 SVG；userIds 沒給時印全部讀者
+// options 同 membershipCardSvg，另有 sheet (預設 "cr80-a4")、skip 與 outline (預設 true，白紙列印時的裁切線)
+function membershipCardSheets(library, { userIds = null, sheet = "cr80-a4", skip = 0, outline = true, ...options } = {}) {
+    const users = userIds === null ? library.getAllUsers() : userIds.map(userId => {
+        const user = library.getUser(userId);
+        if (!user) throw new NotFoundError(`User with ID ${userId} not found`);
+        return user;
+    });
+    const card = cardOptions(options);
+    return renderSheets(users, sheet, (user, width, height) => drawMembershipCard(user, width, height, card), { skip, outline });
+}
+
+// 每一頁寫成一個 SVG 檔，回傳寫入的檔案路徑
+function writeSheets(pages, directory, baseName = "labels") {
+    fs.mkdirSync(directory, { recursive: true });
+    return pages.map((svg, i) => {
+        const filePath = path.join(directory, `${baseName}-${i + 1}.svg`);
+        fs.writeFileSync(filePath, svg);
+        return filePath;
+    });
+}
+
+// ===== 示範：新書的書背標籤與新讀者的會員證 =====
+if (require.main === module) {
+    const os = require('os');
+    const { Library } = require('../object-modeling');
+
+    const library = new Library();
+    const gatsby = library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", 180, "Fiction", {
+        copies: 3, shelfLocation: "FIC-F"
+    });
+    const threeBody = library.addBook("三體", "劉慈欣", "9787536692930", 302, "Science Fiction", { shelfLocation: "SF-L" });
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Student");
+
+    for (const book of [gatsby, threeBody]) {
+        for (const copy of book.copies) console.log(`${copy.barcode}  ${callNumber(book, copy).join(" / ")}`);
+    }
+    console.log(`會員證號: ${amy.name} ${amy.cardNumber}, ${ben.name} ${ben.cardNumber}`);
+    console.log(`掃描 "${ben.cardNumber.toLowerCase()}" => ${library.findUserByCardNumber(ben.cardNumber.toLowerCase()).name}`);
+
+    const directory = path.join(os.tmpdir(), "library-labels");
+    // 第一張標籤紙已經用掉 4 格
+    const files = [
+        ...writeSheets(spineLabelSheets(library, { skip: 4 }), directory, "spine"),
+        ...writeSheets(membershipCardSheets(library, { title: "Main Library" }), directory, "cards")
+    ];
+    console.log("已輸出:");
+    files.forEach(file => console.log(`- ${file}`));
+}
+
+module.exports = {
+    LABEL_SHEETS,
+    callNumber,
+    spineLabelSheets,
+    membershipCardSvg,
+    membershipCardSheets,
+    writeSheets
+};
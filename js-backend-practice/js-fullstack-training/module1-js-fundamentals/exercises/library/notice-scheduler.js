@@ -0,0 +1,414 @@
+// ===== 到期提醒與逾期催還通知 =====
+// 每天執行一次 (也可以手動 runOnce)，依借閱記錄產生通知：
+// - courtesy：到期前 N 天的提醒
+// - overdue1 / overdue2 / final：逾期第 1、8、22 天 (可設定) 的第一次、第二次與最後催還
+//
+// 通知依範本產生 (中文與英文，可以匯出成文字檔讓館員修改)，寫到 outbox 目錄成 .eml 檔，
+// 之後可以交給真的郵件系統寄送。已寄出的通知記在 outbox 的 sent-notices.json，
+// 同一筆借閱、同一個到期日的同一種通知只會寄一次 (續借後到期日改變，才會有新的提醒)：
+// 先把這次要寄的通知全部記進 sent-notices.json，再寫 .eml 檔，所以中途崩潰最多漏寄，不會重複寄。
+// 排程停了好幾天再執行時，只寄目前最嚴重的那一封，不會一次補寄前面幾封。
+//
+// Python 等價物：APScheduler 的 daily job + string.Template + email.message.EmailMessage
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const NOTICE_TYPES = ["courtesy", "overdue1", "overdue2", "final"];
+const LOCALES = ["zh", "en"];
+const REGISTRY_FILE = "sent-notices.json";
+
+// 範本可以用的變數
+const TEMPLATE_FIELDS = ["libraryName", "patronName", "title", "author", "barcode", "dueDate",
+    "daysUntilDue", "overdueDays", "fine", "recordId"];
+
+const DEFAULT_TEMPLATES = {
+    zh: {
+        courtesy: {
+            subject: "【{{libraryName}}】借閱即將到期：{{title}}",
+            body: "{{patronName}} 您好：\n\n" +
+                "您借閱的《{{title}}》(條碼 {{barcode}}) 將於 {{dueDate}} 到期，還有 {{daysUntilDue}} 天。\n" +
+                "如需繼續使用，請於到期前辦理續借。\n\n{{libraryName}} 敬上\n"
+        },
+        overdue1: {
+            subject: "【{{libraryName}}】逾期通知：{{title}}",
+            body: "{{patronName}} 您好：\n\n" +
+                "您借閱的《{{title}}》(條碼 {{barcode}}) 已於 {{dueDate}} 到期，目前逾期 {{overdueDays}} 天，" +
+                "累計罰款 {{fine}} 元。\n請儘快歸還。\n\n{{libraryName}} 敬上\n"
+        },
+        overdue2: {
+            subject: "【{{libraryName}}】第二次逾期通知：{{title}}",
+            body: "{{patronName}} 您好：\n\n" +
+                "《{{title}}》(條碼 {{barcode}}) 已逾期 {{overdueDays}} 天，累計罰款 {{fine}} 元。\n" +
+                "逾期期間將無法借閱其他書籍，請儘快歸還。\n\n{{libraryName}} 敬上\n"
+        },
+        final: {
+            subject: "【{{libraryName}}】最後催還通知：{{title}}",
+            body: "{{patronName}} 您好：\n\n" +
+                "《{{title}}》(條碼 {{barcode}}) 已逾期 {{overdueDays}} 天，累計罰款 {{fine}} 元。\n" +
+                "這是最後一次催還通知，若仍未歸還，將依規定停權並收取賠償費用。\n\n{{libraryName}} 敬上\n"
+        }
+    },
+    en: {
+        courtesy: {
+            subject: "[{{libraryName}}] Due soon: {{title}}",
+            body: "Dear {{patronName}},\n\n" +
+                "\"{{title}}\" (barcode {{barcode}}) is due on {{dueDate}}, in {{daysUntilDue}} day(s).\n" +
+                "Please renew it before then if you need more time.\n\n{{libraryName}}\n"
+        },
+        overdue1: {
+            subject: "[{{libraryName}}] Overdue: {{title}}",
+            body: "Dear {{patronName}},\n\n" +
+                "\"{{title}}\" (barcode {{barcode}}) was due on {{dueDate}} and is now {{overdueDays}} day(s) overdue. " +
+                "Fines so far: {{fine}}.\nPlease return it as soon as possible.\n\n{{libraryName}}\n"
+        },
+        overdue2: {
+            subject: "[{{libraryName}}] Second overdue notice: {{title}}",
+            body: "Dear {{patronName}},\n\n" +
+                "\"{{title}}\" (barcode {{barcode}}) is {{overdueDays}} days overdue. Fines so far: {{fine}}.\n" +
+                "You will not be able to borrow other items until it is returned.\n\n{{libraryName}}\n"
+        },
+        final: {
+            subject: "[{{libraryName}}] Final overdue notice: {{title}}",
+            body: "Dear {{patronName}},\n\n" +
+                "\"{{title}}\" (barcode {{barcode}}) is {{overdueDays}} days overdue. Fines so far: {{fine}}.\n" +
+                "This is our final notice. If the item is not returned, your membership will be suspended " +
+                "and a replacement fee will be charged.\n\n{{libraryName}}\n"
+        }
+    }
+};
+
+// 把 {{name}} 換成 values 中的值
+function renderTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => String(values[name] ?? ""));
+}
+
+// 範本只能用 TEMPLATE_FIELDS 中的變數，打錯字時立刻報錯，而不是寄出空白的通知
+function validateTemplate({ subject, body }) {
+    if (typeof subject !== "string" || subject.trim() === "") throw new ValidationError("Notice template subject is required");
+    if (typeof body !== "string" || body.trim() === "") throw new ValidationError("Notice template body is required");
+    for (const [, name] of `${subject}\n${body}`.matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+        if (!TEMPLATE_FIELDS.includes(name)) {
+            throw new ValidationError(`Unknown template field "${name}". Expected one of: ${TEMPLATE_FIELDS.join(", ")}`);
+        }
+    }
+    return { subject, body };
+}
+
+// ----- .eml -----
+
+// 標頭中的非 ASCII 文字要用 RFC 2047 編碼
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+// 產生 RFC 5322 郵件 (內文用 base64，中文不會被郵件系統弄亂)
+function toEml({ from, to, subject, body, date, messageId, headers = {} }) {
+    const encodedBody = Buffer.from(body.replace(/\r?\n/g, "\r\n"), "utf8").toString("base64").match(/.{1,76}/g) ?? [];
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString().replace("GMT", "+0000")}`,
+        `Message-ID: <${messageId}>`,
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=UTF-8",
+        "Content-Transfer-Encoding: base64",
+        "",
+        ...encodedBody,
+        ""
+    ].join("\r\n");
+}
+
+// ----- 排程 -----
+
+class NoticeScheduler {
+    #library;
+    #outbox;
+    #templates;     // { locale: { type: { subject, body } } }
+    #options;
+    #sent;          // Map of 通知 key => { type, recordId, userId, file, sentAt }
+    #timer;
+    #logger;        // 排程執行失敗時用它的 error() 記錄 (預設為 console)
+
+    // options:
+    //   courtesyDaysBefore   到期前幾天提醒 (預設 3)
+    //   overdueDays          第一次、第二次、最後催還的逾期天數 (預設 [1, 8, 22])
+    //   localeFor(user)      讀者使用的語言，預設一律 defaultLocale
+    //   templatesDir         有的話從這個目錄讀取館員修改過的範本 (見 exportTemplates)
+    //   logger               記錄排程執行失敗的 logger (只需要 error 方法)；預設為 console
+    constructor(library, outbox, {
+        libraryName = "City Library",
+        from = "circulation@library.example",
+        courtesyDaysBefore = 3,
+        overdueDays = [1, 8, 22],
+        defaultLocale = "zh",
+        localeFor = null,
+        templatesDir = null,
+        runAtHour = 8,
+        logger = console
+    } = {}) {
+        if (!Number.isInteger(courtesyDaysBefore) || courtesyDaysBefore < 1) {
+            throw new ValidationError(`Invalid courtesyDaysBefore: ${courtesyDaysBefore}`);
+        }
+        if (overdueDays.length !== 3 || !overdueDays.every((days, i) =>
+            Number.isInteger(days) && days >= 1 && (i === 0 || days > overdueDays[i - 1]))) {
+            throw new ValidationError(`Invalid overdueDays: ${overdueDays}. Expected three increasing day counts`);
+        }
+        if (!LOCALES.includes(defaultLocale)) {
+            throw new ValidationError(`Unknown locale "${defaultLocale}". Expected one of: ${LOCALES.join(", ")}`);
+        }
+
+        this.#library = library;
+        this.#outbox = outbox;
+        this.#options = {
+            libraryName, from, courtesyDaysBefore, overdueDays, runAtHour,
+            localeFor: localeFor ?? (() => defaultLocale)
+        };
+        this.#templates = structuredClone(DEFAULT_TEMPLATES);
+        if (templatesDir) this.loadTemplates(templatesDir);
+        this.#sent = this.#loadRegistry();
+        this.#timer = null;
+        this.#logger = logger;
+    }
+
+    // ----- 範本 -----
+
+    getTemplate(locale, type) {
+        NoticeScheduler.#assertType(type);
+        const template = this.#templates[locale]?.[type];
+        if (!template) throw new ValidationError(`Unknown locale "${locale}". Expected one of: ${LOCALES.join(", ")}`);
+        return { ...template };
+    }
+
+    setTemplate(locale, type, template) {
+        NoticeScheduler.#assertType(type);
+        if (!LOCALES.includes(locale)) {
+            throw new ValidationError(`Unknown locale "${locale}". Expected one of: ${LOCALES.join(", ")}`);
+        }
+        this.#templates[locale][type] = validateTemplate(template);
+    }
+
+    // 範本檔：<type>.<locale>.txt，第一行是 "Subject: ..."，空一行之後是內文
+    exportTemplates(directory) {
+        fs.mkdirSync(directory, { recursive: true });
+        for (const locale of LOCALES) {
+            for (const type of NOTICE_TYPES) {
+                const { subject, body } = this.#templates[locale][type];
+                fs.writeFileSync(path.join(directory, `${type}.${locale}.txt`), `Subject: ${subject}\n\n${body}`);
+            }
+        }
+    }
+
+    // 讀取目錄中的範本檔 (沒有的檔案沿用目前的範本)
+    loadTemplates(directory) {
+        for (const locale of LOCALES) {
+            for (const type of NOTICE_TYPES) {
+                const filePath = path.join(directory, `${type}.${locale}.txt`);
+                if (!fs.existsSync(filePath)) continue;
+                const match = /^Subject:[ \t]*(.*)\r?\n\r?\n([\s\S]*)$/.exec(fs.readFileSync(filePath, "utf8"));
+                if (!match) throw new ValidationError(`Invalid notice template ${filePath}: expected "Subject: ..." and a blank line`);
+                this.setTemplate(locale, type, { subject: match[1], body: match[2] });
+            }
+        }
+    }
+
+    // ----- 執行 -----
+
+    // 立即執行一次，並在每天 runAtHour 點再執行
+    start() {
+        if (this.#timer) return;
+        const schedule = () => {
+            const now = this.#library.now();
+            const next = new Date(now);
+            next.setHours(this.#options.runAtHour, 0, 0, 0);
+            if (next <= now) next.setDate(next.getDate() + 1);
+            this.#timer = setTimeout(() => {
+                this.#runSafely();
+                schedule();
+            }, next - now);
+        };
+        this.#runSafely();
+        schedule();
+    }
+
+    stop() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+    }
+
+    get running() {
+        return this.#timer !== null;
+    }
+
+    // 產生今天該寄的通知，回傳 [{ key, type, recordId, userId, to, subject, file }]
+    // 先產生所有通知 (任何一封失敗就整批不寄)，記進已寄記錄並存檔之後才寫 .eml 檔
+    runOnce(now = this.#library.now()) {
+        // 順便做每天的維護：過了取書期限的預約失效、過了到期日的記錄標成 overdue (也會發出 loan.overdue 事件)
+        this.#library.processExpiredHolds(now);
+        this.#library.checkOverdueBooks();
+
+        const notices = [];
+        for (const record of this.#library.getAllRecords()) {
+            // 已還、報失或聲稱已還的書不催還
+            if (!record.isOnLoan) continue;
+            const type = this.#noticeTypeFor(record, now);
+            if (!type) continue;
+
+            const key = NoticeScheduler.#noticeKey(record, type);
+            if (this.#sent.has(key)) continue;
+
+            const user = this.#library.getUser(record.userId);
+            const book = this.#library.getBook(record.bookId);
+            if (!user || !book) continue;
+
+            notices.push(this.#compose(key, type, record, user, book, now));
+        }
+        if (notices.length === 0) return [];
+
+        for (const { key, type, recordId, userId, file } of notices) {
+            this.#sent.set(key, { type, recordId, userId, file, sentAt: now.toISOString() });
+        }
+        this.#saveRegistry();
+        fs.mkdirSync(this.#outbox, { recursive: true });
+        for (const { file, eml } of notices) fs.writeFileSync(path.join(this.#outbox, file), eml);
+        return notices.map(({ eml, ...notice }) => notice);
+    }
+
+    // 已寄出的通知記錄
+    getSentNotices() {
+        return Array.from(this.#sent, ([key, entry]) => ({ key, ...entry }));
+    }
+
+    // 目前該寄哪一種通知 (沒有時回傳 null)
+    #noticeTypeFor(record, now) {
+        const { courtesyDaysBefore, overdueDays } = this.#options;
+        const overdue = record.getOverdueDays(now);
+        if (overdue > 0) {
+            const stage = overdueDays.filter(days => overdue >= days).length;
+            return stage === 0 ? null : NOTICE_TYPES[stage];
+        }
+        const daysUntilDue = Math.ceil((record.dueDate - now) / DAY_MS);
+        return daysUntilDue >= 0 && daysUntilDue <= courtesyDaysBefore ? "courtesy" : null;
+    }
+
+    // 產生一封通知 (還不寫檔)
+    #compose(key, type, record, user, book, now) {
+        const locale = this.#options.localeFor(user);
+        const template = this.getTemplate(locale, type);
+        const values = {
+            libraryName: this.#options.libraryName,
+            patronName: user.name,
+            title: book.title,
+            author: book.author,
+            barcode: book.getCopy(record.copyId)?.barcode ?? "",
+            dueDate: NoticeScheduler.#formatDate(record.dueDate, locale),
+            daysUntilDue: Math.max(0, Math.ceil((record.dueDate - now) / DAY_MS)),
+            overdueDays: record.getOverdueDays(now),
+            fine: record.calculateFine(record.terms.fineRate, now),
+            recordId: record.id
+        };
+        const subject = renderTemplate(template.subject, values);
+        const body = renderTemplate(template.body, values);
+
+        const fileName = `${key.replace(/[^\w.-]+/g, "_")}.eml`;
+        const eml = toEml({
+            from: this.#options.from,
+            to: `${encodeHeader(user.name)} <${user.email}>`,
+            subject,
+            body,
+            date: now,
+            messageId: `${key.replace(/[^\w.-]+/g, ".")}@${this.#options.from.split("@")[1] ?? "library"}`,
+            headers: { "X-Library-Notice": type, "X-Library-Record": String(record.id) }
+        });
+        return { key, type, recordId: record.id, userId: user.id, to: user.email, subject, file: fileName, eml };
+    }
+
+    // 排程中的錯誤不能讓整個程式停掉
+    #runSafely() {
+        try {
+            this.runOnce();
+        } catch (error) {
+            this.#logger.error("Notice scheduler run failed:", error);
+        }
+    }
+
+    #loadRegistry() {
+        const filePath = path.join(this.#outbox, REGISTRY_FILE);
+        if (!fs.existsSync(filePath)) return new Map();
+        return new Map(Object.entries(JSON.parse(fs.readFileSync(filePath, "utf8"))));
+    }
+
+    // 先寫暫存檔再改名，避免寫到一半崩潰時留下殘缺的記錄
+    #saveRegistry() {
+        fs.mkdirSync(this.#outbox, { recursive: true });
+        const filePath = path.join(this.#outbox, REGISTRY_FILE);
+        fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(Object.fromEntries(this.#sent), null, 2));
+        fs.renameSync(`${filePath}.tmp`, filePath);
+    }
+
+    // 同一筆借閱、同一個到期日的同一種通知只寄一次
+    static #noticeKey(record, type) {
+        return `record-${record.id}-${type}-${record.dueDate.toISOString().slice(0, 10)}`;
+    }
+
+    static #assertType(type) {
+        if (!NOTICE_TYPES.includes(type)) {
+            throw new ValidationError(`Unknown notice type "${type}". Expected one of: ${NOTICE_TYPES.join(", ")}`);
+        }
+    }
+
+    static #formatDate(date, locale) {
+        return date.toLocaleDateString(locale === "zh" ? "zh-TW" : "en-US", {
+            year: "numeric", month: "long", day: "numeric"
+        });
+    }
+}
+
+// ===== 示範：模擬一個月，每天跑一次排程 =====
+if (require.main === module) {
+    const os = require('os');
+    const { Library, SimulatedClock } = require('../object-modeling');
+
+    const clock = new SimulatedClock(new Date(2025, 8, 1, 9));
+    const library = new Library(1, { clock });
+    const book1 = library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", 180, "Fiction");
+    const book2 = library.addBook("三體", "劉慈欣", "9787536692930", 302, "科幻");
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Regular");
+    const mei = library.addUser("林美玲", "mei@example.com", "Regular");
+    library.borrowBook(amy.id, book1.id, 7);
+    library.borrowBook(mei.id, book2.id, 7);
+
+    const outbox = fs.mkdtempSync(path.join(os.tmpdir(), "library-outbox-"));
+    const scheduler = new NoticeScheduler(library, outbox, {
+        localeFor: user => (/[一-鿿]/.test(user.name) ? "zh" : "en")
+    });
+
+    for (let day = 0; day < 30; day++) {
+        // 同一天跑兩次也不會重複寄
+        const notices = [...scheduler.runOnce(), ...scheduler.runOnce()];
+        notices.forEach(notice =>
+            console.log(`${clock.now().toLocaleDateString()}  ${notice.type.padEnd(8)}  ${notice.to}  ${notice.subject}`));
+        if (day === 12) library.returnBook(book1.id, amy.id);
+        clock.advanceDays(1);
+    }
+
+    const [sample] = scheduler.getSentNotices().filter(notice => notice.userId === mei.id);
+    console.log(`\n通知寫在 ${outbox}，例如 ${sample.file}:\n`);
+    console.log(fs.readFileSync(path.join(outbox, sample.file), "utf8").split("\r\n").slice(0, 10).join("\n"));
+    fs.rmSync(outbox, { recursive: true });
+}
+
+module.exports = {
+    NOTICE_TYPES,
+    LOCALES,
+    TEMPLATE_FIELDS,
+    DEFAULT_TEMPLATES,
+    renderTemplate,
+    toEml,
+    NoticeScheduler
+};
@@ -0,0 +1,395 @@
+// ===== 開館時間與休館日 =====
+// 每週的開館時間 (例如週日休館) 加上休館日期區間 (國定假日、寒暑假、盤點)，
+// Library 用它決定到期日與逾期天數：
+// - 到期日落在休館日時順延到下一個開館日 (時間不變)
+// - 逾期天數只算開館日，休館期間不累積罰款
+//
+// 休館日可以從 iCalendar (.ics) 檔匯入，例如政府公布的行事曆：每個 VEVENT 是一段休館，
+// 全天事件的 DTEND 不含當天 (RFC 5545)；有時間的事件以涵蓋的日期計算 (整天休館)。
+// 重複事件 (RRULE) 與已取消的事件不匯入，會列在 skipped 裡。同一個 UID 再次匯入時取代舊的。
+//
+// 日期一律以本地時間的日曆日為準，區間用 "YYYY-MM-DD" 字串表示 (含頭尾)。
+//
+// Python 等價物：dict[weekday, (time, time) | None] + list[(date, date)]，匯入用 icalendar 套件
+
+const { NotFoundError, ValidationError } = require('./errors');
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const ALL_DAY = "00:00-24:00";
+const DEFAULT_WEEKLY_HOURS = Object.fromEntries(WEEKDAYS.map(day => [day, ALL_DAY]));
+
+// 找下一個開館日時最多往後找幾天 (避免休館日設定錯誤時無窮迴圈)
+const MAX_CLOSED_DAYS = 366;
+
+function pad(value) {
+    return String(value).padStart(2, "0");
+}
+
+// 本地時間的日曆日，例如 "2025-12-25"
+function dateKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+// Date 或 "YYYY-MM-DD" => "YYYY-MM-DD"
+function toDateKey(value, name) {
+    if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const [year, month, day] = value.split("-").map(Number);
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() === month - 1 && date.getDate() === day) return value;
+    } else if (value instanceof Date && !Number.isNaN(value.getTime())) {
+        return dateKey(value);
+    }
+    throw new ValidationError(`Invalid ${name} date: ${value} (expected YYYY-MM-DD)`);
+}
+
+// "YYYY-MM-DD" 是本地時間當天 0 點 (new Date("YYYY-MM-DD") 會當成 UTC)；其他值交給 Date
+function toDate(value) {
+    if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const [year, month, day] = value.split("-").map(Number);
+        return new Date(year, month - 1, day);
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new ValidationError(`Invalid date: ${value}`);
+    return date;
+}
+
+function minutesOf(time) {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+}
+
+// "09:00-17:00" => { open: "09:00", close: "17:00" }；null 代表整天休館
+function parseHours(day, value) {
+    if (value === null) return null;
+    const match = typeof value === "string" && value.match(/^(\d{2}:\d{2})-(\d{2}:\d{2})$/);
+    const valid = time => /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/.test(time);
+    if (!match || !valid(match[1]) || !valid(match[2]) || minutesOf(match[1]) >= minutesOf(match[2])) {
+        throw new ValidationError(`Invalid opening hours for ${day}: ${value} (expected "HH:MM-HH:MM" or null)`);
+    }
+    return { open: match[1], close: match[2] };
+}
+
+class OpeningCalendar {
+    #weeklyHours;   // weekday => { open, close } | null
+    #closures;      // Map of id => { id, from, to, reason, uid }
+    #nextClosureId;
+
+    // weeklyHours 只需要寫和預設 (每天全天開館) 不同的那幾天，例如 { sunday: null }
+    constructor({ weeklyHours = {}, closures = [] } = {}) {
+        this.#weeklyHours = Object.fromEntries(WEEKDAYS.map(day => [day, parseHours(day, DEFAULT_WEEKLY_HOURS[day])]));
+        this.#closures = new Map();
+        this.#nextClosureId = 1;
+        this.setWeeklyHours(weeklyHours);
+        closures.forEach(closure => this.addClosure(closure));
+    }
+
+    // 例如 { monday: "09:00-21:00", ..., sunday: null }
+    get weeklyHours() {
+        return Object.fromEntries(WEEKDAYS.map(day => {
+            const hours = this.#weeklyHours[day];
+            return [day, hours ? `${hours.open}-${hours.close}` : null];
+        }));
+    }
+
+    // 依開始日期排序
+    get closures() {
+        return Array.from(this.#closures.values())
+            .sort((a, b) => a.from.localeCompare(b.from) || a.id - b.id)
+            .map(closure => ({ ...closure }));
+    }
+
+    // 沒有休館日而且每天都開：到期日與逾期天數和不用行事曆時完全相同
+    get isAlwaysOpen() {
+        return this.#closures.size === 0 && WEEKDAYS.every(day => this.#weeklyHours[day] !== null);
+    }
+
+    // 只改有寫到的那幾天；至少要有一天開館
+    setWeeklyHours(hours) {
+        const unknown = Object.keys(hours).filter(day => !WEEKDAYS.includes(day));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown weekday "${unknown[0]}". Expected one of: ${WEEKDAYS.join(", ")}`);
+        }
+        const updated = { ...this.#weeklyHours };
+        for (const [day, value] of Object.entries(hours)) updated[day] = parseHours(day, value);
+        if (WEEKDAYS.every(day => updated[day] === null)) {
+            throw new ValidationError("Invalid opening hours: the library must be open at least one day a week");
+        }
+        this.#weeklyHours = updated;
+    }
+
+    // 新增休館區間 (含頭尾)；uid 相同的休館會被取代 (重新匯入同一份行事曆)
+    addClosure({ from, to = from, reason = "", uid = null } = {}) {
+        from = toDateKey(from, "closure start");
+        to = toDateKey(to, "closure end");
+        if (to < from) throw new ValidationError(`Invalid closure: end date ${to} is before start date ${from}`);
+
+        const existing = uid === null ? undefined : Array.from(this.#closures.values()).find(c => c.uid === uid);
+        const id = existing?.id ?? this.#nextClosureId++;
+        const closure = { id, from, to, reason: String(reason ?? ""), uid };
+        this.#closures.set(id, closure);
+        return { ...closure };
+    }
+
+    removeClosure(id) {
+        const closure = this.#closures.get(id);
+        if (!closure) throw new NotFoundError(`Closure with ID ${id} not found`);
+        this.#closures.delete(id);
+        return { ...closure };
+    }
+
+    // 與 [from, to] 重疊的休館
+    getClosures({ from = null, to = null } = {}) {
+        const start = from === null ? null : toDateKey(from, "start");
+        const end = to === null ? null : toDateKey(to, "end");
+        return this.closures.filter(closure =>
+            (start === null || closure.to >= start) && (end === null || closure.from <= end));
+    }
+
+    // 某天適用的休館 (沒有則為 undefined)；日期可以是 Date 或 "YYYY-MM-DD"
+    closureOn(date) {
+        const key = dateKey(toDate(date));
+        const closure = Array.from(this.#closures.values()).find(c => c.from <= key && key <= c.to);
+        return closure && { ...closure };
+    }
+
+    // 某天的開館時間 { open, close }，休館則為 null
+    hoursOn(date) {
+        date = toDate(date);
+        const hours = this.#weeklyHours[WEEKDAYS[date.getDay()]];
+        if (!hours || this.closureOn(date)) return null;
+        return { ...hours };
+    }
+
+    isOpenOn(date) {
+        return this.hoursOn(date) !== null;
+    }
+
+    // 某個時間點是否在開館時間內
+    isOpenAt(dateTime) {
+        dateTime = toDate(dateTime);
+        const hours = this.hoursOn(dateTime);
+        if (!hours) return false;
+        const minutes = dateTime.getHours() * 60 + dateTime.getMinutes();
+        return minutesOf(hours.open) <= minutes && minutes < minutesOf(hours.close);
+    }
+
+    // 某天的開館資料 { date, open, hours, closure, nextOpenDay }
+    describeDay(date) {
+        date = toDate(date);
+        const closure = this.closureOn(date) ?? null;
+        const hours = this.hoursOn(date);
+        return { date: dateKey(date), open: hours !== null, hours, closure, nextOpenDay: dateKey(this.nextOpenDay(date)) };
+    }
+
+    // date 當天或之後第一個開館日 (時間不變)
+    nextOpenDay(date) {
+        date = toDate(date);
+        for (let days = 0; days <= MAX_CLOSED_DAYS; days++) {
+            const candidate = addDays(date, days);
+            if (this.isOpenOn(candidate)) return candidate;
+        }
+        throw new ValidationError(`Invalid calendar: no open day within ${MAX_CLOSED_DAYS} days after ${dateKey(date)}`);
+    }
+
+    // 借期 days 天的到期日：落在休館日時順延到下一個開館日
+    dueDate(start, days) {
+        return this.nextOpenDay(addDays(start, days));
+    }
+
+    // start 之後的 days 天 (start + 1, ..., start + days) 之中有幾天開館；
+    // start 是到期日、days 是逾期天數時，算的就是到期日隔天到還書當天之間的開館日
+    countOpenDays(start, days) {
+        if (this.isAlwaysOpen) return Math.max(0, days);
+        let count = 0;
+        for (let i = 1; i <= days; i++) {
+            if (this.isOpenOn(addDays(start, i))) count++;
+        }
+        return count;
+    }
+
+    // 從 iCalendar 文字匯入休館日，回傳 { added, skipped }
+    importIcs(text) {
+        const added = [];
+        const skipped = [];
+        for (const event of parseIcsEvents(text)) {
+            const summary = event.SUMMARY?.value ?? "";
+            const uid = event.UID?.value ?? null;
+            const skip = reason => skipped.push({ uid, summary, reason });
+            if (event.RRULE) {
+                skip("Recurring events are not supported");
+                continue;
+            }
+            if (event.STATUS?.value.toUpperCase() === "CANCELLED") {
+                skip("Event is cancelled");
+                continue;
+            }
+            try {
+                const { from, to } = icsEventDates(event);
+                added.push(this.addClosure({ from, to, reason: summary, uid }));
+            } catch (error) {
+                skip(error.message);
+            }
+        }
+        return { added, skipped };
+    }
+
+    toJSON() {
+        return {
+            weeklyHours: this.weeklyHours,
+            closures: this.closures,
+            nextClosureId: this.#nextClosureId
+        };
+    }
+
+    // 原地換成另一份設定 (復原與重播日誌用)
+    restoreState(state) {
+        const restored = OpeningCalendar.fromJSON(state);
+        this.#weeklyHours = restored.#weeklyHours;
+        this.#closures = restored.#closures;
+        this.#nextClosureId = restored.#nextClosureId;
+        return this;
+    }
+
+    static fromJSON(state) {
+        const calendar = new OpeningCalendar({ weeklyHours: state.weeklyHours });
+        for (const closure of state.closures ?? []) calendar.#closures.set(closure.id, { ...closure });
+        calendar.#nextClosureId = state.nextClosureId ??
+            Math.max(0, ...calendar.#closures.keys()) + 1;
+        return calendar;
+    }
+}
+
+// ----- iCalendar 解析 -----
+// 只處理匯入休館日需要的部分：VEVENT 的 DTSTART、DTEND、DURATION、SUMMARY、UID、STATUS、RRULE
+
+// 每個 VEVENT 解析成 { 屬性名稱: { value, params } } (VALARM 等子元件略過)
+function parseIcsEvents(text) {
+    // 折行：以空白或 tab 開頭的行接在上一行後面
+    const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/).filter(line => line !== "");
+    if (!/^BEGIN:VCALENDAR$/i.test(lines[0] ?? "")) {
+        throw new ValidationError("Invalid iCalendar data: expected BEGIN:VCALENDAR");
+    }
+
+    const events = [];
+    let event = null;
+    let nested = 0; // VEVENT 裡的子元件深度
+    for (const line of lines) {
+        const { name, params, value } = parseIcsLine(line);
+        if (name === "BEGIN") {
+            if (event) nested++;
+            else if (value.toUpperCase() === "VEVENT") event = {};
+        } else if (name === "END") {
+            if (nested > 0) nested--;
+            else if (event && value.toUpperCase() === "VEVENT") {
+                events.push(event);
+                event = null;
+            }
+        } else if (event && nested === 0) {
+            event[name] = { value: name === "SUMMARY" ? unescapeIcsText(value) : value, params };
+        }
+    }
+    return events;
+}
+
+// "DTSTART;VALUE=DATE:20251225" => { name: "DTSTART", params: { VALUE: "DATE" }, value: "20251225" }
+function parseIcsLine(line) {
+    let colon = -1;
+    let quoted = false;
+    for (let i = 0; i < line.length && colon === -1; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        else if (line[i] === ":" && !quoted) colon = i;
+    }
+    const head = colon === -1 ? line : line.slice(0, colon);
+    const [name, ...paramParts] = head.split(";");
+    const params = Object.fromEntries(paramParts.map(part => {
+        const [key, ...rest] = part.split("=");
+        return [key.toUpperCase(), rest.join("=").replace(/^"|"$/g, "")];
+    }));
+    return { name: name.toUpperCase(), params, value: colon === -1 ? "" : line.slice(colon + 1) };
+}
+
+function unescapeIcsText(value) {
+    return value.replace(/\\([\\;,nN])/g, (_, char) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+// "20251225" 或 "20251225T090000[Z]" => { date, allDay }
+function parseIcsDate(property, name) {
+    const match = property?.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) throw new ValidationError(`Invalid ${name}: ${property?.value ?? "missing"}`);
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (hours === undefined) return { date: new Date(year, month - 1, day), allDay: true };
+    const parts = [year, month - 1, day, hours, minutes, seconds].map(Number);
+    return { date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts), allDay: false };
+}
+
+// VEVENT 涵蓋的日曆日 { from, to } (含頭尾)
+function icsEventDates(event) {
+    const start = parseIcsDate(event.DTSTART, "DTSTART");
+    let end;
+    if (event.DTEND) {
+        end = parseIcsDate(event.DTEND, "DTEND").date;
+    } else if (event.DURATION) {
+        const match = event.DURATION.value.match(/^P(\d+)([DW])$/);
+        if (!match) throw new ValidationError(`Invalid DURATION: ${event.DURATION.value} (only whole days or weeks are supported)`);
+        end = addDays(start.date, Number(match[1]) * (match[2] === "W" ? 7 : 1));
+    } else {
+        // 沒有結束時間：全天事件是一天，有時間的事件是一個時間點
+        end = start.allDay ? addDays(start.date, 1) : start.date;
+    }
+    if (end < start.date) throw new ValidationError("Invalid event: DTEND is before DTSTART");
+
+    // 結束時間不含在內：全天事件的 DTEND 是隔天，有時間的事件以結束前一刻所在的日期為準
+    const last = end > start.date ? new Date(end.getTime() - 1) : end;
+    return { from: dateKey(start.date), to: dateKey(last) };
+}
+
+// ===== 示範：週日休館、跨年連假與從 .ics 匯入 =====
+if (require.main === module) {
+    const calendar = new OpeningCalendar({
+        weeklyHours: {
+            monday: "09:00-21:00", tuesday: "09:00-21:00", wednesday: "09:00-21:00", thursday: "09:00-21:00",
+            friday: "09:00-18:00", saturday: "10:00-17:00", sunday: null
+        }
+    });
+    calendar.addClosure({ from: "2025-12-31", to: "2026-01-01", reason: "New Year" });
+    const { added, skipped } = calendar.importIcs([
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "BEGIN:VEVENT",
+        "UID:winter-break-2026@example.edu",
+        "SUMMARY:Winter break\\, library closed",
+        "DTSTART;VALUE=DATE:20260126",
+        "DTEND;VALUE=DATE:20260131",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:staff-meeting@example.edu",
+        "SUMMARY:Staff meeting",
+        "DTSTART:20260105T090000",
+        "RRULE:FREQ=WEEKLY",
+        "END:VEVENT",
+        "END:VCALENDAR"
+    ].join("\r\n"));
+    console.log("開館時間:", calendar.weeklyHours);
+    console.log("匯入:", added.map(c => `${c.from} ~ ${c.to} ${c.reason}`));
+    console.log("略過:", skipped.map(s => `${s.summary}: ${s.reason}`));
+
+    const borrowed = new Date(2025, 11, 17, 14, 0);
+    const due = calendar.dueDate(borrowed, 14); // 12/31 休館 => 順延
+    console.log(`12/17 借 14 天 => 到期 ${due.toDateString()}`);
+    const returned = new Date(2026, 0, 6, 11, 0);
+    const days = Math.ceil((returned - due) / (24 * 60 * 60 * 1000));
+    console.log(`1/6 還書：晚了 ${days} 天，其中開館 ${calendar.countOpenDays(due, days)} 天`);
+    console.log(`1/26 之後第一個開館日: ${calendar.nextOpenDay(new Date(2026, 0, 26)).toDateString()}`);
+}
+
+module.exports = {
+    WEEKDAYS,
+    OpeningCalendar,
+    dateKey
+};
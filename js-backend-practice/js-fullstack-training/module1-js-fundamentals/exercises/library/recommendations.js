@@ -0,0 +1,261 @@
+// ===== 推薦：「借過這本的人也借了」與「你可能也會喜歡」 =====
+// 從所有借閱記錄 (不論是否已還) 算出兩種訊號：
+// - 書目之間的共借相似度：借過 A 的讀者中有幾位也借過 B，以 cosine 正規化
+//   |借過 A 且借過 B| / √(|借過 A| × |借過 B|)，熱門書不會因為借的人多就和每本書都相似
+// - 讀者的分類偏好：每個分類佔他借過的書目的比例
+// similarItems(bookId) 只看共借相似度；recommendForUser(userId) 把讀者借過的每本書的相似書加總，
+// 再加上「偏好分類 × 熱門程度」，借閱記錄少、還沒有共借訊號的讀者也有推薦。
+// 每筆結果都附上理由 (explanation)，前端可以直接顯示。
+//
+// 隱私：選擇不參與推薦的讀者 (User.recommendationsOptOut) 不會收到推薦，借閱記錄也完全不列入計算；
+// 已刪除的讀者同樣排除。共借人數少於 minCoBorrowers 的組合不顯示，避免從推薦反推出某個人借了什麼。
+//
+// 推薦引擎訂閱 Library 的事件，館藏或借閱有變動後，下一次查詢才重新計算。
+//
+// Python 等價物：scipy.sparse 的 user × item 矩陣 + item-item cosine similarity
+
+const { NotFoundError, ValidationError } = require('./errors');
+
+// 分數只保留三位小數，結果才穩定好讀
+function roundScore(score) {
+    return Math.round(score * 1000) / 1000;
+}
+
+function percent(share) {
+    return `${Math.round(share * 100)}%`;
+}
+
+class RecommendationEngine {
+    #library;
+    #options;
+    #stale;      // 有事件發生後設為 true，查詢時重新計算
+    #borrowers;  // Map of bookId => Set of 借過的 userId
+    #histories;  // Map of userId => Set of 借過的 bookId
+    #similarity; // Map of bookId => Map of 相似的 bookId => { score, coBorrowers }
+
+    // options:
+    //   minCoBorrowers  至少幾位讀者共同借過才算相似 (預設 2)
+    //   affinityWeight  分類偏好分數的權重，相對於共借相似度 (預設 0.5)
+    constructor(library, { minCoBorrowers = 2, affinityWeight = 0.5 } = {}) {
+        if (!Number.isInteger(minCoBorrowers) || minCoBorrowers < 1) {
+            throw new ValidationError(`Invalid minCoBorrowers: ${minCoBorrowers}`);
+        }
+        if (typeof affinityWeight !== "number" || !(affinityWeight >= 0)) {
+            throw new ValidationError(`Invalid affinityWeight: ${affinityWeight}`);
+        }
+
+        this.#library = library;
+        this.#options = { minCoBorrowers, affinityWeight };
+        this.#stale = true;
+        library.on("*", () => {
+            this.#stale = true;
+        });
+    }
+
+    // 立刻重新計算 (通常不需要手動呼叫)
+    rebuild() {
+        this.#borrowers = new Map();
+        this.#histories = new Map();
+        for (const record of this.#library.getAllRecords()) {
+            const user = this.#library.getUser(record.userId);
+            if (!user || user.recommendationsOptOut || !this.#library.getBook(record.bookId)) continue;
+            if (!this.#borrowers.has(record.bookId)) this.#borrowers.set(record.bookId, new Set());
+            if (!this.#histories.has(record.userId)) this.#histories.set(record.userId, new Set());
+            this.#borrowers.get(record.bookId).add(record.userId);
+            this.#histories.get(record.userId).add(record.bookId);
+        }
+
+        // 每位讀者借過的書兩兩配對，累計共借人數
+        const coBorrowers = new Map();
+        for (const bookIds of this.#histories.values()) {
+            for (const a of bookIds) {
+                for (const b of bookIds) {
+                    if (a === b) continue;
+                    if (!coBorrowers.has(a)) coBorrowers.set(a, new Map());
+                    coBorrowers.get(a).set(b, (coBorrowers.get(a).get(b) ?? 0) + 1);
+                }
+            }
+        }
+
+        this.#similarity = new Map();
+        for (const [a, counts] of coBorrowers) {
+            const similar = new Map();
+            for (const [b, count] of counts) {
+                if (count < this.#options.minCoBorrowers) continue;
+                const score = count / Math.sqrt(this.#borrowers.get(a).size * this.#borrowers.get(b).size);
+                similar.set(b, { score, coBorrowers: count });
+            }
+            this.#similarity.set(a, similar);
+        }
+
+        this.#stale = false;
+        return this;
+    }
+
+    // 借過這本的人也借了：[{ book, score, coBorrowers, explanation }]，分數高的在前
+    similarItems(bookId, { limit = 5 } = {}) {
+        const book = this.#library.getBook(bookId);
+        if (!book) throw new NotFoundError(`Book with ID ${bookId} not found`);
+        this.#refresh();
+
+        return Array.from(this.#similarity.get(bookId) ?? [], ([otherId, { score, coBorrowers }]) => ({
+            book: this.#library.getBook(otherId),
+            score: roundScore(score),
+            coBorrowers,
+            explanation: `${coBorrowers} patrons who borrowed "${book.title}" also borrowed this`
+        }))
+            .sort((a, b) => b.score - a.score || a.book.title.localeCompare(b.book.title))
+            .slice(0, limit);
+    }
+
+    // 讀者的分類偏好：[{ category, items, share }]，share 是該分類佔他借過的書目的比例
+    // 不參與推薦的讀者回傳空陣列
+    categoryAffinity(userId) {
+        this.#requireUser(userId);
+        this.#refresh();
+
+        const counts = new Map();
+        for (const bookId of this.#histories.get(userId) ?? []) {
+            const { category } = this.#library.getBook(bookId);
+            counts.set(category, (counts.get(category) ?? 0) + 1);
+        }
+        const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+        return Array.from(counts, ([category, items]) => ({ category, items, share: items / total }))
+            .sort((a, b) => b.items - a.items || String(a.category).localeCompare(String(b.category)));
+    }
+
+    // 你可能也會喜歡：[{ book, score, basedOn, category, explanation }]
+    // basedOn 是促成這筆推薦的已借書目 ID (相似度高的在前)，category 是符合的偏好分類 (沒有則為 null)
+    // 已經借過的書、不能外借的館藏 (例如最新一期期刊) 不會出現；不參與推薦的讀者回傳空陣列
+    recommendForUser(userId, { limit = 10 } = {}) {
+        const user = this.#requireUser(userId);
+        if (user.recommendationsOptOut) return [];
+        this.#refresh();
+
+        const history = this.#histories.get(userId) ?? new Set();
+        const catalog = this.#library.getAllBooks();
+        const candidates = new Map(); // bookId => { score, because: [{ bookId, score }], affinity }
+        const candidate = (bookId) => {
+            if (!candidates.has(bookId)) candidates.set(bookId, { score: 0, because: [], affinity: null });
+            return candidates.get(bookId);
+        };
+
+        // 借過的每本書的相似書
+        for (const borrowedId of history) {
+            for (const [otherId, { score }] of this.#similarity.get(borrowedId) ?? []) {
+                if (history.has(otherId)) continue;
+                const entry = candidate(otherId);
+                entry.score += score;
+                entry.because.push({ bookId: borrowedId, score });
+            }
+        }
+
+        // 偏好分類中的熱門書 (熱門程度 = 借過的讀者數 / 最熱門那本的讀者數)
+        const maxBorrowers = Math.max(1, ...Array.from(this.#borrowers.values(), borrowers => borrowers.size));
+        const affinities = new Map(this.categoryAffinity(userId).map(affinity => [affinity.category, affinity]));
+        for (const book of catalog) {
+            const affinity = affinities.get(book.category);
+            const popularity = (this.#borrowers.get(book.id)?.size ?? 0) / maxBorrowers;
+            if (!affinity || history.has(book.id) || popularity === 0) continue;
+            const entry = candidate(book.id);
+            entry.score += this.#options.affinityWeight * affinity.share * popularity;
+            entry.affinity = affinity;
+        }
+
+        return Array.from(candidates, ([bookId, entry]) => ({ book: this.#library.getBook(bookId), ...entry }))
+            .filter(({ book, score }) => score > 0 && book.loanRestriction(catalog) === null)
+            .map(({ book, score, because, affinity }) => {
+                const basedOn = because.sort((a, b) => b.score - a.score).map(reason => reason.bookId);
+                return {
+                    book,
+                    score: roundScore(score),
+                    basedOn,
+                    category: affinity?.category ?? null,
+                    explanation: this.#explain(basedOn, affinity)
+                };
+            })
+            .sort((a, b) => b.score - a.score || a.book.title.localeCompare(b.book.title))
+            .slice(0, limit);
+    }
+
+    // 最多列出兩本促成推薦的書，再加上分類偏好
+    #explain(basedOn, affinity) {
+        const reasons = [];
+        if (basedOn.length > 0) {
+            const titles = basedOn.slice(0, 2).map(bookId => `"${this.#library.getBook(bookId).title}"`);
+            const more = basedOn.length > 2 ? ` and ${basedOn.length - 2} more` : "";
+            reasons.push(`Patrons who borrowed ${titles.join(" and ")}${more} also borrowed this`);
+        }
+        if (affinity) {
+            reasons.push(`You often borrow ${affinity.category} (${percent(affinity.share)} of your loans)`);
+        }
+        return reasons.join("; ");
+    }
+
+    #refresh() {
+        if (this.#stale) this.rebuild();
+    }
+
+    #requireUser(userId) {
+        const user = this.#library.getUser(userId);
+        if (!user) throw new NotFoundError(`User with ID ${userId} not found`);
+        return user;
+    }
+}
+
+// ===== 示範：幾位讀者的借閱記錄 =====
+if (require.main === module) {
+    const { Library } = require('../object-modeling');
+
+    const library = new Library();
+    const add = (title, author, isbn, category) => library.addBook(title, author, isbn, 300, category, { copies: 5 });
+    const dune = add("Dune", "Frank Herbert", "9780441172719", "Science Fiction");
+    const foundation = add("Foundation", "Isaac Asimov", "9780553293357", "Science Fiction");
+    const hyperion = add("Hyperion", "Dan Simmons", "9780553283686", "Science Fiction");
+    const threeBody = add("三體", "劉慈欣", "9787536692930", "Science Fiction");
+    const gatsby = add("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", "Fiction");
+    const mockingbird = add("To Kill a Mockingbird", "Harper Lee", "9780061120084", "Fiction");
+
+    const histories = {
+        "Amy Chen": [dune, foundation, hyperion],
+        "Ben Lee": [dune, foundation, threeBody],
+        "Carol Wu": [dune, hyperion, gatsby],
+        "Dan Kim": [foundation, hyperion, mockingbird],
+        "Eve Lin": [dune]
+    };
+    const users = {};
+    for (const [name, books] of Object.entries(histories)) {
+        const user = library.addUser(name, `${name.split(" ")[0].toLowerCase()}@example.com`, "Premium");
+        users[name] = user;
+        // 借了又還，記錄仍然算數
+        books.forEach(book => {
+            library.borrowBook(user.id, book.id);
+            library.returnBook(book.id, user.id);
+        });
+    }
+
+    const engine = new RecommendationEngine(library);
+
+    console.log(`----- 借過 "${dune.title}" 的人也借了 -----`);
+    engine.similarItems(dune.id).forEach(({ book, score, explanation }) =>
+        console.log(`${book.title.padEnd(24)} ${score}  ${explanation}`));
+
+    const eve = users["Eve Lin"];
+    console.log(`\n----- 推薦給 ${eve.name} -----`);
+    engine.recommendForUser(eve.id).forEach(({ book, score, explanation }) =>
+        console.log(`${book.title.padEnd(24)} ${score}  ${explanation}`));
+
+    // Dan 不參與推薦之後，他的借閱記錄不再列入計算：Hyperion 和 Foundation 只剩一位共同讀者，不算相似
+    const showSimilar = () => engine.similarItems(hyperion.id).forEach(({ book, coBorrowers }) =>
+        console.log(`"${hyperion.title}" => "${book.title}" (${coBorrowers} 位共同讀者)`));
+    console.log("\n----- 相似書目 -----");
+    showSimilar();
+    library.setRecommendationsOptOut(users["Dan Kim"].id);
+    console.log(`\n----- ${users["Dan Kim"].name} 不參與推薦之後 -----`);
+    showSimilar();
+    console.log(`給 ${users["Dan Kim"].name} 的推薦: ${engine.recommendForUser(users["Dan Kim"].id).length} 筆`);
+}
+
+module.exports = {
+    RecommendationEngine
+};
@@ -0,0 +1,971 @@
+// ===== 圖書館 REST API =====
+// 把 Library 包成 Express 路由，前端可以透過 HTTP 操作：
+//
+//   GET    /books                 書目列表 (?type=&limit=&offset=)
+//   POST   /books                 新增書目 (有 academicField 時建立學術書籍)
+//   POST   /items                 新增任何類型的館藏 ({ type, ...該類型的欄位, copies?, shelfLocation?, branch? })
+//                                  電子書沒有複本：{ type: "EBook", title, licenses, format?, file? }
+//   GET    /books/:id             書目詳細資料 (含複本)
+//   DELETE /books/:id             刪除書目
+//   GET    /books/:id/citations   學術書籍的參考文獻 (?style=apa|mla|chicago)
+//   GET    /books/:id/similar     借過這本的人也借了 (?limit=)
+//   GET    /books/:id/spine-labels.svg  館內複本的書背標籤 (?sheet=&skip=&page=)
+//   PUT    /books/:id/licenses    調整電子書的授權數 ({ licenses })
+//   POST   /books/:id/citations   新增參考文獻
+//   GET    /users                 使用者列表 (?card= 以會員證號查詢)
+//   POST   /users                 新增使用者
+//   GET    /users/:id             使用者詳細資料
+//   DELETE /users/:id             刪除使用者
+//   GET    /users/:id/history     借閱歷史
+//   GET    /users/:id/card.svg    會員證
+//   GET    /users/:id/recommendations  你可能也會喜歡 (?limit=)
+//   PUT    /users/:id/recommendations  參與或不參與推薦 ({ optOut })
+//   POST   /users/:id/membership/renew      會籍續期 ({ termMonths? })
+//   PUT    /users/:id/membership/tier       升級或降級 ({ membershipType })
+//   POST   /users/:id/membership/suspend    停權 ({ reason, until? })
+//   POST   /users/:id/membership/reinstate  恢復
+//   GET    /membership-tiers      會員等級
+//   GET    /branches              分館列表
+//   POST   /branches              新增分館 ({ code, name, address? })
+//   GET    /calendar              每週開館時間與休館日 (?from=&to=)
+//   GET    /calendar/days/:date   某天是否開館 (YYYY-MM-DD)，含下一個開館日
+//   PUT    /calendar/hours        修改開館時間 ({ monday: "09:00-21:00", sunday: null, ... })
+//   POST   /calendar/closures     新增休館 ({ from, to?, reason? })；還沒到期的借閱會順延
+//   POST   /calendar/closures/import  匯入 .ics 的休館日 (Content-Type: text/calendar)
+//   DELETE /calendar/closures/:id 刪除休館
+//   GET    /copies/:id/barcode.svg  複本條碼 (Code 128)
+//   POST   /copies/:id/transfer   把複本送到另一個分館 ({ toBranch, permanent? })
+//   POST   /copies/:id/receive    收到運送中的複本 ({ branch? })
+//   GET    /loans                 借閱記錄 (?userId=&status=&branch=)
+//   POST   /loans                 借書 ({ userId, bookId, days?, borrowedAt?, branch?, deposit? })；電子書附上下載連結
+//   GET    /loans/:id             借閱記錄詳細資料
+//   GET    /loans/:id/download-link  重新索取電子書的下載連結
+//   POST   /loans/:id/return      還書 ({ returnedAt?, branch? })
+//   POST   /loans/:id/renew       續借
+//   POST   /loans/:id/lost        報失 ({ replacementCost?, reason? })
+//   POST   /loans/:id/claim-returned  讀者聲稱已還 ({ reason? })
+//   POST   /loans/:id/write-off   註銷 ({ reason })
+//   POST   /inventory             開始盤點 ({ branch?, shelfFrom?, shelfTo?, label? })
+//   GET    /inventory/:id         盤點作業與目前的對帳結果
+//   POST   /inventory/:id/scans   掃描 ({ codes: [條碼或複本 ID...] })
+//   POST   /inventory/:id/close   結束盤點，回傳對帳報表
+//   POST   /inventory/:id/mark-missing-lost  把沒找到的複本標成遺失
+//   GET    /acquisitions/suggestions             薦購列表 (?status=)
+//   POST   /acquisitions/suggestions             讀者薦購 ({ userId, title, author?, isbn?, category?, type?, academicField?, estimatedCost?, note? })
+//   POST   /acquisitions/suggestions/:id/approve 核准並建立訂單 ({ unitCost?, quantity?, vendor? })
+//   POST   /acquisitions/suggestions/:id/reject  退回 ({ reason })
+//   GET    /acquisitions/orders                  訂單列表 (?status=&fiscalYear=)
+//   POST   /acquisitions/orders                  直接下訂 ({ title, category, unitCost, quantity?, vendor?, ... })
+//   POST   /acquisitions/orders/:id/receive      到貨並建立書目 ({ invoiceTotal?, pages? })
+//   POST   /acquisitions/orders/:id/catalog      編目並新增複本 ({ shelfLocation?, branch? })
+//   POST   /acquisitions/orders/:id/cancel       取消訂單 ({ reason? })
+//   GET    /acquisitions/budgets/:fiscalYear     各分類預算執行狀況
+//   PUT    /acquisitions/budgets/:fiscalYear/:category  設定預算 ({ amount })
+//   GET    /acquisitions/reports/:fiscalYear     會計年度支出報表
+//   GET    /search?q=             全文檢索 (?category=&author=&available=&type=&limit=&offset=)
+//   GET    /stats                 統計資訊 (?branch=)
+//   GET    /audit                 稽核記錄，最新的在前 (?actor=&op=&limit=&offset=)
+//   GET    /audit/:id             單筆指令 (含參數與前後狀態)
+//   POST   /audit/:id/undo        復原指令
+//
+// 修改狀態的請求可以帶 X-Actor 標頭，記錄是誰做的。
+// 電子書的下載連結指向 DigitalLending 的處理函式 (library/digital-lending.js)，不在這個路由底下，
+// 示範中掛在 /downloads。
+//
+// Library 丟出的 LibraryError (library/errors.js) 依 code 轉成 HTTP 狀態碼：找不到 => 404、
+// 輸入不合法 => 422、違反借閱規則 (已借出、超過上限、有欠款...) => 409；其他錯誤一律 500。
+// 錯誤回應格式為 { error, details? }。
+//
+// Python 等價物：Flask 的 Blueprint + @bp.errorhandler
+
+const express = require('express');
+const { CITATION_STYLES, formatCitation } = require('./citations');
+const { RecommendationEngine } = require('./recommendations');
+const { InventoryDesk } = require('./inventory-audit');
+const { AcquisitionsDesk } = require('./acquisitions');
+const { code128Svg } = require('./barcodes');
+const { spineLabelSheets, membershipCardSvg } = require('./labels');
+const { LibraryError } = require('./errors');
+
+// 帶有 HTTP 狀態碼的錯誤 (只在這個模組內使用)
+class HttpError extends Error {
+    constructor(status, message, details = null) {
+        super(message);
+        this.name = "HttpError";
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// LibraryError 的種類 => HTTP 狀態碼
+const ERROR_STATUS_CODES = {
+    not_found: 404,
+    invalid: 422,
+    conflict: 409
+};
+
+// 只有刻意丟出的錯誤才有對應的狀態碼：HttpError、LibraryError，以及 express 的 body parser
+// 標記為可以給客戶端看的錯誤 (expose，例如 413 內容太大)。
+// 其他錯誤 (TypeError、RangeError...) 是程式的問題，一律 500，訊息也不外露。
+function statusForError(error) {
+    if (error instanceof HttpError) return error.status;
+    if (error instanceof LibraryError) return ERROR_STATUS_CODES[error.code] ?? 500;
+    if (error?.expose === true && Number.isInteger(error.status) && error.status >= 400 && error.status < 500) {
+        return error.status;
+    }
+    return 500;
+}
+
+// ----- 輸入驗證 -----
+// 每個欄位的驗證函式回傳錯誤訊息 (或 null)，全部收集後一次回報
+
+const rules = {
+    requiredString: value => (typeof value === "string" && value.trim() !== "" ? null : "must be a non-empty string"),
+    optionalString: value => (value === undefined || typeof value === "string" ? null : "must be a string"),
+    positiveInteger: value => (Number.isInteger(value) && value > 0 ? null : "must be a positive integer"),
+    optionalPositiveInteger: value => (value === undefined || value === null ? null : rules.positiveInteger(value)),
+    optionalBoolean: value => (value === undefined || typeof value === "boolean" ? null : "must be a boolean"),
+    optionalNonNegativeNumber: value =>
+        (value === undefined || value === null || (typeof value === "number" && value >= 0) ? null : "must be a non-negative number"),
+    optionalNonNegativeInteger: value =>
+        (value === undefined || (Number.isInteger(value) && value >= 0) ? null : "must be a non-negative integer"),
+    optionalDate: value =>
+        (value === undefined || value === null || !Number.isNaN(new Date(value).getTime()) ? null : "must be a valid date"),
+    // 參考文獻：自由文字或 { authors, title, year, isbn, doi, publisher }
+    citation: value =>
+        (typeof value === "string" && value.trim() !== "") ||
+        (value !== null && typeof value === "object" && !Array.isArray(value) &&
+            typeof value.title === "string" && value.title.trim() !== "" &&
+            (value.year === undefined || value.year === null || Number.isInteger(value.year)) &&
+            (value.authors === undefined || (Array.isArray(value.authors) && value.authors.every(a => typeof a === "string"))))
+            ? null : "must be a citation string or an object with title, authors, year",
+    optionalCitations: value =>
+        (value === undefined || (Array.isArray(value) && value.every(item => rules.citation(item) === null))
+            ? null : "must be an array of citations")
+};
+
+function validate(body, schema) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        throw new HttpError(422, "Request body must be a JSON object");
+    }
+    const details = Object.entries(schema)
+        .map(([field, rule]) => ({ field, message: rule(body[field]) }))
+        .filter(detail => detail.message !== null);
+    if (details.length > 0) {
+        throw new HttpError(422, "Validation failed", details);
+    }
+    return body;
+}
+
+// 路徑參數的 id 必須是正整數
+function parseId(value, name = "id") {
+    const id = Number(value);
+    if (!/^\d+$/.test(value) || !Number.isSafeInteger(id) || id <= 0) {
+        throw new HttpError(422, `Invalid ${name}: ${value}`);
+    }
+    return id;
+}
+
+// 查詢字串中的數量 (可以是 0)，例如標籤紙已經用掉的格數
+function parseCount(value, name) {
+    if (!/^\d+$/.test(value) || !Number.isSafeInteger(Number(value))) {
+        throw new HttpError(422, `${name} must be a non-negative integer`);
+    }
+    return Number(value);
+}
+
+// 查詢字串的分頁參數
+function parsePaging(query, defaultLimit = 20) {
+    const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        throw new HttpError(422, "limit must be an integer between 1 and 100");
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new HttpError(422, "offset must be a non-negative integer");
+    }
+    return { limit, offset };
+}
+
+function parseBoolean(value, name) {
+    if (value === undefined) return undefined;
+    if (value === "true") return true;
+    if (value === "false") return false;
+    throw new HttpError(422, `${name} must be "true" or "false"`);
+}
+
+function paginate(items, { limit, offset }) {
+    return { total: items.length, limit, offset, items: items.slice(offset, offset + limit) };
+}
+
+// ----- 回應格式 -----
+
+function presentBook(book) {
+    return {
+        ...book.getDetails(),
+        type: book.itemType,
+        copies: book.copies.map(copy => copy.toJSON())
+    };
+}
+
+function presentUser(user, now) {
+    return { ...user.getDetails(), membershipStatus: user.membershipStatus(now) };
+}
+
+function presentRecord(record, now) {
+    return record.getDetails(now);
+}
+
+// ----- 路由 -----
+
+// options:
+//   acquisitions  採購資料 (AcquisitionsDesk)；沒給時建立一個只存在記憶體中的 (會計年度為曆年)
+//                 要保存時傳入 AcquisitionsDesk.load(library, AcquisitionsDesk.pathFor(圖書館存檔))
+//   inventory     盤點作業 (InventoryDesk)；沒給時建立一個只存在記憶體中的，重新啟動後作業就不見了
+//                 要保存時傳入 InventoryDesk.load(library, InventoryDesk.pathFor(圖書館存檔))
+//   digitalLending  簽發電子書下載連結的 DigitalLending；沒給時借電子書不附連結，download-link 回 501
+//   logger        記錄 500 錯誤的 logger (只需要 error 方法)；預設為 console
+function createLibraryRouter(library, {
+    acquisitions = new AcquisitionsDesk(library),
+    inventory = new InventoryDesk(library),
+    digitalLending = null,
+    logger = console
+} = {}) {
+    const router = express.Router();
+    router.use(express.json());
+
+    const findOr404 = (entity, message) => {
+        if (!entity) throw new HttpError(404, message);
+        return entity;
+    };
+    const bookOr404 = id => findOr404(library.getBook(id), `Book with ID ${id} not found`);
+    const userOr404 = id => findOr404(library.getUser(id), `User with ID ${id} not found`);
+    const recordOr404 = id => findOr404(library.getRecord(id), `Borrow record with ID ${id} not found`);
+
+    const recommender = new RecommendationEngine(library);
+    const presentRecommendation = ({ book, ...recommendation }) => ({
+        ...recommendation,
+        book: { id: book.id, type: book.itemType, title: book.title, author: book.author, available: book.available }
+    });
+
+    // 稽核記錄的執行者取自 X-Actor 標頭 (例如 "desk:alice")，沒有時記為 "api"
+    const actorOf = req => req.get("X-Actor") || "api";
+    const asActor = (req, fn) => library.runAs(actorOf(req), fn);
+
+    // ----- 書目 -----
+
+    router.get("/books", (req, res) => {
+        const { type } = req.query;
+        const books = library.getAllBooks().filter(book => type === undefined || book.itemType === type);
+        res.json(paginate(books.map(presentBook), parsePaging(req.query)));
+    });
+
+    router.post("/books", (req, res) => {
+        const body = validate(req.body, {
+            title: rules.requiredString,
+            author: rules.requiredString,
+            isbn: rules.requiredString,
+            pages: rules.positiveInteger,
+            category: rules.optionalString,
+            academicField: rules.optionalString,
+            citations: rules.optionalCitations,
+            copies: rules.optionalNonNegativeInteger,
+            shelfLocation: rules.optionalString,
+            branch: rules.optionalString
+        });
+        if (!body.academicField && !body.category) {
+            throw new HttpError(422, "Validation failed", [{ field: "category", message: "must be a non-empty string" }]);
+        }
+
+        const options = { copies: body.copies ?? 1, shelfLocation: body.shelfLocation ?? "", branch: body.branch ?? null };
+        const book = asActor(req, () => (body.academicField
+            ? library.addAcademicBook(body.title, body.author, body.isbn, body.pages, body.academicField, body.citations ?? [], options)
+            : library.addBook(body.title, body.author, body.isbn, body.pages, body.category, options)));
+        res.status(201).location(`${req.baseUrl}/books/${book.id}`).json(presentBook(book));
+    });
+
+    // type 以外的欄位依館藏類型而定，例如 { type: "DVD", title, director, runtimeMinutes }
+    router.post("/items", (req, res) => {
+        const { type, copies, shelfLocation, branch, ...fields } = validate(req.body, {
+            type: rules.requiredString,
+            copies: rules.optionalNonNegativeInteger,
+            shelfLocation: rules.optionalString,
+            branch: rules.optionalString
+        });
+        const options = { copies: copies ?? null, shelfLocation: shelfLocation ?? "", branch: branch ?? null };
+        const item = asActor(req, () => library.addItem(type, fields, options));
+        res.status(201).location(`${req.baseUrl}/books/${item.id}`).json(presentBook(item));
+    });
+
+    router.get("/books/:id", (req, res) => {
+        res.json(presentBook(bookOr404(parseId(req.params.id))));
+    });
+
+    router.delete("/books/:id", (req, res) => {
+        const id = parseId(req.params.id);
+        bookOr404(id);
+        asActor(req, () => library.removeBook(id));
+        res.status(204).end();
+    });
+
+    router.put("/books/:id/licenses", (req, res) => {
+        const id = parseId(req.params.id);
+        bookOr404(id);
+        const body = validate(req.body, { licenses: rules.positiveInteger });
+        res.json(presentBook(asActor(req, () => library.setLicenses(id, body.licenses))));
+    });
+
+    router.get("/books/:id/citations", (req, res) => {
+        const book = bookOr404(parseId(req.params.id));
+        const style = req.query.style ?? "apa";
+        if (!CITATION_STYLES.includes(style)) {
+            throw new HttpError(422, `style must be one of ${CITATION_STYLES.join(", ")}`);
+        }
+        res.json({
+            style,
+            items: (book.citations ?? []).map(citation => ({
+                ...citation.toJSON(),
+                formatted: formatCitation(citation, style),
+                bookId: library.resolveCitation(citation)?.id ?? null
+            }))
+        });
+    });
+
+    router.post("/books/:id/citations", (req, res) => {
+        const id = parseId(req.params.id);
+        bookOr404(id);
+        const { citation } = validate(req.body, { citation: rules.citation });
+        const added = asActor(req, () => library.addCitation(id, citation));
+        res.status(201).json({ ...added.toJSON(), bookId: library.resolveCitation(added)?.id ?? null });
+    });
+
+    router.get("/books/:id/similar", (req, res) => {
+        const id = parseId(req.params.id);
+        bookOr404(id);
+        const { limit } = parsePaging(req.query, 5);
+        res.json({ bookId: id, items: recommender.similarItems(id, { limit }).map(presentRecommendation) });
+    });
+
+    router.get("/books/:id/spine-labels.svg", (req, res) => {
+        const id = parseId(req.params.id);
+        bookOr404(id);
+        const skip = req.query.skip === undefined ? 0 : parseCount(req.query.skip, "skip");
+        const page = req.query.page === undefined ? 1 : parseId(req.query.page, "page");
+        const pages = spineLabelSheets(library, { bookIds: [id], sheet: req.query.sheet ?? "avery-5160", skip });
+        const svg = findOr404(pages[page - 1], `Page ${page} of spine labels for book ${id} not found`);
+        res.type("image/svg+xml").send(svg);
+    });
+
+    // ----- 使用者 -----
+
+    router.get("/users", (req, res) => {
+        // 櫃台掃描會員證時只回傳那一位 (找不到時 items 是空的)
+        const users = req.query.card === undefined
+            ? library.getAllUsers()
+            : [library.findUserByCardNumber(req.query.card)].filter(Boolean);
+        res.json(paginate(users.map(user => presentUser(user, library.now())), parsePaging(req.query)));
+    });
+
+    router.post("/users", (req, res) => {
+        const body = validate(req.body, {
+            name: rules.requiredString,
+            email: rules.requiredString,
+            membershipType: rules.optionalString,
+            startDate: rules.optionalDate
+        });
+        const user = asActor(req, () => library.addUser(body.name, body.email, body.membershipType ?? "Regular", {
+            startDate: body.startDate ?? null
+        }));
+        res.status(201).location(`${req.baseUrl}/users/${user.id}`).json(presentUser(user, library.now()));
+    });
+
+    router.get("/users/:id", (req, res) => {
+        res.json(presentUser(userOr404(parseId(req.params.id)), library.now()));
+    });
+
+    router.delete("/users/:id", (req, res) => {
+        const id = parseId(req.params.id);
+        userOr404(id);
+        asActor(req, () => library.removeUser(id));
+        res.status(204).end();
+    });
+
+    router.get("/users/:id/recommendations", (req, res) => {
+        const user = userOr404(parseId(req.params.id));
+        const { limit } = parsePaging(req.query, 10);
+        res.json({
+            userId: user.id,
+            optedOut: user.recommendationsOptOut,
+            items: recommender.recommendForUser(user.id, { limit }).map(presentRecommendation)
+        });
+    });
+
+    router.put("/users/:id/recommendations", (req, res) => {
+        const id = parseId(req.params.id);
+        userOr404(id);
+        const body = validate(req.body, {
+            optOut: value => (typeof value === "boolean" ? null : "must be a boolean")
+        });
+        const user = asActor(req, () => library.setRecommendationsOptOut(id, body.optOut));
+        res.json(presentUser(user, library.now()));
+    });
+
+    router.get("/users/:id/history", (req, res) => {
+        const { user, records } = library.getUserBorrowHistory(parseId(req.params.id));
+        res.json({
+            user: presentUser(user, library.now()),
+            records: records.map(({ record, book }) => ({
+                ...presentRecord(record, library.now()),
+                // 書目可能已被刪除
+                book: book ? { id: book.id, title: book.title, author: book.author } : null
+            }))
+        });
+    });
+
+    router.get("/users/:id/card.svg", (req, res) => {
+        const user = userOr404(parseId(req.params.id));
+        res.type("image/svg+xml").send(membershipCardSvg(user, { title: req.query.title ?? "Library Card" }));
+    });
+
+    // ----- 會籍 -----
+
+    router.get("/membership-tiers", (req, res) => {
+        res.json(library.getMembershipTiers());
+    });
+
+    router.post("/users/:id/membership/renew", (req, res) => {
+        const id = parseId(req.params.id);
+        userOr404(id);
+        const body = validate(req.body ?? {}, { termMonths: rules.optionalPositiveInteger });
+        const user = asActor(req, () => library.renewMembership(id, { termMonths: body.termMonths ?? null }));
+        res.json(presentUser(user, library.now()));
+    });
+
+    router.put("/users/:id/membership/tier", (req, res) => {
+        const id = parseId(req.params.id);
+        userOr404(id);
+        const body = validate(req.body, { membershipType: rules.requiredString });
+        const user = asActor(req, () => library.changeMembershipTier(id, body.membershipType));
+        res.json(presentUser(user, library.now()));
+    });
+
+    router.post("/users/:id/membership/suspend", (req, res) => {
+        const id = parseId(req.params.id);
+        userOr404(id);
+        const body = validate(req.body, { reason: rules.requiredString, until: rules.optionalDate });
+        const user = asActor(req, () => library.suspendMembership(id, body.reason, { until: body.until ?? null }));
+        res.json(presentUser(user, library.now()));
+    });
+
+    router.post("/users/:id/membership/reinstate", (req, res) => {
+        const id = parseId(req.params.id);
+        userOr404(id);
+        const user = asActor(req, () => library.reinstateMembership(id));
+        res.json(presentUser(user, library.now()));
+    });
+
+    // ----- 分館與調撥 -----
+
+    const copyOr404 = id => findOr404(library.getCopy(id), `Copy with ID ${id} not found`);
+
+    router.get("/branches", (req, res) => {
+        res.json(library.getBranches());
+    });
+
+    router.post("/branches", (req, res) => {
+        const body = validate(req.body, {
+            code: rules.requiredString,
+            name: rules.requiredString,
+            address: rules.optionalString
+        });
+        const branch = asActor(req, () => library.addBranch(body.code, { name: body.name, address: body.address ?? "" }));
+        res.status(201).json(branch);
+    });
+
+    // ----- 開館時間與休館日 -----
+
+    router.get("/calendar", (req, res) => {
+        res.json({
+            weeklyHours: library.getOpeningHours(),
+            closures: library.getClosures({ from: req.query.from ?? null, to: req.query.to ?? null })
+        });
+    });
+
+    router.get("/calendar/days/:date", (req, res) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.date)) {
+            throw new HttpError(422, `Invalid date: ${req.params.date} (expected YYYY-MM-DD)`);
+        }
+        res.json(library.getCalendarDay(req.params.date));
+    });
+
+    // 只改有寫到的那幾天，例如 { "saturday": "10:00-17:00", "sunday": null }
+    router.put("/calendar/hours", (req, res) => {
+        if (req.body === null || typeof req.body !== "object" || Array.isArray(req.body)) {
+            throw new HttpError(422, "Opening hours must be an object of weekday => \"HH:MM-HH:MM\" or null");
+        }
+        res.json(asActor(req, () => library.setOpeningHours(req.body)));
+    });
+
+    router.post("/calendar/closures", (req, res) => {
+        const body = validate(req.body, {
+            from: rules.requiredString,
+            to: rules.optionalString,
+            reason: rules.optionalString
+        });
+        const closure = asActor(req, () => library.addClosure({ from: body.from, to: body.to ?? body.from, reason: body.reason ?? "" }));
+        res.status(201).json(closure);
+    });
+
+    // 請求本文是 .ics 檔，例如 curl --data-binary @holidays.ics -H "Content-Type: text/calendar"
+    router.post("/calendar/closures/import", express.text({ type: "text/calendar", limit: "1mb" }), (req, res) => {
+        if (typeof req.body !== "string") {
+            throw new HttpError(415, "Expected an iCalendar body (Content-Type: text/calendar)");
+        }
+        res.json(asActor(req, () => library.importClosures(req.body)));
+    });
+
+    router.delete("/calendar/closures/:id", (req, res) => {
+        const id = parseId(req.params.id);
+        asActor(req, () => library.removeClosure(id));
+        res.status(204).end();
+    });
+
+    router.get("/copies/:id/barcode.svg", (req, res) => {
+        const copy = copyOr404(parseId(req.params.id));
+        res.type("image/svg+xml").send(code128Svg(copy.barcode));
+    });
+
+    router.post("/copies/:id/transfer", (req, res) => {
+        const id = parseId(req.params.id);
+        copyOr404(id);
+        const body = validate(req.body, { toBranch: rules.requiredString, permanent: rules.optionalBoolean });
+        const copy = asActor(req, () => library.transferCopy(id, body.toBranch, { permanent: body.permanent ?? false }));
+        res.json(copy.toJSON());
+    });
+
+    router.post("/copies/:id/receive", (req, res) => {
+        const id = parseId(req.params.id);
+        copyOr404(id);
+        const body = validate(req.body ?? {}, { branch: rules.optionalString });
+        const { copy, hold } = asActor(req, () => library.receiveCopy(id, { branch: body.branch ?? null }));
+        // 收到的書若保留給預約者 (或繼續送往取書分館)，一併告知
+        res.json({ copy: copy.toJSON(), hold: hold ? hold.toJSON() : null });
+    });
+
+    // ----- 借閱 -----
+
+    router.get("/loans", (req, res) => {
+        const userId = req.query.userId === undefined ? undefined : parseId(req.query.userId, "userId");
+        const { status, branch } = req.query;
+        const records = library.getAllRecords()
+            .filter(record => userId === undefined || record.userId === userId)
+            .filter(record => status === undefined || record.status === status)
+            .filter(record => branch === undefined || record.branch === branch);
+        res.json(paginate(records.map(record => presentRecord(record, library.now())), parsePaging(req.query)));
+    });
+
+    router.post("/loans", (req, res) => {
+        const body = validate(req.body, {
+            userId: rules.positiveInteger,
+            bookId: rules.positiveInteger,
+            days: rules.optionalPositiveInteger,
+            borrowedAt: rules.optionalDate,
+            branch: rules.optionalString,
+            deposit: rules.optionalNonNegativeNumber
+        });
+        const borrowedAt = body.borrowedAt ? new Date(body.borrowedAt) : null;
+        const record = asActor(req, () => library.borrowBook(body.userId, body.bookId, body.days ?? null, {
+            borrowedAt, branch: body.branch ?? null, deposit: body.deposit ?? 0
+        }));
+        // 電子書直接附上下載連結 (還沒上傳檔案的就等之後再索取)
+        const download = digitalLending && library.getBook(record.bookId)?.file ? digitalLending.issueLink(record.id) : null;
+        res.status(201).location(`${req.baseUrl}/loans/${record.id}`).json({
+            ...presentRecord(record, library.now()),
+            ...(download ? { download } : {})
+        });
+    });
+
+    router.get("/loans/:id", (req, res) => {
+        res.json(presentRecord(recordOr404(parseId(req.params.id)), library.now()));
+    });
+
+    router.get("/loans/:id/download-link", (req, res) => {
+        const record = recordOr404(parseId(req.params.id));
+        if (!digitalLending) throw new HttpError(501, "Digital lending is not configured");
+        res.json(digitalLending.issueLink(record.id));
+    });
+
+    router.post("/loans/:id/return", (req, res) => {
+        const body = validate(req.body ?? {}, { returnedAt: rules.optionalDate, branch: rules.optionalString });
+        const record = recordOr404(parseId(req.params.id));
+        if (record.isClosed) {
+            throw new HttpError(409, `Borrow record ${record.id} is already ${record.status}`);
+        }
+
+        const returnedAt = body.returnedAt ? new Date(body.returnedAt) : null;
+        const result = asActor(req, () => library.returnBook(record.bookId, record.userId, {
+            returnedAt, branch: body.branch ?? null
+        }));
+        res.json({
+            record: presentRecord(result.record, library.now()),
+            fine: result.fine,
+            fineBalance: result.user.fineBalance,
+            // 還回的複本若保留給預約者 (或送往預約者的取書分館)，一併告知
+            hold: result.hold ? result.hold.toJSON() : null,
+            copy: library.getCopy(result.record.copyId)?.toJSON() ?? null
+        });
+    });
+
+    router.post("/loans/:id/renew", (req, res) => {
+        const id = parseId(req.params.id);
+        recordOr404(id);
+        res.json(presentRecord(asActor(req, () => library.renewLoan(id)), library.now()));
+    });
+
+    router.post("/loans/:id/lost", (req, res) => {
+        const id = parseId(req.params.id);
+        recordOr404(id);
+        const body = validate(req.body ?? {}, { replacementCost: rules.optionalNonNegativeNumber, reason: rules.optionalString });
+        const record = asActor(req, () => library.markLoanLost(id, {
+            replacementCost: body.replacementCost ?? null,
+            ...(body.reason ? { reason: body.reason } : {})
+        }));
+        res.json(presentRecord(record, library.now()));
+    });
+
+    router.post("/loans/:id/claim-returned", (req, res) => {
+        const id = parseId(req.params.id);
+        recordOr404(id);
+        const body = validate(req.body ?? {}, { reason: rules.optionalString });
+        const record = asActor(req, () => library.claimLoanReturned(id, body.reason ? { reason: body.reason } : {}));
+        res.json(presentRecord(record, library.now()));
+    });
+
+    router.post("/loans/:id/write-off", (req, res) => {
+        const id = parseId(req.params.id);
+        recordOr404(id);
+        const body = validate(req.body, { reason: rules.requiredString });
+        res.json(presentRecord(asActor(req, () => library.writeOffLoan(id, body.reason)), library.now()));
+    });
+
+    // ----- 盤點 -----
+    // 找不到的作業 ID 一律回 404。沒有存檔的 InventoryDesk 重新啟動後作業全部消失、ID 從 1 重新編號，
+    // 舊的 ID 可能對到新開的作業，所以盤點要跨過重新啟動時一定要用 InventoryDesk.load
+
+    const sessionOr404 = id => findOr404(inventory.getSession(id), `Inventory session with ID ${id} not found`);
+    const presentSession = (id, session) => ({
+        id,
+        label: session.label,
+        branch: session.branch,
+        shelfRange: session.shelfRange,
+        status: session.status,
+        openedAt: session.openedAt,
+        closedAt: session.closedAt,
+        scanned: session.scanCount
+    });
+
+    router.post("/inventory", (req, res) => {
+        const body = validate(req.body, {
+            branch: rules.optionalString,
+            shelfFrom: rules.optionalString,
+            shelfTo: rules.optionalString,
+            label: rules.optionalString
+        });
+        if ((body.shelfFrom === undefined) !== (body.shelfTo === undefined)) {
+            throw new HttpError(422, "shelfFrom and shelfTo must be given together");
+        }
+        const id = inventory.open({
+            branch: body.branch ?? null,
+            shelfRange: body.shelfFrom === undefined ? null : { from: body.shelfFrom, to: body.shelfTo },
+            label: body.label ?? null
+        });
+        const session = inventory.getSession(id);
+        res.status(201).location(`${req.baseUrl}/inventory/${id}`).json(presentSession(id, session));
+    });
+
+    router.get("/inventory/:id", (req, res) => {
+        const id = parseId(req.params.id);
+        const session = sessionOr404(id);
+        res.json({ ...presentSession(id, session), report: session.report ?? session.preview() });
+    });
+
+    router.post("/inventory/:id/scans", (req, res) => {
+        const id = parseId(req.params.id);
+        const session = sessionOr404(id);
+        const { codes } = validate(req.body, {
+            codes: value => (Array.isArray(value) && value.length > 0 &&
+                value.every(code => (typeof code === "string" && code.trim() !== "") || Number.isInteger(code))
+                ? null : "must be a non-empty array of barcodes or copy IDs")
+        });
+        const copies = inventory.scanAll(id, codes);
+        res.json({
+            ...presentSession(id, session),
+            unknown: codes.filter((code, i) => copies[i] === undefined)
+        });
+    });
+
+    router.post("/inventory/:id/close", (req, res) => {
+        const id = parseId(req.params.id);
+        const session = sessionOr404(id);
+        const report = inventory.close(id);
+        res.json({ ...presentSession(id, session), report });
+    });
+
+    router.post("/inventory/:id/mark-missing-lost", (req, res) => {
+        const id = parseId(req.params.id);
+        sessionOr404(id);
+        res.json(asActor(req, () => inventory.markMissingAsLost(id)));
+    });
+
+    // ----- 採購 -----
+
+    const suggestionOr404 = id => findOr404(acquisitions.getSuggestion(id), `Suggestion with ID ${id} not found`);
+    const orderOr404 = id => findOr404(acquisitions.getOrder(id), `Order with ID ${id} not found`);
+    const itemFieldRules = {
+        type: rules.optionalString,
+        title: rules.requiredString,
+        author: rules.optionalString,
+        isbn: rules.optionalString,
+        category: rules.optionalString,
+        academicField: rules.optionalString,
+        pages: rules.optionalPositiveInteger
+    };
+
+    router.get("/acquisitions/suggestions", (req, res) => {
+        const suggestions = acquisitions.getSuggestions({ status: req.query.status ?? null });
+        res.json(paginate(suggestions, parsePaging(req.query)));
+    });
+
+    router.post("/acquisitions/suggestions", (req, res) => {
+        const body = validate(req.body, {
+            userId: rules.positiveInteger,
+            ...itemFieldRules,
+            estimatedCost: rules.optionalNonNegativeNumber,
+            note: rules.optionalString
+        });
+        const before = acquisitions.getSuggestions().length;
+        const suggestion = asActor(req, () => acquisitions.suggest(body));
+        // 已經有人薦購過同一本時只是多一位薦購人
+        const created = acquisitions.getSuggestions().length > before;
+        res.status(created ? 201 : 200).location(`${req.baseUrl}/acquisitions/suggestions/${suggestion.id}`).json(suggestion);
+    });
+
+    router.get("/acquisitions/suggestions/:id", (req, res) => {
+        res.json(suggestionOr404(parseId(req.params.id)));
+    });
+
+    router.post("/acquisitions/suggestions/:id/approve", (req, res) => {
+        const id = parseId(req.params.id);
+        suggestionOr404(id);
+        const { unitCost, quantity, vendor } = validate(req.body ?? {}, {
+            unitCost: rules.optionalNonNegativeNumber,
+            quantity: rules.optionalPositiveInteger,
+            vendor: rules.optionalString
+        });
+        const order = asActor(req, () => acquisitions.approve(id, {
+            unitCost: unitCost ?? null, quantity: quantity ?? 1, vendor: vendor ?? null, approvedBy: actorOf(req)
+        }));
+        res.status(201).location(`${req.baseUrl}/acquisitions/orders/${order.id}`).json(order);
+    });
+
+    router.post("/acquisitions/suggestions/:id/reject", (req, res) => {
+        const id = parseId(req.params.id);
+        suggestionOr404(id);
+        const { reason } = validate(req.body, { reason: rules.requiredString });
+        res.json(asActor(req, () => acquisitions.reject(id, reason, { rejectedBy: actorOf(req) })));
+    });
+
+    router.get("/acquisitions/orders", (req, res) => {
+        const fiscalYear = req.query.fiscalYear === undefined ? null : parseId(req.query.fiscalYear, "fiscalYear");
+        const orders = acquisitions.getOrders({ status: req.query.status ?? null, fiscalYear });
+        res.json(paginate(orders, parsePaging(req.query)));
+    });
+
+    router.post("/acquisitions/orders", (req, res) => {
+        const body = validate(req.body, {
+            ...itemFieldRules,
+            unitCost: value => (typeof value === "number" && value > 0 ? null : "must be a positive number"),
+            quantity: rules.optionalPositiveInteger,
+            vendor: rules.optionalString
+        });
+        const order = asActor(req, () => acquisitions.placeOrder({ ...body, orderedBy: actorOf(req) }));
+        res.status(201).location(`${req.baseUrl}/acquisitions/orders/${order.id}`).json(order);
+    });
+
+    router.get("/acquisitions/orders/:id", (req, res) => {
+        res.json(orderOr404(parseId(req.params.id)));
+    });
+
+    router.post("/acquisitions/orders/:id/receive", (req, res) => {
+        const id = parseId(req.params.id);
+        orderOr404(id);
+        const { invoiceTotal, pages } = validate(req.body ?? {}, {
+            invoiceTotal: rules.optionalNonNegativeNumber,
+            pages: rules.optionalPositiveInteger
+        });
+        const order = asActor(req, () => acquisitions.receive(id, { invoiceTotal: invoiceTotal ?? null, pages: pages ?? null }));
+        res.json({ ...order, book: presentBook(library.getBook(order.bookId)) });
+    });
+
+    router.post("/acquisitions/orders/:id/catalog", (req, res) => {
+        const id = parseId(req.params.id);
+        orderOr404(id);
+        const { shelfLocation, branch } = validate(req.body ?? {}, {
+            shelfLocation: rules.optionalString,
+            branch: rules.optionalString
+        });
+        asActor(req, () => acquisitions.catalog(id, { shelfLocation: shelfLocation ?? "", branch: branch ?? null }));
+        const order = acquisitions.getOrder(id);
+        res.json({ ...order, book: presentBook(library.getBook(order.bookId)) });
+    });
+
+    router.post("/acquisitions/orders/:id/cancel", (req, res) => {
+        const id = parseId(req.params.id);
+        orderOr404(id);
+        const { reason } = validate(req.body ?? {}, { reason: rules.optionalString });
+        res.json(asActor(req, () => acquisitions.cancel(id, reason ?? "")));
+    });
+
+    router.get("/acquisitions/budgets/:fiscalYear", (req, res) => {
+        const fiscalYear = parseId(req.params.fiscalYear, "fiscalYear");
+        res.json({ fiscalYear, ...acquisitions.fiscalYearRange(fiscalYear), budgets: acquisitions.getBudgets(fiscalYear) });
+    });
+
+    router.put("/acquisitions/budgets/:fiscalYear/:category", (req, res) => {
+        const fiscalYear = parseId(req.params.fiscalYear, "fiscalYear");
+        const { amount } = validate(req.body, {
+            amount: value => (typeof value === "number" && value >= 0 ? null : "must be a non-negative number")
+        });
+        res.json(asActor(req, () => acquisitions.setBudget(fiscalYear, req.params.category, amount)));
+    });
+
+    router.get("/acquisitions/reports/:fiscalYear", (req, res) => {
+        res.json(acquisitions.spendReport(parseId(req.params.fiscalYear, "fiscalYear")));
+    });
+
+    // ----- 檢索與統計 -----
+
+    router.get("/search", (req, res) => {
+        const query = req.query.q;
+        if (typeof query !== "string") {
+            throw new HttpError(422, "Query parameter q is required");
+        }
+        const filters = {
+            category: req.query.category,
+            author: req.query.author,
+            available: parseBoolean(req.query.available, "available"),
+            type: req.query.type
+        };
+        const { total, results, facets } = library.searchCatalog(query, { ...parsePaging(req.query), filters });
+        res.json({
+            query,
+            total,
+            results: results.map(({ book, score }) => ({ ...presentBook(book), score: Number.isFinite(score) ? score : null })),
+            facets
+        });
+    });
+
+    router.get("/stats", (req, res) => {
+        res.json(library.getStatistics({ branch: req.query.branch ?? null }));
+    });
+
+    // ----- 稽核記錄與復原 -----
+
+    router.get("/audit", (req, res) => {
+        const { actor, op } = req.query;
+        const commands = library.getAuditLog({ actor, op }).reverse(); // 最新的在前面
+        res.json(paginate(commands, parsePaging(req.query)));
+    });
+
+    router.get("/audit/:id", (req, res) => {
+        const id = parseId(req.params.id);
+        res.json(findOr404(library.getCommand(id), `Command with ID ${id} not found`));
+    });
+
+    router.post("/audit/:id/undo", (req, res) => {
+        res.json(asActor(req, () => library.undo(parseId(req.params.id))));
+    });
+
+    // ----- 錯誤處理 -----
+
+    router.use((req, res) => {
+        res.status(404).json({ error: `Route ${req.method} ${req.baseUrl}${req.path} not found` });
+    });
+
+    // Express 5 會把同步與 async 處理函式丟出的錯誤都交給這裡
+    router.use((error, req, res, next) => {
+        // express.json() 解析失敗
+        if (error.type === "entity.parse.failed") {
+            return res.status(400).json({ error: "Malformed JSON body" });
+        }
+
+        const status = statusForError(error);
+        if (status === 500) {
+            logger.error(error);
+            return res.status(500).json({ error: "Internal server error" });
+        }
+        res.status(status).json({ error: error.message, ...(error.details ? { details: error.details } : {}) });
+    });
+
+    return router;
+}
+
+// ===== 示範：node rest-api.js 啟動伺服器 =====
+if (require.main === module) {
+    const crypto = require('crypto');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { Library } = require('../object-modeling');
+    const { DigitalLending } = require('./digital-lending');
+
+    // 設定 LIBRARY_FILE 時從存檔載入 (採購與盤點資料放在旁邊的 .acquisitions.json、.inventory.json)，
+    // 否則只存在記憶體中
+    const libraryFile = process.env.LIBRARY_FILE;
+    const library = libraryFile ? Library.load(libraryFile) : new Library();
+    const acquisitions = libraryFile
+        ? AcquisitionsDesk.load(library, AcquisitionsDesk.pathFor(libraryFile))
+        : new AcquisitionsDesk(library);
+    const inventory = libraryFile
+        ? InventoryDesk.load(library, InventoryDesk.pathFor(libraryFile))
+        : new InventoryDesk(library);
+    if (library.getAllBooks().length === 0) {
+        library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", 180, "Fiction", { copies: 2 });
+        library.addBook("演算法導論", "Thomas H. Cormen", "9787111407010", 780, "Computer Science");
+        library.addUser("John Smith", "john@example.com", "Regular");
+    }
+
+    // 電子書檔案放在暫存目錄；正式環境的 secret 要固定下來，否則重新啟動後舊連結全部失效
+    const PORT = process.env.PORT || 3000;
+    const contentDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "ebooks-"));
+    fs.writeFileSync(path.join(contentDirectory, "sicp.pdf"), "%PDF-1.4\n% demo file\n");
+    if (!library.findBookByIsbn("9780262510875")) {
+        library.addItem("EBook", {
+            title: "Structure and Interpretation of Computer Programs", author: "Harold Abelson",
+            isbn: "9780262510875", format: "PDF", licenses: 2, file: "sicp.pdf"
+        });
+    }
+    const digitalLending = new DigitalLending(library, {
+        secret: process.env.DOWNLOAD_SECRET || crypto.randomBytes(32),
+        baseUrl: `http://localhost:${PORT}/downloads`,
+        contentDirectory
+    });
+
+    const app = express();
+    app.use("/api", createLibraryRouter(library, { acquisitions, inventory, digitalLending }));
+    app.use("/downloads", digitalLending.handler());
+
+    app.listen(PORT, () => {
+        console.log(`圖書館 API 運行在 http://localhost:${PORT}/api`);
+        console.log(`- curl http://localhost:${PORT}/api/books`);
+        console.log(`- curl "http://localhost:${PORT}/api/search?q=gatsby"`);
+        console.log(`- curl -X POST http://localhost:${PORT}/api/loans -H "Content-Type: application/json" -d '{"userId":1,"bookId":1}'`);
+        console.log(`- curl -X POST http://localhost:${PORT}/api/loans -H "Content-Type: application/json" -d '{"userId":1,"bookId":3}'  (回應的 download.url 可以下載電子書)`);
+    });
+}
+
+module.exports = {
+    createLibraryRouter,
+    HttpError,
+    statusForError
+};
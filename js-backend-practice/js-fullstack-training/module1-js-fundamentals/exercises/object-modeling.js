@@ -7,6 +7,51 @@
 // 2. 實現繼承
 // 3. 實現封裝（使用 private 字段）
 // 4. 展示 JavaScript 的物件導向特性
+// 5. 支援存檔與載入 (JSON 快照 + 變更日誌)
+
+// Python: import json, os, tempfile
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { CatalogSearchIndex } = require('./library/catalog-search');
+const { normalizeIsbn, isbn13To10 } = require('./library/isbn');
+const { OpeningCalendar } = require('./library/opening-calendar');
+const { NotFoundError, ValidationError, ConflictError } = require('./library/errors');
+
+// ----- 時鐘 -----
+// Library 透過時鐘取得「現在」，匯入歷史資料或模擬時可以換成 SimulatedClock
+// Python 等價物：把 datetime.now 當成可注入的依賴 (類似 freezegun)
+const SYSTEM_CLOCK = {
+    now: () => new Date()
+};
+
+class SimulatedClock {
+    #current;
+    
+    constructor(start = new Date()) {
+        this.#current = new Date(start);
+    }
+    
+    now() {
+        return new Date(this.#current);
+    }
+    
+    set(date) {
+        this.#current = new Date(date);
+    }
+    
+    advanceDays(days = 1) {
+        this.#current.setDate(this.#current.getDate() + days);
+        return this.now();
+    }
+    
+    advanceHours(hours = 1) {
+        this.#current.setTime(this.#current.getTime() + hours * 60 * 60 * 1000);
+        return this.now();
+    }
+}
 
 // ----- 基底項目類別 -----
 // 所有圖書館項目的基類
@@ -37,9 +82,241 @@ class LibraryItem {
     toString() {
         return `LibraryItem ${this.#id}`;
     }
+    
+    // ----- 序列化 -----
+    // Python 等價物：def to_dict(self) / @classmethod from_dict(cls, data)
+    // 私有字段無法從類別外部讀寫，所以每個子類都要自己負責序列化
+    toJSON() {
+        return {
+            id: this.#id,
+            createDate: this.#createDate.toISOString()
+        };
+    }
+    
+    // 將快照中的可變狀態寫回實例 (僅供反序列化使用)
+    restoreState(state) {
+        this.#createDate = new Date(state.createDate);
+        return this;
+    }
+}
+
+// ----- 分館 -----
+// 一個 Library 可以有多個分館 (校區)，以代碼識別，例如 "MAIN"、"NORTH"。
+// 第一個登記的分館是預設分館：沒有指定分館的操作 (以及舊資料) 都算在它身上。
+// Python 等價物：dict[str, Branch]，Branch 是 @dataclass(frozen=True)
+const DEFAULT_BRANCH_CODE = "MAIN";
+const DEFAULT_BRANCHES = {
+    [DEFAULT_BRANCH_CODE]: { name: "Main Library", address: "" }
+};
+
+class BranchDirectory {
+    #branches; // Map of code => { name, address }
+    
+    constructor(branches = DEFAULT_BRANCHES) {
+        this.#branches = new Map();
+        Object.entries(branches).forEach(([code, branch]) => this.defineBranch(code, branch));
+    }
+    
+    get codes() {
+        return Array.from(this.#branches.keys());
+    }
+    
+    get defaultCode() {
+        return this.codes[0] ?? null;
+    }
+    
+    has(code) {
+        return this.#branches.has(code);
+    }
+    
+    // 新增分館或修改名稱與地址
+    defineBranch(code, { name = code, address = "" } = {}) {
+        if (typeof code !== "string" || !/^[A-Z0-9_-]+$/.test(code)) {
+            throw new ValidationError(`Invalid branch code: ${code} (use upper-case letters, digits, "-" or "_")`);
+        }
+        if (typeof name !== "string" || name.trim() === "") {
+            throw new ValidationError(`Invalid name for branch "${code}": ${name}`);
+        }
+        this.#branches.set(code, { name: name.trim(), address: String(address ?? "") });
+    }
+    
+    removeBranch(code) {
+        return this.#branches.delete(code);
+    }
+    
+    // 取得分館資料，不存在時丟出錯誤
+    get(code) {
+        const branch = this.#branches.get(code);
+        if (!branch) {
+            throw new ValidationError(`Unknown branch "${code}". Expected one of: ${this.codes.join(", ")}`);
+        }
+        return { code, ...branch };
+    }
+    
+    toJSON() {
+        return Object.fromEntries(Array.from(this.#branches, ([code, branch]) => [code, { ...branch }]));
+    }
+    
+    // 原地換成另一份設定 (復原與重播日誌用)
+    restoreState(state) {
+        this.#branches = BranchDirectory.fromJSON(state).#branches;
+        return this;
+    }
+    
+    static fromJSON(state) {
+        return new BranchDirectory(state);
+    }
+}
+
+// ----- 館藏複本類別 -----
+// 一筆書目 (Book) 可以有多本實體複本，每本複本有自己的條碼、架位與狀態
+// 每本複本屬於一個館藏分館 (homeBranch)，目前所在的分館 (location) 可能不同，例如在別館還書
+const COPY_STATUSES = [
+    "available", // 在架上可借
+    "on_loan",   // 借出中
+    "reserved",  // 保留給預約者，等待取書
+    "in_transit", // 在分館之間運送中
+    "lost",      // 遺失
+    "damaged",   // 損壞
+    "in_repair", // 修復中
+    "withdrawn"  // 已註銷
+];
+
+class Copy extends LibraryItem {
+    #bookId;
+    #barcode;
+    #shelfLocation;
+    #condition; // 例如 "new", "good", "fair", "poor"
+    #status;
+    #homeBranch; // 館藏分館 (還書後送回這裡)
+    #location;   // 目前所在的分館；運送中時是出發的分館
+    #transitTo;  // 運送目的地 (in_transit 時才有)
+    
+    constructor(id, bookId, barcode, {
+        shelfLocation = "",
+        condition = "good",
+        homeBranch = DEFAULT_BRANCH_CODE,
+        location = homeBranch
+    } = {}) {
+        super(id);
+        this.#bookId = bookId;
+        this.#barcode = barcode;
+        this.#shelfLocation = shelfLocation;
+        this.#condition = condition;
+        this.#status = "available";
+        this.#homeBranch = homeBranch;
+        this.#location = location;
+        this.#transitTo = null;
+    }
+    
+    // Getters
+    get bookId() { return this.#bookId; }
+    get barcode() { return this.#barcode; }
+    get shelfLocation() { return this.#shelfLocation; }
+    get condition() { return this.#condition; }
+    get status() { return this.#status; }
+    get homeBranch() { return this.#homeBranch; }
+    get location() { return this.#location; }
+    get transitTo() { return this.#transitTo; }
+    get isAvailable() { return this.#status === "available"; }
+    
+    // 在某分館的架上可借
+    isAvailableAt(branch) {
+        return this.isAvailable && this.#location === branch;
+    }
+    
+    // 是否算在館藏數量內 (遺失與註銷的不算)
+    get isHolding() {
+        return this.#status !== "lost" && this.#status !== "withdrawn";
+    }
+    
+    setStatus(status) {
+        if (!COPY_STATUSES.includes(status)) {
+            throw new ValidationError(`Invalid copy status "${status}". Expected one of: ${COPY_STATUSES.join(", ")}`);
+        }
+        this.#status = status;
+    }
+    
+    setCondition(condition) {
+        this.#condition = condition;
+    }
+    
+    setShelfLocation(shelfLocation) {
+        this.#shelfLocation = shelfLocation;
+    }
+    
+    setHomeBranch(branch) {
+        this.#homeBranch = branch;
+    }
+    
+    // 書被帶到某分館 (例如在別館還書)
+    setLocation(branch) {
+        this.#location = branch;
+    }
+    
+    // 送往另一個分館
+    startTransit(toBranch) {
+        this.#status = "in_transit";
+        this.#transitTo = toBranch;
+    }
+    
+    // 在 branch 收到運送中的書；狀態由呼叫者決定 (上架或保留給預約者)
+    completeTransit(branch) {
+        this.#location = branch;
+        this.#transitTo = null;
+    }
+    
+    getDetails() {
+        return {
+            id: this.id,
+            bookId: this.#bookId,
+            barcode: this.#barcode,
+            shelfLocation: this.#shelfLocation,
+            condition: this.#condition,
+            status: this.#status,
+            homeBranch: this.#homeBranch,
+            location: this.#location,
+            transitTo: this.#transitTo
+        };
+    }
+    
+    toString() {
+        return `Copy ${this.#barcode} (${this.#status})`;
+    }
+    
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            bookId: this.#bookId,
+            barcode: this.#barcode,
+            shelfLocation: this.#shelfLocation,
+            condition: this.#condition,
+            status: this.#status,
+            homeBranch: this.#homeBranch,
+            location: this.#location,
+            transitTo: this.#transitTo
+        };
+    }
+    
+    // 沒有分館資料的舊複本屬於預設分館
+    restoreState(state) {
+        super.restoreState(state);
+        this.#shelfLocation = state.shelfLocation;
+        this.#condition = state.condition;
+        this.#status = state.status;
+        this.#homeBranch = state.homeBranch ?? DEFAULT_BRANCH_CODE;
+        this.#location = state.location ?? this.#homeBranch;
+        this.#transitTo = state.transitTo ?? null;
+        return this;
+    }
+    
+    static fromJSON(state) {
+        return new Copy(state.id, state.bookId, state.barcode).restoreState(state);
+    }
 }
 
 // ----- 書籍類別 -----
+// 書籍代表一筆書目 (ISBN、作者、分類)，實體書則是它的複本 (Copy)
 // Python 等價物：
 // class Book(LibraryItem):
 //     def __init__(self, id, title, author, isbn, pages, category):
@@ -52,7 +329,7 @@ class Book extends LibraryItem {
     #isbn;     // 私有字段
     #pages;    // 私有字段
     #category; // 私有字段
-    #available; // 是否可借閱
+    #copies;   // Map of copyId => Copy
     
     constructor(id, title, author, isbn, pages, category) {
         super(id);
@@ -61,7 +338,7 @@ class Book extends LibraryItem {
         this.#isbn = isbn;
         this.#pages = pages;
         this.#category = category;
-        this.#available = true;
+        this.#copies = new Map();
     }
     
     // Getters
@@ -70,7 +347,29 @@ class Book extends LibraryItem {
     get isbn() { return this.#isbn; }
     get pages() { return this.#pages; }
     get category() { return this.#category; }
-    get available() { return this.#available; }
+    get copies() { return Array.from(this.#copies.values()); }
+    
+    // 館藏類型名稱，對應 ITEM_TYPES 的鍵 (序列化時寫在 type 字段)
+    get itemType() { return "Book"; }
+    
+    // 館藏數量 (不含遺失與註銷)
+    get totalCopies() {
+        return this.copies.filter(copy => copy.isHolding).length;
+    }
+    
+    get availableCopies() {
+        return this.copies.filter(copy => copy.isAvailable).length;
+    }
+    
+    // 至少有一本在架上
+    get available() {
+        return this.availableCopies > 0;
+    }
+    
+    // 例如 "2 of 5 copies"
+    get availability() {
+        return `${this.availableCopies} of ${this.totalCopies} copies`;
+    }
     
     // 實現父類方法
     getDetails() {
@@ -81,22 +380,199 @@ class Book extends LibraryItem {
             isbn: this.#isbn,
             pages: this.#pages,
             category: this.#category,
-            available: this.#available
+            available: this.available,
+            availableCopies: this.availableCopies,
+            totalCopies: this.totalCopies,
+            availability: this.availability
         };
     }
     
-    // 方法
-    markAsUnavailable() {
-        this.#available = false;
+    // ----- 複本管理 -----
+    addCopy(copy) {
+        if (copy.bookId !== this.id) {
+            throw new ConflictError(`Copy ${copy.barcode} belongs to book ${copy.bookId}, not ${this.id}`);
+        }
+        this.#copies.set(copy.id, copy);
+    }
+    
+    getCopy(copyId) {
+        return this.#copies.get(copyId);
+    }
+    
+    // 找一本在架上的複本；指定 branch 時只找那個分館的架上
+    findAvailableCopy(branch = null) {
+        return this.copies.find(copy => (branch === null ? copy.isAvailable : copy.isAvailableAt(branch)));
     }
     
-    markAsAvailable() {
-        this.#available = true;
+    // ----- 館藏類型規則 -----
+    // 子類覆寫這幾個方法就能改變借閱規則，Library 不需要知道是哪一種館藏
+    
+    // 調整借閱政策查到的條款 (例如 DVD 固定借 3 天)
+    loanTerms(terms) {
+        return terms;
+    }
+    
+    // 借書時指定的借期上限 (null 代表不限)；固定借期的館藏只能借得更短，不能更長
+    get maxLoanDays() {
+        return null;
+    }
+    
+    // 不能外借的原因 (可以借則為 null)；catalog 是館內所有書目，用來比較同系列的其他館藏
+    loanRestriction(catalog = []) {
+        return null;
+    }
+    
+    // 借出時要收的押金
+    get deposit() {
+        return 0;
+    }
+    
+    // 數位館藏 (電子書) 以授權數代替實體複本
+    get isDigital() {
+        return false;
     }
     
     toString() {
         return `${this.#title} by ${this.#author}`;
     }
+    
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            type: this.itemType,
+            title: this.#title,
+            author: this.#author,
+            isbn: this.#isbn,
+            pages: this.#pages,
+            category: this.#category,
+            copies: this.copies.map(copy => copy.toJSON())
+        };
+    }
+    
+    restoreState(state) {
+        super.restoreState(state);
+        this.#copies = new Map(state.copies.map(copyState => [copyState.id, Copy.fromJSON(copyState)]));
+        return this;
+    }
+    
+    static fromJSON(state) {
+        return new Book(state.id, state.title, state.author, state.isbn, state.pages, state.category)
+            .restoreState(state);
+    }
+}
+
+// ----- 引用文獻類別 -----
+// 學術書籍引用的一筆文獻：作者、標題、年份，以及可選的 ISBN / DOI
+// 有 ISBN 或標題相符的書在館藏中時，Library.resolveCitation 可以找到對應的書目
+// 不可變的值物件 (value object)，類似 Python 的 @dataclass(frozen=True)
+class Citation {
+    #authors;   // ["Knuth, Donald E.", ...]，建議用「姓, 名」的寫法
+    #title;
+    #year;      // 整數或 null (年份不明)
+    #isbn;      // 去掉連字號的 ISBN 或 null
+    #doi;       // 小寫、不含 https://doi.org/ 前綴的 DOI 或 null
+    #publisher;
+    
+    constructor({ authors = [], title, year = null, isbn = null, doi = null, publisher = null }) {
+        if (typeof title !== "string" || title.trim() === "") {
+            throw new ValidationError("Citation title is required");
+        }
+        if (year !== null && !Number.isInteger(year)) {
+            throw new ValidationError(`Invalid citation year: ${year}`);
+        }
+        this.#authors = [].concat(authors).map(author => String(author).trim()).filter(Boolean);
+        this.#title = title.trim();
+        this.#year = year;
+        this.#isbn = isbn ? String(isbn).replace(/[\s-]/g, "").toUpperCase() : null;
+        this.#doi = doi ? String(doi).trim().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/i, "").toLowerCase() : null;
+        this.#publisher = publisher;
+    }
+    
+    get authors() { return [...this.#authors]; }
+    get title() { return this.#title; }
+    get year() { return this.#year; }
+    get isbn() { return this.#isbn; }
+    get doi() { return this.#doi; }
+    get publisher() { return this.#publisher; }
+    
+    // 判斷兩筆引用是否指同一本著作：DOI > ISBN > 標題 + 年份
+    get key() {
+        if (this.#doi) return `doi:${this.#doi}`;
+        if (this.#isbn) return `isbn:${this.#isbn}`;
+        return `title:${Citation.normalizeTitle(this.#title)}|${this.#year ?? ""}`;
+    }
+    
+    // 比對標題用：忽略大小寫、標點與多餘空白
+    static normalizeTitle(title) {
+        return String(title).normalize("NFKC").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+    }
+    
+    // 例如 "Knuth, D. E. (1968). The Art of Computer Programming. ISBN 9780201896831."
+    // 可以再用 Citation.parse 解析回來
+    toString() {
+        const parts = [`${this.#authors.join("; ")} (${this.#year ?? "n.d."}). ${this.#title}.`.trim()];
+        if (this.#isbn) parts.push(`ISBN ${this.#isbn}.`);
+        if (this.#doi) parts.push(`doi:${this.#doi}`);
+        return parts.join(" ");
+    }
+    
+    toJSON() {
+        return {
+            authors: [...this.#authors],
+            title: this.#title,
+            year: this.#year,
+            isbn: this.#isbn,
+            doi: this.#doi,
+            publisher: this.#publisher
+        };
+    }
+    
+    // 也接受舊資料的自由文字引用
+    static fromJSON(state) {
+        return typeof state === "string" ? Citation.parse(state) : new Citation(state);
+    }
+    
+    // Citation、物件或文字都轉成 Citation
+    static from(value) {
+        return value instanceof Citation ? value : Citation.fromJSON(value);
+    }
+    
+    // 盡量從自由文字拆出作者、年份、標題、ISBN 與 DOI
+    // 支援 toString 的格式，以及舊資料常見的 "Knuth, D. E. The Art of Computer Programming"
+    static parse(text) {
+        let rest = String(text).trim();
+        const take = (pattern) => {
+            const match = pattern.exec(rest);
+            if (!match) return null;
+            rest = (rest.slice(0, match.index) + " " + rest.slice(match.index + match[0].length)).trim();
+            return match[1];
+        };
+        
+        const doi = take(/(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)(\S+?)\.?(?=\s|$)/i);
+        const isbn = take(/ISBN(?:-1[03])?:?\s*([\dXx][\dXx\s-]{8,16}[\dXx])\.?/);
+        
+        let authors = [];
+        let title = rest;
+        const year = /\((\d{4}|n\.d\.)\)\.?/.exec(rest);
+        if (year) {
+            authors = rest.slice(0, year.index).split(/;\s*|\s+&\s+/);
+            title = rest.slice(year.index + year[0].length);
+        } else {
+            const legacy = /^([^,.]+,\s*(?:[A-Z]\.\s*)+)(.+)$/.exec(rest);
+            if (legacy) {
+                authors = [legacy[1]];
+                title = legacy[2];
+            }
+        }
+        
+        return new Citation({
+            authors,
+            title: title.trim().replace(/\.$/, ""),
+            year: year && year[1] !== "n.d." ? Number(year[1]) : null,
+            isbn,
+            doi
+        });
+    }
 }
 
 // ----- 專業書籍子類別 -----
@@ -108,14 +584,18 @@ class AcademicBook extends Book {
     constructor(id, title, author, isbn, pages, academicField, citations = []) {
         super(id, title, author, isbn, pages, "Academic");
         this.#academicField = academicField;
-        this.#citations = citations;
+        this.#citations = citations.map(citation => Citation.from(citation));
     }
     
     get academicField() { return this.#academicField; }
     get citations() { return [...this.#citations]; } // 返回副本避免外部修改
+    get itemType() { return "AcademicBook"; }
     
+    // 可以傳入 Citation、{ authors, title, year, isbn, doi } 或自由文字
     addCitation(citation) {
+        citation = Citation.from(citation);
         this.#citations.push(citation);
+        return citation;
     }
     
     getDetails() {
@@ -126,194 +606,1479 @@ class AcademicBook extends Book {
             citationsCount: this.#citations.length
         };
     }
-}
-
-// ----- 使用者類別 -----
-class User extends LibraryItem {
-    #name;
-    #email;
-    #membershipType;
-    #borrowedBooks;
     
-    constructor(id, name, email, membershipType = "Regular") {
-        super(id);
-        this.#name = name;
-        this.#email = email;
-        this.#membershipType = membershipType;
-        this.#borrowedBooks = new Map(); // 書 ID => 借閱記錄ID
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            academicField: this.#academicField,
+            citations: this.#citations.map(citation => citation.toJSON())
+        };
     }
     
-    // Getters
-    get name() { return this.#name; }
-    get email() { return this.#email; }
-    get membershipType() { return this.#membershipType; }
-    
-    // 檢查是否可以借更多書
-    canBorrowMore() {
-        const limit = this.#getMembershipLimit();
-        return this.#borrowedBooks.size < limit;
+    restoreState(state) {
+        super.restoreState(state);
+        this.#citations = state.citations.map(citation => Citation.fromJSON(citation));
+        return this;
     }
     
-    // 私有方法 (通過閉包模擬，JavaScript 現在有私有方法但兼容性有限)
-    #getMembershipLimit() {
-        const limits = {
-            "Regular": 3,
-            "Premium": 5,
-            "Student": 2,
-            "Researcher": 10
-        };
-        return limits[this.#membershipType] || 3;
+    static fromJSON(state) {
+        return new AcademicBook(state.id, state.title, state.author, state.isbn, state.pages, state.academicField)
+            .restoreState(state);
     }
+}
+
+// ----- 其他館藏類型 -----
+// DVD、期刊單期與設備也是「一筆書目 + 多本複本」，所以沿用 Book 的複本管理，只覆寫借閱規則。
+// 沒有 ISBN 的類型 isbn 為 null；作者欄位放導演、出版者或製造商，讓搜尋與分面統計照常運作。
+
+// DVD 一律短期借閱
+const DVD_LOAN_DAYS = 3;
+
+class DVD extends Book {
+    #upc;            // 商品條碼 (UPC/EAN)
+    #runtimeMinutes; // 片長 (分鐘)
+    #rating;         // 分級，例如 "PG-13"
     
-    // 獲取借閱的書籍 ID
-    getBorrowedBookIds() {
-        return Array.from(this.#borrowedBooks.keys());
+    constructor(id, title, director, { upc = null, runtimeMinutes = null, rating = null, category = "Film" } = {}) {
+        if (!title) throw new ValidationError("DVD title is required");
+        if (runtimeMinutes !== null && !(Number.isInteger(runtimeMinutes) && runtimeMinutes > 0)) {
+            throw new ValidationError(`Invalid runtime: ${runtimeMinutes}`);
+        }
+        super(id, title, director ?? null, null, null, category);
+        this.#upc = upc;
+        this.#runtimeMinutes = runtimeMinutes;
+        this.#rating = rating;
     }
     
-    // 借書
-    borrowBook(bookId, borrowId) {
-        if (!this.canBorrowMore()) {
-            throw new Error(`User has reached the borrowing limit for ${this.#membershipType} membership`);
-        }
-        this.#borrowedBooks.set(bookId, borrowId);
+    get director() { return this.author; }
+    get upc() { return this.#upc; }
+    get runtimeMinutes() { return this.#runtimeMinutes; }
+    get rating() { return this.#rating; }
+    get itemType() { return "DVD"; }
+    
+    // 不管會員類型與分類政策怎麼設定，借期都是 DVD_LOAN_DAYS
+    loanTerms(terms) {
+        return { ...terms, loanDays: DVD_LOAN_DAYS };
     }
     
-    // 還書
-    returnBook(bookId) {
-        return this.#borrowedBooks.delete(bookId);
+    get maxLoanDays() {
+        return DVD_LOAN_DAYS;
     }
     
     getDetails() {
         return {
-            id: this.id,
-            name: this.#name,
-            email: this.#email,
-            membershipType: this.#membershipType,
-            borrowedBooksCount: this.#borrowedBooks.size,
-            borrowingLimit: this.#getMembershipLimit()
+            ...super.getDetails(),
+            director: this.author,
+            upc: this.#upc,
+            runtimeMinutes: this.#runtimeMinutes,
+            rating: this.#rating
         };
     }
     
     toString() {
-        return `${this.#name} (${this.#membershipType} member)`;
+        return `${this.title} (DVD${this.author ? `, dir. ${this.author}` : ""})`;
     }
-}
-
-// ----- 借閱記錄類別 -----
-class BorrowRecord extends LibraryItem {
-    #userId;
-    #bookId;
-    #borrowDate;
-    #dueDate;
-    #returnDate;
-    #status; // "active", "returned", "overdue"
     
-    constructor(id, userId, bookId, dueDate) {
-        super(id);
-        this.#userId = userId;
-        this.#bookId = bookId;
-        this.#borrowDate = new Date();
-        this.#dueDate = new Date(dueDate);
-        this.#returnDate = null;
-        this.#status = "active";
+    toJSON() {
+        return { ...super.toJSON(), upc: this.#upc, runtimeMinutes: this.#runtimeMinutes, rating: this.#rating };
     }
     
-    // Getters
-    get userId() { return this.#userId; }
-    get bookId() { return this.#bookId; }
-    get borrowDate() { return new Date(this.#borrowDate); }
-    get dueDate() { return new Date(this.#dueDate); }
-    get returnDate() { return this.#returnDate ? new Date(this.#returnDate) : null; }
-    get status() { return this.#status; }
-    
-    // 處理還書
-    processReturn() {
-        this.#returnDate = new Date();
-        this.#status = "returned";
+    static fromJSON(state) {
+        return new DVD(state.id, state.title, state.author, {
+            upc: state.upc, runtimeMinutes: state.runtimeMinutes, rating: state.rating, category: state.category
+        }).restoreState(state);
     }
+}
+
+// 期刊的一期；同一本期刊 (magazine) 出版日期最新的那一期只能館內閱覽
+class MagazineIssue extends Book {
+    #magazine;  // 期刊名稱
+    #issue;     // 期別，例如 "Vol. 12 No. 3" 或 "2024-05"
+    #issueDate; // 出版日期，用來判斷哪一期最新
+    #issn;
     
-    // 檢查是否逾期
-    checkOverdue() {
-        if (this.#status === "returned") return false;
-        
-        const now = new Date();
-        if (now > this.#dueDate && this.#status !== "overdue") {
-            this.#status = "overdue";
-            return true;
-        }
-        return this.#status === "overdue";
+    constructor(id, magazine, issue, issueDate, { publisher = null, issn = null, category = "Periodical" } = {}) {
+        if (!magazine) throw new ValidationError("Magazine name is required");
+        if (!issue) throw new ValidationError("Magazine issue is required");
+        if (Number.isNaN(new Date(issueDate).getTime())) throw new ValidationError(`Invalid issue date: ${issueDate}`);
+        super(id, `${magazine} (${issue})`, publisher, null, null, category);
+        this.#magazine = magazine;
+        this.#issue = issue;
+        this.#issueDate = new Date(issueDate);
+        this.#issn = issn;
     }
     
-    // 計算逾期天數
-    getOverdueDays() {
-        if (this.#status !== "overdue") return 0;
-        
-        const now = new Date();
-        const diffTime = now - this.#dueDate;
-        return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    }
+    get magazine() { return this.#magazine; }
+    get issue() { return this.#issue; }
+    get issueDate() { return new Date(this.#issueDate); }
+    get issn() { return this.#issn; }
+    get publisher() { return this.author; }
+    get itemType() { return "MagazineIssue"; }
     
-    // 計算罰款 (如適用)
-    calculateFine(fineRate = 1) {
-        if (this.#status !== "overdue") return 0;
-        return this.getOverdueDays() * fineRate;
+    loanRestriction(catalog = []) {
+        const isNewer = other => other instanceof MagazineIssue && other !== this &&
+            other.magazine === this.#magazine && other.issueDate > this.#issueDate;
+        if (catalog.some(isNewer)) return null;
+        return `"${this.title}" is the latest issue of ${this.#magazine} and cannot be borrowed (in-library use only)`;
     }
     
     getDetails() {
         return {
-            id: this.id,
-            userId: this.#userId,
-            bookId: this.#bookId,
-            borrowDate: this.#borrowDate,
-            dueDate: this.#dueDate,
-            returnDate: this.#returnDate,
-            status: this.#status,
-            overdueDays: this.getOverdueDays()
+            ...super.getDetails(),
+            magazine: this.#magazine,
+            issue: this.#issue,
+            issueDate: this.#issueDate,
+            issn: this.#issn
         };
     }
     
     toString() {
-        return `BorrowRecord ${this.id}: Book ${this.#bookId} borrowed by User ${this.#userId}`;
+        return this.title;
     }
-}
+    
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            magazine: this.#magazine,
+            issue: this.#issue,
+            issueDate: this.#issueDate.toISOString(),
+            issn: this.#issn
+        };
+    }
+    
+    static fromJSON(state) {
+        return new MagazineIssue(state.id, state.magazine, state.issue, state.issueDate, {
+            publisher: state.author, issn: state.issn, category: state.category
+        }).restoreState(state);
+    }
+}
+
+// 筆電、投影機等設備：借出時收押金，遺失時依設備價值賠償
+class Equipment extends Book {
+    #model;
+    #deposit;
+    #replacementCost; // 設備價值 (null 代表沿用借閱政策的 replacementCost)
+    
+    constructor(id, name, manufacturer, { model = null, deposit, replacementCost = null, category = "Equipment" } = {}) {
+        if (!name) throw new ValidationError("Equipment name is required");
+        if (typeof deposit !== "number" || !(deposit > 0)) {
+            throw new ValidationError(`Invalid deposit: ${deposit} must be a positive number`);
+        }
+        if (replacementCost !== null && !(typeof replacementCost === "number" && replacementCost >= 0)) {
+            throw new ValidationError(`Invalid replacement cost: ${replacementCost}`);
+        }
+        super(id, name, manufacturer ?? null, null, null, category);
+        this.#model = model;
+        this.#deposit = deposit;
+        this.#replacementCost = replacementCost;
+    }
+    
+    get manufacturer() { return this.author; }
+    get model() { return this.#model; }
+    get deposit() { return this.#deposit; }
+    get replacementCost() { return this.#replacementCost; }
+    get itemType() { return "Equipment"; }
+    
+    loanTerms(terms) {
+        return this.#replacementCost === null ? terms : { ...terms, replacementCost: this.#replacementCost };
+    }
+    
+    getDetails() {
+        return {
+            ...super.getDetails(),
+            manufacturer: this.author,
+            model: this.#model,
+            deposit: this.#deposit,
+            replacementCost: this.#replacementCost
+        };
+    }
+    
+    toString() {
+        return [this.author, this.title, this.#model].filter(Boolean).join(" ");
+    }
+    
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            model: this.#model,
+            deposit: this.#deposit,
+            replacementCost: this.#replacementCost
+        };
+    }
+    
+    static fromJSON(state) {
+        return new Equipment(state.id, state.title, state.author, {
+            model: state.model, deposit: state.deposit, replacementCost: state.replacementCost, category: state.category
+        }).restoreState(state);
+    }
+}
+
+// 電子書的檔案格式 => 下載時的 Content-Type
+const EBOOK_FORMATS = {
+    EPUB: "application/epub+zip",
+    PDF: "application/pdf"
+};
+
+// 電子書 / PDF：沒有實體複本，改為向出版商購買的授權數 (可同時借出的數量)
+// 借出時占用一個授權，還書或借期屆滿 (見 Library.processExpiredLoans) 時釋出
+// 讀者透過有簽章、有時效的下載連結取得檔案 (見 library/digital-lending.js)
+class EBook extends Book {
+    #format;        // EBOOK_FORMATS 的鍵
+    #licenses;      // 授權數
+    #file;          // 檔案相對於內容目錄的路徑 (null 代表尚未上傳)
+    #loanRecordIds; // 占用授權的借閱記錄 ID
+    
+    constructor(id, title, author, isbn, { format = "EPUB", licenses, file = null, pages = null, category = "E-book" } = {}) {
+        if (!title) throw new ValidationError("E-book title is required");
+        if (!Object.hasOwn(EBOOK_FORMATS, format)) {
+            throw new ValidationError(`Invalid e-book format "${format}". Expected one of: ${Object.keys(EBOOK_FORMATS).join(", ")}`);
+        }
+        EBook.#assertLicenseCount(licenses);
+        super(id, title, author ?? null, isbn ?? null, pages, category);
+        this.#format = format;
+        this.#licenses = licenses;
+        this.#file = file;
+        this.#loanRecordIds = new Set();
+    }
+    
+    get format() { return this.#format; }
+    get contentType() { return EBOOK_FORMATS[this.#format]; }
+    get file() { return this.#file; }
+    get licenses() { return this.#licenses; }
+    get licensesInUse() { return this.#loanRecordIds.size; }
+    get availableLicenses() { return Math.max(0, this.#licenses - this.#loanRecordIds.size); }
+    get loanRecordIds() { return Array.from(this.#loanRecordIds); }
+    get itemType() { return "EBook"; }
+    get isDigital() { return true; }
+    
+    // 以授權數代替複本數，所以 available、availability 與統計不需要另外處理
+    get totalCopies() { return this.#licenses; }
+    get availableCopies() { return this.availableLicenses; }
+    
+    get availability() {
+        return `${this.availableLicenses} of ${this.#licenses} licenses`;
+    }
+    
+    addCopy(copy) {
+        throw new ConflictError(`Cannot add a physical copy to digital item "${this.title}"`);
+    }
+    
+    // 借閱記錄占用一個授權
+    checkOutLicense(recordId) {
+        if (this.#loanRecordIds.has(recordId)) {
+            throw new ConflictError(`Borrow record ${recordId} already holds a license of "${this.title}"`);
+        }
+        if (this.availableLicenses === 0) {
+            throw new ConflictError(`All ${this.#licenses} licenses of "${this.title}" are on loan`);
+        }
+        this.#loanRecordIds.add(recordId);
+    }
+    
+    releaseLicense(recordId) {
+        return this.#loanRecordIds.delete(recordId);
+    }
+    
+    // 續約或減購授權；不能少於借出中的數量
+    setLicenses(licenses) {
+        EBook.#assertLicenseCount(licenses);
+        if (licenses < this.licensesInUse) {
+            throw new ConflictError(`Cannot reduce licenses of "${this.title}" to ${licenses} ` +
+                `because ${this.licensesInUse} are on loan`);
+        }
+        this.#licenses = licenses;
+    }
+    
+    // 借期屆滿就自動歸還，不會逾期，所以不收罰款
+    loanTerms(terms) {
+        return { ...terms, fineRate: 0 };
+    }
+    
+    getDetails() {
+        return {
+            ...super.getDetails(),
+            format: this.#format,
+            licenses: this.#licenses,
+            licensesInUse: this.licensesInUse,
+            availableLicenses: this.availableLicenses
+        };
+    }
+    
+    toString() {
+        return `${super.toString()} (${this.#format})`;
+    }
+    
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            format: this.#format,
+            licenses: this.#licenses,
+            file: this.#file,
+            loanRecordIds: this.loanRecordIds
+        };
+    }
+    
+    restoreState(state) {
+        super.restoreState(state);
+        this.#licenses = state.licenses;
+        this.#loanRecordIds = new Set(state.loanRecordIds ?? []);
+        return this;
+    }
+    
+    static fromJSON(state) {
+        return new EBook(state.id, state.title, state.author, state.isbn, {
+            format: state.format, licenses: state.licenses, file: state.file, pages: state.pages, category: state.category
+        }).restoreState(state);
+    }
+    
+    static #assertLicenseCount(licenses) {
+        if (!(Number.isInteger(licenses) && licenses > 0)) {
+            throw new ValidationError(`Invalid license count: ${licenses} must be a positive integer`);
+        }
+    }
+}
+
+// ----- 館藏類型登記 -----
+// 類型名稱 => { ItemClass, create(id, fields) }；Library.addItem 與反序列化都查這張表
+// 新增館藏類型時：寫一個 Book 的子類 (覆寫 itemType 與需要的規則)，再在這裡登記
+// Python 等價物：dict[str, type[Book]] 加上各類別的 @classmethod from_fields
+const ITEM_TYPES = {
+    Book: {
+        ItemClass: Book,
+        create: (id, { title, author, isbn, pages, category }) => new Book(id, title, author, isbn, pages, category)
+    },
+    AcademicBook: {
+        ItemClass: AcademicBook,
+        create: (id, { title, author, isbn, pages, academicField, citations = [] }) =>
+            new AcademicBook(id, title, author, isbn, pages, academicField, citations)
+    },
+    DVD: {
+        ItemClass: DVD,
+        create: (id, { title, director, ...options }) => new DVD(id, title, director, options)
+    },
+    MagazineIssue: {
+        ItemClass: MagazineIssue,
+        create: (id, { magazine, issue, issueDate, ...options }) => new MagazineIssue(id, magazine, issue, issueDate, options)
+    },
+    Equipment: {
+        ItemClass: Equipment,
+        create: (id, { name, manufacturer, ...options }) => new Equipment(id, name, manufacturer, options)
+    },
+    EBook: {
+        ItemClass: EBook,
+        create: (id, { title, author, isbn, ...options }) => new EBook(id, title, author, isbn, options)
+    }
+};
+
+function itemTypeOf(type) {
+    const itemType = Object.hasOwn(ITEM_TYPES, type) ? ITEM_TYPES[type] : null;
+    if (!itemType) {
+        throw new ValidationError(`Unknown item type "${type}". Expected one of: ${Object.keys(ITEM_TYPES).join(", ")}`);
+    }
+    return itemType;
+}
+
+// ----- 借閱政策 -----
+// 借期、續借次數、罰款等規則依「會員類型 × 館藏分類」設定，不再寫死在類別裡。
+// 規則可以用 "*" 代表任何會員類型或分類，查詢時由寬到窄逐層覆蓋：
+//   預設值 < (*, *) < (*, 分類) < (會員類型, *) < (會員類型, 分類)
+// Python 等價物：一個 dict[(membership, category)] -> dict，再用 ChainMap 合併
+const DEFAULT_LOAN_TERMS = {
+    loanDays: 14,    // 借期 (天)
+    maxRenewals: 2,  // 最多續借次數
+    fineRate: 1,     // 每日逾期罰款
+    fineCap: null,   // 單筆罰款上限 (null 代表不設上限)
+    graceDays: 0,    // 寬限天數：逾期不超過此天數不罰款
+    replacementCost: 30 // 遺失時的賠償金額
+};
+
+const DEFAULT_BORROWING_LIMITS = {
+    "Regular": 3,
+    "Premium": 5,
+    "Student": 2,
+    "Researcher": 10
+};
+
+class LoanPolicyTable {
+    #defaults;
+    #rules;                 // Map of "membershipType|category" => 部分條款
+    #borrowingLimits;       // Map of membershipType => 可同時借閱數量
+    #defaultBorrowingLimit; // 未設定的會員類型
+    
+    constructor({
+        defaults = {},
+        rules = [],
+        borrowingLimits = DEFAULT_BORROWING_LIMITS,
+        defaultBorrowingLimit = 3
+    } = {}) {
+        this.#defaults = { ...DEFAULT_LOAN_TERMS, ...LoanPolicyTable.#validateTerms(defaults) };
+        this.#rules = new Map();
+        this.#borrowingLimits = new Map();
+        this.#defaultBorrowingLimit = LoanPolicyTable.#validateLimit(defaultBorrowingLimit);
+        
+        rules.forEach(({ membershipType, category, ...terms }) => this.setRule(membershipType, category, terms));
+        Object.entries(borrowingLimits).forEach(([type, limit]) => this.setBorrowingLimit(type, limit));
+    }
+    
+    // 設定 (或覆蓋) 一條規則，只需要提供想改變的條款
+    setRule(membershipType = "*", category = "*", terms = {}) {
+        this.#rules.set(LoanPolicyTable.#key(membershipType, category), LoanPolicyTable.#validateTerms(terms));
+    }
+    
+    removeRule(membershipType = "*", category = "*") {
+        return this.#rules.delete(LoanPolicyTable.#key(membershipType, category));
+    }
+    
+    // 取得某會員類型借某分類館藏時適用的完整條款
+    resolve(membershipType, category) {
+        const layers = [
+            ["*", "*"],
+            ["*", category],
+            [membershipType, "*"],
+            [membershipType, category]
+        ];
+        return layers.reduce((terms, [type, cat]) => ({
+            ...terms,
+            ...this.#rules.get(LoanPolicyTable.#key(type, cat))
+        }), { ...this.#defaults });
+    }
+    
+    setBorrowingLimit(membershipType, limit) {
+        this.#borrowingLimits.set(membershipType, LoanPolicyTable.#validateLimit(limit));
+    }
+    
+    getBorrowingLimit(membershipType) {
+        return this.#borrowingLimits.get(membershipType) ?? this.#defaultBorrowingLimit;
+    }
+    
+    static #key(membershipType, category) {
+        return `${membershipType}|${category}`;
+    }
+    
+    static #validateTerms(terms) {
+        const rules = {
+            loanDays: value => Number.isInteger(value) && value > 0,
+            maxRenewals: value => Number.isInteger(value) && value >= 0,
+            fineRate: value => typeof value === "number" && value >= 0,
+            fineCap: value => value === null || (typeof value === "number" && value >= 0),
+            graceDays: value => Number.isInteger(value) && value >= 0,
+            replacementCost: value => typeof value === "number" && value >= 0
+        };
+        for (const [name, value] of Object.entries(terms)) {
+            if (!rules[name]) {
+                throw new ValidationError(`Unknown loan policy term "${name}". Expected one of: ${Object.keys(rules).join(", ")}`);
+            }
+            if (!rules[name](value)) {
+                throw new ValidationError(`Invalid value for loan policy term "${name}": ${value}`);
+            }
+        }
+        return { ...terms };
+    }
+    
+    static #validateLimit(limit) {
+        if (!Number.isInteger(limit) || limit < 0) {
+            throw new ValidationError(`Invalid borrowing limit: ${limit}`);
+        }
+        return limit;
+    }
+    
+    toJSON() {
+        return {
+            defaults: { ...this.#defaults },
+            rules: Array.from(this.#rules.entries()).map(([key, terms]) => {
+                const [membershipType, category] = key.split("|");
+                return { membershipType, category, ...terms };
+            }),
+            borrowingLimits: Object.fromEntries(this.#borrowingLimits),
+            defaultBorrowingLimit: this.#defaultBorrowingLimit
+        };
+    }
+    
+    // 原地換成另一份設定，讓持有這個實例的 User 立即套用新規則
+    restoreState(state) {
+        const table = LoanPolicyTable.fromJSON(state);
+        this.#defaults = table.#defaults;
+        this.#rules = table.#rules;
+        this.#borrowingLimits = table.#borrowingLimits;
+        this.#defaultBorrowingLimit = table.#defaultBorrowingLimit;
+        return this;
+    }
+    
+    static fromJSON(state) {
+        return new LoanPolicyTable(state);
+    }
+}
+
+// ----- 會員等級 -----
+// 每個會員等級有自己的會籍期限 (月) 與不能借的館藏分類；可借數量仍由 LoanPolicyTable 決定。
+// 未登記的等級一律拒絕，避免打錯字的會員類型默默套用預設值。
+// Python 等價物：dict[str, Tier]，Tier 是 @dataclass(frozen=True)
+const DEFAULT_MEMBERSHIP_TIERS = {
+    "Regular": { termMonths: 12, restrictedCategories: [] },
+    "Premium": { termMonths: 12, restrictedCategories: [] },
+    "Student": { termMonths: 12, restrictedCategories: ["Reference"] },
+    "Researcher": { termMonths: 24, restrictedCategories: [] }
+};
+
+class MembershipTierRegistry {
+    #tiers; // Map of name => { termMonths, restrictedCategories }
+    
+    constructor(tiers = DEFAULT_MEMBERSHIP_TIERS) {
+        this.#tiers = new Map();
+        Object.entries(tiers).forEach(([name, tier]) => this.defineTier(name, tier));
+    }
+    
+    get names() {
+        return Array.from(this.#tiers.keys());
+    }
+    
+    has(name) {
+        return this.#tiers.has(name);
+    }
+    
+    // 新增或修改等級
+    defineTier(name, { termMonths = 12, restrictedCategories = [] } = {}) {
+        if (typeof name !== "string" || name.trim() === "" || name === "*") {
+            throw new ValidationError(`Invalid membership tier name: ${name}`);
+        }
+        if (!Number.isInteger(termMonths) || termMonths <= 0) {
+            throw new ValidationError(`Invalid membership term for tier "${name}": ${termMonths}`);
+        }
+        if (!Array.isArray(restrictedCategories) || !restrictedCategories.every(c => typeof c === "string")) {
+            throw new ValidationError(`Invalid restricted categories for tier "${name}"`);
+        }
+        this.#tiers.set(name, { termMonths, restrictedCategories: [...new Set(restrictedCategories)] });
+    }
+    
+    removeTier(name) {
+        return this.#tiers.delete(name);
+    }
+    
+    // 取得等級設定，不存在時丟出錯誤
+    get(name) {
+        const tier = this.#tiers.get(name);
+        if (!tier) {
+            throw new ValidationError(`Unknown membership tier "${name}". Expected one of: ${this.names.join(", ")}`);
+        }
+        return { name, termMonths: tier.termMonths, restrictedCategories: [...tier.restrictedCategories] };
+    }
+    
+    // 該等級可以借這個分類的館藏嗎
+    allowsCategory(name, category) {
+        return !this.get(name).restrictedCategories.includes(category);
+    }
+    
+    // 從 start 起算 termMonths 個月 (預設為一期會籍) 的到期日
+    expiryFor(name, start, termMonths = null) {
+        const expiresAt = new Date(start);
+        expiresAt.setMonth(expiresAt.getMonth() + (termMonths ?? this.get(name).termMonths));
+        return expiresAt;
+    }
+    
+    toJSON() {
+        return Object.fromEntries(Array.from(this.#tiers, ([name, tier]) =>
+            [name, { termMonths: tier.termMonths, restrictedCategories: [...tier.restrictedCategories] }]));
+    }
+    
+    // 原地換成另一份設定，讓持有這個實例的 User 立即套用
+    restoreState(state) {
+        this.#tiers = MembershipTierRegistry.fromJSON(state).#tiers;
+        return this;
+    }
+    
+    static fromJSON(state) {
+        return new MembershipTierRegistry(state);
+    }
+}
+
+// ----- 罰款帳本 -----
+// 每位使用者一本帳：罰款 (fine) 增加欠款，繳款 (payment)、減免 (waiver) 減少欠款，
+// 退款 (refund) 退回先前繳的錢。帳目只會新增，不會修改或刪除。
+const LEDGER_ENTRY_TYPES = ["fine", "payment", "waiver", "refund"];
+
+class FineLedger {
+    #entries; // [{ id, type, amount, date, reason, recordId }]
+    
+    constructor(entries = []) {
+        this.#entries = entries.map(entry => ({ ...entry, date: new Date(entry.date) }));
+    }
+    
+    get entries() {
+        return this.#entries.map(entry => ({ ...entry, date: new Date(entry.date) }));
+    }
+    
+    // 目前欠款
+    get balance() {
+        return FineLedger.#round(
+            this.#sum("fine") - this.#sum("payment") - this.#sum("waiver") + this.#sum("refund")
+        );
+    }
+    
+    // 實際繳納且尚未退還的金額
+    get netPaid() {
+        return FineLedger.#round(this.#sum("payment") - this.#sum("refund"));
+    }
+    
+    // 記錄罰款
+    assessFine(amount, reason = "Overdue fine", recordId = null, date = new Date()) {
+        return this.#append("fine", amount, reason, recordId, date);
+    }
+    
+    // 繳款 (可分次繳)，不能超過欠款
+    recordPayment(amount, reason = "Payment", date = new Date()) {
+        if (FineLedger.#round(amount) > this.balance) {
+            throw new ConflictError(`Payment of ${amount} exceeds the outstanding balance of ${this.balance}`);
+        }
+        return this.#append("payment", amount, reason, null, date);
+    }
+    
+    // 減免必須註明原因
+    waive(amount, reason, date = new Date()) {
+        if (!reason) throw new ValidationError("A reason is required to waive a fine");
+        if (FineLedger.#round(amount) > this.balance) {
+            throw new ConflictError(`Waiver of ${amount} exceeds the outstanding balance of ${this.balance}`);
+        }
+        return this.#append("waiver", amount, reason, null, date);
+    }
+    
+    // 退款必須註明原因，且不能超過已繳金額
+    refund(amount, reason, date = new Date()) {
+        if (!reason) throw new ValidationError("A reason is required to issue a refund");
+        if (FineLedger.#round(amount) > this.netPaid) {
+            throw new ConflictError(`Refund of ${amount} exceeds the net amount paid of ${this.netPaid}`);
+        }
+        return this.#append("refund", amount, reason, null, date);
+    }
+    
+    #append(type, amount, reason, recordId, date) {
+        if (typeof amount !== "number" || !(amount > 0)) {
+            throw new ValidationError(`Ledger amount must be a positive number, got ${amount}`);
+        }
+        const entry = {
+            id: this.#entries.length + 1,
+            type,
+            amount: FineLedger.#round(amount),
+            date: new Date(date),
+            reason,
+            recordId
+        };
+        this.#entries.push(entry);
+        return { ...entry };
+    }
+    
+    #sum(type) {
+        return this.#entries
+            .filter(entry => entry.type === type)
+            .reduce((total, entry) => total + entry.amount, 0);
+    }
+    
+    // 金額取到小數第二位，避免浮點誤差累積
+    static #round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+    
+    toJSON() {
+        return this.#entries.map(entry => ({ ...entry, date: entry.date.toISOString() }));
+    }
+    
+    static fromJSON(entries) {
+        return new FineLedger(entries);
+    }
+}
+
+// ----- 使用者類別 -----
+class User extends LibraryItem {
+    #name;
+    #email;
+    #membershipType;
+    #membershipStartedAt;
+    #membershipExpiresAt;
+    #suspension; // { reason, since, until } 或 null；until 為 null 代表直到恢復為止
+    #borrowedBooks;
+    #policies; // LoanPolicyTable，決定可借數量
+    #tiers;    // MembershipTierRegistry，決定會籍期限與不能借的分類
+    #ledger;   // FineLedger
+    #recommendationsOptOut; // 不參與「借過這本的人也借了」推薦
+    
+    // startDate 是會籍開始日，到期日依會員等級的期限計算
+    constructor(id, name, email, membershipType = "Regular", policies = new LoanPolicyTable(),
+                tiers = new MembershipTierRegistry(), { startDate = new Date() } = {}) {
+        super(id);
+        this.#name = name;
+        this.#email = email;
+        this.#membershipType = membershipType;
+        this.#membershipStartedAt = new Date(startDate);
+        this.#membershipExpiresAt = tiers.expiryFor(membershipType, startDate); // 同時驗證等級
+        this.#suspension = null;
+        this.#borrowedBooks = new Map(); // 書 ID => 借閱記錄ID
+        this.#policies = policies;
+        this.#tiers = tiers;
+        this.#ledger = new FineLedger();
+        this.#recommendationsOptOut = false;
+    }
+    
+    // Getters
+    get name() { return this.#name; }
+    get email() { return this.#email; }
+    get membershipType() { return this.#membershipType; }
+    get membershipStartedAt() { return new Date(this.#membershipStartedAt); }
+    get membershipExpiresAt() { return new Date(this.#membershipExpiresAt); }
+    get suspension() { return this.#suspension && User.#copySuspension(this.#suspension); }
+    get ledger() { return this.#ledger; } // 請透過 Library 的罰款方法記帳，才會寫入日誌
+    get fineBalance() { return this.#ledger.balance; }
+    get recommendationsOptOut() { return this.#recommendationsOptOut; }
+    
+    // 印在會員證上的證號 (Code 128 條碼)，格式和複本條碼一樣：字首加上補零到 8 位的 ID
+    get cardNumber() {
+        return `P${String(this.id).padStart(8, "0")}`;
+    }
+    
+    // 可同時借閱的數量 (由借閱政策決定)
+    get borrowingLimit() {
+        return this.#policies.getBorrowingLimit(this.#membershipType);
+    }
+    
+    // 已借數量是否達到上限
+    get atBorrowingLimit() {
+        return this.#borrowedBooks.size >= this.borrowingLimit;
+    }
+    
+    isExpired(now = new Date()) {
+        return now >= this.#membershipExpiresAt;
+    }
+    
+    // 有期限的停權過了 until 就自動失效
+    isSuspended(now = new Date()) {
+        return this.#suspension !== null && (this.#suspension.until === null || now < this.#suspension.until);
+    }
+    
+    // "active"、"expired" 或 "suspended" (停權優先)
+    membershipStatus(now = new Date()) {
+        if (this.isSuspended(now)) return "suspended";
+        if (this.isExpired(now)) return "expired";
+        return "active";
+    }
+    
+    // 不能借書的原因，可以借時回傳 null
+    // 指定 category 時一併檢查會員等級能不能借該分類
+    borrowingRestriction({ category = null, now = new Date() } = {}) {
+        if (this.isSuspended(now)) {
+            return `User ${this.#name}'s membership is suspended: ${this.#suspension.reason}`;
+        }
+        if (this.isExpired(now)) {
+            return `User ${this.#name}'s membership expired on ${this.#membershipExpiresAt.toISOString().slice(0, 10)}`;
+        }
+        if (category !== null && !this.#tiers.allowsCategory(this.#membershipType, category)) {
+            return `${this.#membershipType} members cannot borrow ${category} items`;
+        }
+        if (this.atBorrowingLimit) {
+            return `User ${this.#name} has reached their borrowing limit`;
+        }
+        return null;
+    }
+    
+    // 檢查是否可以借更多書：會籍有效、未停權、未達上限 (指定 category 時也檢查分類限制)
+    canBorrowMore({ category = null, now = new Date() } = {}) {
+        return this.borrowingRestriction({ category, now }) === null;
+    }
+    
+    // ----- 會籍 -----
+    // 請透過 Library 的會籍方法修改，才會寫入日誌
+    
+    // 續期：從目前的到期日起算，已過期時從 now 起算
+    renewMembership(now = new Date(), termMonths = null) {
+        const start = this.isExpired(now) ? now : this.#membershipExpiresAt;
+        this.#membershipExpiresAt = this.#tiers.expiryFor(this.#membershipType, start, termMonths);
+        return new Date(this.#membershipExpiresAt);
+    }
+    
+    // 升級或降級，到期日不變；已借的書超過新等級上限時不會被收回，只是不能再借
+    changeMembershipType(membershipType) {
+        this.#tiers.get(membershipType);
+        this.#membershipType = membershipType;
+    }
+    
+    suspend(reason, now = new Date(), until = null) {
+        if (!reason) throw new ValidationError("A reason is required to suspend a membership");
+        if (until !== null && !(new Date(until) > now)) {
+            throw new ValidationError(`Invalid suspension end: ${until} must be after the start of the suspension`);
+        }
+        this.#suspension = { reason, since: new Date(now), until: until === null ? null : new Date(until) };
+    }
+    
+    reinstate() {
+        this.#suspension = null;
+    }
+    
+    // 請透過 Library.setRecommendationsOptOut 修改，才會寫入日誌
+    setRecommendationsOptOut(optOut) {
+        this.#recommendationsOptOut = Boolean(optOut);
+    }
+    
+    // 獲取借閱的書籍 ID
+    getBorrowedBookIds() {
+        return Array.from(this.#borrowedBooks.keys());
+    }
+    
+    // 借這本書的借閱記錄 ID (沒借則為 undefined)
+    getBorrowRecordId(bookId) {
+        return this.#borrowedBooks.get(bookId);
+    }
+    
+    // 借書
+    // 會籍與分類限制由 Library 依圖書館時鐘檢查，這裡只擋借閱上限
+    borrowBook(bookId, borrowId) {
+        if (this.atBorrowingLimit) {
+            throw new ConflictError(`User has reached the borrowing limit for ${this.#membershipType} membership`);
+        }
+        this.#borrowedBooks.set(bookId, borrowId);
+    }
+    
+    // 還書
+    returnBook(bookId) {
+        return this.#borrowedBooks.delete(bookId);
+    }
+    
+    getDetails() {
+        return {
+            id: this.id,
+            name: this.#name,
+            email: this.#email,
+            membershipType: this.#membershipType,
+            membershipStartedAt: this.membershipStartedAt,
+            membershipExpiresAt: this.membershipExpiresAt,
+            suspension: this.suspension,
+            borrowedBooksCount: this.#borrowedBooks.size,
+            borrowingLimit: this.borrowingLimit,
+            fineBalance: this.#ledger.balance,
+            recommendationsOptOut: this.#recommendationsOptOut,
+            cardNumber: this.cardNumber
+        };
+    }
+    
+    toString() {
+        return `${this.#name} (${this.#membershipType} member)`;
+    }
+    
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            name: this.#name,
+            email: this.#email,
+            membershipType: this.#membershipType,
+            membershipStartedAt: this.#membershipStartedAt.toISOString(),
+            membershipExpiresAt: this.#membershipExpiresAt.toISOString(),
+            suspension: this.#suspension && {
+                reason: this.#suspension.reason,
+                since: this.#suspension.since.toISOString(),
+                until: this.#suspension.until?.toISOString() ?? null
+            },
+            borrowedBooks: Array.from(this.#borrowedBooks.entries()), // Map 無法直接轉成 JSON
+            ledger: this.#ledger.toJSON(),
+            recommendationsOptOut: this.#recommendationsOptOut
+        };
+    }
+    
+    restoreState(state) {
+        super.restoreState(state);
+        // 舊資料沒有會籍日期：從建立日起算一期
+        const startedAt = state.membershipStartedAt ?? state.createDate;
+        this.#membershipType = state.membershipType;
+        this.#membershipStartedAt = new Date(startedAt);
+        this.#membershipExpiresAt = state.membershipExpiresAt
+            ? new Date(state.membershipExpiresAt)
+            : this.#tiers.expiryFor(state.membershipType, startedAt);
+        this.#suspension = state.suspension ? User.#copySuspension(state.suspension) : null;
+        this.#borrowedBooks = new Map(state.borrowedBooks);
+        this.#ledger = FineLedger.fromJSON(state.ledger ?? []);
+        this.#recommendationsOptOut = state.recommendationsOptOut ?? false;
+        return this;
+    }
+    
+    static #copySuspension({ reason, since, until }) {
+        return { reason, since: new Date(since), until: until ? new Date(until) : null };
+    }
+    
+    static fromJSON(state, policies = new LoanPolicyTable(), tiers = new MembershipTierRegistry()) {
+        return new User(state.id, state.name, state.email, state.membershipType, policies, tiers, {
+            startDate: state.membershipStartedAt ?? state.createDate
+        }).restoreState(state);
+    }
+}
+
+// ----- 借閱記錄類別 -----
+// 借閱狀態是一個有限狀態機，只能沿著 LOAN_TRANSITIONS 列出的方向轉換：
+//   active (借出中) <=> overdue (逾期，續借後回到 active)
+//   active/overdue => returned (已還) / lost (遺失) / claimed_returned (讀者聲稱已還，但找不到書)
+//   claimed_returned => returned (在架上找到) / lost (查無此書) / written_off (註銷)
+//   lost => returned (找到並歸還) / written_off (註銷)
+// returned 與 written_off 是終止狀態。
+// Python 等價物：transitions 套件的 Machine(states=..., transitions=...)
+const LOAN_TRANSITIONS = {
+    active: ["overdue", "returned", "lost", "claimed_returned"],
+    overdue: ["active", "returned", "lost", "claimed_returned"],
+    claimed_returned: ["returned", "lost", "written_off"],
+    lost: ["returned", "written_off"],
+    returned: [],
+    written_off: []
+};
+const LOAN_STATUSES = Object.keys(LOAN_TRANSITIONS);
+
+class BorrowRecord extends LibraryItem {
+    #userId;
+    #bookId;
+    #copyId; // 實際借出的複本
+    #borrowDate;
+    #dueDate;
+    #returnDate;
+    #status; // LOAN_STATUSES 之一
+    #terms;    // 借出當下適用的借閱條款 (之後改政策不影響已借出的書)
+    #renewals; // 已續借次數
+    #branch;       // 借出的分館
+    #returnBranch; // 歸還的分館 (可以和借出的不同)
+    #history;      // 狀態轉換記錄 [{ from, to, at, reason }]
+    #replacementCharge; // 遺失時收取的賠償金額 (沒有則為 null)
+    #deposit;           // 借出時收的押金 { amount, status } (沒有則為 null)
+    #calendar;          // 圖書館的 OpeningCalendar，逾期只算開館日 (null 代表每天都算)
+    
+    constructor(id, userId, bookId, dueDate, copyId = null, terms = DEFAULT_LOAN_TERMS, borrowDate = new Date(),
+        branch = DEFAULT_BRANCH_CODE, calendar = null) {
+        super(id);
+        this.#userId = userId;
+        this.#bookId = bookId;
+        this.#copyId = copyId;
+        this.#borrowDate = new Date(borrowDate);
+        this.#dueDate = new Date(dueDate);
+        this.#returnDate = null;
+        this.#status = "active";
+        this.#terms = { ...terms };
+        this.#renewals = 0;
+        this.#branch = branch;
+        this.#returnBranch = null;
+        this.#history = [{ from: null, to: "active", at: new Date(borrowDate), reason: null }];
+        this.#replacementCharge = null;
+        this.#deposit = null;
+        this.#calendar = calendar;
+    }
+    
+    // Getters
+    get userId() { return this.#userId; }
+    get bookId() { return this.#bookId; }
+    get copyId() { return this.#copyId; }
+    get terms() { return { ...this.#terms }; }
+    get renewals() { return this.#renewals; }
+    get renewalsRemaining() { return Math.max(0, this.#terms.maxRenewals - this.#renewals); }
+    get borrowDate() { return new Date(this.#borrowDate); }
+    get dueDate() { return new Date(this.#dueDate); }
+    get returnDate() { return this.#returnDate ? new Date(this.#returnDate) : null; }
+    get status() { return this.#status; }
+    get branch() { return this.#branch; }
+    get returnBranch() { return this.#returnBranch; }
+    get replacementCharge() { return this.#replacementCharge; }
+    get deposit() { return this.#deposit ? { ...this.#deposit } : null; }
+    get history() { return this.#history.map(entry => ({ ...entry, at: new Date(entry.at) })); }
+    
+    // 書在讀者手上 (借出中或逾期)
+    get isOnLoan() {
+        return this.#status === "active" || this.#status === "overdue";
+    }
+    
+    // 已經結案 (還書或註銷)，不能再轉換狀態
+    get isClosed() {
+        return LOAN_TRANSITIONS[this.#status].length === 0;
+    }
+    
+    // 讀者不再持有這本書的時間：還書、報失或聲稱已還的那一刻 (仍在手上則為 null)
+    get loanEndedAt() {
+        if (this.isOnLoan) return null;
+        const ended = this.#history.find(entry => entry.from === "active" || entry.from === "overdue");
+        return ended ? new Date(ended.at) : this.returnDate;
+    }
+    
+    canTransitionTo(status) {
+        return LOAN_TRANSITIONS[this.#status].includes(status);
+    }
+    
+    // 不合法的轉換丟出錯誤，例如已還的書不能報失
+    assertCanTransitionTo(status) {
+        if (!LOAN_STATUSES.includes(status)) {
+            throw new ValidationError(`Invalid borrow record status "${status}". Expected one of: ${LOAN_STATUSES.join(", ")}`);
+        }
+        if (!this.canTransitionTo(status)) {
+            const allowed = LOAN_TRANSITIONS[this.#status];
+            throw new ConflictError(`Cannot change borrow record ${this.id} from "${this.#status}" to "${status}" ` +
+                `(allowed: ${allowed.length > 0 ? allowed.join(", ") : "none"})`);
+        }
+    }
+    
+    // 唯一改變狀態的地方：檢查轉換並記錄到歷史
+    transitionTo(status, at = new Date(), reason = null) {
+        this.assertCanTransitionTo(status);
+        const from = this.#status;
+        this.#status = status;
+        this.#history.push({ from, to: status, at: new Date(at), reason });
+        return from;
+    }
+    
+    // 到期日改成休館時順延 (例如新增的休館日蓋到了到期日)；不算續借
+    postponeDueDate(newDueDate) {
+        if (this.#status !== "active") {
+            throw new ConflictError(`Cannot postpone the due date of borrow record ${this.id} because it is ${this.#status}`);
+        }
+        if (!(newDueDate > this.#dueDate)) {
+            throw new ValidationError(`Invalid due date for borrow record ${this.id}: must be later than the current due date`);
+        }
+        this.#dueDate = new Date(newDueDate);
+    }
+    
+    // 續借：延後到期日
+    renew(newDueDate, at = new Date()) {
+        if (!this.isOnLoan) {
+            throw new ConflictError(`Cannot renew borrow record ${this.id} because it is ${this.#status}`);
+        }
+        if (this.#renewals >= this.#terms.maxRenewals) {
+            throw new ConflictError(`Borrow record ${this.id} has reached the renewal limit of ${this.#terms.maxRenewals}`);
+        }
+        this.#dueDate = new Date(newDueDate);
+        this.#renewals++;
+        if (this.#status === "overdue") this.transitionTo("active", at, "Renewed"); // 逾期的書續借後恢復正常
+    }
+    
+    // 處理還書 (匯入歷史資料時可指定還書時間；未指定分館時視為在借出的分館歸還)
+    // 報失或聲稱已還的書找到了也是用這個方法結案
+    processReturn(returnDate = new Date(), branch = null) {
+        if (returnDate < this.#borrowDate) {
+            throw new ValidationError(`Return date of borrow record ${this.id} cannot be earlier than its borrow date`);
+        }
+        this.assertCanTransitionTo("returned");
+        this.#returnDate = new Date(returnDate);
+        this.#returnBranch = branch ?? this.#branch;
+        return this.transitionTo("returned", returnDate);
+    }
+    
+    markLost(at = new Date(), reason = null) {
+        return this.transitionTo("lost", at, reason);
+    }
+    
+    claimReturned(at = new Date(), reason = null) {
+        return this.transitionTo("claimed_returned", at, reason);
+    }
+    
+    writeOff(at = new Date(), reason = null) {
+        return this.transitionTo("written_off", at, reason);
+    }
+    
+    // 押金狀態：held (館方保管中) => refunded (還書時退還) / applied (遺失時抵賠償金) / forfeited (註銷時沒收)
+    collectDeposit(amount) {
+        if (this.#deposit) throw new ConflictError(`Borrow record ${this.id} already has a deposit`);
+        this.#deposit = { amount, status: "held" };
+    }
+    
+    settleDeposit(status) {
+        if (this.#deposit?.status !== "held") throw new ConflictError(`Borrow record ${this.id} has no deposit held`);
+        this.#deposit = { ...this.#deposit, status };
+    }
+    
+    setReplacementCharge(amount) {
+        this.#replacementCharge = amount;
+    }
+    
+    // 檢查是否逾期 (now 可以指定，方便用模擬時鐘測試)
+    // 只有借出中的書會變成逾期；報失、聲稱已還的書不再累積逾期
+    checkOverdue(now = new Date()) {
+        if (this.#status === "active" && now > this.#dueDate) {
+            this.transitionTo("overdue", now);
+            return true;
+        }
+        return this.#status === "overdue";
+    }
+    
+    // 計算逾期天數：從到期隔天算到今天，休館日不算 (所以也不罰款)
+    // 以日曆日計算：到期日當天晚幾個小時還書不算逾期一天 (四捨五入避開夏令時間的 23/25 小時)
+    getOverdueDays(now = new Date()) {
+        if (this.#status !== "overdue") return 0;
+        
+        const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const days = Math.round((startOfDay(now) - startOfDay(this.#dueDate)) / (1000 * 60 * 60 * 24));
+        return this.#calendar && !this.#calendar.isAlwaysOpen ? this.#calendar.countOpenDays(this.#dueDate, days) : days;
+    }
+    
+    // 計算罰款 (如適用)
+    // 逾期天數在寬限期內不罰款；超過寬限期則整段逾期都要罰，且不超過上限
+    calculateFine(fineRate = this.#terms.fineRate, now = new Date()) {
+        if (this.#status !== "overdue") return 0;
+        
+        const overdueDays = this.getOverdueDays(now);
+        if (overdueDays <= this.#terms.graceDays) return 0;
+        
+        const fine = overdueDays * fineRate;
+        return this.#terms.fineCap === null ? fine : Math.min(fine, this.#terms.fineCap);
+    }
+    
+    // now 是計算逾期天數的時間點，由 Library 傳入它的時鐘時間
+    getDetails(now = new Date()) {
+        return {
+            id: this.id,
+            userId: this.#userId,
+            bookId: this.#bookId,
+            copyId: this.#copyId,
+            borrowDate: this.#borrowDate,
+            dueDate: this.#dueDate,
+            returnDate: this.#returnDate,
+            status: this.#status,
+            overdueDays: this.getOverdueDays(now),
+            renewals: this.#renewals,
+            renewalsRemaining: this.renewalsRemaining,
+            branch: this.#branch,
+            returnBranch: this.#returnBranch,
+            replacementCharge: this.#replacementCharge,
+            deposit: this.deposit,
+            history: this.history
+        };
+    }
+    
+    toString() {
+        return `BorrowRecord ${this.id}: Book ${this.#bookId} borrowed by User ${this.#userId}`;
+    }
+    
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            userId: this.#userId,
+            bookId: this.#bookId,
+            copyId: this.#copyId,
+            borrowDate: this.#borrowDate.toISOString(),
+            dueDate: this.#dueDate.toISOString(),
+            returnDate: this.#returnDate ? this.#returnDate.toISOString() : null,
+            status: this.#status,
+            terms: { ...this.#terms },
+            renewals: this.#renewals,
+            branch: this.#branch,
+            returnBranch: this.#returnBranch,
+            history: this.#history.map(entry => ({ ...entry, at: entry.at.toISOString() })),
+            replacementCharge: this.#replacementCharge,
+            deposit: this.deposit
+        };
+    }
+    
+    restoreState(state) {
+        super.restoreState(state);
+        this.#borrowDate = new Date(state.borrowDate);
+        this.#dueDate = new Date(state.dueDate);
+        this.#returnDate = state.returnDate ? new Date(state.returnDate) : null;
+        this.#status = state.status;
+        this.#renewals = state.renewals;
+        this.#returnBranch = state.returnBranch ?? (state.returnDate ? this.#branch : null);
+        // 舊記錄沒有轉換歷史：只留下借出那一筆
+        this.#history = (state.history ?? [{ from: null, to: "active", at: state.borrowDate, reason: null }])
+            .map(entry => ({ ...entry, at: new Date(entry.at) }));
+        this.#replacementCharge = state.replacementCharge ?? null;
+        this.#deposit = state.deposit ? { ...state.deposit } : null;
+        return this;
+    }
+    
+    // 沒有分館資料的舊記錄算在預設分館
+    static fromJSON(state, calendar = null) {
+        return new BorrowRecord(state.id, state.userId, state.bookId, state.dueDate, state.copyId, state.terms,
+            state.borrowDate, state.branch ?? DEFAULT_BRANCH_CODE, calendar).restoreState(state);
+    }
+}
+
+// ----- 預約記錄類別 -----
+// 書被借走時，讀者可以排隊預約 (FIFO)。
+// 狀態流程: waiting (排隊中) => [in_transit (書從別館送來)] => ready (已保留，等待取書) => fulfilled (已取書)
+//           waiting/in_transit/ready => cancelled (讀者取消) / expired (逾期未取)
+class Hold extends LibraryItem {
+    #userId;
+    #bookId;
+    #copyId;    // 保留給這筆預約的複本 (in_transit 或 ready 之後才有)
+    #placedDate;
+    #status;
+    #readyDate; // 書被保留的時間
+    #expiresAt; // 取書期限
+    #pickupBranch; // 取書的分館
+    
+    constructor(id, userId, bookId, placedDate = new Date(), pickupBranch = DEFAULT_BRANCH_CODE) {
+        super(id);
+        this.#userId = userId;
+        this.#bookId = bookId;
+        this.#copyId = null;
+        this.#placedDate = new Date(placedDate);
+        this.#status = "waiting";
+        this.#readyDate = null;
+        this.#expiresAt = null;
+        this.#pickupBranch = pickupBranch;
+    }
+    
+    // Getters
+    get userId() { return this.#userId; }
+    get bookId() { return this.#bookId; }
+    get copyId() { return this.#copyId; }
+    get placedDate() { return new Date(this.#placedDate); }
+    get status() { return this.#status; }
+    get readyDate() { return this.#readyDate ? new Date(this.#readyDate) : null; }
+    get expiresAt() { return this.#expiresAt ? new Date(this.#expiresAt) : null; }
+    get pickupBranch() { return this.#pickupBranch; }
+    
+    // 仍在排隊、書在路上或等待取書
+    get isActive() {
+        return this.#status === "waiting" || this.#status === "in_transit" || this.#status === "ready";
+    }
+    
+    // 別館的複本正送往取書分館
+    markInTransit(copyId) {
+        this.#status = "in_transit";
+        this.#copyId = copyId;
+    }
+    
+    // 有複本歸還，為這位讀者保留到取書期限
+    markReady(copyId, expiresAt, readyDate = new Date()) {
+        this.#status = "ready";
+        this.#copyId = copyId;
+        this.#readyDate = new Date(readyDate);
+        this.#expiresAt = new Date(expiresAt);
+    }
+    
+    // 保留期限是否已過
+    isExpired(now = new Date()) {
+        return this.#status === "ready" && now > this.#expiresAt;
+    }
+    
+    fulfill() {
+        this.#status = "fulfilled";
+    }
+    
+    cancel() {
+        this.#status = "cancelled";
+    }
+    
+    expire() {
+        this.#status = "expired";
+    }
+    
+    getDetails() {
+        return {
+            id: this.id,
+            userId: this.#userId,
+            bookId: this.#bookId,
+            copyId: this.#copyId,
+            placedDate: this.#placedDate,
+            status: this.#status,
+            readyDate: this.#readyDate,
+            expiresAt: this.#expiresAt,
+            pickupBranch: this.#pickupBranch
+        };
+    }
+    
+    toString() {
+        return `Hold ${this.id}: Book ${this.#bookId} for User ${this.#userId} (${this.#status})`;
+    }
+    
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            userId: this.#userId,
+            bookId: this.#bookId,
+            copyId: this.#copyId,
+            placedDate: this.#placedDate.toISOString(),
+            status: this.#status,
+            readyDate: this.#readyDate ? this.#readyDate.toISOString() : null,
+            expiresAt: this.#expiresAt ? this.#expiresAt.toISOString() : null,
+            pickupBranch: this.#pickupBranch
+        };
+    }
+    
+    restoreState(state) {
+        super.restoreState(state);
+        this.#copyId = state.copyId;
+        this.#placedDate = new Date(state.placedDate);
+        this.#status = state.status;
+        this.#readyDate = state.readyDate ? new Date(state.readyDate) : null;
+        this.#expiresAt = state.expiresAt ? new Date(state.expiresAt) : null;
+        return this;
+    }
+    
+    static fromJSON(state) {
+        return new Hold(state.id, state.userId, state.bookId, state.placedDate, state.pickupBranch ?? DEFAULT_BRANCH_CODE)
+            .restoreState(state);
+    }
+}
+
+// ----- 領域事件 -----
+// Library 在操作成功 (寫入日誌) 之後發出事件，例如 library.on("loan.created", event => ...)
+// 事件格式一律為 { type, occurredAt, data }；data 只放 ID 與基本欄位，不放實體本身
+// 用 library.on("*", ...) 可以訂閱所有事件
+// Python 等價物：blinker 的 signal，或 Django signals
+const LIBRARY_EVENTS = [
+    "book.added", "book.removed",
+    "user.added", "user.removed", "user.limitReached",
+    "membership.renewed", "membership.changed", "membership.suspended", "membership.reinstated",
+    "recommendations.optedOut", "recommendations.optedIn",
+    "loan.created", "loan.renewed", "loan.returned", "loan.overdue",
+    "loan.lost", "loan.claimedReturned", "loan.writtenOff", "loan.expired", "loan.rescheduled",
+    "licenses.changed", "calendar.changed",
+    "deposit.collected", "deposit.refunded", "deposit.applied", "deposit.forfeited",
+    "fine.assessed", "fine.paid", "fine.waived", "fine.refunded",
+    "hold.placed", "hold.ready", "hold.cancelled", "hold.expired",
+    "transfer.started", "transfer.received",
+    "command.undone"
+];
+const ANY_EVENT = "*";
+
+// 帳目類型 => 事件名稱
+const LEDGER_EVENTS = {
+    fine: "fine.assessed",
+    payment: "fine.paid",
+    waiver: "fine.waived",
+    refund: "fine.refunded"
+};
+
+// 稽核記錄預設保留的指令數；每筆指令含受影響實體的前後狀態，不設上限時快照會一直長大
+const DEFAULT_AUDIT_LOG_LIMIT = 1000;
 
 // ----- 圖書館類別 -----
 // 管理整個圖書館系統
-class Library {
+class Library extends EventEmitter {
     #books;      // Map of id => Book
     #users;      // Map of id => User
     #records;    // Map of id => BorrowRecord
+    #holds;      // Map of id => Hold
     #nextBookId;
+    #nextCopyId;
     #nextUserId;
     #nextRecordId;
-    #dailyFineRate;
+    #nextHoldId;
+    #nextCommandId;
+    #policies;       // LoanPolicyTable
+    #tiers;          // MembershipTierRegistry
+    #branches;       // BranchDirectory
+    #calendar;       // OpeningCalendar (開館時間與休館日)
+    #holdPickupDays; // 預約書保留天數
+    #maxOutstandingBalance; // 欠款超過此金額就不能借書 (null 代表不限制)
+    #clock;          // 提供「現在」的時鐘 (預設為系統時間)
+    #journalPath;    // 變更日誌檔案路徑 (save/load 之後才會設定)
+    #pendingChanges; // 目前操作中被修改的實體 (key => 修改前的狀態)
+    #searchIndex;    // 館藏全文檢索的倒排索引
+    #booksByIsbn;    // 正規化的 ISBN => Book
+    #copiesById;     // 複本 ID => Copy
+    #copiesByBarcode; // 條碼 => Copy
+    #recordIdsByBook; // 書目 ID => 借閱記錄 ID 的 Set (含已結案的)
+    #recordIdsByUser; // 使用者 ID => 借閱記錄 ID 的 Set
+    #holdIdsByBook;   // 書目 ID => 預約 ID 的 Set
+    #pendingEvents;  // 目前操作中產生、等操作成功後才發出的事件
+    #auditLog;       // Map of id => 指令 (每個修改狀態的操作，含執行者、參數與前後狀態)
+    #auditLogLimit;  // 稽核記錄最多保留幾筆指令 (null 代表不限制)，超過時丟掉最舊的
+    #commandIdsByEntity; // "collection:id" => 修改過這個實體的指令 ID (由舊到新)
+    #actor;          // 目前的執行者 (寫入稽核記錄，用 runAs 切換)
+    #logger;         // 事件訂閱者出錯又沒有 "error" 監聽者時，用它的 error() 記錄 (預設為 console)
     
-    constructor(dailyFineRate = 1) {
+    // dailyFineRate 是預設政策的每日罰款；傳入 loanPolicies 時以政策表為準
+    constructor(dailyFineRate = 1, {
+        holdPickupDays = 3,
+        loanPolicies = null,
+        membershipTiers = null,
+        branches = null,
+        calendar = null,
+        maxOutstandingBalance = 10,
+        clock = SYSTEM_CLOCK,
+        actor = "system",
+        logger = console,
+        auditLogLimit = DEFAULT_AUDIT_LOG_LIMIT
+    } = {}) {
+        super();
+        if (auditLogLimit !== null && !(Number.isInteger(auditLogLimit) && auditLogLimit > 0)) {
+            throw new ValidationError(`Invalid audit log limit: ${auditLogLimit}. Expected a positive integer or null`);
+        }
         this.#books = new Map();
         this.#users = new Map();
         this.#records = new Map();
+        this.#holds = new Map();
         this.#nextBookId = 1;
+        this.#nextCopyId = 1;
         this.#nextUserId = 1;
         this.#nextRecordId = 1;
-        this.#dailyFineRate = dailyFineRate;
+        this.#nextHoldId = 1;
+        this.#nextCommandId = 1;
+        this.#policies = loanPolicies ?? new LoanPolicyTable({ defaults: { fineRate: dailyFineRate } });
+        this.#tiers = membershipTiers ?? new MembershipTierRegistry();
+        this.#branches = branches ?? new BranchDirectory();
+        this.#calendar = calendar ?? new OpeningCalendar();
+        this.#holdPickupDays = holdPickupDays;
+        this.#maxOutstandingBalance = maxOutstandingBalance;
+        this.#clock = clock;
+        this.#journalPath = null;
+        this.#pendingChanges = null;
+        this.#searchIndex = new CatalogSearchIndex();
+        this.#booksByIsbn = new Map();
+        this.#copiesById = new Map();
+        this.#copiesByBarcode = new Map();
+        this.#recordIdsByBook = new Map();
+        this.#recordIdsByUser = new Map();
+        this.#holdIdsByBook = new Map();
+        this.#pendingEvents = null;
+        this.#auditLog = new Map();
+        this.#auditLogLimit = auditLogLimit;
+        this.#commandIdsByEntity = new Map();
+        this.#actor = actor;
+        this.#logger = logger;
+    }
+    
+    // 圖書館時鐘的「現在」
+    now() {
+        return this.#clock.now();
+    }
+    
+    // 換成其他時鐘 (例如模擬用的 SimulatedClock)
+    setClock(clock) {
+        this.#clock = clock;
+    }
+    
+    // 換成其他 logger (只需要 error 方法)，例如 load 之後接上應用程式的 logger
+    setLogger(logger) {
+        this.#logger = logger;
     }
     
     // ----- 書籍管理 -----
     
-    // 添加書籍
-    addBook(title, author, isbn, pages, category) {
-        const id = this.#nextBookId++;
-        const book = new Book(id, title, author, isbn, pages, category);
-        this.#books.set(id, book);
-        return book;
+    // 添加書籍 (預設建立一本複本)
+    addBook(title, author, isbn, pages, category, { copies = 1, shelfLocation = "", branch = null } = {}) {
+        this.#assertUniqueIsbn(isbn);
+        return this.#addItem("addBook", { title, author, isbn, pages, category },
+            id => new Book(id, title, author, isbn, pages, category), { copies, shelfLocation, branch });
     }
     
     // 添加學術書籍
-    addAcademicBook(title, author, isbn, pages, academicField, citations = []) {
-        const id = this.#nextBookId++;
-        const book = new AcademicBook(id, title, author, isbn, pages, academicField, citations);
-        this.#books.set(id, book);
-        return book;
+    addAcademicBook(title, author, isbn, pages, academicField, citations = [],
+        { copies = 1, shelfLocation = "", branch = null } = {}) {
+        this.#assertUniqueIsbn(isbn);
+        return this.#addItem("addAcademicBook", { title, author, isbn, pages, academicField, citations },
+            id => new AcademicBook(id, title, author, isbn, pages, academicField, citations), { copies, shelfLocation, branch });
+    }
+    
+    // 添加任何類型的館藏 (類型與欄位見 ITEM_TYPES)，例如
+    // addItem("DVD", { title: "Spirited Away", director: "Hayao Miyazaki", runtimeMinutes: 125 }, { copies: 2 })
+    // copies 未指定時實體館藏建立一本複本，電子書不建立 (電子書以 fields.licenses 代替複本)
+    addItem(type, fields = {}, { copies = null, shelfLocation = "", branch = null } = {}) {
+        const { create } = itemTypeOf(type);
+        if (fields.isbn) this.#assertUniqueIsbn(fields.isbn);
+        return this.#addItem("addItem", { type, fields }, id => create(id, fields), { copies, shelfLocation, branch });
+    }
+    
+    #addItem(op, args, create, { copies, shelfLocation, branch }) {
+        return this.#mutate(op, { ...args, copies, shelfLocation, branch }, () => {
+            const id = this.#nextBookId++;
+            const book = create(id);
+            this.#touch("books", id);
+            this.#books.set(id, book);
+            this.#searchIndex.add(book);
+            this.#indexBook(book);
+            copies ??= book.isDigital ? 0 : 1;
+            for (let i = 0; i < copies; i++) this.addCopy(id, { shelfLocation, branch });
+            this.#emitEvent("book.added", {
+                bookId: id, type: book.itemType, title: book.title, author: book.author, isbn: book.isbn,
+                category: book.category, copies
+            });
+            return book;
+        });
     }
     
     // 獲取書籍
@@ -321,38 +2086,413 @@ class Library {
         return this.#books.get(id);
     }
     
-    // 刪除書籍
-    removeBook(id) {
-        // 檢查書籍是否已借出
-        const activeRecords = Array.from(this.#records.values())
-            .filter(record => record.bookId === id && record.status === "active");
+    // 依 ISBN 查找書目 (忽略連字號、空白與大小寫)
+    findBookByIsbn(isbn) {
+        return this.#booksByIsbn.get(Library.#isbnKey(isbn));
+    }
+    
+    // 為學術書籍加上一筆引用 (Citation、{ authors, title, year, isbn, doi } 或自由文字)
+    addCitation(bookId, citation) {
+        const book = this.#books.get(bookId);
+        if (!book) {
+            throw new NotFoundError(`Book with ID ${bookId} not found`);
+        }
+        if (!(book instanceof AcademicBook)) {
+            throw new ConflictError(`Book with ID ${bookId} is not an academic book`);
+        }
+        citation = Citation.from(citation);
+        
+        return this.#mutate("addCitation", { bookId, citation }, () => {
+            this.#touch("books", bookId);
+            return book.addCitation(citation);
+        });
+    }
+    
+    // 找出引用指的是館藏中的哪本書，找不到時回傳 undefined
+    // 先比對 ISBN (ISBN-10 與 ISBN-13 都可以)，再比對標題與第一作者的姓
+    // 館藏沒有記錄 DOI，所以 DOI 不參與比對
+    resolveCitation(citation) {
+        citation = Citation.from(citation);
+        
+        if (citation.isbn) {
+            const isbn13 = normalizeIsbn(citation.isbn);
+            const candidates = [citation.isbn, isbn13, isbn13 && isbn13To10(isbn13)].filter(Boolean);
+            for (const isbn of candidates) {
+                const book = this.findBookByIsbn(isbn);
+                if (book) return book;
+            }
+        }
+        
+        const title = Citation.normalizeTitle(citation.title);
+        const [firstAuthor] = citation.authors;
+        // "Knuth, D. E." 的姓在逗號前；"Donald E. Knuth" 的姓在最後
+        const surname = firstAuthor &&
+            (firstAuthor.includes(",") ? firstAuthor.split(",")[0] : firstAuthor.split(/\s+/).pop()).toLowerCase();
+        
+        return this.searchBooks(citation.title, { limit: 10 }).find(book =>
+            Citation.normalizeTitle(book.title) === title &&
+            (!surname || (book.author ?? "").toLowerCase().includes(surname)));
+    }
+    
+    // 刪除書籍
+    removeBook(id) {
+        // 檢查書籍是否有複本 (或電子書授權) 借出中
+        const book = this.#books.get(id);
+        if (book && (book.copies.some(copy => copy.status === "on_loan") || (book.isDigital && book.licensesInUse > 0))) {
+            throw new ConflictError(`Cannot remove book with ID ${id} because it is currently borrowed`);
+        }
+        // 報失或聲稱已還的借閱還沒結案 (之後可能還書或註銷)，書目刪掉後這些記錄就無法處理
+        const openRecord = this.#recordsOf(this.#recordIdsByBook, id).find(record => !record.isClosed);
+        if (book && openRecord) {
+            throw new ConflictError(`Cannot remove book with ID ${id} because borrow record ${openRecord.id} ` +
+                `is still ${openRecord.status}`);
+        }
+        
+        return this.#mutate("removeBook", { id }, () => {
+            this.#touch("books", id);
+            this.#activeHolds(id).forEach(hold => this.#cancelHold(hold));
+            this.#searchIndex.remove(id);
+            if (book) this.#unindexBook(book);
+            const removed = this.#books.delete(id);
+            if (removed) this.#emitEvent("book.removed", { bookId: id, title: book.title, isbn: book.isbn });
+            return removed;
+        });
+    }
+    
+    // 搜索書籍，依相關程度排序 (也可以用複本條碼搜尋)
+    searchBooks(query, options = {}) {
+        return this.searchCatalog(query, options).results.map(result => result.book);
+    }
+    
+    // 全文檢索：回傳排序後的結果 (含分數) 與分類、作者、可借狀態的分面統計
+    // options: { limit = 20, offset = 0, filters: { category, author, available, type } }
+    searchCatalog(query, options = {}) {
+        const result = this.#searchIndex.search(query, options);
+        
+        // 條碼完全相符的書排在第一頁最前面 (條碼不建索引，只有單一詞的查詢才比對)
+        const barcode = String(query).trim();
+        const copy = !options.offset && barcode && !/\s/.test(barcode) ? this.findCopyByBarcode(barcode) : undefined;
+        if (copy) {
+            const others = result.results.filter(({ book }) => book.id !== copy.bookId);
+            if (others.length === result.results.length) result.total++;
+            const match = { book: this.#books.get(copy.bookId), score: Infinity, matchedTerms: [barcode] };
+            result.results = [match, ...others].slice(0, options.limit ?? 20);
+        }
+        return result;
+    }
+    
+    // 整批重建索引 (載入快照、重播日誌之後)
+    #rebuildIndexes() {
+        this.#searchIndex.clear();
+        this.#booksByIsbn.clear();
+        this.#copiesById.clear();
+        this.#copiesByBarcode.clear();
+        this.#recordIdsByBook.clear();
+        this.#recordIdsByUser.clear();
+        this.#holdIdsByBook.clear();
+        for (const book of this.#books.values()) {
+            this.#searchIndex.add(book);
+            this.#indexBook(book);
+        }
+        for (const record of this.#records.values()) this.#indexRecord(record);
+        for (const hold of this.#holds.values()) this.#indexHold(hold);
+    }
+    
+    // ISBN、複本 ID 與條碼的查詢索引要跟 #books 一起更新，借閱記錄與預約則依書目、使用者建索引：
+    // 新增、刪除實體，以及還原實體 (復原、失敗回滾) 時都要先移除舊的再加入新的
+    static #isbnKey(isbn) {
+        return String(isbn).replace(/[\s-]/g, "").toLowerCase();
+    }
+    
+    #indexBook(book) {
+        if (book.isbn) {
+            const key = Library.#isbnKey(book.isbn);
+            if (!this.#booksByIsbn.has(key)) this.#booksByIsbn.set(key, book);
+        }
+        for (const copy of book.copies) this.#indexCopy(copy);
+    }
+    
+    #indexCopy(copy) {
+        this.#copiesById.set(copy.id, copy);
+        this.#copiesByBarcode.set(copy.barcode, copy);
+    }
+    
+    #unindexBook(book) {
+        if (book.isbn) {
+            const key = Library.#isbnKey(book.isbn);
+            if (this.#booksByIsbn.get(key) === book) this.#booksByIsbn.delete(key);
+        }
+        for (const copy of book.copies) {
+            if (this.#copiesById.get(copy.id) === copy) this.#copiesById.delete(copy.id);
+            if (this.#copiesByBarcode.get(copy.barcode) === copy) this.#copiesByBarcode.delete(copy.barcode);
+        }
+    }
+    
+    // 借閱記錄與預約的書目、使用者建立後就不會變
+    #indexRecord(record) {
+        Library.#addToIndex(this.#recordIdsByBook, record.bookId, record.id);
+        Library.#addToIndex(this.#recordIdsByUser, record.userId, record.id);
+    }
+    
+    #unindexRecord(record) {
+        Library.#removeFromIndex(this.#recordIdsByBook, record.bookId, record.id);
+        Library.#removeFromIndex(this.#recordIdsByUser, record.userId, record.id);
+    }
+    
+    #indexHold(hold) {
+        Library.#addToIndex(this.#holdIdsByBook, hold.bookId, hold.id);
+    }
+    
+    #unindexHold(hold) {
+        Library.#removeFromIndex(this.#holdIdsByBook, hold.bookId, hold.id);
+    }
+    
+    static #addToIndex(index, key, id) {
+        if (!index.has(key)) index.set(key, new Set());
+        index.get(key).add(id);
+    }
+    
+    static #removeFromIndex(index, key, id) {
+        const ids = index.get(key);
+        if (ids?.delete(id) && ids.size === 0) index.delete(key);
+    }
+    
+    // 某本書或某位使用者的借閱記錄
+    #recordsOf(index, key) {
+        return Array.from(index.get(key) ?? [], id => this.#records.get(id));
+    }
+    
+    #holdsOfBook(bookId) {
+        return Array.from(this.#holdIdsByBook.get(bookId) ?? [], id => this.#holds.get(id));
+    }
+    
+    #assertUniqueIsbn(isbn) {
+        const existing = this.findBookByIsbn(isbn);
+        if (existing) {
+            throw new ConflictError(`Book with ISBN ${isbn} already exists (ID ${existing.id}); use addCopy to add another copy`);
+        }
+    }
+    
+    // ----- 複本管理 -----
+    
+    // 為書目新增一本實體複本；未指定條碼時自動產生，未指定分館時放在預設分館
+    addCopy(bookId, { barcode = null, shelfLocation = "", condition = "good", branch = null } = {}) {
+        const book = this.#books.get(bookId);
+        if (!book) throw new NotFoundError(`Book with ID ${bookId} not found`);
+        if (book.isDigital) {
+            throw new ConflictError(`Cannot add a physical copy to digital item "${book.title}"; change its licenses instead`);
+        }
+        branch = this.#resolveBranch(branch);
+        
+        const copyId = this.#nextCopyId;
+        barcode = barcode ?? `C${String(copyId).padStart(8, "0")}`;
+        if (this.findCopyByBarcode(barcode)) {
+            throw new ConflictError(`Copy with barcode ${barcode} already exists`);
+        }
+        
+        return this.#mutate("addCopy", { bookId, barcode, shelfLocation, condition, branch }, () => {
+            this.#nextCopyId++;
+            const copy = new Copy(copyId, bookId, barcode, { shelfLocation, condition, homeBranch: branch });
+            this.#touch("books", bookId);
+            book.addCopy(copy);
+            this.#indexCopy(copy);
+            // 有人在排隊時，新複本直接保留給預約者
+            this.#releaseCopy(book, copy);
+            return copy;
+        });
+    }
+    
+    // 調整電子書的授權數 (續約、加購或減購)；不能少於借出中的數量
+    setLicenses(bookId, licenses) {
+        const book = this.#books.get(bookId);
+        if (!book) throw new NotFoundError(`Book with ID ${bookId} not found`);
+        if (!book.isDigital) {
+            throw new ConflictError(`Cannot set licenses of physical item "${book.title}"; add or withdraw copies instead`);
+        }
+        const previous = book.licenses;
+        
+        return this.#mutate("setLicenses", { bookId, licenses }, () => {
+            this.#touch("books", bookId);
+            book.setLicenses(licenses);
+            this.#emitEvent("licenses.changed", { bookId, previous, licenses });
+            return book;
+        });
+    }
+    
+    getCopy(copyId) {
+        return this.#copiesById.get(copyId);
+    }
+    
+    findCopyByBarcode(barcode) {
+        return this.#copiesByBarcode.get(barcode);
+    }
+    
+    // 標記複本遺失、損壞、修復中、註銷，或重新上架
+    // 借出與保留狀態只能透過借書、還書與預約流程改變
+    setCopyStatus(copyId, status) {
+        const copy = this.getCopy(copyId);
+        if (!copy) throw new NotFoundError(`Copy with ID ${copyId} not found`);
+        if (!COPY_STATUSES.includes(status)) {
+            throw new ValidationError(`Invalid copy status "${status}". Expected one of: ${COPY_STATUSES.join(", ")}`);
+        }
+        if (status === "on_loan" || status === "reserved" || status === "in_transit") {
+            throw new ConflictError(`Copy status "${status}" is managed by circulation and cannot be set directly`);
+        }
+        // 沒有對應借閱記錄或預約的 on_loan / reserved 是不一致的狀態 (見 checkIntegrity)，允許直接修正
+        const records = this.#recordsOf(this.#recordIdsByBook, copy.bookId).filter(r => r.copyId === copyId);
+        if (copy.status === "on_loan" && records.some(r => r.isOnLoan)) {
+            throw new ConflictError(`Copy ${copy.barcode} is on loan; return it before changing its status`);
+        }
+        const disputed = records.find(r => !r.isClosed && !r.isOnLoan);
+        if (disputed) {
+            throw new ConflictError(`Copy ${copy.barcode} belongs to borrow record ${disputed.id} which is ${disputed.status}; ` +
+                "return or write off the loan instead");
+        }
+        if (copy.status === "reserved" && this.#activeHolds(copy.bookId).some(hold => hold.copyId === copyId)) {
+            throw new ConflictError(`Copy ${copy.barcode} is reserved for a hold; cancel the hold before changing its status`);
+        }
+        if (copy.status === "in_transit") {
+            throw new ConflictError(`Copy ${copy.barcode} is in transit to ${copy.transitTo}; receive it before changing its status`);
+        }
+        
+        return this.#mutate("setCopyStatus", { copyId, status }, () => {
+            const book = this.#books.get(copy.bookId);
+            this.#touch("books", book.id);
+            if (status === "available") {
+                this.#releaseCopy(book, copy);
+            } else {
+                copy.setStatus(status);
+            }
+            return copy;
+        });
+    }
+    
+    // ----- 分館與調撥 -----
+    
+    getBranches() {
+        return this.#branches.codes.map(code => this.#branches.get(code));
+    }
+    
+    getBranch(code) {
+        return this.#branches.get(code);
+    }
+    
+    // 新增分館或修改名稱與地址，例如 addBranch("NORTH", { name: "North Campus Library" })
+    addBranch(code, options = {}) {
+        return this.#changeBranches("addBranch", { code, options }, branches => {
+            branches.defineBranch(code, options);
+            return branches.get(code);
+        });
+    }
+    
+    // 還有複本、借閱中的書或預約屬於這個分館時不能刪除
+    removeBranch(code) {
+        this.#branches.get(code);
+        if (this.#branches.codes.length === 1) {
+            throw new ConflictError(`Cannot remove branch "${code}" because it is the only branch`);
+        }
+        const copies = this.getAllBooks().flatMap(book => book.copies);
+        if (copies.some(copy => copy.homeBranch === code || copy.location === code || copy.transitTo === code)) {
+            throw new ConflictError(`Cannot remove branch "${code}" because copies still belong to or are located at it`);
+        }
+        if (this.getAllRecords().some(record => record.isOnLoan && record.branch === code) ||
+            this.#activeHolds().some(hold => hold.pickupBranch === code)) {
+            throw new ConflictError(`Cannot remove branch "${code}" because it still has active loans or holds`);
+        }
+        return this.#changeBranches("removeBranch", { code }, branches => branches.removeBranch(code));
+    }
+    
+    #changeBranches(op, args, change) {
+        return this.#mutate(op, args, () => {
+            this.#touch("settings", "branches");
+            return change(this.#branches);
+        });
+    }
+    
+    // 未指定分館時用預設分館；指定了就必須存在
+    #resolveBranch(branch) {
+        return this.#branches.get(branch ?? this.#branches.defaultCode).code;
+    }
+    
+    // 把架上的複本送到另一個分館；permanent 時館藏分館也一併改過去 (館藏調整)，
+    // 否則只是暫時放在那裡 (例如展覽)，下次借出歸還後會送回館藏分館
+    transferCopy(copyId, toBranch, { permanent = false } = {}) {
+        const copy = this.getCopy(copyId);
+        if (!copy) throw new NotFoundError(`Copy with ID ${copyId} not found`);
+        toBranch = this.#resolveBranch(toBranch);
+        if (!copy.isAvailable) {
+            throw new ConflictError(`Copy ${copy.barcode} is ${copy.status} and cannot be transferred`);
+        }
+        if (copy.location === toBranch && (!permanent || copy.homeBranch === toBranch)) {
+            throw new ConflictError(`Copy ${copy.barcode} is already at branch ${toBranch}`);
+        }
         
-        if (activeRecords.length > 0) {
-            throw new Error(`Cannot remove book with ID ${id} because it is currently borrowed`);
+        return this.#mutate("transferCopy", { copyId, toBranch, permanent }, () => {
+            this.#touch("books", copy.bookId);
+            if (permanent) copy.setHomeBranch(toBranch);
+            if (copy.location !== toBranch) this.#startTransit(copy, toBranch);
+            return copy;
+        });
+    }
+    
+    // 在分館收到運送中的複本 (branch 預設為運送目的地)：
+    // 預約者在這裡取書就保留給他，否則上架或繼續送往該去的分館
+    receiveCopy(copyId, { branch = null } = {}) {
+        const copy = this.getCopy(copyId);
+        if (!copy) throw new NotFoundError(`Copy with ID ${copyId} not found`);
+        if (copy.status !== "in_transit") {
+            throw new ConflictError(`Copy ${copy.barcode} is not in transit`);
         }
+        branch = this.#resolveBranch(branch ?? copy.transitTo);
         
-        return this.#books.delete(id);
+        return this.#mutate("receiveCopy", { copyId, branch }, () => {
+            const book = this.#books.get(copy.bookId);
+            this.#touch("books", book.id);
+            const destination = copy.transitTo;
+            const from = copy.location;
+            copy.completeTransit(branch);
+            this.#emitEvent("transfer.received", { copyId, bookId: book.id, from, branch, expected: destination });
+            
+            const hold = this.#activeHolds(book.id).find(h => h.status === "in_transit" && h.copyId === copy.id);
+            if (hold) {
+                this.#assignCopyToHold(hold, copy);
+                return { copy, hold };
+            }
+            // 送錯分館就繼續送回館藏分館；送到目的地的 (例如暫時調撥) 就留在這裡
+            return { copy, hold: this.#releaseCopy(book, copy, { returnHome: branch !== destination }) };
+        });
     }
     
-    // 搜索書籍
-    searchBooks(query) {
-        query = query.toLowerCase();
-        return Array.from(this.#books.values()).filter(book => {
-            return book.title.toLowerCase().includes(query) ||
-                   book.author.toLowerCase().includes(query) ||
-                   book.category.toLowerCase().includes(query) ||
-                   book.isbn.toLowerCase().includes(query);
+    // 運送中的複本 (可依分館篩選：送出或送達的分館)
+    getCopiesInTransit({ branch = null } = {}) {
+        return this.getAllBooks()
+            .flatMap(book => book.copies)
+            .filter(copy => copy.status === "in_transit")
+            .filter(copy => branch === null || copy.location === branch || copy.transitTo === branch);
+    }
+    
+    #startTransit(copy, toBranch, holdId = null) {
+        copy.startTransit(toBranch);
+        this.#emitEvent("transfer.started", {
+            copyId: copy.id, bookId: copy.bookId, from: copy.location, to: toBranch, holdId
         });
     }
     
     // ----- 使用者管理 -----
     
-    // 添加使用者
-    addUser(name, email, membershipType = "Regular") {
-        const id = this.#nextUserId++;
-        const user = new User(id, name, email, membershipType);
-        this.#users.set(id, user);
-        return user;
+    // 添加使用者 (會籍從 startDate 開始，預設為現在)
+    addUser(name, email, membershipType = "Regular", { startDate = null } = {}) {
+        this.#tiers.get(membershipType);
+        return this.#mutate("addUser", { name, email, membershipType, startDate }, () => {
+            const id = this.#nextUserId++;
+            const user = new User(id, name, email, membershipType, this.#policies, this.#tiers, {
+                startDate: startDate ? new Date(startDate) : this.now()
+            });
+            this.#touch("users", id);
+            this.#users.set(id, user);
+            this.#emitEvent("user.added", { userId: id, name, email, membershipType });
+            return user;
+        });
     }
     
     // 獲取使用者
@@ -360,15 +2500,27 @@ class Library {
         return this.#users.get(id);
     }
     
+    // 櫃台掃描會員證時用證號找讀者 (忽略大小寫與空白)
+    findUserByCardNumber(cardNumber) {
+        const match = /^P(\d+)$/.exec(String(cardNumber ?? "").trim().toUpperCase());
+        return match ? this.#users.get(Number(match[1])) : undefined;
+    }
+    
     // 刪除使用者
     removeUser(id) {
         // 檢查使用者是否有未還的書
         const user = this.#users.get(id);
         if (user && user.getBorrowedBookIds().length > 0) {
-            throw new Error(`Cannot remove user with ID ${id} because they have unreturned books`);
+            throw new ConflictError(`Cannot remove user with ID ${id} because they have unreturned books`);
         }
         
-        return this.#users.delete(id);
+        return this.#mutate("removeUser", { id }, () => {
+            this.#touch("users", id);
+            this.#cancelHoldsWhere(hold => hold.userId === id);
+            const removed = this.#users.delete(id);
+            if (removed) this.#emitEvent("user.removed", { userId: id, name: user.name });
+            return removed;
+        });
     }
     
     // 搜索使用者
@@ -381,92 +2533,960 @@ class Library {
         });
     }
     
+    // ----- 會籍管理 -----
+    
+    // 續期一期 (或指定月數)；已過期的會籍從今天起算
+    renewMembership(userId, { termMonths = null } = {}) {
+        const user = this.#requireUser(userId);
+        if (termMonths !== null && (!Number.isInteger(termMonths) || termMonths <= 0)) {
+            throw new ValidationError(`Invalid membership term: ${termMonths}`);
+        }
+        
+        return this.#mutate("renewMembership", { userId, termMonths }, () => {
+            this.#touch("users", userId);
+            const previousExpiry = user.membershipExpiresAt;
+            const expiresAt = user.renewMembership(this.now(), termMonths);
+            this.#emitEvent("membership.renewed", { userId, previousExpiry, expiresAt });
+            return user;
+        });
+    }
+    
+    // 升級或降級會員等級，到期日不變
+    changeMembershipTier(userId, membershipType) {
+        const user = this.#requireUser(userId);
+        this.#tiers.get(membershipType);
+        if (user.membershipType === membershipType) {
+            throw new ConflictError(`User ${user.name} is already a ${membershipType} member`);
+        }
+        
+        return this.#mutate("changeMembershipTier", { userId, membershipType }, () => {
+            this.#touch("users", userId);
+            const from = user.membershipType;
+            user.changeMembershipType(membershipType);
+            this.#emitEvent("membership.changed", { userId, from, to: membershipType });
+            return user;
+        });
+    }
+    
+    // 停權 (必須註明原因)；until 有指定時到期自動恢復
+    suspendMembership(userId, reason, { until = null } = {}) {
+        const user = this.#requireUser(userId);
+        if (user.isSuspended(this.now())) {
+            throw new ConflictError(`User ${user.name} is already suspended`);
+        }
+        
+        return this.#mutate("suspendMembership", { userId, reason, until }, () => {
+            this.#touch("users", userId);
+            user.suspend(reason, this.now(), until);
+            this.#emitEvent("membership.suspended", { userId, ...user.suspension });
+            return user;
+        });
+    }
+    
+    reinstateMembership(userId) {
+        const user = this.#requireUser(userId);
+        if (!user.isSuspended(this.now())) {
+            throw new ConflictError(`User ${user.name} is not suspended`);
+        }
+        
+        return this.#mutate("reinstateMembership", { userId }, () => {
+            this.#touch("users", userId);
+            user.reinstate();
+            this.#emitEvent("membership.reinstated", { userId });
+            return user;
+        });
+    }
+    
+    // 不參與推薦：不會收到個人化推薦，借閱記錄也不會被拿來推薦給別人 (見 library/recommendations.js)
+    setRecommendationsOptOut(userId, optOut = true) {
+        const user = this.#requireUser(userId);
+        
+        return this.#mutate("setRecommendationsOptOut", { userId, optOut }, () => {
+            this.#touch("users", userId);
+            user.setRecommendationsOptOut(optOut);
+            this.#emitEvent(optOut ? "recommendations.optedOut" : "recommendations.optedIn", { userId });
+            return user;
+        });
+    }
+    
+    getMembershipTiers() {
+        return this.#tiers.toJSON();
+    }
+    
+    // 新增或修改會員等級，例如 defineMembershipTier("Alumni", { termMonths: 12, restrictedCategories: ["Reference"] })
+    defineMembershipTier(name, options = {}) {
+        this.#changeTiers("defineMembershipTier", { name, options }, tiers => tiers.defineTier(name, options));
+    }
+    
+    // 還有使用者屬於這個等級時不能刪除
+    removeMembershipTier(name) {
+        this.#tiers.get(name);
+        if (this.getAllUsers().some(user => user.membershipType === name)) {
+            throw new ConflictError(`Cannot remove membership tier "${name}" because users still belong to it`);
+        }
+        return this.#changeTiers("removeMembershipTier", { name }, tiers => tiers.removeTier(name));
+    }
+    
+    #changeTiers(op, args, change) {
+        return this.#mutate(op, args, () => {
+            this.#touch("settings", "membershipTiers");
+            return change(this.#tiers);
+        });
+    }
+    
+    #requireUser(userId) {
+        const user = this.#users.get(userId);
+        if (!user) throw new NotFoundError(`User with ID ${userId} not found`);
+        return user;
+    }
+    
     // ----- 借閱管理 -----
     
-    // 借書
-    borrowBook(userId, bookId, daysToReturn = 14) {
+    // 借書 (daysToReturn 未指定時依借閱政策決定借期)
+    // borrowedAt 可指定借出時間，例如補登櫃台停機期間的借閱
+    // 需要押金的館藏 (例如設備) 要在 deposit 傳入收到的金額
+    borrowBook(userId, bookId, daysToReturn = null, { borrowedAt = null, branch = null, deposit = 0 } = {}) {
         const user = this.#users.get(userId);
         const book = this.#books.get(bookId);
         
-        if (!user) throw new Error(`User with ID ${userId} not found`);
-        if (!book) throw new Error(`Book with ID ${bookId} not found`);
+        if (!user) throw new NotFoundError(`User with ID ${userId} not found`);
+        if (!book) throw new NotFoundError(`Book with ID ${bookId} not found`);
+        if (daysToReturn !== null && !(Number.isInteger(daysToReturn) && daysToReturn > 0)) {
+            throw new ValidationError(`Invalid loan length: ${daysToReturn}. Expected a positive whole number of days`);
+        }
+        if (daysToReturn !== null && book.maxLoanDays !== null && daysToReturn > book.maxLoanDays) {
+            throw new ConflictError(`"${book.title}" can be borrowed for at most ${book.maxLoanDays} days`);
+        }
+        branch = this.#resolveBranch(branch);
+        
+        // 只處理這本書的預約，以及這本書和這位讀者的電子書借閱 (會影響可借數量與借閱上限)
+        this.processExpiredHolds(this.now(), { bookId });
+        this.processExpiredLoans(this.now(), { bookId, userId });
         
-        if (!book.available) {
-            throw new Error(`Book "${book.title}" is not available for borrowing`);
+        if (user.getBorrowedBookIds().includes(bookId)) {
+            throw new ConflictError(`User ${user.name} already has a copy of "${book.title}" on loan`);
         }
         
-        if (!user.canBorrowMore()) {
-            throw new Error(`User ${user.name} has reached their borrowing limit`);
+        // 會籍有效、未停權、會員等級可借這個分類、未達借閱上限
+        const borrowDate = borrowedAt ? new Date(borrowedAt) : this.now();
+        const restriction = user.borrowingRestriction({ category: book.category, now: borrowDate });
+        if (restriction) throw new ConflictError(restriction);
+        
+        // 館藏類型本身的限制 (例如最新一期期刊不外借) 與押金
+        const itemRestriction = book.loanRestriction(this.getAllBooks());
+        if (itemRestriction) throw new ConflictError(itemRestriction);
+        if (!(deposit >= book.deposit)) {
+            throw new ValidationError(`A deposit of ${book.deposit} is required to borrow "${book.title}"`);
+        }
+        
+        // 在這個分館有保留給自己的預約就借那一本，否則借這個分館架上的任何一本
+        const ownHold = this.#activeHolds(bookId).find(hold => hold.userId === userId);
+        const readyHold = ownHold?.status === "ready" && ownHold.pickupBranch === branch ? ownHold : null;
+        const copy = readyHold ? book.getCopy(readyHold.copyId) : book.findAvailableCopy(branch);
+        
+        // 電子書沒有複本，借的是一個授權 (不分分館)
+        if (book.isDigital) {
+            if (!book.available) throw new ConflictError(`All ${book.licenses} licenses of "${book.title}" are on loan`);
+        } else if (!copy) {
+            if (book.available) {
+                throw new ConflictError(`Book "${book.title}" is not available at branch ${branch}; ` +
+                    `place a hold for pickup there instead`);
+            }
+            // 保留中的複本只有該預約者可以借
+            if (book.copies.some(c => c.status === "reserved")) {
+                throw new ConflictError(`Book "${book.title}" is reserved for another patron`);
+            }
+            throw new ConflictError(`Book "${book.title}" is not available for borrowing`);
+        }
+        
+        if (this.#maxOutstandingBalance !== null && user.fineBalance > this.#maxOutstandingBalance) {
+            throw new ConflictError(`User ${user.name} has an outstanding balance of ${user.fineBalance}, ` +
+                `which exceeds the limit of ${this.#maxOutstandingBalance}`);
+        }
+        
+        // 設置還書日期 (館藏類型可以調整借閱政策的條款，例如 DVD 借期較短)，落在休館日時順延
+        const terms = book.loanTerms(this.#policies.resolve(user.membershipType, book.category));
+        if (daysToReturn !== null) terms.loanDays = daysToReturn;
+        const dueDate = this.#calendar.dueDate(borrowDate, terms.loanDays);
+        
+        return this.#mutate("borrowBook", { userId, bookId, daysToReturn, borrowedAt, branch, deposit }, () => {
+            const record = this.#checkout(user, book, copy ?? null, terms, borrowDate, dueDate, branch);
+            if (book.deposit > 0) {
+                record.collectDeposit(book.deposit);
+                this.#emitEvent("deposit.collected", { recordId: record.id, userId, bookId, amount: book.deposit });
+            }
+            
+            // 預約者取書；在別的分館直接借到了，原本的預約就不需要了
+            if (readyHold) {
+                this.#touch("holds", readyHold.id);
+                readyHold.fulfill();
+            } else if (ownHold) {
+                this.#cancelHold(ownHold);
+            }
+            
+            return record;
+        });
+    }
+    
+    // 匯入舊系統的借閱記錄 (可以是已歸還或仍借出中的)
+    // 已歸還的記錄不影響複本狀態；預設不補記罰款，因為舊系統應該已經處理過
+    importLoan({ userId, bookId, borrowedAt, dueDate = null, returnedAt = null, assessFines = false }) {
+        const user = this.#users.get(userId);
+        const book = this.#books.get(bookId);
+        
+        if (!user) throw new NotFoundError(`User with ID ${userId} not found`);
+        if (!book) throw new NotFoundError(`Book with ID ${bookId} not found`);
+        if (!borrowedAt) throw new ValidationError("borrowedAt is required to import a loan");
+        if (book.isDigital) throw new ConflictError(`Cannot import a loan of digital item "${book.title}"`);
+        
+        const borrowDate = new Date(borrowedAt);
+        const returnDate = returnedAt ? new Date(returnedAt) : null;
+        if (Number.isNaN(borrowDate.getTime())) throw new ValidationError(`Invalid borrowedAt: ${borrowedAt}`);
+        if (returnDate && !(returnDate >= borrowDate)) {
+            throw new ValidationError(`Invalid returnedAt: ${returnedAt} must be a date on or after borrowedAt`);
         }
         
-        // 設置還書日期
-        const dueDate = new Date();
-        dueDate.setDate(dueDate.getDate() + daysToReturn);
+        const terms = book.loanTerms(this.#policies.resolve(user.membershipType, book.category));
+        const due = dueDate ? new Date(dueDate) : this.#calendar.dueDate(borrowDate, terms.loanDays);
         
-        // 創建借閱記錄
+        // 仍借出中的記錄需要一本在架上的複本
+        const copy = returnedAt ? book.copies[0] : book.findAvailableCopy();
+        if (!copy) {
+            throw new ConflictError(`Book "${book.title}" has no ${returnedAt ? "" : "available "}copy to attach the loan to`);
+        }
+        if (!returnedAt && user.getBorrowedBookIds().includes(bookId)) {
+            throw new ConflictError(`User ${user.name} already has a copy of "${book.title}" on loan`);
+        }
+        
+        return this.#mutate("importLoan", { userId, bookId, borrowedAt, dueDate, returnedAt, assessFines }, () => {
+            if (!returnedAt) return this.#checkout(user, book, copy, terms, borrowDate, due);
+            
+            const recordId = this.#nextRecordId++;
+            const record = new BorrowRecord(recordId, userId, bookId, due, copy.id, terms, borrowDate, copy.location,
+                this.#calendar);
+            this.#touch("records", recordId);
+            this.#records.set(recordId, record);
+            this.#indexRecord(record);
+            
+            record.checkOverdue(returnDate);
+            if (assessFines) this.#assessOverdueFine(user, book, record, returnDate);
+            record.processReturn(returnDate);
+            return record;
+        });
+    }
+    
+    // 建立借閱記錄並更新複本與使用者 (需在 #mutate 之內呼叫)
+    // 電子書沒有複本 (copy 為 null)，改為占用一個授權
+    #checkout(user, book, copy, terms, borrowDate, dueDate, branch = copy.location) {
         const recordId = this.#nextRecordId++;
-        const record = new BorrowRecord(recordId, userId, bookId, dueDate);
+        const record = new BorrowRecord(recordId, user.id, book.id, dueDate, copy?.id ?? null, terms, borrowDate, branch,
+            this.#calendar);
+        this.#touch("books", book.id);
+        this.#touch("users", user.id);
+        this.#touch("records", recordId);
         
-        // 更新書籍和使用者狀態
-        book.markAsUnavailable();
-        user.borrowBook(bookId, recordId);
+        // 更新使用者和複本狀態 (user.borrowBook 可能因借閱上限丟出錯誤，所以先做)
+        user.borrowBook(book.id, recordId);
+        if (copy) {
+            copy.setStatus("on_loan");
+        } else {
+            book.checkOutLicense(recordId);
+        }
         
         // 存儲借閱記錄
         this.#records.set(recordId, record);
-        
+        this.#indexRecord(record);
+        this.#emitEvent("loan.created", {
+            recordId, userId: user.id, bookId: book.id, copyId: record.copyId, borrowDate, dueDate: record.dueDate, branch
+        });
+        if (user.atBorrowingLimit) {
+            this.#emitEvent("user.limitReached", {
+                userId: user.id, borrowedCount: user.getBorrowedBookIds().length, borrowingLimit: user.borrowingLimit
+            });
+        }
         return record;
     }
     
-    // 還書
-    returnBook(bookId, userId) {
+    // 逾期罰款記入帳本 (需在 #mutate 之內呼叫)
+    #assessOverdueFine(user, book, record, now) {
+        const fine = record.calculateFine(record.terms.fineRate, now);
+        if (fine === 0) return { fine, fineEntry: null };
+        
+        this.#touch("users", user.id);
+        const fineEntry = user.ledger.assessFine(fine, `Overdue fine for "${book.title}"`, record.id, now);
+        this.#emitLedgerEvent(user, fineEntry);
+        return { fine, fineEntry };
+    }
+    
+    // 還書 (returnedAt 可指定還書時間，例如處理還書箱裡前一天的書)
+    // branch 是還書的分館，預設為借出的分館；在別館還的書會送回館藏分館或預約者的取書分館
+    returnBook(bookId, userId, { returnedAt = null, branch = null } = {}) {
         const user = this.#users.get(userId);
         const book = this.#books.get(bookId);
         
-        if (!user) throw new Error(`User with ID ${userId} not found`);
-        if (!book) throw new Error(`Book with ID ${bookId} not found`);
+        if (!user) throw new NotFoundError(`User with ID ${userId} not found`);
+        if (!book) throw new NotFoundError(`Book with ID ${bookId} not found`);
+        // 借期已滿的電子書已經自動歸還了
+        if (book.isDigital) this.processExpiredLoans(this.now(), { bookId });
         
-        // 查找對應的借閱記錄
-        const record = Array.from(this.#records.values()).find(r => 
-            r.bookId === bookId && r.userId === userId && r.status !== "returned");
+        // 查找對應的借閱記錄：借出中的優先，沒有的話就是報失或聲稱已還的書找到了
+        const records = this.#recordsOf(this.#recordIdsByBook, bookId).filter(r => r.userId === userId && !r.isClosed);
+        const record = records.find(r => r.isOnLoan) ?? records[0];
         
         if (!record) {
-            throw new Error(`No active borrow record found for this book and user`);
+            throw new NotFoundError(`No active borrow record found for this book and user`);
+        }
+        
+        const returnDate = returnedAt ? new Date(returnedAt) : this.now();
+        const returnBranch = this.#resolveBranch(branch ?? record.branch);
+        
+        // 處理還書
+        const { fine, fineEntry, hold } = this.#mutate("returnBook", { bookId, userId, returnedAt, branch }, () => {
+            this.#touch("books", bookId);
+            this.#touch("users", userId);
+            this.#touch("records", record.id);
+            
+            // 計算罰款 (如有)，必須在標記為已還之前，否則狀態變成 returned 就算不出來
+            record.checkOverdue(returnDate);
+            const { fine, fineEntry } = this.#assessOverdueFine(user, book, record, returnDate);
+            const overdueDays = record.getOverdueDays(returnDate);
+            
+            const wasOnLoan = record.isOnLoan;
+            const from = record.processReturn(returnDate, returnBranch);
+            if (wasOnLoan) user.returnBook(bookId);
+            if (book.isDigital) book.releaseLicense(record.id);
+            this.#runLoanHook(record, from, { user, book, at: returnDate });
+            // 有人預約時複本會保留給下一位，而不是直接上架
+            const copy = book.getCopy(record.copyId);
+            copy?.setLocation(returnBranch);
+            const hold = this.#releaseCopy(book, copy);
+            
+            this.#emitEvent("loan.returned", {
+                recordId: record.id, userId, bookId, copyId: record.copyId, returnDate,
+                overdueDays, fine, branch: returnBranch, from
+            });
+            return { fine, fineEntry, hold };
+        });
+        
+        return {
+            success: true,
+            fine,
+            fineEntry, // 記入帳本的罰款 (沒有則為 null)
+            book,
+            user,
+            record,
+            hold // 保留給下一位預約者的預約記錄 (沒有則為 null)
+        };
+    }
+    
+    // 續借：從原到期日 (已逾期則從今天) 起再借一個借期
+    // 其他讀者對這本書有還沒取走的預約 (排隊中、運送中或待取書) 或已達續借上限時拒絕
+    renewLoan(recordId) {
+        const record = this.#records.get(recordId);
+        if (!record) throw new NotFoundError(`Borrow record with ID ${recordId} not found`);
+        if (!record.isOnLoan) {
+            throw new ConflictError(`Cannot renew borrow record ${recordId} because it is ${record.status}`);
+        }
+        
+        const book = this.#books.get(record.bookId);
+        const user = this.#users.get(record.userId);
+        // 過期或停權的會員不能續借 (不檢查借閱上限，續借不會多借一本)
+        if (user.isSuspended(this.now()) || user.isExpired(this.now())) {
+            throw new ConflictError(`Cannot renew borrow record ${recordId} because ` +
+                `${user.name}'s membership is ${user.membershipStatus(this.now())}`);
+        }
+        this.processExpiredHolds(this.now(), { bookId: record.bookId });
+        if (this.#activeHolds(record.bookId).some(hold => hold.userId !== record.userId)) {
+            throw new ConflictError(`Cannot renew "${book.title}" because other patrons have placed holds on it`);
+        }
+        if (record.renewalsRemaining === 0) {
+            throw new ConflictError(`Borrow record ${recordId} has reached the renewal limit of ${record.terms.maxRenewals}`);
+        }
+        
+        const now = this.now();
+        const dueDate = this.#calendar.dueDate(record.dueDate > now ? record.dueDate : now, record.terms.loanDays);
+        
+        return this.#mutate("renewLoan", { recordId }, () => {
+            this.#touch("records", recordId);
+            record.renew(dueDate, now);
+            this.#emitEvent("loan.renewed", {
+                recordId, userId: record.userId, bookId: record.bookId, dueDate, renewals: record.renewals
+            });
+            return record;
+        });
+    }
+    
+    // 借期已滿的電子書自動歸還 (歸還時間記為到期時間) 並釋出授權
+    // 借書、還書與逾期檢查都會先呼叫這個方法，所以到期會自動處理
+    // 指定 bookId / userId 時只處理那本書或那位讀者的借閱 (借書、還書時用)
+    processExpiredLoans(now = this.now(), { bookId = null, userId = null } = {}) {
+        const candidates = bookId === null && userId === null
+            ? this.getAllRecords()
+            : new Set([...this.#recordsOf(this.#recordIdsByBook, bookId), ...this.#recordsOf(this.#recordIdsByUser, userId)]);
+        const expired = Array.from(candidates).filter(record =>
+            record.isOnLoan && record.dueDate <= now && this.#books.get(record.bookId)?.isDigital);
+        if (expired.length === 0) return [];
+        
+        this.#mutate("processExpiredLoans", { now }, () => {
+            for (const record of expired) {
+                const user = this.#users.get(record.userId);
+                const book = this.#books.get(record.bookId);
+                this.#touch("records", record.id);
+                this.#touch("books", book.id);
+                record.processReturn(record.dueDate);
+                book.releaseLicense(record.id);
+                if (user) {
+                    this.#touch("users", user.id);
+                    user.returnBook(record.bookId);
+                }
+                this.#emitEvent("loan.expired", {
+                    recordId: record.id, userId: record.userId, bookId: record.bookId, dueDate: record.dueDate
+                });
+            }
+        });
+        return expired;
+    }
+    
+    // ----- 借閱政策 -----
+    // 請透過這些方法修改政策，變更才會寫入日誌
+    
+    // 查詢某會員類型借某分類館藏的條款
+    getLoanPolicy(membershipType, category) {
+        return this.#policies.resolve(membershipType, category);
+    }
+    
+    // 設定規則，例如 setLoanPolicy("Student", "Reference", { loanDays: 3, maxRenewals: 0 })
+    setLoanPolicy(membershipType, category, terms) {
+        this.#changePolicies("setLoanPolicy", { membershipType, category, terms },
+            policies => policies.setRule(membershipType, category, terms));
+    }
+    
+    removeLoanPolicy(membershipType, category) {
+        return this.#changePolicies("removeLoanPolicy", { membershipType, category },
+            policies => policies.removeRule(membershipType, category));
+    }
+    
+    setBorrowingLimit(membershipType, limit) {
+        this.#changePolicies("setBorrowingLimit", { membershipType, limit },
+            policies => policies.setBorrowingLimit(membershipType, limit));
+    }
+    
+    // 整份換成新學期的政策 (格式同 LoanPolicyTable 的 JSON)；已借出的書維持原條款
+    loadLoanPolicies(config) {
+        this.#changePolicies("loadLoanPolicies", { config }, policies => policies.restoreState(config));
+    }
+    
+    getLoanPolicies() {
+        return this.#policies.toJSON();
+    }
+    
+    #changePolicies(op, args, change) {
+        return this.#mutate(op, args, () => {
+            this.#touch("settings", "loanPolicies");
+            return change(this.#policies);
+        });
+    }
+    
+    // 在櫃台掃描條碼還書 (branch 是櫃台所在的分館)
+    returnCopy(barcode, { branch = null } = {}) {
+        const copy = this.findCopyByBarcode(barcode);
+        if (!copy) throw new NotFoundError(`Copy with barcode ${barcode} not found`);
+        
+        const record = this.#recordsOf(this.#recordIdsByBook, copy.bookId)
+            .find(r => r.copyId === copy.id && !r.isClosed);
+        if (!record) throw new ConflictError(`Copy ${barcode} is not on loan`);
+        
+        return this.returnBook(record.bookId, record.userId, { branch });
+    }
+    
+    // ----- 開館時間與休館日 -----
+    // 到期日落在休館日時順延，逾期天數只算開館日 (規則見 library/opening-calendar.js)
+    // 日期可以是 Date 或本地時間的 "YYYY-MM-DD"
+    
+    getOpeningHours() {
+        return this.#calendar.weeklyHours;
+    }
+    
+    // 與 [from, to] 重疊的休館，例如 getClosures({ from: "2025-07-01" })
+    getClosures(range = {}) {
+        return this.#calendar.getClosures(range);
+    }
+    
+    isOpenOn(date) {
+        return this.#calendar.isOpenOn(date);
+    }
+    
+    // 某天是否開館、開館時間與休館原因，例如 getCalendarDay("2025-12-25")
+    getCalendarDay(date) {
+        return this.#calendar.describeDay(date);
+    }
+    
+    // date 當天或之後第一個開館日
+    nextOpenDay(date = this.now()) {
+        return this.#calendar.nextOpenDay(date);
+    }
+    
+    // 只改有寫到的那幾天，例如 setOpeningHours({ saturday: "10:00-17:00", sunday: null })
+    setOpeningHours(hours) {
+        return this.#changeCalendar("setOpeningHours", { hours }, calendar => {
+            calendar.setWeeklyHours(hours);
+            return calendar.weeklyHours;
+        });
+    }
+    
+    // 例如 addClosure({ from: "2025-07-01", to: "2025-08-31", reason: "Summer break" })
+    addClosure(closure) {
+        return this.#changeCalendar("addClosure", { closure }, calendar => calendar.addClosure(closure));
+    }
+    
+    removeClosure(id) {
+        return this.#changeCalendar("removeClosure", { id }, calendar => calendar.removeClosure(id));
+    }
+    
+    // 從 iCalendar (.ics) 文字匯入休館日，回傳 { added, skipped }
+    importClosures(icsText) {
+        return this.#changeCalendar("importClosures", { icsText }, calendar => calendar.importIcs(icsText));
+    }
+    
+    // 改完行事曆後，還沒到期的借閱若到期日變成休館日，順延到下一個開館日
+    // (已經逾期的不動，逾期天數本來就不算休館日)
+    #changeCalendar(op, args, change) {
+        return this.#mutate(op, args, () => {
+            this.#touch("settings", "calendar");
+            const result = change(this.#calendar);
+            
+            const now = this.now();
+            const postponed = this.getAllRecords().filter(record =>
+                record.status === "active" && record.dueDate > now && !this.#calendar.isOpenOn(record.dueDate));
+            for (const record of postponed) {
+                const previousDueDate = record.dueDate;
+                this.#touch("records", record.id);
+                record.postponeDueDate(this.#calendar.nextOpenDay(previousDueDate));
+                this.#emitEvent("loan.rescheduled", {
+                    recordId: record.id, userId: record.userId, bookId: record.bookId, previousDueDate, dueDate: record.dueDate
+                });
+            }
+            this.#emitEvent("calendar.changed", { op, rescheduledLoans: postponed.map(record => record.id) });
+            return result;
+        });
+    }
+    
+    // ----- 遺失與爭議 -----
+    // 借閱狀態的轉換由 BorrowRecord 把關 (不合法的轉換丟出錯誤)，副作用由下面的掛鉤處理
+    
+    // 讀者報失：先結算到今天的逾期罰款，再收取賠償金 (預設為借閱條款的 replacementCost)，複本標成遺失
+    markLoanLost(recordId, { replacementCost = null, reason = "Reported lost" } = {}) {
+        const record = this.#requireRecord(recordId);
+        record.assertCanTransitionTo("lost");
+        this.#assertPhysicalLoan(record, "lost");
+        if (replacementCost !== null && !(typeof replacementCost === "number" && replacementCost >= 0)) {
+            throw new ValidationError(`Invalid replacement cost: ${replacementCost}`);
+        }
+        
+        return this.#mutate("markLoanLost", { recordId, replacementCost, reason }, () => {
+            const now = this.now();
+            const user = this.#users.get(record.userId);
+            const book = this.#books.get(record.bookId);
+            this.#touch("records", recordId);
+            
+            record.checkOverdue(now);
+            const { fine } = user && book ? this.#assessOverdueFine(user, book, record, now) : { fine: 0 };
+            const from = record.markLost(now, reason);
+            this.#runLoanHook(record, from, { user, book, at: now, replacementCost });
+            this.#emitEvent("loan.lost", {
+                recordId, userId: record.userId, bookId: record.bookId, copyId: record.copyId, from,
+                overdueFine: fine, replacementCharge: record.replacementCharge
+            });
+            return record;
+        });
+    }
+    
+    // 讀者堅稱已經還了，但找不到書：停止逾期與催還，等查證結果 (找到 => 還書，找不到 => 報失或註銷)
+    claimLoanReturned(recordId, { reason = "Patron claims the item was returned" } = {}) {
+        return this.#changeLoanStatus("claimLoanReturned", recordId, "claimed_returned", reason, "loan.claimedReturned");
+    }
+    
+    // 註銷：不再追討，未繳的賠償金一併減免
+    writeOffLoan(recordId, reason) {
+        if (!reason) throw new ValidationError("A reason is required to write off a loan");
+        return this.#changeLoanStatus("writeOffLoan", recordId, "written_off", reason, "loan.writtenOff");
+    }
+    
+    #changeLoanStatus(op, recordId, status, reason, eventType) {
+        const record = this.#requireRecord(recordId);
+        record.assertCanTransitionTo(status);
+        this.#assertPhysicalLoan(record, status);
+        
+        return this.#mutate(op, { recordId, reason }, () => {
+            const now = this.now();
+            this.#touch("records", recordId);
+            const from = record.transitionTo(status, now, reason);
+            this.#runLoanHook(record, from, {
+                user: this.#users.get(record.userId), book: this.#books.get(record.bookId), at: now
+            });
+            this.#emitEvent(eventType, {
+                recordId, userId: record.userId, bookId: record.bookId, copyId: record.copyId, from, reason
+            });
+            return record;
+        });
+    }
+    
+    // 進入某個借閱狀態後要做的事 (需在 #mutate 之內、狀態轉換之後呼叫)
+    // context: { user, book, at, replacementCost }；使用者或書目可能已被刪除
+    #runLoanHook(record, from, context) {
+        const hooks = {
+            lost: () => {
+                this.#takeCopyOutOfCirculation(record, from, context);
+                const amount = context.replacementCost ?? record.terms.replacementCost ?? DEFAULT_LOAN_TERMS.replacementCost;
+                record.setReplacementCharge(amount);
+                if (amount > 0 && context.user) {
+                    this.#touch("users", context.user.id);
+                    const title = context.book?.title ?? `book #${record.bookId}`;
+                    const entry = context.user.ledger.assessFine(amount, `Replacement cost for "${title}"`, record.id, context.at);
+                    this.#emitLedgerEvent(context.user, entry);
+                }
+                this.#settleDeposit(record, "applied", context);
+            },
+            claimed_returned: () => this.#takeCopyOutOfCirculation(record, from, context),
+            // 註銷：沒收還在保管的押金，減免還沒繳的賠償金
+            written_off: () => {
+                this.#settleDeposit(record, "forfeited", context);
+                const { user } = context;
+                const amount = user ? Math.min(record.replacementCharge ?? 0, user.fineBalance) : 0;
+                if (amount > 0) {
+                    this.#touch("users", user.id);
+                    const title = context.book?.title ?? `book #${record.bookId}`;
+                    this.#emitLedgerEvent(user, user.ledger.waive(amount, `Replacement cost written off for "${title}"`, context.at));
+                }
+            },
+            // 報失的書找到了：賠償金已繳的部分退款，再把整筆賠償金減免
+            returned: () => {
+                this.#settleDeposit(record, "refunded", context);
+                const { user } = context;
+                if (from !== "lost" || !user || !record.replacementCharge) return;
+                this.#touch("users", user.id);
+                const reason = `Lost item returned: "${context.book?.title ?? `book #${record.bookId}`}"`;
+                const paid = Math.min(Math.max(0, record.replacementCharge - user.fineBalance), user.ledger.netPaid);
+                if (paid > 0) this.#emitLedgerEvent(user, user.ledger.refund(paid, reason, context.at));
+                const waived = Math.min(record.replacementCharge, user.fineBalance);
+                if (waived > 0) this.#emitLedgerEvent(user, user.ledger.waive(waived, reason, context.at));
+            }
+        };
+        hooks[record.status]?.();
+    }
+    
+    // 結算還在保管的押金：refunded 全額退還；applied 先抵帳本上的欠款，多的退還；forfeited 全部沒收
+    #settleDeposit(record, status, { user, at }) {
+        const deposit = record.deposit;
+        if (deposit?.status !== "held") return;
+        this.#touch("records", record.id);
+        record.settleDeposit(status);
+        
+        let applied = 0;
+        if (status === "applied" && user) {
+            applied = Math.min(deposit.amount, user.fineBalance);
+            if (applied > 0) {
+                this.#touch("users", user.id);
+                this.#emitLedgerEvent(user, user.ledger.recordPayment(applied, `Deposit applied (borrow record ${record.id})`, at));
+            }
+        }
+        const refunded = status === "forfeited" ? 0 : deposit.amount - applied;
+        this.#emitEvent(`deposit.${status}`, {
+            recordId: record.id, userId: record.userId, bookId: record.bookId, amount: deposit.amount, applied, refunded
+        });
+    }
+    
+    // 書不在讀者手上也不在架上：從讀者的借閱中移除，複本標成遺失 (找到時還書會重新上架)
+    #takeCopyOutOfCirculation(record, from, { user, book }) {
+        if ((from === "active" || from === "overdue") && user) {
+            this.#touch("users", user.id);
+            user.returnBook(record.bookId);
+        }
+        const copy = book?.getCopy(record.copyId);
+        if (copy) {
+            this.#touch("books", book.id);
+            copy.setStatus("lost");
+        }
+    }
+    
+    #requireRecord(recordId) {
+        const record = this.#records.get(recordId);
+        if (!record) throw new NotFoundError(`Borrow record with ID ${recordId} not found`);
+        return record;
+    }
+    
+    // 電子書不會遺失或留在讀者手上，借期滿就自動歸還
+    #assertPhysicalLoan(record, status) {
+        const book = this.#books.get(record.bookId);
+        if (book?.isDigital) {
+            throw new ConflictError(`Cannot change borrow record ${record.id} to ${status} because "${book.title}" is a digital item`);
+        }
+    }
+    
+    // 檢查所有逾期書籍 (排程定期呼叫)，回傳這次新變成 overdue 的記錄
+    checkOverdueBooks() {
+        const overdueRecords = [];
+        
+        const now = this.now();
+        // 借期已滿的電子書自動歸還，不算逾期
+        this.processExpiredLoans(now);
+        
+        // checkOverdue 會把狀態改成 overdue，所以也要寫入日誌；只記錄真的會改變的借閱
+        this.#mutate("checkOverdueBooks", {}, () => {
+            for (const record of this.#records.values()) {
+                if (record.status !== "active" || !(now > record.dueDate)) continue;
+                this.#touch("records", record.id);
+                if (record.checkOverdue(now)) {
+                    this.#emitEvent("loan.overdue", {
+                        recordId: record.id, userId: record.userId, bookId: record.bookId,
+                        dueDate: record.dueDate, overdueDays: record.getOverdueDays(now)
+                    });
+                    overdueRecords.push({
+                        record,
+                        user: this.#users.get(record.userId),
+                        book: this.#books.get(record.bookId),
+                        overdueDays: record.getOverdueDays(now),
+                        fine: record.calculateFine(record.terms.fineRate, now)
+                    });
+                }
+            }
+        });
+        
+        return overdueRecords;
+    }
+    
+    // ----- 預約管理 -----
+    
+    // 預約已借出的書 (排在隊伍最後)，任何一本複本歸還時就會保留給預約者
+    // pickupBranch 是取書的分館；別的分館架上有書時會立即調撥過來
+    placeHold(userId, bookId, { pickupBranch = null } = {}) {
+        const user = this.#users.get(userId);
+        const book = this.#books.get(bookId);
+        
+        if (!user) throw new NotFoundError(`User with ID ${userId} not found`);
+        if (!book) throw new NotFoundError(`Book with ID ${bookId} not found`);
+        pickupBranch = this.#resolveBranch(pickupBranch);
+        
+        this.processExpiredHolds(this.now(), { bookId });
+        
+        const itemRestriction = book.loanRestriction(this.getAllBooks());
+        if (itemRestriction) throw new ConflictError(itemRestriction);
+        if (book.isDigital) throw new ConflictError(`Cannot place a hold on digital item "${book.title}"`);
+        if (book.findAvailableCopy(pickupBranch)) {
+            throw new ConflictError(`Book "${book.title}" has available copies; borrow it instead of placing a hold`);
+        }
+        if (user.getBorrowedBookIds().includes(bookId)) {
+            throw new ConflictError(`User ${user.name} already has "${book.title}" on loan`);
+        }
+        if (this.#activeHolds(bookId).some(hold => hold.userId === userId)) {
+            throw new ConflictError(`User ${user.name} already has a hold on "${book.title}"`);
         }
         
-        // 處理還書
-        record.processReturn();
-        book.markAsAvailable();
-        user.returnBook(bookId);
+        return this.#mutate("placeHold", { userId, bookId, pickupBranch }, () => {
+            const id = this.#nextHoldId++;
+            const hold = new Hold(id, userId, bookId, this.now(), pickupBranch);
+            this.#touch("holds", id);
+            this.#holds.set(id, hold);
+            this.#indexHold(hold);
+            this.#emitEvent("hold.placed", {
+                holdId: id, userId, bookId, pickupBranch,
+                position: this.#activeHolds(bookId).length
+            });
+            // 只有別館架上有書：馬上送一本過來
+            const elsewhere = book.findAvailableCopy();
+            if (elsewhere) this.#releaseCopy(book, elsewhere);
+            return hold;
+        });
+    }
+    
+    // 取消預約；若書正保留給這筆預約，會轉給下一位
+    cancelHold(holdId, userId = null) {
+        const hold = this.#holds.get(holdId);
+        if (!hold) throw new NotFoundError(`Hold with ID ${holdId} not found`);
+        if (userId !== null && hold.userId !== userId) {
+            throw new ConflictError(`Hold with ID ${holdId} does not belong to user ${userId}`);
+        }
+        if (!hold.isActive) {
+            throw new ConflictError(`Hold with ID ${holdId} is already ${hold.status}`);
+        }
+        
+        return this.#mutate("cancelHold", { holdId, userId }, () => {
+            this.#cancelHold(hold);
+            return hold;
+        });
+    }
+    
+    // 某本書的預約隊伍 (依預約先後排序)
+    // 查詢不修改狀態：過了取書期限的預約要等 processExpiredHolds (排程或下一個借還操作) 才會失效
+    getBookHoldQueue(bookId) {
+        return this.#activeHolds(bookId);
+    }
+    
+    // 某使用者目前的預約，附上書籍與隊伍位置
+    getUserHolds(userId) {
+        const user = this.#users.get(userId);
+        if (!user) throw new NotFoundError(`User with ID ${userId} not found`);
+        
+        return this.#activeHolds()
+            .filter(hold => hold.userId === userId)
+            .map(hold => ({
+                hold,
+                book: this.#books.get(hold.bookId),
+                position: this.#activeHolds(hold.bookId).indexOf(hold) + 1,
+                status: hold.status,
+                expiresAt: hold.expiresAt
+            }));
+    }
+    
+    // 讓逾期未取的預約失效，並把書轉給下一位預約者
+    // 借書、續借、預約會先處理那本書的預約；其他的由排程 (NoticeScheduler.runOnce) 定期呼叫
+    // 指定 bookId 時只處理那本書的預約
+    processExpiredHolds(now = this.now(), { bookId = null } = {}) {
+        const expired = this.#activeHolds(bookId).filter(hold => hold.isExpired(now));
+        if (expired.length === 0) return [];
+        
+        this.#mutate("processExpiredHolds", { now }, () => {
+            for (const hold of expired) {
+                this.#touch("holds", hold.id);
+                hold.expire();
+                this.#emitEvent("hold.expired", { holdId: hold.id, userId: hold.userId, bookId: hold.bookId });
+                this.#releaseHeldCopy(hold);
+            }
+        });
+        return expired;
+    }
+    
+    // 依 ID 排序 = 依預約先後 (FIFO)；指定 bookId 時只查那本書的預約 (透過索引)
+    #activeHolds(bookId = null) {
+        const holds = bookId === null ? Array.from(this.#holds.values()) : this.#holdsOfBook(bookId);
+        return holds.filter(hold => hold.isActive).sort((a, b) => a.id - b.id);
+    }
+    
+    // 複本空出來時：保留給下一位排隊者，沒人排隊就上架
+    // 不在館藏分館的書 (例如在別館還書) 沒人排隊時送回館藏分館；returnHome = false 時留在原地上架
+    #releaseCopy(book, copy, { returnHome = true } = {}) {
+        if (!book || !copy) return null;
+        
+        this.#touch("books", book.id);
+        const next = this.#activeHolds(book.id).find(hold => hold.status === "waiting");
+        if (!next) {
+            if (returnHome && copy.location !== copy.homeBranch) {
+                this.#startTransit(copy, copy.homeBranch);
+            } else {
+                copy.setStatus("available");
+            }
+            return null;
+        }
         
-        // 計算罰款 (如有)
-        const fine = record.calculateFine(this.#dailyFineRate);
+        this.#assignCopyToHold(next, copy);
+        return next;
+    }
+    
+    // 複本在取書分館就保留給預約者，否則送過去
+    #assignCopyToHold(hold, copy) {
+        this.#touch("holds", hold.id);
+        if (copy.location !== hold.pickupBranch) {
+            hold.markInTransit(copy.id);
+            this.#startTransit(copy, hold.pickupBranch, hold.id);
+            return;
+        }
         
+        const now = this.now();
+        const expiresAt = new Date(now);
+        expiresAt.setDate(expiresAt.getDate() + this.#holdPickupDays);
+        hold.markReady(copy.id, expiresAt, now);
+        copy.setStatus("reserved");
+        this.#emitEvent("hold.ready", {
+            holdId: hold.id, userId: hold.userId, bookId: hold.bookId, copyId: copy.id, expiresAt,
+            pickupBranch: hold.pickupBranch
+        });
+    }
+    
+    // 保留中的預約結束 (取消或過期) 時，把那本複本轉給下一位
+    #releaseHeldCopy(hold) {
+        const book = this.#books.get(hold.bookId);
+        if (book) this.#releaseCopy(book, book.getCopy(hold.copyId));
+    }
+    
+    // 送往取書分館途中的書照樣送到，收到時 (receiveCopy) 再決定給下一位或送回館藏分館
+    #cancelHold(hold) {
+        const wasReady = hold.status === "ready";
+        this.#touch("holds", hold.id);
+        hold.cancel();
+        this.#emitEvent("hold.cancelled", { holdId: hold.id, userId: hold.userId, bookId: hold.bookId });
+        if (wasReady) this.#releaseHeldCopy(hold);
+    }
+    
+    #cancelHoldsWhere(predicate) {
+        this.#activeHolds().filter(predicate).forEach(hold => this.#cancelHold(hold));
+    }
+    
+    // ----- 罰款帳本 -----
+    
+    // 手動記錄罰款或其他費用 (例如書籍損壞)
+    assessFine(userId, amount, reason, recordId = null) {
+        return this.#changeLedger("assessFine", { userId, amount, reason, recordId },
+            ledger => ledger.assessFine(amount, reason, recordId, this.now()));
+    }
+    
+    // 繳款，可以只繳一部分
+    payFine(userId, amount, reason = "Payment") {
+        return this.#changeLedger("payFine", { userId, amount, reason },
+            ledger => ledger.recordPayment(amount, reason, this.now()));
+    }
+    
+    // 減免罰款，必須註明原因
+    waiveFine(userId, amount, reason) {
+        return this.#changeLedger("waiveFine", { userId, amount, reason },
+            ledger => ledger.waive(amount, reason, this.now()));
+    }
+    
+    // 退還已繳的款項，必須註明原因
+    refundPayment(userId, amount, reason) {
+        return this.#changeLedger("refundPayment", { userId, amount, reason },
+            ledger => ledger.refund(amount, reason, this.now()));
+    }
+    
+    // 某使用者的帳目明細與欠款
+    getUserLedger(userId) {
+        const user = this.#users.get(userId);
+        if (!user) throw new NotFoundError(`User with ID ${userId} not found`);
         return {
-            success: true,
-            fine,
-            book,
             user,
-            record
+            entries: user.ledger.entries,
+            balance: user.ledger.balance
         };
     }
     
-    // 檢查所有逾期書籍
-    checkOverdueBooks() {
-        const overdueRecords = [];
-        
-        for (const record of this.#records.values()) {
-            if (record.status === "active" && record.checkOverdue()) {
-                overdueRecords.push({
-                    record,
-                    user: this.#users.get(record.userId),
-                    book: this.#books.get(record.bookId),
-                    overdueDays: record.getOverdueDays(),
-                    fine: record.calculateFine(this.#dailyFineRate)
-                });
-            }
-        }
-        
-        return overdueRecords;
+    // 所有仍有欠款的使用者，欠款多的排前面
+    getOutstandingBalances() {
+        return Array.from(this.#users.values())
+            .filter(user => user.fineBalance > 0)
+            .map(user => ({ user, balance: user.fineBalance }))
+            .sort((a, b) => b.balance - a.balance);
+    }
+    
+    #changeLedger(op, args, change) {
+        const { userId } = args;
+        const user = this.#users.get(userId);
+        if (!user) throw new NotFoundError(`User with ID ${userId} not found`);
+        return this.#mutate(op, args, () => {
+            this.#touch("users", userId);
+            const entry = change(user.ledger);
+            this.#emitLedgerEvent(user, entry);
+            return entry;
+        });
+    }
+    
+    #emitLedgerEvent(user, entry) {
+        this.#emitEvent(LEDGER_EVENTS[entry.type], {
+            userId: user.id,
+            entryId: entry.id,
+            amount: entry.amount,
+            reason: entry.reason,
+            recordId: entry.recordId,
+            balance: user.fineBalance
+        });
     }
     
     // ----- 報表生成 -----
@@ -481,33 +3501,79 @@ class Library {
         return Array.from(this.#users.values());
     }
     
+    // 獲取借閱記錄
+    getRecord(id) {
+        return this.#records.get(id);
+    }
+    
     // 獲取所有借閱記錄
     getAllRecords() {
         return Array.from(this.#records.values());
     }
     
     // 獲取系統統計信息
-    getStatistics() {
-        const totalBooks = this.#books.size;
-        const availableBooks = Array.from(this.#books.values()).filter(book => book.available).length;
+    // 指定 branch 時只算該分館：館藏分館是它的複本 (與其書目)、在該分館借出的記錄、在該分館取書的預約
+    // 只讀取目前的狀態，不處理到期的預約與電子書借閱 (那是 processExpiredHolds / processExpiredLoans 的工作)
+    getStatistics({ branch = null } = {}) {
+        if (branch !== null) this.#branches.get(branch);
+        
+        const atBranch = code => branch === null || code === branch;
+        const books = Array.from(this.#books.values())
+            .filter(book => branch === null || book.copies.some(copy => copy.homeBranch === branch));
+        const totalBooks = books.length;
+        const availableBooks = books.filter(book => (book.isDigital ? book.available :
+            book.copies.some(copy => copy.isAvailable && atBranch(copy.homeBranch)))).length;
+        
+        // 複本層級的統計
+        const copies = books.flatMap(book => book.copies).filter(copy => atBranch(copy.homeBranch));
+        const copiesByStatus = Object.fromEntries(COPY_STATUSES.map(status => [status, 0]));
+        copies.forEach(copy => copiesByStatus[copy.status]++);
+        const totalCopies = copies.filter(copy => copy.isHolding).length;
         const totalUsers = this.#users.size;
-        const activeRecords = Array.from(this.#records.values()).filter(r => r.status === "active").length;
-        const overdueRecords = Array.from(this.#records.values()).filter(r => r.status === "overdue").length;
+        const records = Array.from(this.#records.values()).filter(r => atBranch(r.branch));
+        const recordsByStatus = Object.fromEntries(LOAN_STATUSES.map(status => [status, 0]));
+        records.forEach(record => recordsByStatus[record.status]++);
+        const activeRecords = recordsByStatus.active;
+        const overdueRecords = recordsByStatus.overdue;
+        const inTransit = this.getCopiesInTransit({ branch });
+        const itemsByType = Object.fromEntries(Object.keys(ITEM_TYPES).map(type => [type, 0]));
+        books.forEach(book => itemsByType[book.itemType]++);
+        const digitalBooks = books.filter(book => book.isDigital);
         
         return {
+            branch,
             totalBooks,
+            itemsByType,
             availableBooks,
             borrowedBooks: totalBooks - availableBooks,
+            totalCopies,
+            availableCopies: copiesByStatus.available,
+            onLoanCopies: copiesByStatus.on_loan,
+            copiesByStatus,
+            availability: `${copiesByStatus.available} of ${totalCopies} copies`,
             totalUsers,
             activeRecords,
-            overdueRecords
+            overdueRecords,
+            recordsByStatus,
+            activeHolds: this.#activeHolds().filter(hold => atBranch(hold.pickupBranch)).length,
+            // 電子書授權：總數 / 借出中
+            licenses: {
+                total: digitalBooks.reduce((sum, book) => sum + book.licenses, 0),
+                inUse: digitalBooks.reduce((sum, book) => sum + book.licensesInUse, 0)
+            },
+            // 分館之間的運送：送進來 / 送出去的複本數
+            transfers: {
+                incoming: inTransit.filter(copy => branch !== null && copy.transitTo === branch).length,
+                outgoing: inTransit.filter(copy => branch !== null && copy.location === branch).length,
+                total: inTransit.length
+            }
         };
     }
     
     // 某使用者的借閱歷史
     getUserBorrowHistory(userId) {
         const user = this.#users.get(userId);
-        if (!user) throw new Error(`User with ID ${userId} not found`);
+        if (!user) throw new NotFoundError(`User with ID ${userId} not found`);
         
         const records = Array.from(this.#records.values())
             .filter(record => record.userId === userId)
@@ -527,79 +3593,951 @@ class Library {
             records
         };
     }
+
+    // ----- 一致性檢查 -----
+    // 每個操作提交前都會檢查它改到的實體 (見 #mutate)；checkIntegrity 檢查全部，
+    // 用來找出這個檢查加入之前就已經不一致的舊資料，例如沒有借閱記錄卻顯示借出中的複本
+    
+    // 回傳所有違反不變量的描述 (空陣列代表一致)
+    checkIntegrity() {
+        return this.#findViolations(null);
+    }
+    
+    // scope 是要檢查的 { books, copies, users, records, holds } ID 集合；null 代表全部
+    // 只檢查 scope 內的實體，相關的實體透過索引查 (不掃描整個館藏)
+    // 不變量：
+    //   借出中的複本恰好有一筆借出中 (active / overdue) 的借閱記錄，其他狀態的複本沒有
+    //   報失或聲稱已還 (尚未結案) 的借閱記錄，其複本是遺失狀態
+    //   保留中的複本恰好有一筆等待取書的預約
+    //   借出中的借閱記錄 = 使用者名下借閱中的書
+    //   等待取書 / 運送中的預約，其複本也是保留中 / 運送中
+    //   電子書占用授權的借閱記錄 = 該書借出中的借閱記錄，且不超過授權數
+    #findViolations(scope) {
+        scope ??= this.#fullScope();
+        const violations = [];
+        const openRecordsOf = (index, key) => this.#recordsOf(index, key).filter(record => record.isOnLoan);
+        
+        for (const copyId of scope.copies) {
+            const copy = this.#copiesById.get(copyId);
+            if (!copy) continue;
+            const loans = openRecordsOf(this.#recordIdsByBook, copy.bookId)
+                .filter(record => record.copyId === copy.id).length;
+            const holds = this.#holdsOfBook(copy.bookId)
+                .filter(hold => hold.isActive && hold.status === "ready" && hold.copyId === copy.id).length;
+            if (copy.status === "on_loan" ? loans !== 1 : loans > 0) {
+                violations.push(`Copy ${copy.barcode} is ${copy.status} but has ${loans} active borrow records`);
+            }
+            if (copy.status === "reserved" ? holds !== 1 : holds > 0) {
+                violations.push(`Copy ${copy.barcode} is ${copy.status} but has ${holds} holds waiting for pickup`);
+            }
+        }
+        
+        for (const bookId of scope.books) {
+            const book = this.#books.get(bookId);
+            if (!book?.isDigital) continue;
+            const open = openRecordsOf(this.#recordIdsByBook, book.id).map(record => record.id);
+            const held = book.loanRecordIds;
+            if (open.length !== held.length || open.some(id => !held.includes(id))) {
+                violations.push(`E-book "${book.title}" has licenses held by borrow records [${held.join(", ")}] ` +
+                    `but active borrow records [${open.join(", ")}]`);
+            }
+            if (book.licensesInUse > book.licenses) {
+                violations.push(`E-book "${book.title}" has ${book.licensesInUse} licenses in use but only ${book.licenses} licenses`);
+            }
+        }
+        
+        for (const recordId of scope.records) {
+            const record = this.#records.get(recordId);
+            if (!record || record.isClosed) continue;
+            const copy = this.#books.get(record.bookId)?.getCopy(record.copyId);
+            if (record.isOnLoan) {
+                if (copy && copy.status !== "on_loan") {
+                    violations.push(`Borrow record ${record.id} is ${record.status} but copy ${copy.barcode} is ${copy.status}`);
+                }
+                const user = this.#users.get(record.userId);
+                if (user && user.getBorrowRecordId(record.bookId) !== record.id) {
+                    violations.push(`Borrow record ${record.id} is ${record.status} but user ${user.id} does not have it on loan`);
+                }
+            } else if (copy && copy.status !== "lost") {
+                violations.push(`Borrow record ${record.id} is ${record.status} but copy ${copy.barcode} is ${copy.status}`);
+            }
+        }
+        
+        for (const userId of scope.users) {
+            const user = this.#users.get(userId);
+            if (!user) continue;
+            for (const bookId of user.getBorrowedBookIds()) {
+                const recordId = user.getBorrowRecordId(bookId);
+                const record = this.#records.get(recordId);
+                if (!record || !record.isOnLoan || record.userId !== user.id || record.bookId !== bookId) {
+                    violations.push(`User ${user.id} has book ${bookId} on loan but borrow record ${recordId} is not active`);
+                }
+            }
+            const loans = openRecordsOf(this.#recordIdsByUser, user.id).length;
+            if (loans !== user.getBorrowedBookIds().length) {
+                violations.push(`User ${user.id} has ${user.getBorrowedBookIds().length} books on loan ` +
+                    `but ${loans} active borrow records`);
+            }
+        }
+        
+        for (const holdId of scope.holds) {
+            const hold = this.#holds.get(holdId);
+            if (!hold?.isActive || hold.status === "waiting") continue;
+            const copy = this.#books.get(hold.bookId)?.getCopy(hold.copyId);
+            const expected = hold.status === "ready" ? "reserved" : "in_transit";
+            if (copy && copy.status !== expected) {
+                violations.push(`Hold ${hold.id} is ${hold.status} but copy ${copy.barcode} is ${copy.status}`);
+            }
+        }
+        return violations;
+    }
+    
+    // checkIntegrity 檢查的範圍：所有實體
+    #fullScope() {
+        const books = this.getAllBooks();
+        return {
+            books: new Set(books.map(book => book.id)),
+            copies: new Set(books.flatMap(book => book.copies.map(copy => copy.id))),
+            users: new Set(this.#users.keys()),
+            records: new Set(this.#records.keys()),
+            holds: new Set(this.#holds.keys())
+        };
+    }
+    
+    // 一次操作改到的實體，加上借閱記錄與預約牽涉到的使用者和複本；書只算狀態有變的複本
+    static #violationScope(changes) {
+        const scope = { books: new Set(), copies: new Set(), users: new Set(), records: new Set(), holds: new Set() };
+        for (const { collection, before, after } of changes) {
+            if (after === null) continue;
+            if (collection === "books") {
+                scope.books.add(after.id);
+                const previous = new Map((before?.copies ?? []).map(copy => [copy.id, copy]));
+                after.copies
+                    .filter(copy => !isDeepStrictEqual(previous.get(copy.id), copy))
+                    .forEach(copy => scope.copies.add(copy.id));
+            } else if (collection !== "settings") {
+                scope[collection].add(after.id);
+            }
+            if (collection === "records") {
+                scope.users.add(after.userId);
+                scope.books.add(after.bookId);
+            }
+            if ((collection === "records" || collection === "holds") && after.copyId !== null) {
+                scope.copies.add(after.copyId);
+            }
+        }
+        return scope;
+    }
+    
+    // ----- 稽核記錄與復原 -----
+    // 每個修改狀態的操作都記成一筆指令：{ id, op, actor, at, args, changes, undoneBy }
+    // changes 是每個受影響實體修改前後的完整狀態，例如借書會有書 (複本狀態)、使用者、借閱記錄
+    // 只保留最近 auditLogLimit 筆 (預設 1000，也是快照裡保存的筆數)
+    
+    // 以某個執行者身分執行操作，例如 library.runAs("desk:alice", lib => lib.borrowBook(1, 2))
+    // Python 等價物：with library.acting_as("desk:alice"): ...
+    runAs(actor, fn) {
+        const previous = this.#actor;
+        this.#actor = actor;
+        try {
+            return fn(this);
+        } finally {
+            this.#actor = previous;
+        }
+    }
+    
+    // 查詢稽核記錄 (依時間先後)
+    // filters: { actor, op, collection, entityId, since, until }
+    getAuditLog({ actor, op, collection, entityId, since, until } = {}) {
+        const commands = collection !== undefined && entityId !== undefined
+            ? (this.#commandIdsByEntity.get(Library.#entityKey(collection, entityId)) ?? []).map(id => this.#auditLog.get(id))
+            : Array.from(this.#auditLog.values());
+        return commands
+            .filter(command => actor === undefined || command.actor === actor)
+            .filter(command => op === undefined || command.op === op)
+            .filter(command => since === undefined || command.at >= since)
+            .filter(command => until === undefined || command.at < until)
+            .filter(command => collection === undefined || command.changes.some(change =>
+                change.collection === collection && (entityId === undefined || change.id === entityId)))
+            .map(command => structuredClone(command)); // 返回副本避免外部修改
+    }
+    
+    getCommand(commandId) {
+        const command = this.#auditLog.get(commandId);
+        return command ? structuredClone(command) : undefined;
+    }
+    
+    // 復原一個指令：把它修改過的實體還原成修改前的狀態，復原本身也會記成一筆 "undo" 指令
+    // 之後的指令若也修改過同樣的實體 (例如借書之後又還了書)，必須先復原那些指令，否則拒絕
+    undo(commandId) {
+        const command = this.#auditLog.get(commandId);
+        if (!command) throw new NotFoundError(`Command with ID ${commandId} not found`);
+        if (command.undoneBy !== null) {
+            throw new ConflictError(`Command ${commandId} has already been undone by command ${command.undoneBy}`);
+        }
+        
+        // 已經被復原的指令 (以及復原它們的 undo 指令) 互相抵銷，不算依賴
+        const laterIds = new Set(command.changes.flatMap(change =>
+            (this.#commandIdsByEntity.get(Library.#entityKey(change.collection, change.id)) ?? []).filter(id => id > commandId)));
+        const dependents = Array.from(laterIds).sort((a, b) => a - b)
+            .map(id => this.#auditLog.get(id))
+            .filter(later => later.undoneBy === null && !(later.op === "undo" && later.args.commandId > commandId));
+        if (dependents.length > 0) {
+            throw new ConflictError(`Cannot undo command ${commandId} because later commands changed the same records: ` +
+                dependents.map(later => `${later.id} (${later.op})`).join(", "));
+        }
+        
+        // 目前狀態必須和指令完成時一樣，否則表示有未經記錄的修改
+        const collections = this.#collections();
+        for (const change of command.changes) {
+            const entity = collections[change.collection].map.get(change.id);
+            if (!isDeepStrictEqual(entity ? entity.toJSON() : null, change.after)) {
+                throw new ConflictError(`Cannot undo command ${commandId} because ${change.collection} ${change.id} ` +
+                    "has been changed since");
+            }
+        }
+        
+        this.#mutate("undo", { commandId }, () => {
+            for (const change of command.changes) {
+                this.#touch(change.collection, change.id);
+                this.#restoreEntity(change.collection, change.id, change.before);
+            }
+            this.#emitEvent("command.undone", { commandId, op: command.op, actor: this.#actor });
+        });
+        return this.getCommand(commandId);
+    }
+    
+    // 把實體還原成指定狀態 (null 代表刪除)；已存在的實體就地還原，外部持有的參照仍然有效
+    #restoreEntity(collection, id, state) {
+        const { map, revive } = this.#collections()[collection];
+        const entity = map.get(id);
+        if (entity) this.#unindexEntity(collection, entity);
+        if (state === null) {
+            map.delete(id);
+        } else if (entity) {
+            entity.restoreState(state);
+        } else {
+            map.set(id, revive(state, id));
+        }
+        if (state !== null) this.#indexEntity(collection, map.get(id));
+    }
+    
+    #indexEntity(collection, entity) {
+        if (collection === "books") {
+            this.#searchIndex.add(entity);
+            this.#indexBook(entity);
+        } else if (collection === "records") {
+            this.#indexRecord(entity);
+        } else if (collection === "holds") {
+            this.#indexHold(entity);
+        }
+    }
+    
+    #unindexEntity(collection, entity) {
+        if (collection === "books") {
+            this.#searchIndex.remove(entity.id);
+            this.#unindexBook(entity);
+        } else if (collection === "records") {
+            this.#unindexRecord(entity);
+        } else if (collection === "holds") {
+            this.#unindexHold(entity);
+        }
+    }
+    
+    // ----- 持久化 -----
+    // 快照 (snapshot) 保存完整狀態；兩次快照之間的每個變更都附加到日誌 (journal)。
+    // 載入時先讀快照，再依序重播日誌，所以程式在兩次 save 之間崩潰也不會遺失資料。
+    // 注意：請透過 Library 的方法修改狀態，直接呼叫實體方法 (例如 book.markAsUnavailable())
+    // 不會寫入日誌。
+    
+    // 日誌檔與快照放在一起: library.json => library.json.journal
+    static journalPathFor(filePath) {
+        return `${filePath}.journal`;
+    }
+    
+    // 儲存快照，並清空日誌重新開始
+    save(filePath) {
+        // 先寫暫存檔再改名，避免寫到一半崩潰時留下殘缺的快照
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.toJSON(), null, 2));
+        fs.renameSync(tmpPath, filePath);
+        
+        // 快照已包含日誌中的所有變更 (這一步前崩潰時，載入會略過快照裡已有的指令)
+        this.#journalPath = Library.journalPathFor(filePath);
+        fs.writeFileSync(this.#journalPath, "");
+    }
+    
+    // 載入快照並重播日誌，之後的變更會繼續寫入同一份日誌
+    // options 是建構函式的選項 (例如 clock、actor、logger)；快照裡有的設定以快照為準
+    // Python 等價物：@classmethod def load(cls, path, **options)
+    static load(filePath, options = {}) {
+        const library = fs.existsSync(filePath)
+            ? Library.fromJSON(JSON.parse(fs.readFileSync(filePath, "utf8")), options)
+            : new Library(undefined, options);
+        
+        const journalPath = Library.journalPathFor(filePath);
+        if (fs.existsSync(journalPath)) {
+            library.#replayJournal(fs.readFileSync(journalPath, "utf8"));
+            library.#rebuildIndexes();
+        }
+        library.#journalPath = journalPath;
+        return library;
+    }
+    
+    toJSON() {
+        return {
+            version: 5,
+            holdPickupDays: this.#holdPickupDays,
+            maxOutstandingBalance: this.#maxOutstandingBalance,
+            auditLogLimit: this.#auditLogLimit,
+            loanPolicies: this.#policies.toJSON(),
+            membershipTiers: this.#tiers.toJSON(),
+            branches: this.#branches.toJSON(),
+            calendar: this.#calendar.toJSON(),
+            counters: this.#counters(),
+            books: this.getAllBooks().map(book => book.toJSON()),
+            users: this.getAllUsers().map(user => user.toJSON()),
+            records: this.getAllRecords().map(record => record.toJSON()),
+            holds: Array.from(this.#holds.values()).map(hold => hold.toJSON()),
+            auditLog: Array.from(this.#auditLog.values()).map(command => Library.#commandToJSON(command))
+        };
+    }
+    
+    // options 同建構函式；快照裡保存的設定會覆蓋 options 中的同名選項
+    static fromJSON(state, options = {}) {
+        if (state.version === 1) state = Library.#migrateV1(state);
+        if (state.version === 2) state = Library.#migrateV2(state);
+        if (state.version === 3) state = Library.#migrateV3(state);
+        if (state.version === 4) state = Library.#migrateV4(state);
+        if (state.version !== 5) {
+            throw new Error(`Unsupported library snapshot version: ${state.version}`);
+        }
+        
+        const library = new Library(undefined, {
+            ...options,
+            holdPickupDays: state.holdPickupDays,
+            maxOutstandingBalance: state.maxOutstandingBalance,
+            auditLogLimit: state.auditLogLimit, // 較舊的快照沒有這個字段 (undefined)：用預設上限
+            loanPolicies: LoanPolicyTable.fromJSON(state.loanPolicies),
+            membershipTiers: MembershipTierRegistry.fromJSON(state.membershipTiers),
+            branches: BranchDirectory.fromJSON(state.branches),
+            // 加入行事曆之前的快照沒有這個字段：每天都開館
+            calendar: state.calendar ? OpeningCalendar.fromJSON(state.calendar) : null
+        });
+        const collections = library.#collections();
+        for (const [name, { map, revive }] of Object.entries(collections)) {
+            // 舊版快照可能沒有較新的集合 (例如 holds)
+            for (const entityState of state[name] ?? []) {
+                map.set(entityState.id, revive(entityState));
+            }
+        }
+        // 較舊的快照沒有稽核記錄
+        for (const command of state.auditLog ?? []) {
+            library.#registerCommand(Library.#commandFromJSON(command));
+        }
+        library.#applyCounters(state.counters);
+        library.#rebuildIndexes();
+        return library;
+    }
+    
+    // 版本 1 的書籍只有一個 available 旗標：轉換成一本複本，並把借閱與預約記錄指向它
+    static #migrateV1(state) {
+        let nextCopyId = 1;
+        const copyIdByBook = new Map();
+        const books = state.books.map(({ available, ...book }) => {
+            const copyId = nextCopyId++;
+            copyIdByBook.set(book.id, copyId);
+            const copy = {
+                id: copyId,
+                createDate: book.createDate,
+                bookId: book.id,
+                barcode: `C${String(copyId).padStart(8, "0")}`,
+                shelfLocation: "",
+                condition: "good",
+                status: available ? "available" : "on_loan"
+            };
+            return { ...book, copies: [copy] };
+        });
+        
+        // 保留給預約者的書在版本 1 也是 available = false
+        const holds = (state.holds ?? []).map(hold => ({
+            ...hold,
+            copyId: hold.status === "ready" ? copyIdByBook.get(hold.bookId) : null
+        }));
+        holds.filter(hold => hold.status === "ready").forEach(hold => {
+            books.find(book => book.id === hold.bookId).copies[0].status = "reserved";
+        });
+        
+        return {
+            ...state,
+            version: 2,
+            counters: { ...state.counters, nextCopyId },
+            books,
+            records: state.records.map(record => ({ ...record, copyId: copyIdByBook.get(record.bookId) ?? null })),
+            holds
+        };
+    }
+    
+    // 版本 2 只有一個 dailyFineRate：轉成預設政策，舊借閱記錄沿用當時的條款
+    static #migrateV2({ dailyFineRate, ...state }) {
+        const loanPolicies = new LoanPolicyTable({ defaults: { fineRate: dailyFineRate } });
+        const terms = { ...DEFAULT_LOAN_TERMS, fineRate: dailyFineRate };
+        return {
+            ...state,
+            version: 3,
+            loanPolicies: loanPolicies.toJSON(),
+            records: state.records.map(record => ({ ...record, terms, renewals: 0 }))
+        };
+    }
+    
+    // 版本 3 的會員類型可以是任意字串：預設等級之外的類型登記成沒有分類限制的一年期等級
+    // 使用者的會籍日期由 User.restoreState 從建立日補上
+    static #migrateV3(state) {
+        const tiers = new MembershipTierRegistry();
+        for (const user of state.users) {
+            if (!tiers.has(user.membershipType)) tiers.defineTier(user.membershipType);
+        }
+        return { ...state, version: 4, membershipTiers: tiers.toJSON() };
+    }
+    
+    // 版本 4 只有一個館：只登記預設分館，複本、借閱與預約的分館欄位由各自的 restoreState 補上
+    static #migrateV4(state) {
+        return { ...state, version: 5, branches: new BranchDirectory().toJSON() };
+    }
+    
+    // 依 type 字段還原成正確的子類
+    static #reviveBook(state) {
+        return itemTypeOf(state.type).ItemClass.fromJSON(state);
+    }
+    
+    // 可持久化的集合：名稱 => { Map, 還原函數 }
+    // settings 是單一設定物件，原地還原以保留其他物件對它的引用 (快照中另存為獨立字段)
+    #collections() {
+        return {
+            settings: {
+                map: new Map([
+                    ["loanPolicies", this.#policies],
+                    ["membershipTiers", this.#tiers],
+                    ["branches", this.#branches],
+                    ["calendar", this.#calendar]
+                ]),
+                revive: (state, id) => ({
+                    loanPolicies: this.#policies,
+                    membershipTiers: this.#tiers,
+                    branches: this.#branches,
+                    calendar: this.#calendar
+                })[id].restoreState(state)
+            },
+            books: { map: this.#books, revive: state => Library.#reviveBook(state) },
+            users: { map: this.#users, revive: state => User.fromJSON(state, this.#policies, this.#tiers) },
+            records: { map: this.#records, revive: state => BorrowRecord.fromJSON(state, this.#calendar) },
+            holds: { map: this.#holds, revive: state => Hold.fromJSON(state) }
+        };
+    }
+    
+    #counters() {
+        return {
+            nextBookId: this.#nextBookId,
+            nextCopyId: this.#nextCopyId,
+            nextUserId: this.#nextUserId,
+            nextRecordId: this.#nextRecordId,
+            nextHoldId: this.#nextHoldId,
+            nextCommandId: this.#nextCommandId
+        };
+    }
+    
+    // 操作失敗時還原成操作前的值，沒用到的 ID 可以再發出去
+    #resetCounters(counters) {
+        this.#nextBookId = counters.nextBookId;
+        this.#nextCopyId = counters.nextCopyId;
+        this.#nextUserId = counters.nextUserId;
+        this.#nextRecordId = counters.nextRecordId;
+        this.#nextHoldId = counters.nextHoldId;
+        this.#nextCommandId = counters.nextCommandId;
+    }
+    
+    // 只會往前推進，避免重播舊日誌時 ID 倒退
+    #applyCounters(counters) {
+        this.#nextBookId = Math.max(this.#nextBookId, counters.nextBookId);
+        this.#nextCopyId = Math.max(this.#nextCopyId, counters.nextCopyId ?? 1);
+        this.#nextUserId = Math.max(this.#nextUserId, counters.nextUserId);
+        this.#nextRecordId = Math.max(this.#nextRecordId, counters.nextRecordId);
+        this.#nextHoldId = Math.max(this.#nextHoldId, counters.nextHoldId ?? 1);
+        this.#nextCommandId = Math.max(this.#nextCommandId, counters.nextCommandId ?? 1);
+    }
+    
+    // 執行一個會修改狀態的操作，結束後記成一筆指令 (稽核記錄) 並寫入日誌
+    // args 是呼叫時的參數，只用來記錄；巢狀呼叫會併入最外層的操作，只記一筆
+    // 操作中產生的事件等到操作成功後才發出，失敗就丟棄
+    // 每個操作是一個工作單元 (unit of work)：提交前檢查不變量，中途丟出錯誤或檢查失敗時，
+    // 被修改的實體全部還原成操作前的狀態，不會留下一半的修改
+    // Python 等價物：SQLAlchemy 的 with session.begin(): ... (例外時自動 rollback)
+    #mutate(op, args, fn) {
+        if (this.#pendingChanges) return fn();
+        
+        this.#pendingChanges = new Map();
+        this.#pendingEvents = [];
+        const counters = this.#counters();
+        let events;
+        try {
+            const result = fn();
+            const changes = this.#collectChanges(this.#pendingChanges);
+            const violations = this.#findViolations(Library.#violationScope(changes));
+            if (violations.length > 0) {
+                throw new ConflictError(`Operation ${op} was rolled back because it would leave the library inconsistent: ` +
+                    violations.join("; "));
+            }
+            this.#recordCommand(op, args, changes);
+            events = this.#pendingEvents;
+            return result;
+        } catch (error) {
+            this.#rollback(this.#pendingChanges, counters);
+            throw error;
+        } finally {
+            this.#pendingChanges = null;
+            this.#pendingEvents = null;
+            if (events) events.forEach(event => this.#dispatchEvent(event));
+        }
+    }
+    
+    #emitEvent(type, data) {
+        const event = { type, occurredAt: this.now(), data };
+        if (this.#pendingEvents) {
+            this.#pendingEvents.push(event);
+        } else {
+            this.#dispatchEvent(event);
+        }
+    }
+    
+    // 訂閱者丟出的錯誤不能讓已完成的操作看起來像失敗，改用 "error" 事件回報；
+    // 沒有人監聽 "error" 時交給注入的 logger
+    #dispatchEvent(event) {
+        for (const name of [event.type, ANY_EVENT]) {
+            try {
+                this.emit(name, event);
+            } catch (error) {
+                if (this.listenerCount("error") > 0) {
+                    this.emit("error", error);
+                } else {
+                    this.#logger.error(`Listener for "${name}" failed:`, error);
+                }
+            }
+        }
+    }
+    
+    // 標記實體即將被修改 (必須在修改之前呼叫，才能記下修改前的狀態)
+    // toJSON 每次都回傳新的物件 (日期轉成字串)，之後修改實體不會影響記下的狀態
+    #touch(collection, id) {
+        const key = `${collection}:${id}`;
+        if (!this.#pendingChanges || this.#pendingChanges.has(key)) return;
+        
+        const entity = this.#collections()[collection].map.get(id);
+        this.#pendingChanges.set(key, { collection, id, before: entity ? entity.toJSON() : null });
+    }
+    
+    // 比對修改前後的狀態，列出有實際變化的實體
+    // 每個變化都保存修改前 (before) 與修改後 (after) 的完整狀態，null 代表不存在
+    #collectChanges(pendingChanges) {
+        const collections = this.#collections();
+        const changes = [];
+        for (const { collection, id, before } of pendingChanges.values()) {
+            const entity = collections[collection].map.get(id);
+            const after = entity ? entity.toJSON() : null;
+            if (isDeepStrictEqual(after, before)) continue; // 沒有實際變化
+            changes.push({ collection, id, before, after });
+        }
+        return changes;
+    }
+    
+    // 把失敗操作改過的實體還原 (依修改的相反順序)；沒變的實體不動，外部持有的參照仍然有效
+    #rollback(pendingChanges, counters) {
+        const collections = this.#collections();
+        for (const { collection, id, before } of Array.from(pendingChanges.values()).reverse()) {
+            const entity = collections[collection].map.get(id);
+            const current = entity ? entity.toJSON() : null;
+            if (!isDeepStrictEqual(current, before)) this.#restoreEntity(collection, id, before);
+        }
+        this.#resetCounters(counters);
+    }
+    
+    // 把變化記成一筆指令，先寫入日誌再加入稽核記錄 (寫日誌失敗時整個操作還原)
+    #recordCommand(op, args, changes) {
+        if (changes.length === 0) return null;
+        
+        const command = {
+            id: this.#nextCommandId++,
+            op,
+            actor: this.#actor,
+            at: this.now(),
+            // 經過一次 JSON 轉換，之後呼叫端修改參數物件也不會影響記錄
+            args: JSON.parse(JSON.stringify(args)),
+            changes,
+            undoneBy: null
+        };
+        this.#appendJournal(command);
+        this.#registerCommand(command);
+        return command;
+    }
+    
+    // 加入稽核記錄；復原指令會標記被復原的指令
+    // 超過 auditLogLimit 時丟掉最舊的指令 (它們不能再復原；完整的歷史請另外從日誌保存)
+    #registerCommand(command) {
+        this.#auditLog.set(command.id, command);
+        for (const change of command.changes) {
+            const key = Library.#entityKey(change.collection, change.id);
+            if (!this.#commandIdsByEntity.has(key)) this.#commandIdsByEntity.set(key, []);
+            this.#commandIdsByEntity.get(key).push(command.id);
+        }
+        if (command.op === "undo") {
+            const target = this.#auditLog.get(command.args.commandId);
+            if (target) target.undoneBy = command.id;
+        }
+        
+        while (this.#auditLogLimit !== null && this.#auditLog.size > this.#auditLogLimit) {
+            const [oldest] = this.#auditLog.values();
+            this.#auditLog.delete(oldest.id);
+            for (const change of oldest.changes) {
+                const key = Library.#entityKey(change.collection, change.id);
+                const ids = this.#commandIdsByEntity.get(key);
+                // 指令依 ID 順序加入，最舊的指令一定排在每個清單的最前面
+                if (ids?.[0] === oldest.id) ids.shift();
+                if (ids?.length === 0) this.#commandIdsByEntity.delete(key);
+            }
+        }
+    }
+    
+    static #entityKey(collection, id) {
+        return `${collection}:${id}`;
+    }
+    
+    static #commandToJSON(command) {
+        return { ...command, at: command.at.toISOString() };
+    }
+    
+    static #commandFromJSON(state) {
+        return { ...state, at: new Date(state.at), undoneBy: state.undoneBy ?? null };
+    }
+    
+    // 每筆日誌就是一筆指令加上計數器
+    #appendJournal(command) {
+        if (!this.#journalPath) return;
+        
+        const entry = { ...Library.#commandToJSON(command), counters: this.#counters() };
+        fs.appendFileSync(this.#journalPath, JSON.stringify(entry) + "\n");
+    }
+    
+    #replayJournal(text) {
+        const lines = text.split("\n").filter(line => line.trim() !== "");
+        const collections = this.#collections();
+        // save 寫完快照、還沒清空日誌就崩潰時，日誌裡的指令已經在快照中
+        const snapshotNextCommandId = this.#nextCommandId;
+        
+        lines.forEach((line, index) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // 最後一行可能是崩潰時寫到一半的記錄，直接略過
+                if (index === lines.length - 1) return;
+                throw new Error(`Corrupted journal entry at line ${index + 1}: ${error.message}`);
+            }
+            if (entry.id !== undefined && entry.id < snapshotNextCommandId) return;
+            
+            for (const change of entry.changes) {
+                const { map, revive } = collections[change.collection];
+                // 舊版日誌只有修改後的狀態 (state)
+                const state = "after" in change ? change.after : change.state;
+                if (state === null) {
+                    map.delete(change.id);
+                } else {
+                    map.set(change.id, revive(state, change.id));
+                }
+            }
+            // 舊版日誌沒有指令編號，無法還原稽核記錄
+            if (entry.id !== undefined) {
+                const { counters, ...command } = entry;
+                this.#registerCommand(Library.#commandFromJSON(command));
+            }
+            this.#applyCounters(entry.counters);
+        });
+    }
 }
 
 // ===== 示例使用 =====
 
-// 創建一個圖書館實例
-const library = new Library(2); // 每天罰款 2 元
-
-// 添加書籍
-const book1 = library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", 180, "Fiction");
-const book2 = library.addBook("To Kill a Mockingbird", "Harper Lee", "9780061120084", 281, "Fiction");
-const book3 = library.addAcademicBook("Introduction to Algorithms", "Thomas H. Cormen", "9780262033848", 1312, "Computer Science", [
-    "Knuth, D. E. The Art of Computer Programming", 
-    "Rivest, R. L. Introduction to Algorithms"
-]);
-
-// 添加使用者
-const user1 = library.addUser("John Smith", "john@example.com", "Regular");
-const user2 = library.addUser("Alice Johnson", "alice@example.com", "Premium");
-const user3 = library.addUser("Robert Chen", "robert@example.com", "Researcher");
-
-// 借書
-console.log("\n----- 借書操作 -----");
-const borrow1 = library.borrowBook(user1.id, book1.id, 7);
-console.log(`${user1.name} 借了 "${book1.title}", 需在 ${borrow1.dueDate.toLocaleDateString()} 前歸還`);
-
-const borrow2 = library.borrowBook(user2.id, book2.id, 14);
-console.log(`${user2.name} 借了 "${book2.title}", 需在 ${borrow2.dueDate.toLocaleDateString()} 前歸還`);
-
-const borrow3 = library.borrowBook(user3.id, book3.id, 30);
-console.log(`${user3.name} 借了 "${book3.title}", 需在 ${borrow3.dueDate.toLocaleDateString()} 前歸還`);
-
-// 搜索書籍
-console.log("\n----- 搜索書籍 -----");
-const searchResults = library.searchBooks("algorithms");
-console.log(`搜索 "algorithms": 找到 ${searchResults.length} 本書`);
-searchResults.forEach(book => {
-    console.log(`- ${book.title} by ${book.author}`);
-});
-
-// 還書
-console.log("\n----- 還書操作 -----");
-const return1 = library.returnBook(book2.id, user2.id);
-console.log(`${return1.user.name} 歸還了 "${return1.book.title}"`);
-if (return1.fine > 0) {
-    console.log(`需支付逾期罰款: ${return1.fine} 元`);
-}
+// 直接執行這個檔案時才跑示例，被其他模組 require 時只提供類別
+if (require.main === module) {
+    // 創建一個圖書館實例
+    const library = new Library(2); // 每天罰款 2 元
+
+    // 訂閱領域事件 (通知、稽核、分析都可以這樣接上，不必修改 Library)
+    const eventCounts = {};
+    library.on("*", event => {
+        eventCounts[event.type] = (eventCounts[event.type] ?? 0) + 1;
+    });
+    library.on("hold.ready", ({ data }) => {
+        console.log(`[事件] 預約 ${data.holdId} 可以取書了，保留到 ${data.expiresAt.toLocaleDateString()}`);
+    });
+    library.on("fine.assessed", ({ data }) => {
+        console.log(`[事件] 使用者 ${data.userId} 被記罰款 ${data.amount} 元 (${data.reason})，目前欠款 ${data.balance} 元`);
+    });
+
+    // 添加書籍
+    const book1 = library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", 180, "Fiction", {
+        copies: 2,
+        shelfLocation: "FIC-FIT"
+    });
+    const book2 = library.addBook("To Kill a Mockingbird", "Harper Lee", "9780061120084", 281, "Fiction");
+    const book3 = library.addAcademicBook("Introduction to Algorithms", "Thomas H. Cormen", "9780262033848", 1312, "Computer Science", [
+        "Knuth, D. E. The Art of Computer Programming", 
+        "Rivest, R. L. Introduction to Algorithms"
+    ]);
+    library.addBook("演算法導論", "Thomas H. Cormen", "9787111407010", 780, "Computer Science");
+    library.addBook("資料結構與演算法", "胡昭民", "9789864343126", 528, "Computer Science");
+
+    // 添加使用者
+    const user1 = library.addUser("John Smith", "john@example.com", "Regular");
+    const user2 = library.addUser("Alice Johnson", "alice@example.com", "Premium");
+    const user3 = library.addUser("Robert Chen", "robert@example.com", "Researcher");
+
+    // 借書
+    console.log("\n----- 借書操作 -----");
+    const borrow1 = library.borrowBook(user1.id, book1.id, 7);
+    console.log(`${user1.name} 借了 "${book1.title}", 需在 ${borrow1.dueDate.toLocaleDateString()} 前歸還`);
+
+    const borrow2 = library.borrowBook(user2.id, book2.id, 14);
+    console.log(`${user2.name} 借了 "${book2.title}", 需在 ${borrow2.dueDate.toLocaleDateString()} 前歸還`);
 
-// 檢查逾期書籍 (若有設置過去的到期日，測試時可能會顯示逾期)
-console.log("\n----- 逾期檢查 -----");
-const overdueBooks = library.checkOverdueBooks();
-if (overdueBooks.length > 0) {
-    console.log(`發現 ${overdueBooks.length} 本逾期書籍:`);
-    overdueBooks.forEach(item => {
-        console.log(`- "${item.book.title}" 被 ${item.user.name} 借出，逾期 ${item.overdueDays} 天，罰款 ${item.fine} 元`);
+    const borrow3 = library.borrowBook(user3.id, book3.id, 30);
+    console.log(`${user3.name} 借了 "${book3.title}", 需在 ${borrow3.dueDate.toLocaleDateString()} 前歸還`);
+
+    // 借閱政策與續借
+    console.log("\n----- 借閱政策與續借 -----");
+    library.setLoanPolicy("Researcher", "Academic", { loanDays: 60, maxRenewals: 5 });
+    console.log(`研究人員借學術書: 借期 ${library.getLoanPolicy("Researcher", "Academic").loanDays} 天`);
+    const renewed = library.renewLoan(borrow1.id);
+    console.log(`${user1.name} 續借 "${book1.title}"，新到期日 ${renewed.dueDate.toLocaleDateString()}，還可續借 ${renewed.renewalsRemaining} 次`);
+
+    // 預約已借出的書
+    console.log("\n----- 預約 -----");
+    const hold1 = library.placeHold(user3.id, book2.id);
+    console.log(`${user3.name} 預約了 "${book2.title}"，排在第 ${library.getBookHoldQueue(book2.id).indexOf(hold1) + 1} 位`);
+
+    // 搜索書籍
+    console.log("\n----- 搜索書籍 -----");
+    const searchResults = library.searchBooks("algorithms");
+    console.log(`搜索 "algorithms": 找到 ${searchResults.length} 本書`);
+    searchResults.forEach(book => {
+        console.log(`- ${book.title} by ${book.author} (${book.availability})`);
+    });
+    // 中文以兩字一組比對；拼錯的英文字也找得到
+    for (const query of ["演算法", "algoritms"]) {
+        const { total, results, facets } = library.searchCatalog(query);
+        console.log(`搜索 "${query}": 找到 ${total} 本書`);
+        results.forEach(({ book, score }) => console.log(`- ${book.title} (分數 ${score})`));
+        console.log(`  分類統計: ${JSON.stringify(facets.category)}，可借狀態: ${JSON.stringify(facets.availability)}`);
+    }
+
+    // 還書
+    console.log("\n----- 還書操作 -----");
+    const return1 = library.returnBook(book2.id, user2.id);
+    console.log(`${return1.user.name} 歸還了 "${return1.book.title}"`);
+    if (return1.hold) {
+        const holdUser = library.getUser(return1.hold.userId);
+        console.log(`此書保留給預約者 ${holdUser.name}，取書期限 ${return1.hold.expiresAt.toLocaleDateString()}`);
+    }
+    if (return1.fine > 0) {
+        console.log(`需支付逾期罰款: ${return1.fine} 元`);
+    }
+
+    // 罰款帳本
+    console.log("\n----- 罰款帳本 -----");
+    library.assessFine(user2.id, 6, "Damaged dust jacket");
+    library.payFine(user2.id, 4);
+    library.waiveFine(user2.id, 1, "First-time courtesy");
+    console.log(`${user2.name} 目前欠款: ${user2.getDetails().fineBalance} 元`);
+    library.getOutstandingBalances().forEach(({ user, balance }) => {
+        console.log(`- ${user.name}: ${balance} 元`);
+    });
+
+    // 檢查逾期書籍 (若有設置過去的到期日，測試時可能會顯示逾期)
+    console.log("\n----- 逾期檢查 -----");
+    const overdueBooks = library.checkOverdueBooks();
+    if (overdueBooks.length > 0) {
+        console.log(`發現 ${overdueBooks.length} 本逾期書籍:`);
+        overdueBooks.forEach(item => {
+            console.log(`- "${item.book.title}" 被 ${item.user.name} 借出，逾期 ${item.overdueDays} 天，罰款 ${item.fine} 元`);
+        });
+    } else {
+        console.log("沒有逾期書籍");
+    }
+
+    // 生成系統統計報表
+    console.log("\n----- 系統統計 -----");
+    const stats = library.getStatistics();
+    console.log(`總藏書: ${stats.totalBooks} 種, ${stats.totalCopies} 本複本`);
+    console.log(`可借閱: ${stats.availableBooks} 種 (${stats.availability})`);
+    console.log(`借出中: ${stats.onLoanCopies} 本`);
+    console.log(`使用者: ${stats.totalUsers} 人`);
+    console.log(`處理中的借閱記錄: ${stats.activeRecords} 筆`);
+    console.log(`逾期記錄: ${stats.overdueRecords} 筆`);
+
+    // 使用者借閱歷史
+    console.log("\n----- 借閱歷史 -----");
+    const userHistory = library.getUserBorrowHistory(user1.id);
+    console.log(`${userHistory.user.name} 的借閱歷史:`);
+    userHistory.records.forEach(record => {
+        console.log(`- "${record.book.title}": ${record.status}, 借閱日期: ${record.borrowDate.toLocaleDateString()}`);
+    });
+
+    // 櫃台借錯人：復原那筆借書，再借給正確的讀者
+    console.log("\n----- 稽核記錄與復原 -----");
+    const mistake = library.runAs("desk:amy", lib => lib.borrowBook(user3.id, book1.id));
+    const [borrowCommand] = library.getAuditLog({ actor: "desk:amy", op: "borrowBook" });
+    console.log(`指令 ${borrowCommand.id}: ${borrowCommand.actor} 執行 ${borrowCommand.op}，影響 ` +
+        borrowCommand.changes.map(change => `${change.collection} ${change.id}`).join("、"));
+    library.runAs("desk:amy", lib => lib.undo(borrowCommand.id));
+    console.log(`復原後借閱記錄 ${mistake.id} ${library.getRecord(mistake.id) ? "仍存在" : "已移除"}，"${book1.title}" ${book1.availability}`);
+
+    // 會籍：分類限制、停權與續期
+    console.log("\n----- 會籍 -----");
+    const student = library.addUser("Kevin Wu", "kevin@example.com", "Student");
+    const dictionary = library.addBook("Oxford English Dictionary", "Oxford University Press", "9780198611868", 21730, "Reference");
+    const tryBorrow = (user, book) => {
+        try {
+            library.borrowBook(user.id, book.id);
+            console.log(`${user.name} 借出 "${book.title}"`);
+        } catch (error) {
+            console.log(`${user.name} 無法借 "${book.title}": ${error.message}`);
+        }
+    };
+    tryBorrow(student, dictionary);
+    library.suspendMembership(student.id, "Unpaid replacement fee");
+    tryBorrow(student, book2);
+    library.reinstateMembership(student.id);
+    library.changeMembershipTier(student.id, "Regular");
+    tryBorrow(student, dictionary);
+    library.renewMembership(student.id);
+    console.log(`${student.name}: ${student.membershipType}，會籍到期日 ${student.membershipExpiresAt.toLocaleDateString()}`);
+    
+    // 分館：在北校區借、在總館還，書送回北校區
+    console.log("\n----- 分館 -----");
+    library.addBranch("NORTH", { name: "North Campus Library" });
+    const atlas = library.addBook("National Geographic Atlas", "National Geographic", "9781426221736", 448, "Reference", {
+        branch: "NORTH"
+    });
+    tryBorrow(student, atlas);
+    const atlasLoan = library.borrowBook(student.id, atlas.id, null, { branch: "NORTH" });
+    library.returnBook(atlas.id, student.id, { branch: "MAIN" });
+    const [atlasCopy] = atlas.copies;
+    console.log(`"${atlas.title}" 在 ${atlasLoan.branch} 借出、在 ${atlasLoan.returnBranch} 歸還: ` +
+        `${atlasCopy.status}，${atlasCopy.location} => ${atlasCopy.transitTo}`);
+    library.receiveCopy(atlasCopy.id);
+    console.log(`${atlasCopy.location} 收到 ${atlasCopy.barcode}: ${atlasCopy.status}`);
+    const northStats = library.getStatistics({ branch: "NORTH" });
+    console.log(`NORTH: ${northStats.availability}，借閱 ${northStats.activeRecords} 筆，運送中 ${northStats.transfers.incoming} 本`);
+
+    // 遺失：報失收取賠償金，找到後退回
+    console.log("\n----- 遺失 -----");
+    const lostLoan = library.borrowBook(student.id, atlas.id, null, { branch: "NORTH" });
+    library.markLoanLost(lostLoan.id);
+    console.log(`報失後 ${student.name} 欠款 ${student.fineBalance}，複本 ${atlasCopy.status}`);
+    try {
+        library.renewLoan(lostLoan.id);
+    } catch (error) {
+        console.log(`續借失敗: ${error.message}`);
+    }
+    library.returnBook(atlas.id, student.id);
+    console.log(`找到並歸還後欠款 ${student.fineBalance}，狀態歷程: ` +
+        lostLoan.history.map(entry => entry.to).join(" => "));
+    
+    // 館藏類型：DVD 借 3 天、最新一期期刊不外借、設備要收押金
+    console.log("\n----- 館藏類型 -----");
+    const dvd = library.addItem("DVD", { title: "Spirited Away", director: "Hayao Miyazaki", runtimeMinutes: 125 });
+    const dvdLoan = library.borrowBook(user2.id, dvd.id);
+    console.log(`${dvd} 借期 ${dvdLoan.terms.loanDays} 天`);
+    library.addItem("MagazineIssue", { magazine: "Scientific American", issue: "2024-04", issueDate: "2024-04-01" });
+    const latestIssue = library.addItem("MagazineIssue", {
+        magazine: "Scientific American", issue: "2024-05", issueDate: "2024-05-01"
     });
-} else {
-    console.log("沒有逾期書籍");
+    tryBorrow(user2, latestIssue);
+    const laptop = library.addItem("Equipment", {
+        name: "Laptop", manufacturer: "Lenovo", model: "ThinkPad X1", deposit: 50, replacementCost: 800
+    });
+    tryBorrow(user2, laptop);
+    const laptopLoan = library.borrowBook(user2.id, laptop.id, null, { deposit: laptop.deposit });
+    library.returnBook(laptop.id, user2.id);
+    console.log(`${laptop}: 押金 ${laptopLoan.deposit.amount} 元，還書後 ${laptopLoan.deposit.status}`);
+    const ebook = library.addItem("EBook", { title: "Eloquent JavaScript", author: "Marijn Haverbeke", licenses: 1 });
+    const ebookLoan = library.borrowBook(user2.id, ebook.id, 7);
+    tryBorrow(user1, ebook);
+    console.log(`${ebook}: ${ebook.availability}，到期 ${ebookLoan.dueDate.toDateString()} 自動歸還`);
+    console.log("各類型館藏數:", library.getStatistics().itemsByType);
+
+    // 工作單元：操作失敗時全部還原，不會留下借出中卻沒有借閱記錄的複本
+    console.log("\n----- 一致性 -----");
+    const auditSize = library.getAuditLog().length;
+    const openLoan = library.getAllRecords().find(record => record.isOnLoan);
+    try {
+        // 還書日期早於借書日期：在 processReturn 才被擋下，之前的修改都要還原
+        library.returnBook(openLoan.bookId, openLoan.userId, { returnedAt: new Date(2000, 0, 1) });
+    } catch (error) {
+        console.log(`還書失敗: ${error.message}`);
+    }
+    console.log(`稽核記錄 ${library.getAuditLog().length - auditSize} 筆新增，不一致的地方: ${library.checkIntegrity().length} 個`);
+
+    // 開館時間與休館日：到期日落在休館日時順延
+    console.log("\n----- 開館時間與休館日 -----");
+    library.setOpeningHours({ sunday: null });
+    const traveller = library.addUser("Kai Wong", "kai@example.com", "Regular");
+    const guide = library.addBook("Lonely Planet Japan", "Rebecca Milner", "9781788684880", 400, "Travel");
+    const guideLoan = library.borrowBook(traveller.id, guide.id, 14);
+    console.log(`借 14 天 (週日休館) => 到期 ${guideLoan.dueDate.toDateString()}`);
+    const breakStart = new Date(guideLoan.dueDate);
+    breakStart.setDate(breakStart.getDate() - 2);
+    const closure = library.addClosure({ from: breakStart, to: guideLoan.dueDate, reason: "Semester break" });
+    console.log(`新增休館 ${closure.from} ~ ${closure.to} 後順延到 ${guideLoan.dueDate.toDateString()}`);
+
+    // 存檔與載入
+    console.log("\n----- 存檔與載入 -----");
+    const snapshotPath = path.join(os.tmpdir(), "library-demo.json");
+    library.save(snapshotPath);
+    library.addUser("Mei Lin", "mei@example.com", "Student"); // 快照之後的變更只寫入日誌
+    const restored = Library.load(snapshotPath);
+    console.log(`從 ${snapshotPath} 載入: ${restored.getStatistics().totalBooks} 本書, ${restored.getStatistics().totalUsers} 位使用者`);
+
+    console.log("\n----- 發出的事件 -----");
+    console.log(eventCounts);
 }
 
-// 生成系統統計報表
-console.log("\n----- 系統統計 -----");
-const stats = library.getStatistics();
-console.log(`總藏書: ${stats.totalBooks} 本`);
-console.log(`可借閱: ${stats.availableBooks} 本`);
-console.log(`借出中: ${stats.borrowedBooks} 本`);
-console.log(`使用者: ${stats.totalUsers} 人`);
-console.log(`處理中的借閱記錄: ${stats.activeRecords} 筆`);
-console.log(`逾期記錄: ${stats.overdueRecords} 筆`);
-
-// 使用者借閱歷史
-console.log("\n----- 借閱歷史 -----");
-const userHistory = library.getUserBorrowHistory(user1.id);
-console.log(`${userHistory.user.name} 的借閱歷史:`);
-userHistory.records.forEach(record => {
-    console.log(`- "${record.book.title}": ${record.status}, 借閱日期: ${record.borrowDate.toLocaleDateString()}`);
-}); 
\ No newline at end of file
+// 導出類別供其他模組使用 (例如 library/ 目錄下的模擬器)
+module.exports = {
+    LibraryItem,
+    Copy,
+    COPY_STATUSES,
+    Book,
+    Citation,
+    AcademicBook,
+    DVD,
+    MagazineIssue,
+    Equipment,
+    EBook,
+    EBOOK_FORMATS,
+    ITEM_TYPES,
+    LoanPolicyTable,
+    DEFAULT_LOAN_TERMS,
+    MembershipTierRegistry,
+    DEFAULT_MEMBERSHIP_TIERS,
+    BranchDirectory,
+    DEFAULT_BRANCH_CODE,
+    FineLedger,
+    User,
+    BorrowRecord,
+    LOAN_STATUSES,
+    LOAN_TRANSITIONS,
+    Hold,
+    Library,
+    LIBRARY_EVENTS,
+    SimulatedClock,
+    SYSTEM_CLOCK
+};
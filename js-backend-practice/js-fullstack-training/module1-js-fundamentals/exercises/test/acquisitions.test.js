@@ -0,0 +1,109 @@
+// ===== 採購：存檔與 REST API 的執行者 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Library, SimulatedClock } = require('../object-modeling');
+const { AcquisitionsDesk } = require('../library/acquisitions');
+const { createLibraryRouter } = require('../library/rest-api');
+
+function setup(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "acquisitions-test-"));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const libraryFile = path.join(directory, "library.json");
+    const clock = new SimulatedClock(new Date(2025, 8, 1));
+    const library = new Library(1, { clock });
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    return { library, amy, libraryFile, deskFile: AcquisitionsDesk.pathFor(libraryFile) };
+}
+
+const readState = filePath => JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+test("pathFor 把採購資料放在圖書館存檔旁邊", () => {
+    assert.equal(AcquisitionsDesk.pathFor("/data/library.json"), "/data/library.json.acquisitions.json");
+});
+
+test("load 之後每次修改都寫回檔案，重新載入後狀態相同", t => {
+    const { library, amy, deskFile } = setup(t);
+    const desk = AcquisitionsDesk.load(library, deskFile, { fiscalYearStartMonth: 7 });
+    assert.equal(readState(deskFile).fiscalYearStartMonth, 7, "檔案不存在時建立新的並寫入");
+
+    desk.setBudget(2026, "Science Fiction", 100);
+    assert.equal(readState(deskFile).budgets.length, 1);
+    const suggestion = desk.suggest({ userId: amy.id, title: "Dune Messiah", author: "Frank Herbert",
+        category: "Science Fiction", estimatedCost: 18 });
+    const order = desk.approve(suggestion.id, { quantity: 2, approvedBy: "desk:lin" });
+    desk.receive(order.id, { invoiceTotal: 34.5 });
+    assert.equal(readState(deskFile).orders[0].status, "received");
+    assert.equal(fs.existsSync(`${deskFile}.tmp`), false);
+
+    const reloaded = AcquisitionsDesk.load(library, deskFile);
+    assert.equal(reloaded.fiscalYearStartMonth, 7);
+    assert.deepEqual(reloaded.getSuggestions(), desk.getSuggestions());
+    assert.deepEqual(reloaded.getOrders(), desk.getOrders());
+    assert.deepEqual(reloaded.getBudgets(2026), desk.getBudgets(2026));
+
+    // 載入的 desk 也會繼續寫回同一個檔案
+    reloaded.catalog(order.id);
+    assert.equal(readState(deskFile).orders[0].status, "cataloged");
+});
+
+test("失敗的修改不寫檔；沒有 save / load 的 desk 不寫檔", t => {
+    const { library, deskFile } = setup(t);
+    const desk = AcquisitionsDesk.load(library, deskFile);
+    const before = fs.readFileSync(deskFile, "utf8");
+    assert.throws(() => desk.setBudget(2026, "", 100), /Budget category must be a non-empty string/);
+    assert.equal(fs.readFileSync(deskFile, "utf8"), before);
+
+    const unsaved = new AcquisitionsDesk(library);
+    unsaved.setBudget(2026, "Fiction", 50);
+    assert.equal(readState(deskFile).budgets.length, 0);
+});
+
+test("REST 的採購修改以 X-Actor 執行並寫進存檔", async t => {
+    const { library, amy, deskFile } = setup(t);
+    const acquisitions = AcquisitionsDesk.load(library, deskFile);
+    const app = express();
+    app.use("/api", createLibraryRouter(library, { acquisitions }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    t.after(() => server.close());
+    const base = `http://localhost:${server.address().port}/api`;
+    const request = async (method, route, body) => {
+        const response = await fetch(base + route, {
+            method,
+            headers: { "Content-Type": "application/json", "X-Actor": "desk:lin" },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    assert.equal((await request("PUT", "/acquisitions/budgets/2025/Fiction", { amount: 200 })).status, 200);
+    const suggestion = await request("POST", "/acquisitions/suggestions", {
+        userId: amy.id, title: "Piranesi", author: "Susanna Clarke", category: "Fiction", estimatedCost: 20
+    });
+    assert.equal(suggestion.status, 201);
+    const order = await request("POST", `/acquisitions/suggestions/${suggestion.body.id}/approve`, { quantity: 2 });
+    assert.equal(order.body.orderedBy, "desk:lin");
+    const direct = await request("POST", "/acquisitions/orders", {
+        title: "Jonathan Strange & Mr Norrell", author: "Susanna Clarke", category: "Fiction", unitCost: 30
+    });
+    assert.equal(direct.body.orderedBy, "desk:lin");
+    assert.equal((await request("POST", `/acquisitions/orders/${direct.body.id}/cancel`, { reason: "Duplicate" })).status, 200);
+    await request("POST", `/acquisitions/orders/${order.body.id}/receive`, {});
+    await request("POST", `/acquisitions/orders/${order.body.id}/catalog`, {});
+
+    // 編目產生的館藏變更記在 X-Actor 名下
+    const bookId = acquisitions.getOrder(order.body.id).bookId;
+    const entries = library.getAuditLog({ collection: "books", entityId: bookId });
+    assert.ok(entries.length > 0);
+    assert.ok(entries.every(entry => entry.actor === "desk:lin"));
+
+    const state = readState(deskFile);
+    assert.deepEqual(state.orders.map(entry => [entry.id, entry.status]), [[1, "cataloged"], [2, "cancelled"]]);
+    assert.equal(state.suggestions[0].decidedBy, "desk:lin");
+});
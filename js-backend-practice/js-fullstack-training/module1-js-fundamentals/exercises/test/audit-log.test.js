@@ -0,0 +1,78 @@
+// ===== 稽核記錄：保留筆數上限、依實體查詢與復原 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Library, SimulatedClock } = require('../object-modeling');
+const { NotFoundError, ValidationError } = require('../library/errors');
+
+function setup(options = {}) {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock, ...options });
+    const book = library.addBook("Refactoring", "Martin Fowler", "9780134757599", 448, "Programming");
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    return { library, clock, book, amy };
+}
+
+test("只保留最近 auditLogLimit 筆指令，快照也只存這些", () => {
+    const { library, book, amy } = setup({ auditLogLimit: 3 });
+    library.borrowBook(amy.id, book.id);
+    library.returnBook(book.id, amy.id);
+    library.assessFine(amy.id, 2, "Damaged cover");
+    assert.deepEqual(library.getAuditLog().map(command => command.op), ["borrowBook", "returnBook", "assessFine"]);
+
+    // 被丟掉的指令不能再復原
+    assert.throws(() => library.undo(1), NotFoundError);
+
+    const snapshot = library.toJSON();
+    assert.equal(snapshot.auditLog.length, 3);
+    assert.equal(snapshot.auditLogLimit, 3);
+    const restored = Library.fromJSON(JSON.parse(JSON.stringify(snapshot)));
+    restored.payFine(amy.id, 2);
+    assert.deepEqual(restored.getAuditLog().map(command => command.op), ["returnBook", "assessFine", "payFine"]);
+
+    assert.throws(() => new Library(1, { auditLogLimit: 0 }), ValidationError);
+    assert.equal(new Library(1, { auditLogLimit: null }).toJSON().auditLogLimit, null);
+});
+
+test("重播日誌時也套用上限", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "library-test-"));
+    try {
+        const { library, book, amy } = setup({ auditLogLimit: 2 });
+        const file = path.join(directory, "library.json");
+        library.save(file);
+        library.borrowBook(amy.id, book.id);
+        library.returnBook(book.id, amy.id);
+        library.addUser("Ben Lee", "ben@example.com", "Regular");
+
+        const loaded = Library.load(file);
+        assert.deepEqual(loaded.getAuditLog().map(command => command.op), ["returnBook", "addUser"]);
+        assert.deepEqual(loaded.checkIntegrity(), []);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test("依實體查詢稽核記錄，復原時只看後來改過同一個實體的指令", () => {
+    const { library, book, amy } = setup();
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Regular");
+    const record = library.borrowBook(amy.id, book.id);
+    const [borrow] = library.getAuditLog().slice(-1);
+    library.assessFine(ben.id, 1, "Late fee"); // 和這筆借閱無關
+    library.returnBook(book.id, amy.id);
+    const [returned] = library.getAuditLog().slice(-1);
+
+    assert.deepEqual(library.getAuditLog({ collection: "records", entityId: record.id }).map(command => command.op),
+        ["borrowBook", "returnBook"]);
+    assert.equal(library.getAuditLog({ collection: "users", entityId: ben.id, op: "assessFine" }).length, 1);
+
+    assert.throws(() => library.undo(borrow.id), new RegExp(`later commands changed the same records: ${returned.id} \\(returnBook\\)`));
+    library.undo(returned.id);
+    library.undo(borrow.id);
+    assert.equal(library.getRecord(record.id), undefined);
+    assert.equal(book.copies[0].status, "available");
+    assert.equal(library.getUser(ben.id).fineBalance, 1);
+    assert.deepEqual(library.checkIntegrity(), []);
+});
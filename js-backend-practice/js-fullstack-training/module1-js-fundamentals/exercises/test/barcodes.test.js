@@ -0,0 +1,224 @@
+// ===== 條碼：把產生的 SVG 解碼回原文 =====
+// 解碼器依規格另外實作 (Code 128 的符號表、QR code 版本 1-5 的區塊表與 Reed-Solomon 檢查)，
+// 不借用 barcodes.js 的內部函式，才能抓到編碼與解碼「錯得一致」的問題
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCode128, code128Svg, qrSvg, encodeQr } = require('../library/barcodes');
+const { ValidationError } = require('../library/errors');
+
+// SVG 的 <path d="M{x} {y}h{w}v{h}h-{w}z..."> => [{ x, y, width, height }]
+function svgRects(svg) {
+    const [, d] = svg.match(/<path d="([^"]*)"/);
+    return Array.from(d.matchAll(/M([\d.]+) ([\d.]+)h([\d.]+)v([\d.]+)h-[\d.]+z/g),
+        ([, x, y, width, height]) => ({ x: Number(x), y: Number(y), width: Number(width), height: Number(height) }));
+}
+
+// ----- Code 128 -----
+
+// 符號值 0-106 的條、空寬度 (ISO/IEC 15417 表 1)
+const CODE128_SYMBOLS = (
+    "212222 222122 222221 121223 121322 131222 122213 122312 132212 221213 " +
+    "221312 231212 112232 122132 122231 113222 123122 123221 223211 221132 " +
+    "221231 213212 223112 312131 311222 321122 321221 312212 322112 322211 " +
+    "212123 212321 232121 111323 131123 131321 112313 132113 132311 211313 " +
+    "231113 231311 112133 112331 132131 113123 113321 133121 313121 211331 " +
+    "231131 213113 213311 213131 311123 311321 331121 312113 312311 332111 " +
+    "314111 221411 431111 111224 111422 121124 121421 141122 141221 112214 " +
+    "112412 122114 122411 142112 142211 241211 221114 413111 241112 134111 " +
+    "111242 121142 121241 114212 124112 124211 411212 421112 421211 212141 " +
+    "214121 412121 111143 111341 131141 114113 114311 411113 411311 113141 " +
+    "114131 311141 411131 211412 211214 211232 2331112"
+).split(" ");
+
+function decodeCode128Svg(svg, moduleWidth = 2) {
+    const bars = svgRects(svg).sort((a, b) => a.x - b.x);
+    const widths = [];
+    bars.forEach((bar, i) => {
+        widths.push(bar.width / moduleWidth);
+        if (i + 1 < bars.length) widths.push((bars[i + 1].x - bar.x - bar.width) / moduleWidth);
+    });
+    const pattern = widths.join("");
+    assert.equal(pattern.slice(-7), CODE128_SYMBOLS[106], "停止符");
+
+    const values = [];
+    for (let i = 0; i < pattern.length - 7; i += 6) {
+        const value = CODE128_SYMBOLS.indexOf(pattern.slice(i, i + 6));
+        assert.ok(value >= 0, `無效的符號 ${pattern.slice(i, i + 6)}`);
+        values.push(value);
+    }
+    const checksum = values.pop();
+    assert.equal(values.reduce((sum, value, i) => sum + value * Math.max(i, 1), 0) % 103, checksum, "檢查碼");
+
+    // 104 = Start B，105 = Start C；99 / 100 切換字集
+    let set = { 104: "B", 105: "C" }[values[0]];
+    assert.ok(set, "起始符");
+    let text = "";
+    for (const value of values.slice(1)) {
+        if (set === "B" && value === 99) set = "C";
+        else if (set === "C" && value === 100) set = "B";
+        else text += set === "B" ? String.fromCharCode(value + 32) : String(value).padStart(2, "0");
+    }
+    return text;
+}
+
+test("Code 128 的 SVG 解碼回原文 (含字集 B、C 的切換)", () => {
+    for (const text of ["C00000042", "P00000001", "7", "12", "12345", "AB1234567C", "x1234y", "Hello, World! 2026-10-19"]) {
+        assert.equal(decodeCode128Svg(code128Svg(text)), text);
+    }
+});
+
+test("Code 128 長數字用字集 C，符號數較少", () => {
+    assert.deepEqual(encodeCode128("1234").values.slice(0, 3), [105, 12, 34]);
+    assert.deepEqual(encodeCode128("PJJ123C").values, [104, 48, 42, 42, 17, 18, 19, 35, 55, 106]);
+});
+
+test("Code 128 只接受可列印的 ASCII", () => {
+    assert.throws(() => code128Svg("é"), ValidationError);
+    assert.throws(() => code128Svg(""), /Barcode text is required/);
+});
+
+// ----- QR code (版本 1-5) -----
+
+// 每個版本與錯誤修正等級：[每個區塊的修正碼數, [[區塊數, 每區塊資料碼數], ...]] (ISO/IEC 18004 表 9)
+const QR_BLOCKS = {
+    1: { L: [7, [[1, 19]]], M: [10, [[1, 16]]], Q: [13, [[1, 13]]], H: [17, [[1, 9]]] },
+    2: { L: [10, [[1, 34]]], M: [16, [[1, 28]]], Q: [22, [[1, 22]]], H: [28, [[1, 16]]] },
+    3: { L: [15, [[1, 55]]], M: [26, [[1, 44]]], Q: [18, [[2, 17]]], H: [22, [[2, 13]]] },
+    4: { L: [20, [[1, 80]]], M: [18, [[2, 32]]], Q: [26, [[2, 24]]], H: [16, [[4, 9]]] },
+    5: { L: [26, [[1, 108]]], M: [24, [[2, 43]]], Q: [18, [[2, 15], [2, 16]]], H: [22, [[2, 11], [2, 12]]] }
+};
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// GF(256)，原始多項式 x^8 + x^4 + x^3 + x^2 + 1
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+for (let i = 0, value = 1; i < 255; i++, value = (value << 1) ^ (value & 0x80 ? 0x11d : 0)) {
+    GF_EXP[i] = GF_EXP[i + 255] = value;
+    GF_LOG[value] = i;
+}
+const gfMultiply = (a, b) => (a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]]);
+
+// 資料碼 + 修正碼組成的多項式在 α^0 .. α^(n-1) 都是 0 才是正確的 Reed-Solomon 碼字
+function assertReedSolomon(codewords, eccCount) {
+    for (let i = 0; i < eccCount; i++) {
+        const syndrome = codewords.reduce((sum, codeword) => gfMultiply(sum, GF_EXP[i]) ^ codeword, 0);
+        assert.equal(syndrome, 0, `syndrome ${i}`);
+    }
+}
+
+// 從 SVG 還原模組矩陣 (moduleSize 4、quietZone 4 是 qrSvg 的預設值)
+function qrMatrixFromSvg(svg, moduleSize = 4, quietZone = 4) {
+    const [, viewSize] = svg.match(/viewBox="0 0 (\d+) \d+"/);
+    const size = Number(viewSize) / moduleSize - quietZone * 2;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    for (const rect of svgRects(svg)) {
+        const y = rect.y / moduleSize - quietZone;
+        const x = rect.x / moduleSize - quietZone;
+        for (let i = 0; i < rect.width / moduleSize; i++) modules[y][x + i] = true;
+    }
+    return modules;
+}
+
+function decodeQrSvg(svg) {
+    const modules = qrMatrixFromSvg(svg);
+    const size = modules.length;
+    const version = (size - 17) / 4;
+    assert.ok(Number.isInteger(version) && version >= 1 && version <= 5, `版本 ${version}`);
+
+    // 格式資訊 (右上與左下那一份)：BCH(15, 5) 檢查後取出錯誤修正等級與遮罩
+    let format = 0;
+    for (let i = 0; i < 8; i++) format |= (modules[8][size - 1 - i] ? 1 : 0) << i;
+    for (let i = 8; i < 15; i++) format |= (modules[size - 15 + i][8] ? 1 : 0) << i;
+    format ^= 0x5412;
+    let remainder = (format >>> 10) << 10;
+    for (let bit = 14; bit >= 10; bit--) if (remainder & (1 << bit)) remainder ^= 0x537 << (bit - 10);
+    assert.equal(remainder, format & 0x3ff, "格式資訊的 BCH 檢查碼");
+    const ecLevel = { 1: "L", 0: "M", 3: "Q", 2: "H" }[format >>> 13];
+    const mask = QR_MASKS[(format >>> 10) & 7];
+
+    // 功能圖形：定位圖形 (含分隔線與格式資訊)、時序線、版本 2 以上的對齊圖形
+    const alignment = 4 * version + 10;
+    const isFunction = (x, y) =>
+        (x < 9 && y < 9) || (x >= size - 8 && y < 9) || (x < 9 && y >= size - 8) ||
+        x === 6 || y === 6 ||
+        (version >= 2 && Math.abs(x - alignment) <= 2 && Math.abs(y - alignment) <= 2);
+
+    // 由右下角開始，兩欄一組之字形讀取資料位元
+    const [eccPerBlock, groups] = QR_BLOCKS[version][ecLevel];
+    const blockSizes = groups.flatMap(([count, length]) => new Array(count).fill(length));
+    const total = blockSizes.reduce((sum, length) => sum + length + eccPerBlock, 0);
+    const codewords = [];
+    let current = 0;
+    let bits = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < 2; column++) {
+                const x = right - column;
+                const y = upward ? size - 1 - row : row;
+                if (isFunction(x, y) || codewords.length === total) continue;
+                current = (current << 1) | (modules[y][x] !== mask(x, y) ? 1 : 0);
+                if (++bits % 8 === 0) {
+                    codewords.push(current);
+                    current = 0;
+                }
+            }
+        }
+    }
+    assert.equal(codewords.length, total);
+
+    // 解交錯：資料碼逐欄分給各區塊 (短的區塊先結束)，修正碼也一樣
+    const blocks = blockSizes.map(() => []);
+    let index = 0;
+    for (let i = 0; i < Math.max(...blockSizes); i++) {
+        blockSizes.forEach((length, block) => {
+            if (i < length) blocks[block].push(codewords[index++]);
+        });
+    }
+    const eccs = blockSizes.map(() => []);
+    for (let i = 0; i < eccPerBlock; i++) blocks.forEach((_, block) => eccs[block].push(codewords[index++]));
+    blocks.forEach((data, block) => assertReedSolomon([...data, ...eccs[block]], eccPerBlock));
+
+    // 位元組模式：0100 + 8 位元長度 + 資料
+    const stream = blocks.flat().map(byte => byte.toString(2).padStart(8, "0")).join("");
+    assert.equal(stream.slice(0, 4), "0100", "位元組模式");
+    const length = parseInt(stream.slice(4, 12), 2);
+    const bytes = Array.from({ length }, (_, i) => parseInt(stream.slice(12 + i * 8, 20 + i * 8), 2));
+    return { text: Buffer.from(bytes).toString("utf8"), version, ecLevel };
+}
+
+test("QR code 的 SVG 解碼回原文 (各種錯誤修正等級)", () => {
+    const texts = ["P00000001", "https://library.example.com/users/42", "圖書館會員證 ✓ 42"];
+    for (const text of texts) {
+        for (const ecLevel of ["L", "M", "Q", "H"]) {
+            const decoded = decodeQrSvg(qrSvg(text, { ecLevel }));
+            assert.equal(decoded.text, text);
+            assert.equal(decoded.ecLevel, ecLevel);
+        }
+    }
+});
+
+test("QR code 的每一種遮罩都能解碼", () => {
+    for (let mask = 0; mask < 8; mask++) {
+        assert.equal(decodeQrSvg(qrSvg("mask test", { mask })).text, "mask test");
+    }
+});
+
+test("QR code 選用放得下資料的最小版本", () => {
+    assert.equal(encodeQr("x".repeat(14), { ecLevel: "M" }).version, 1);
+    assert.equal(encodeQr("x".repeat(15), { ecLevel: "M" }).version, 2);
+    assert.equal(decodeQrSvg(qrSvg("short", { minVersion: 3 })).version, 3);
+    assert.throws(() => encodeQr("x".repeat(3000)), /too long/);
+});
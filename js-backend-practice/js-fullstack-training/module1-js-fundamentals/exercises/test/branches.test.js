@@ -0,0 +1,135 @@
+// ===== 分館：調撥、跨館還書與各分館統計 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Library, SimulatedClock } = require('../object-modeling');
+const { ValidationError, ConflictError } = require('../library/errors');
+
+function setup() {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock });
+    library.addBranch("NORTH", { name: "North Campus Library" });
+    library.addBranch("SOUTH", { name: "South Campus Library" });
+    const book = library.addBook("The Pragmatic Programmer", "Andrew Hunt", "9780135957059", 352, "Programming", { copies: 2 });
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Regular");
+    return { library, clock, book, amy, ben };
+}
+
+const where = copy => [copy.status, copy.location, copy.homeBranch];
+
+test("暫時調撥：送達後在別館上架，借出歸還後送回館藏分館", () => {
+    const { library, book, amy } = setup();
+    const [copy] = book.copies;
+    assert.deepEqual(where(copy), ["available", "MAIN", "MAIN"]);
+
+    library.transferCopy(copy.id, "NORTH");
+    assert.deepEqual(where(copy), ["in_transit", "MAIN", "MAIN"]);
+    assert.equal(copy.transitTo, "NORTH");
+    assert.deepEqual(library.getCopiesInTransit({ branch: "NORTH" }), [copy]);
+    assert.throws(() => library.borrowBook(amy.id, book.id, null, { branch: "NORTH" }),
+        /"The Pragmatic Programmer" is not available at branch NORTH/);
+
+    library.receiveCopy(copy.id);
+    assert.deepEqual(where(copy), ["available", "NORTH", "MAIN"]);
+    assert.deepEqual(library.getCopiesInTransit(), []);
+
+    const loan = library.borrowBook(amy.id, book.id, null, { branch: "NORTH" });
+    assert.equal(loan.copyId, copy.id);
+    assert.equal(loan.branch, "NORTH");
+    library.returnBook(book.id, amy.id, { branch: "NORTH" });
+    assert.deepEqual(where(copy), ["in_transit", "NORTH", "MAIN"]);
+    library.receiveCopy(copy.id);
+    assert.deepEqual(where(copy), ["available", "MAIN", "MAIN"]);
+});
+
+test("永久調撥改變館藏分館；不能調撥的情況", () => {
+    const { library, book, amy } = setup();
+    const [first, second] = book.copies;
+    library.transferCopy(first.id, "SOUTH", { permanent: true });
+    library.receiveCopy(first.id);
+    assert.deepEqual(where(first), ["available", "SOUTH", "SOUTH"]);
+
+    // 在館藏分館還書就留在原地
+    library.borrowBook(amy.id, book.id, null, { branch: "SOUTH" });
+    library.returnBook(book.id, amy.id, { branch: "SOUTH" });
+    assert.deepEqual(where(first), ["available", "SOUTH", "SOUTH"]);
+
+    assert.throws(() => library.transferCopy(first.id, "SOUTH"), /already at branch SOUTH/);
+    assert.throws(() => library.transferCopy(second.id, "EAST"), ValidationError);
+    assert.throws(() => library.receiveCopy(second.id), /is not in transit/);
+    library.borrowBook(amy.id, book.id);
+    assert.throws(() => library.transferCopy(second.id, "NORTH"), ConflictError);
+    assert.throws(() => library.transferCopy(99, "NORTH"), /Copy with ID 99 not found/);
+});
+
+test("在別館還書：沒人預約就送回館藏分館，有人在還書的分館預約就直接保留", () => {
+    const { library, book, amy, ben } = setup();
+    const [first, second] = book.copies;
+    const firstLoan = library.borrowBook(amy.id, book.id);
+    library.borrowBook(ben.id, book.id);
+
+    library.returnBook(book.id, amy.id, { branch: "NORTH" });
+    assert.equal(firstLoan.returnBranch, "NORTH");
+    assert.deepEqual(where(first), ["in_transit", "NORTH", "MAIN"]);
+    assert.equal(first.transitTo, "MAIN");
+
+    // 送錯分館：在 SOUTH 收到的書繼續送回 MAIN
+    library.receiveCopy(first.id, { branch: "SOUTH" });
+    assert.deepEqual(where(first), ["in_transit", "SOUTH", "MAIN"]);
+    library.receiveCopy(first.id);
+    assert.deepEqual(where(first), ["available", "MAIN", "MAIN"]);
+
+    // Chloe 預約在 NORTH 取書，Ben 剛好在 NORTH 還書
+    library.borrowBook(amy.id, book.id);
+    const chloe = library.addUser("Chloe Wang", "chloe@example.com", "Regular");
+    const hold = library.placeHold(chloe.id, book.id, { pickupBranch: "NORTH" });
+    library.returnBook(book.id, ben.id, { branch: "NORTH" });
+    assert.equal(hold.status, "ready");
+    assert.equal(hold.copyId, second.id);
+    assert.deepEqual(where(second), ["reserved", "NORTH", "MAIN"]);
+    assert.deepEqual(library.checkIntegrity(), []);
+});
+
+test("預約的取書分館沒有書時從別館送過去，送達後才保留", () => {
+    const { library, book, amy, ben } = setup();
+    const [first] = book.copies;
+    library.borrowBook(amy.id, book.id);
+    library.borrowBook(ben.id, book.id);
+    const chloe = library.addUser("Chloe Wang", "chloe@example.com", "Regular");
+    const hold = library.placeHold(chloe.id, book.id, { pickupBranch: "SOUTH" });
+
+    library.returnBook(book.id, amy.id);
+    assert.equal(hold.status, "in_transit");
+    assert.deepEqual(where(first), ["in_transit", "MAIN", "MAIN"]);
+    assert.equal(first.transitTo, "SOUTH");
+    assert.throws(() => library.borrowBook(chloe.id, book.id, null, { branch: "SOUTH" }), ConflictError);
+
+    library.receiveCopy(first.id);
+    assert.equal(hold.status, "ready");
+    assert.deepEqual(where(first), ["reserved", "SOUTH", "MAIN"]);
+    assert.equal(library.borrowBook(chloe.id, book.id, null, { branch: "SOUTH" }).copyId, first.id);
+    assert.equal(hold.status, "fulfilled");
+});
+
+test("各分館統計只算館藏分館的複本、在該館借出的記錄與在該館取書的預約；有東西的分館不能刪", () => {
+    const { library, book, amy, ben } = setup();
+    library.addBook("Dune", "Frank Herbert", "9780441172719", 412, "Science Fiction", { copies: 1, branch: "NORTH" });
+    library.borrowBook(amy.id, book.id);
+    library.borrowBook(ben.id, book.id);
+    const chloe = library.addUser("Chloe Wang", "chloe@example.com", "Regular");
+    library.placeHold(chloe.id, book.id, { pickupBranch: "SOUTH" });
+
+    const main = library.getStatistics({ branch: "MAIN" });
+    assert.deepEqual([main.totalBooks, main.totalCopies, main.onLoanCopies, main.activeRecords, main.activeHolds], [1, 2, 2, 2, 0]);
+    const north = library.getStatistics({ branch: "NORTH" });
+    assert.deepEqual([north.totalBooks, north.totalCopies, north.availableCopies, north.activeRecords], [1, 1, 1, 0]);
+    assert.equal(library.getStatistics({ branch: "SOUTH" }).activeHolds, 1);
+    assert.equal(library.getStatistics().totalCopies, 3);
+    assert.throws(() => library.getStatistics({ branch: "EAST" }), ValidationError);
+
+    assert.throws(() => library.removeBranch("NORTH"), /copies still belong to or are located at it/);
+    assert.throws(() => library.removeBranch("SOUTH"), /still has active loans or holds/);
+    library.addBranch("EAST");
+    assert.ok(library.removeBranch("EAST"));
+});
@@ -0,0 +1,77 @@
+// ===== 館藏全文檢索：拼錯字、中文子字串與分面統計 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Library, SimulatedClock } = require('../object-modeling');
+
+function setup() {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock });
+    const books = {
+        clrs: library.addBook("Introduction to Algorithms", "Thomas H. Cormen", "9780262033848", 1312, "Programming"),
+        unlocked: library.addBook("Algorithms Unlocked", "Thomas H. Cormen", "9780262518802", 240, "Programming"),
+        islr: library.addBook("An Introduction to Statistical Learning", "Gareth James", "9781461471370", 426, "Statistics"),
+        cleanCode: library.addBook("Clean Code", "Robert C. Martin", "9780132350884", 464, "Programming", { copies: 2 }),
+        ddd: library.addBook("Domain-Driven Design", "Eric Evans", "9780321125217", 560, "Programming"),
+        dsa: library.addBook("資料結構與演算法", "胡昭民", "9789864344567", 480, "Programming"),
+        snow: library.addBook("雪國", "川端康成", "9789573317241", 192, "Fiction")
+    };
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    return { library, books, amy };
+}
+
+const titles = result => result.results.map(({ book }) => book.title);
+
+test("書名拼錯時拼法相近的書仍然排第一", () => {
+    const { library, books } = setup();
+
+    assert.equal(library.searchCatalog("Introduction to Algoritms").results[0].book, books.clrs);
+    assert.equal(library.searchCatalog("Domain Drivn Design").results[0].book, books.ddd);
+    assert.equal(library.searchCatalog("Clena Code").results[0].book, books.cleanCode, "相鄰字元互換");
+    assert.equal(library.searchCatalog("algo").results[0].book.author, "Thomas H. Cormen", "開頭相同的詞");
+
+    // 數字不容錯：ISBN 差一碼就是另一本書
+    assert.equal(library.searchCatalog("9780262033849").total, 0);
+});
+
+test("中文書名的任何一段子字串都找得到，不會被單字帶出不相關的書", () => {
+    const { library, books } = setup();
+
+    assert.deepEqual(titles(library.searchCatalog("演算法")), [books.dsa.title]);
+    assert.deepEqual(titles(library.searchCatalog("構與演")), [books.dsa.title], "跨詞的子字串");
+    assert.deepEqual(titles(library.searchCatalog("川端")), [books.snow.title], "作者");
+    assert.deepEqual(titles(library.searchCatalog("雪")), [books.snow.title], "單字查詢");
+    assert.equal(library.searchCatalog("結算").total, 0, "字都出現過但不相鄰");
+});
+
+test("篩選只影響結果，分面統計照舊；借出與刪除後分面跟著更新", () => {
+    const { library, books, amy } = setup();
+    const everything = library.searchCatalog("");
+    assert.equal(everything.total, 7);
+    assert.deepEqual(everything.facets.category, { Programming: 5, Statistics: 1, Fiction: 1 });
+    assert.deepEqual(everything.facets.availability, { available: 7 });
+
+    const programming = library.searchCatalog("", { filters: { category: "Programming" } });
+    assert.equal(programming.total, 5);
+    assert.ok(programming.results.every(({ book }) => book.category === "Programming"));
+    assert.deepEqual(programming.facets, everything.facets);
+
+    const introduction = library.searchCatalog("introduction", { filters: { category: "Statistics" } });
+    assert.deepEqual(titles(introduction), [books.islr.title]);
+    assert.deepEqual(introduction.facets.category, { Programming: 1, Statistics: 1 });
+    assert.deepEqual(introduction.facets.author, { "Thomas H. Cormen": 1, "Gareth James": 1 });
+
+    // 兩本複本借出一本仍然可借；唯一的一本借出後就不可借
+    library.borrowBook(amy.id, books.cleanCode.id);
+    library.borrowBook(amy.id, books.clrs.id);
+    const afterLoans = library.searchCatalog("", { filters: { available: true } });
+    assert.deepEqual(afterLoans.facets.availability, { available: 6, unavailable: 1 });
+    assert.equal(afterLoans.total, 6);
+    assert.ok(!titles(afterLoans).includes(books.clrs.title));
+
+    library.removeBook(books.snow.id);
+    const afterRemoval = library.searchCatalog("");
+    assert.equal(afterRemoval.total, 6);
+    assert.deepEqual(afterRemoval.facets.category, { Programming: 5, Statistics: 1 });
+    assert.equal(library.searchCatalog("雪國").total, 0);
+});
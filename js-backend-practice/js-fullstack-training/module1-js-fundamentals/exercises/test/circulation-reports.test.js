@@ -0,0 +1,105 @@
+// ===== 借閱統計報表：期間統計、逾期帳齡與 CSV / HTML 輸出 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Library, SimulatedClock } = require('../object-modeling');
+const {
+    quarterRange, buildCirculationReport, reportToCsv, reportToHtml, writeReport
+} = require('../library/circulation-reports');
+const { ValidationError } = require('../library/errors');
+
+// 第一季的借閱 (補登借出與還書時間)，報表在 4/1 產生
+function setup() {
+    const clock = new SimulatedClock(new Date(2025, 3, 1, 10, 0));
+    const library = new Library(1, { clock });
+    const gatsby = library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", 180, "Fiction");
+    const dune = library.addBook("Dune", "Frank Herbert", "9780441172719", 412, "Science Fiction");
+    const dvd = library.addItem("DVD", { title: "Spirited Away", director: "Hayao Miyazaki", runtimeMinutes: 125 });
+    const notes = library.addBook('Notes on "Design", Vol. 1', "Dieter Rams", "9783899555844", 96, "Design");
+    const startDate = new Date(2025, 0, 1);
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Regular", { startDate });
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Regular", { startDate });
+    const chloe = library.addUser("Chloe Wang", "chloe@example.com", "Regular", { startDate });
+
+    const at = (month, day) => new Date(2025, month - 1, day, 10, 0);
+    library.borrowBook(amy.id, gatsby.id, 14, { borrowedAt: at(1, 10) });
+    library.returnBook(gatsby.id, amy.id, { returnedAt: at(1, 20) });          // 借 10 天
+    library.borrowBook(chloe.id, dvd.id, null, { borrowedAt: at(1, 5) });      // 1/8 到期，一直沒還
+    library.borrowBook(ben.id, dune.id, 14, { borrowedAt: at(1, 15) });
+    library.returnBook(dune.id, ben.id, { returnedAt: at(2, 14) });            // 借 30 天，逾期 16 天
+    library.payFine(ben.id, 16);
+    library.borrowBook(amy.id, dune.id, 14, { borrowedAt: at(2, 20) });       // 3/6 到期
+    library.borrowBook(chloe.id, notes.id, 7, { borrowedAt: at(3, 20) });     // 3/27 到期
+    library.borrowBook(ben.id, gatsby.id, 14, { borrowedAt: at(3, 25) });     // 4/8 到期，還沒逾期
+    return { library, gatsby, dune, dvd, notes, amy, ben, chloe };
+}
+
+test("季報表的每月次數、排行、平均借閱天數與逾期帳齡", () => {
+    const { library, gatsby, dune, dvd, notes, amy, ben, chloe } = setup();
+    const report = buildCirculationReport(library, quarterRange(2025, 1));
+    const rows = name => report.sections[name].rows;
+
+    assert.equal(report.title, "Circulation report 2025-01-01 to 2025-03-31");
+    assert.deepEqual(report.summary, { loans: 6, returns: 2, averageLoanDays: 20, overdue: 3 });
+    assert.deepEqual(rows("loansPerMonth"), [
+        { month: "2025-01", loans: 3, returns: 1 },
+        { month: "2025-02", loans: 1, returns: 1 },
+        { month: "2025-03", loans: 2, returns: 0 }
+    ]);
+    assert.deepEqual(rows("topTitles").map(row => [row.rank, row.bookId, row.loans]),
+        [[1, gatsby.id, 2], [2, dune.id, 2], [3, dvd.id, 1], [4, notes.id, 1]]);
+    assert.deepEqual(rows("loansByType"), [{ type: "Book", loans: 5 }, { type: "DVD", loans: 1 }]);
+    assert.deepEqual(rows("topPatrons").map(row => [row.userId, row.loans]), [[amy.id, 2], [ben.id, 2], [chloe.id, 2]]);
+    assert.deepEqual(rows("loanLength"), [{ returnedLoans: 2, averageDays: 20, shortestDays: 10, longestDays: 30 }]);
+
+    // 3/31 結束時：筆記逾期 5 天、Dune 26 天、DVD 83 天
+    assert.equal(report.sections.overdueAging.title, "Overdue aging as of 2025-04-01");
+    assert.deepEqual(rows("overdueAging"), [
+        { bucket: "1-7 days", loans: 1 },
+        { bucket: "8-30 days", loans: 1 },
+        { bucket: "30+ days", loans: 1 }
+    ]);
+
+    // 只看二月：一月借出、二月歸還的 Dune 只算在歸還
+    const february = buildCirculationReport(library, { from: new Date(2025, 1, 1), to: new Date(2025, 2, 1) });
+    assert.deepEqual(february.summary, { loans: 1, returns: 1, averageLoanDays: 30, overdue: 1 });
+    assert.equal(february.sections.overdueAging.rows[2].loans, 1, "二月底 DVD 已逾期 50 幾天");
+});
+
+test("期間與季別要合法", () => {
+    const { library } = setup();
+    assert.throws(() => quarterRange(2025, 5), ValidationError);
+    assert.throws(() => buildCirculationReport(library, { from: new Date(2025, 2, 1), to: new Date(2025, 1, 1) }),
+        /Invalid report period/);
+});
+
+test("CSV 每個區塊一份並跳脫特殊字元，HTML 跳脫文字並內嵌長條圖", t => {
+    const { library } = setup();
+    const report = buildCirculationReport(library, quarterRange(2025, 1));
+
+    const csv = reportToCsv(report);
+    assert.deepEqual(Object.keys(csv), Object.keys(report.sections));
+    assert.equal(csv.loansPerMonth, "Month,Loans,Returns\n2025-01,3,1\n2025-02,1,1\n2025-03,2,0\n");
+    assert.match(csv.topTitles, /^4,4,"Notes on ""Design"", Vol. 1",1$/m);
+    assert.equal(csv.loanLength, "Returned loans,Average days,Shortest (days),Longest (days)\n2,20,10,30\n");
+
+    const html = reportToHtml(report);
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<h1>Circulation report 2025-01-01 to 2025-03-31<\/h1>/);
+    assert.match(html, /<td>Notes on &quot;Design&quot;, Vol. 1<\/td>/);
+    assert.equal((html.match(/<rect /g) ?? []).length, 3, "每個月一根長條");
+
+    // 沒有借閱的期間：表格顯示 No data
+    const empty = reportToHtml(buildCirculationReport(library, quarterRange(2024, 4)));
+    assert.match(empty, /<td colspan="4" class="empty">No data<\/td>/);
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "reports-test-"));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const files = writeReport(report, directory, "2025-Q1");
+    assert.deepEqual(files.map(file => path.basename(file)),
+        ["2025-Q1.html", ...Object.keys(csv).map(name => `2025-Q1-${name}.csv`)]);
+    assert.equal(fs.readFileSync(path.join(directory, "2025-Q1-loansPerMonth.csv"), "utf8"), csv.loansPerMonth);
+});
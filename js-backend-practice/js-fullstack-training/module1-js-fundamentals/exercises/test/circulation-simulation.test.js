@@ -0,0 +1,78 @@
+// ===== 借閱模擬器：可重現、統計與帳本一致、補登的借閱 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Library, SimulatedClock } = require('../object-modeling');
+const { CirculationSimulator, createRandom, populateLibrary, syntheticIsbn } = require('../library/circulation-simulation');
+
+function simulate(seed, days = 60) {
+    const library = new Library(1);
+    const simulator = new CirculationSimulator(library, { startDate: new Date(2025, 8, 1), seed });
+    populateLibrary(library, simulator.random, { titles: 20, patrons: 15 });
+    return { library, simulator, summary: simulator.run(days) };
+}
+
+const sumOf = (entries, type) => entries.filter(entry => entry.type === type).reduce((total, entry) => total + entry.amount, 0);
+
+test("同樣的種子得到同樣的結果", () => {
+    const rolls = random => Array.from({ length: 20 }, () => random.int(1, 6));
+    const values = rolls(createRandom(42));
+    assert.deepEqual(rolls(createRandom(42)), values);
+    assert.ok(values.every(value => Number.isInteger(value) && value >= 1 && value <= 6));
+
+    const first = simulate(7).summary;
+    assert.deepEqual(simulate(7).summary, first);
+    assert.notDeepEqual(simulate(8).summary, first);
+    assert.equal(syntheticIsbn(1), "9780000000019");
+});
+
+test("模擬的統計和借閱記錄、帳本一致，罰款重算沒有差異", () => {
+    const { library, simulator, summary } = simulate(2025, 90);
+    const records = library.getAllRecords();
+    assert.ok(summary.borrows > 0 && summary.lateReturns > 0 && summary.finesAssessed > 0, "模擬有產生逾期與罰款");
+
+    assert.equal(summary.borrows, records.length);
+    assert.equal(summary.returns, records.filter(record => record.status === "returned").length);
+    assert.equal(summary.borrows - summary.returns, records.filter(record => record.isOnLoan).length);
+    assert.equal(summary.lateReturns, records.filter(record => record.returnDate > record.dueDate).length);
+    assert.ok(summary.holdsFulfilled <= summary.holdsPlaced);
+
+    const entries = library.getAllUsers().flatMap(user => user.ledger.entries);
+    assert.equal(sumOf(entries, "fine"), summary.finesAssessed);
+    assert.equal(sumOf(entries, "payment"), summary.paymentsReceived);
+    const outstanding = library.getOutstandingBalances().reduce((total, { balance }) => total + balance, 0);
+    assert.equal(outstanding, summary.finesAssessed - summary.paymentsReceived);
+    assert.equal(summary.outstandingBalances, library.getOutstandingBalances().length);
+
+    assert.deepEqual(simulator.verifyFines(), { checked: summary.returns, mismatches: [] });
+    assert.deepEqual(library.checkIntegrity(), []);
+});
+
+test("帳本上多記的罰款會被驗證找出來", () => {
+    const { library, simulator } = simulate(2025, 90);
+    const record = library.getAllRecords().find(r => r.status === "returned");
+    library.assessFine(record.userId, 5, "Charged twice", record.id);
+
+    const { mismatches } = simulator.verifyFines();
+    assert.equal(mismatches.length, 1);
+    assert.equal(mismatches[0].recordId, record.id);
+    assert.equal(mismatches[0].assessed - mismatches[0].expected, 5);
+});
+
+test("補登的借閱從借出時間起算到期日，還書時依實際天數罰款", () => {
+    const clock = new SimulatedClock(new Date(2025, 0, 20, 10, 0));
+    const library = new Library(1, { clock });
+    const book = library.addBook("Dune", "Frank Herbert", "9780441172719", 412, "Science Fiction");
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium", { startDate: new Date(2024, 11, 1) });
+
+    // 櫃台停機期間的借閱：1/1 借出，1/15 到期
+    const record = library.borrowBook(amy.id, book.id, 14, { borrowedAt: new Date(2025, 0, 1, 10, 0) });
+    assert.deepEqual(record.borrowDate, new Date(2025, 0, 1, 10, 0));
+    assert.deepEqual(record.dueDate, new Date(2025, 0, 15, 10, 0));
+
+    library.checkOverdueBooks();
+    assert.equal(record.status, "overdue");
+    assert.equal(record.getOverdueDays(clock.now()), 5);
+    assert.equal(library.returnBook(book.id, amy.id).fine, 5);
+    assert.equal(library.getUser(amy.id).fineBalance, 5);
+});
@@ -0,0 +1,139 @@
+// ===== 引用文獻：APA / MLA / Chicago 格式與引用網絡查詢 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Library } = require('../object-modeling');
+const { formatCitation, parseAuthorName, CitationGraph } = require('../library/citations');
+const { ValidationError } = require('../library/errors');
+
+const knuth = { authors: ["Knuth, Donald E."], title: "The Art of Computer Programming", year: 1968, publisher: "Addison-Wesley" };
+const sicp = {
+    authors: ["Harold Abelson", "Gerald Jay Sussman"], title: "Structure and Interpretation of Computer Programs",
+    year: 1985, publisher: "MIT Press"
+};
+const clrs = {
+    authors: ["Cormen, Thomas H.", "Leiserson, Charles E.", "Rivest, Ronald L.", "Stein, Clifford"],
+    title: "Introduction to Algorithms", year: 2009, publisher: "MIT Press"
+};
+const shannon = {
+    authors: ["Shannon, Claude E."], title: "A Mathematical Theory of Communication", year: 1948,
+    publisher: "Bell System Technical Journal", doi: "https://doi.org/10.1002/j.1538-7305.1948.tb01338.x"
+};
+
+test("作者姓名兩種寫法都拆得出姓與名", () => {
+    assert.deepEqual(parseAuthorName("Knuth, Donald E."), { family: "Knuth", given: "Donald E." });
+    assert.deepEqual(parseAuthorName("Donald E. Knuth"), { family: "Knuth", given: "Donald E." });
+    assert.deepEqual(parseAuthorName("UNESCO"), { family: "UNESCO", given: "" });
+});
+
+test("APA 第 7 版：名字縮寫、& 連接最後一位、DOI 以網址結尾、超過 20 位作者用省略號", () => {
+    assert.equal(formatCitation(knuth), "Knuth, D. E. (1968). The Art of Computer Programming. Addison-Wesley.");
+    assert.equal(formatCitation(sicp, "APA"),
+        "Abelson, H., & Sussman, G. J. (1985). Structure and Interpretation of Computer Programs. MIT Press.");
+    assert.equal(formatCitation(clrs, "apa"),
+        "Cormen, T. H., Leiserson, C. E., Rivest, R. L., & Stein, C. (2009). Introduction to Algorithms. MIT Press.");
+    assert.equal(formatCitation(shannon, "apa"), "Shannon, C. E. (1948). A Mathematical Theory of Communication. " +
+        "Bell System Technical Journal. https://doi.org/10.1002/j.1538-7305.1948.tb01338.x");
+    assert.equal(formatCitation({ title: "Beowulf", publisher: "Penguin" }, "apa"), "Beowulf. (n.d.). Penguin.");
+
+    const authors = Array.from({ length: 22 }, (_, i) => `Author${i + 1}, A.`);
+    const formatted = formatCitation({ authors, title: "Big Science", year: 2020 }, "apa");
+    assert.match(formatted, /Author19, A\., \. \. \. Author22, A\. \(2020\)\. Big Science\.$/);
+    assert.ok(!formatted.includes("Author20"));
+});
+
+test("MLA 第 9 版：兩位作者第二位名在前，三位以上用 et al.", () => {
+    assert.equal(formatCitation(knuth, "mla"), "Knuth, Donald E. The Art of Computer Programming. Addison-Wesley, 1968.");
+    assert.equal(formatCitation(sicp, "mla"),
+        "Abelson, Harold, and Gerald Jay Sussman. Structure and Interpretation of Computer Programs. MIT Press, 1985.");
+    assert.equal(formatCitation(clrs, "mla"), "Cormen, Thomas H., et al. Introduction to Algorithms. MIT Press, 2009.");
+    assert.equal(formatCitation(shannon, "mla"), "Shannon, Claude E. A Mathematical Theory of Communication. " +
+        "Bell System Technical Journal, 1948. https://doi.org/10.1002/j.1538-7305.1948.tb01338.x.");
+    assert.equal(formatCitation({ title: "Beowulf?", publisher: "Penguin" }, "mla"), "Beowulf? Penguin.", "問號結尾不再補句點");
+});
+
+test("Chicago 第 17 版：第一位作者姓在前，其餘名在前，超過 10 位列前 7 位", () => {
+    assert.equal(formatCitation(clrs, "chicago"), "Cormen, Thomas H., Charles E. Leiserson, Ronald L. Rivest, and Clifford Stein. " +
+        "Introduction to Algorithms. MIT Press, 2009.");
+    assert.equal(formatCitation({ title: "Beowulf", publisher: "Penguin" }, "chicago"), "Beowulf. Penguin, n.d.");
+
+    const authors = Array.from({ length: 11 }, (_, i) => `Author${i + 1}, A.`);
+    assert.equal(formatCitation({ authors, title: "Big Science", year: 2020 }, "chicago"),
+        "Author1, A., A. Author2, A. Author3, A. Author4, A. Author5, A. Author6, A. Author7, et al. Big Science. 2020.");
+
+    // 自由文字的引用先解析再格式化
+    assert.equal(formatCitation("Knuth, D. E. (1968). The Art of Computer Programming.", "chicago"),
+        "Knuth, D. E. The Art of Computer Programming. 1968.");
+    assert.throws(() => formatCitation(knuth, "harvard"), ValidationError);
+});
+
+function buildGraph() {
+    const library = new Library();
+    const books = {
+        clrs: library.addAcademicBook("Introduction to Algorithms",
+            "Thomas H. Cormen; Charles E. Leiserson; Ronald L. Rivest; Clifford Stein", "9780262033848", 1312, "Computer Science"),
+        taocp: library.addBook("The Art of Computer Programming", "Donald E. Knuth", "9780201896831", 672),
+        sicp: library.addAcademicBook("Structure and Interpretation of Computer Programs", "Harold Abelson; Gerald Jay Sussman",
+            "9780262510875", 657, "Computer Science"),
+        dragon: library.addAcademicBook("Compilers: Principles, Techniques, and Tools",
+            "Alfred V. Aho; Monica S. Lam; Ravi Sethi; Jeffrey D. Ullman", "9780321486813", 1000, "Computer Science"),
+        agt: library.addAcademicBook("Algorithmic Game Theory", "Noam Nisan; Tim Roughgarden; Eva Tardos; Vijay V. Vazirani",
+            "9780521872829", 778, "Economics")
+    };
+
+    // 同一本 Knuth 有 ISBN-10、ISBN-13 與自由文字三種寫法
+    library.addCitation(books.clrs.id, { ...knuth, isbn: "0-201-89683-4" });
+    library.addCitation(books.clrs.id, shannon);
+    library.addCitation(books.clrs.id, { ...clrs, isbn: "9780262033848" }); // 自我引用
+    library.addCitation(books.sicp.id, { ...knuth, isbn: "9780201896831" });
+    library.addCitation(books.dragon.id, { ...clrs, isbn: "978-0-262-03384-8" });
+    library.addCitation(books.dragon.id, "Knuth, D. E. (1968). The Art of Computer Programming.");
+    library.addCitation(books.dragon.id, { ...shannon, doi: "10.1002/J.1538-7305.1948.TB01338.X" });
+    library.addCitation(books.agt.id, { authors: ["Nash, John F."], title: "Non-Cooperative Games", year: 1951, doi: "10.2307/1969529" });
+    library.addCitation(books.agt.id, "Cormen, T. H. Introduction to Algorithms");
+    return { library, books, graph: new CitationGraph(library) };
+}
+
+test("引用網絡合併同一著作的不同寫法，依領域統計最常被引用", () => {
+    const { books, graph } = buildGraph();
+    assert.deepEqual(graph.mostCited().map(({ citation, count }) => [citation.title, count]), [
+        ["The Art of Computer Programming", 3],
+        ["A Mathematical Theory of Communication", 2],
+        ["Introduction to Algorithms", 2],
+        ["Non-Cooperative Games", 1]
+    ]);
+    assert.equal(graph.mostCited()[0].book, books.taocp, "館藏中找得到的著作以館藏的書為節點");
+    assert.deepEqual(graph.mostCited({ field: "economics" }).map(({ citation, count }) => [citation.title, count]),
+        [["Introduction to Algorithms", 1], ["Non-Cooperative Games", 1]]);
+
+    assert.deepEqual(graph.citing(books.taocp.id), [books.clrs, books.sicp, books.dragon]);
+    assert.deepEqual(graph.citing(books.clrs.id), [books.dragon, books.agt], "自我引用不算");
+    assert.deepEqual(graph.citing({ title: "A Mathematical Theory of Communication", doi: "doi:10.1002/j.1538-7305.1948.tb01338.x" }),
+        [books.clrs, books.dragon]);
+    assert.deepEqual(graph.citing("Unknown, A. (2000). Nothing Here."), []);
+    assert.deepEqual(graph.references(books.clrs.id).map(({ key }) => key),
+        [`book:${books.taocp.id}`, "doi:10.1002/j.1538-7305.1948.tb01338.x"]);
+});
+
+test("共被引與延伸閱讀清單", () => {
+    const { library, books, graph } = buildGraph();
+    assert.deepEqual(graph.coCited(books.taocp.id).map(({ citation, count }) => [citation.title, count]), [
+        ["A Mathematical Theory of Communication", 2],
+        ["Introduction to Algorithms", 1]
+    ]);
+    assert.deepEqual(graph.coCited("doi:10.2307/1969529").map(({ key }) => key), [`book:${books.clrs.id}`]);
+
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    library.borrowBook(amy.id, books.taocp.id);
+    const list = graph.readingList(books.clrs.id, { style: "mla" });
+    assert.deepEqual(list.map(({ citation, score, reasons }) => [citation.title, score, reasons]), [
+        ["A Mathematical Theory of Communication", 3, ["cited by seed", "co-cited"]],
+        ["The Art of Computer Programming", 3, ["cited by seed", "co-cited"]],
+        ["Algorithmic Game Theory", 2, ["cites seed"]],
+        ["Compilers: Principles, Techniques, and Tools", 2, ["cites seed"]],
+        ["Non-Cooperative Games", 1, ["co-cited"]]
+    ]);
+    assert.equal(list[0].available, null);
+    assert.equal(list[1].available, false, "館藏的書附上目前能不能借");
+    assert.equal(list[4].formatted, "Nash, John F. Non-Cooperative Games. 1951. https://doi.org/10.2307/1969529.");
+});
@@ -0,0 +1,153 @@
+// ===== 電子書下載連結：HMAC 簽章與時效 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Library, SimulatedClock } = require('../object-modeling');
+const { DigitalLending } = require('../library/digital-lending');
+
+const SECRET = "0123456789abcdef0123456789abcdef";
+
+function setup(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "ebooks-test-"));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const contentDirectory = path.join(directory, "content");
+    fs.mkdirSync(contentDirectory);
+    fs.writeFileSync(path.join(contentDirectory, "sicp.pdf"), "%PDF-1.4\n");
+    fs.writeFileSync(path.join(directory, "outside.pdf"), "%PDF-1.4\n");
+
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock });
+    const ebook = library.addItem("EBook", {
+        title: "Structure and Interpretation of Computer Programs", author: "Harold Abelson",
+        isbn: "9780262510875", format: "PDF", licenses: 2, file: "sicp.pdf"
+    });
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    const record = library.borrowBook(amy.id, ebook.id, 14);
+    const lending = new DigitalLending(library, {
+        secret: SECRET, baseUrl: "https://library.example/downloads", contentDirectory, linkTtlHours: 48
+    });
+    return { library, clock, ebook, amy, record, lending, contentDirectory };
+}
+
+function linkParts(url) {
+    const parsed = new URL(url);
+    return {
+        recordId: parsed.pathname.split("/").pop(),
+        expires: parsed.searchParams.get("expires"),
+        signature: parsed.searchParams.get("signature")
+    };
+}
+
+test("連結的簽章是 HMAC-SHA256(secret, \"借閱記錄 ID.到期秒數\")", t => {
+    const { clock, record, lending } = setup(t);
+    const link = lending.issueLink(record.id);
+    const { recordId, expires, signature } = linkParts(link.url);
+
+    assert.equal(recordId, String(record.id));
+    assert.equal(Number(expires) * 1000, clock.now().getTime() + 48 * 60 * 60 * 1000);
+    assert.equal(signature, crypto.createHmac("sha256", SECRET).update(`${record.id}.${expires}`).digest("base64url"));
+
+    const result = lending.verify(recordId, expires, signature);
+    assert.equal(result.ok, true);
+    assert.equal(path.basename(result.filePath), "sicp.pdf");
+});
+
+test("竄改任何一段都驗證失敗 (403)", t => {
+    const { library, record, lending, contentDirectory } = setup(t);
+    const { recordId, expires, signature } = linkParts(lending.issueLink(record.id).url);
+    const tampered = signature.slice(0, -1) + (signature.endsWith("A") ? "B" : "A");
+
+    for (const [id, exp, sig] of [
+        [String(record.id + 1), expires, signature],
+        [recordId, String(Number(expires) + 3600), signature],
+        [recordId, expires, tampered],
+        [recordId, expires, signature.slice(0, 10)],
+        [recordId, expires, null],
+        ["abc", expires, signature]
+    ]) {
+        const result = lending.verify(id, exp, sig);
+        assert.deepEqual([result.ok, result.reason, result.status], [false, "invalid", 403], `${id} ${exp} ${sig}`);
+    }
+
+    // 換了 secret 的服務不接受舊連結
+    const other = new DigitalLending(library, { secret: crypto.randomBytes(32), contentDirectory });
+    assert.equal(other.verify(recordId, expires, signature).reason, "invalid");
+});
+
+test("連結過了時效、還書或借期屆滿後失效 (410)", t => {
+    const { library, clock, ebook, amy, record, lending } = setup(t);
+    const { recordId, expires, signature } = linkParts(lending.issueLink(record.id).url);
+
+    clock.advanceHours(48);
+    assert.equal(lending.verify(recordId, expires, signature).reason, "expired");
+
+    // 重新索取的連結可以用，還書後就失效
+    const renewed = linkParts(lending.issueLink(record.id).url);
+    assert.equal(lending.verify(renewed.recordId, renewed.expires, renewed.signature).ok, true);
+    library.returnBook(ebook.id, amy.id);
+    const afterReturn = lending.verify(renewed.recordId, renewed.expires, renewed.signature);
+    assert.deepEqual([afterReturn.reason, afterReturn.status], ["expired", 410]);
+    assert.throws(() => lending.issueLink(record.id), /Cannot issue a download link for borrow record 1/);
+
+    // 借期最後兩天簽發的連結，時效不超過到期日
+    const loan = library.borrowBook(amy.id, ebook.id, 7);
+    clock.advanceDays(6);
+    const late = lending.issueLink(loan.id);
+    assert.equal(late.expiresAt.getTime(), Math.floor(loan.dueDate.getTime() / 1000) * 1000);
+});
+
+test("檔案不在內容目錄內或不存在時回 404", t => {
+    const { library, amy, lending } = setup(t);
+    const escape = library.addItem("EBook", {
+        title: "Escape", author: "Nobody", isbn: "9780306406157", licenses: 1, file: "../outside.pdf"
+    });
+    const loan = library.borrowBook(amy.id, escape.id);
+    const { recordId, expires, signature } = linkParts(lending.issueLink(loan.id).url);
+    assert.equal(lending.verify(recordId, expires, signature).status, 404);
+});
+
+test("下載處理函式只回應有效連結", async t => {
+    const { record, lending } = setup(t);
+    const server = http.createServer(lending.handler());
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => server.close());
+    const base = `http://localhost:${server.address().port}`;
+    const url = lending.issueLink(record.id).url.replace("https://library.example/downloads", base);
+
+    const ok = await fetch(url);
+    assert.equal(ok.status, 200);
+    assert.equal(ok.headers.get("content-type"), "application/pdf");
+    assert.equal(await ok.text(), "%PDF-1.4\n");
+
+    assert.equal((await fetch(url.replace(/signature=[^&]+/, "signature=forged"))).status, 403);
+    assert.equal((await fetch(url, { method: "POST" })).status, 405);
+});
+
+test("驗證後檔案消失回 404，讀檔失敗只中斷這個連線", async t => {
+    const { ebook, record, lending, contentDirectory } = setup(t);
+    const server = http.createServer(lending.handler());
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => server.close());
+    const base = `http://localhost:${server.address().port}`;
+    const url = lending.issueLink(record.id).url.replace("https://library.example/downloads", base);
+    const verify = lending.verify.bind(lending);
+
+    // verify 通過之後檔案被刪除
+    lending.verify = (...args) => ({ ...verify(...args), filePath: path.join(contentDirectory, "deleted.pdf") });
+    const missing = await fetch(url);
+    assert.equal(missing.status, 404);
+    assert.equal(await missing.text(), `File for "${ebook.title}" not found`);
+
+    // 標頭送出之後才讀檔失敗 (目錄無法當成檔案讀)
+    lending.verify = (...args) => ({ ...verify(...args), filePath: contentDirectory });
+    await assert.rejects(async () => (await fetch(url)).text());
+
+    lending.verify = verify;
+    const ok = await fetch(url);
+    assert.equal(await ok.text(), "%PDF-1.4\n");
+});
@@ -0,0 +1,95 @@
+// ===== 罰款帳本：欠款計算與欠款上限 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Library, SimulatedClock, FineLedger } = require('../object-modeling');
+const { ValidationError, ConflictError } = require('../library/errors');
+
+function setup(options = {}) {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock, ...options });
+    const gatsby = library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", 180, "Fiction");
+    const dune = library.addBook("Dune", "Frank Herbert", "9780441172719", 412, "Science Fiction");
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    return { library, clock, gatsby, dune, amy };
+}
+
+test("帳本的欠款 = 罰款 - 繳款 - 減免 + 退款，金額取到小數第二位", () => {
+    const ledger = new FineLedger();
+    ledger.assessFine(12.5, "Overdue fine", 1);
+    ledger.assessFine(0.1);
+    ledger.assessFine(0.2);
+    assert.equal(ledger.balance, 12.8);
+
+    ledger.recordPayment(5);
+    ledger.waive(2.8, "First-time borrower");
+    assert.equal(ledger.balance, 5);
+    assert.equal(ledger.netPaid, 5);
+
+    ledger.refund(1.5, "Overcharged");
+    assert.equal(ledger.balance, 6.5);
+    assert.equal(ledger.netPaid, 3.5);
+    assert.deepEqual(ledger.entries.map(entry => [entry.id, entry.type, entry.amount]),
+        [[1, "fine", 12.5], [2, "fine", 0.1], [3, "fine", 0.2], [4, "payment", 5], [5, "waiver", 2.8], [6, "refund", 1.5]]);
+
+    // 來回轉換 JSON 後帳目與欠款不變
+    const restored = FineLedger.fromJSON(JSON.parse(JSON.stringify(ledger.toJSON())));
+    assert.deepEqual(restored.entries, ledger.entries);
+    assert.equal(restored.balance, 6.5);
+});
+
+test("繳款、減免不能超過欠款，退款不能超過已繳金額，金額與原因都要檢查", () => {
+    const ledger = new FineLedger();
+    ledger.assessFine(4);
+    assert.throws(() => ledger.recordPayment(4.01), /Payment of 4.01 exceeds the outstanding balance of 4/);
+    assert.throws(() => ledger.waive(5, "Goodwill"), ConflictError);
+    assert.throws(() => ledger.waive(1), /A reason is required to waive a fine/);
+    assert.throws(() => ledger.refund(1, "Overcharged"), /exceeds the net amount paid of 0/);
+    for (const amount of [0, -1, NaN, "3"]) {
+        assert.throws(() => ledger.assessFine(amount), ValidationError, String(amount));
+    }
+    assert.equal(ledger.entries.length, 1);
+});
+
+test("逾期還書自動記罰款，欠款超過上限就不能借書，繳清後恢復", () => {
+    const { library, clock, gatsby, dune, amy } = setup();
+    library.borrowBook(amy.id, gatsby.id, 7);
+    clock.advanceDays(18);
+    library.checkOverdueBooks();
+    assert.equal(library.returnBook(gatsby.id, amy.id).fine, 11);
+
+    const { entries, balance } = library.getUserLedger(amy.id);
+    assert.equal(balance, 11);
+    assert.deepEqual(entries.map(entry => [entry.type, entry.amount, entry.recordId]), [["fine", 11, 1]]);
+    assert.throws(() => library.borrowBook(amy.id, dune.id), ConflictError);
+    assert.throws(() => library.borrowBook(amy.id, dune.id),
+        /Amy Chen has an outstanding balance of 11, which exceeds the limit of 10/);
+
+    // 剛好等於上限還可以借
+    library.payFine(amy.id, 1);
+    assert.equal(library.borrowBook(amy.id, dune.id).status, "active");
+    assert.deepEqual(library.getOutstandingBalances().map(({ user, balance }) => [user.id, balance]), [[amy.id, 10]]);
+
+    library.waiveFine(amy.id, 10, "Hardship");
+    assert.deepEqual(library.getOutstandingBalances(), []);
+    assert.throws(() => library.payFine(99, 1), /User with ID 99 not found/);
+});
+
+test("帳本的每次修改都發出事件；不限欠款時照樣可以借", () => {
+    const { library, gatsby, amy } = setup({ maxOutstandingBalance: null });
+    const events = [];
+    library.on("*", event => {
+        if (event.type.startsWith("fine.")) events.push([event.type, event.data.amount, event.data.balance]);
+    });
+
+    library.assessFine(amy.id, 50, "Damaged cover");
+    library.payFine(amy.id, 20);
+    library.refundPayment(amy.id, 5, "Card charged twice");
+    assert.equal(library.borrowBook(amy.id, gatsby.id).status, "active");
+    assert.deepEqual(events, [["fine.assessed", 50, 50], ["fine.paid", 20, 30], ["fine.refunded", 5, 35]]);
+
+    // 失敗的修改不留下帳目也不發事件
+    assert.throws(() => library.refundPayment(amy.id, 100, "Too much"), ConflictError);
+    assert.equal(library.getUserLedger(amy.id).entries.length, 3);
+    assert.equal(events.length, 3);
+});
@@ -0,0 +1,124 @@
+// ===== 預約：先到先得、取書期限與續借限制 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Library, SimulatedClock } = require('../object-modeling');
+
+function setup({ copies = 1 } = {}) {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock, holdPickupDays: 3 });
+    const book = library.addBook("The Pragmatic Programmer", "Andrew Hunt", "9780201616224", 352, "Programming", { copies });
+    const users = ["Amy", "Ben", "Cleo", "Dan"].map(name => library.addUser(name, `${name.toLowerCase()}@example.com`, "Premium"));
+    return { library, clock, book, users };
+}
+
+const queue = (library, book) => library.getBookHoldQueue(book.id).map(hold => [hold.userId, hold.status]);
+
+test("還書後依預約順序保留給第一位，其他人借不走", () => {
+    const { library, book, users: [amy, ben, cleo, dan] } = setup();
+    const loan = library.borrowBook(amy.id, book.id);
+    library.placeHold(ben.id, book.id);
+    library.placeHold(cleo.id, book.id);
+    assert.throws(() => library.placeHold(ben.id, book.id), /already has a hold/);
+
+    const { hold } = library.returnBook(book.id, amy.id);
+    assert.equal(hold.userId, ben.id);
+    assert.deepEqual(queue(library, book), [[ben.id, "ready"], [cleo.id, "waiting"]]);
+    assert.equal(book.copies[0].status, "reserved");
+    assert.throws(() => library.borrowBook(dan.id, book.id), /reserved for another patron/);
+    assert.throws(() => library.borrowBook(cleo.id, book.id), /reserved for another patron/);
+
+    library.borrowBook(ben.id, book.id);
+    assert.deepEqual(queue(library, book), [[cleo.id, "waiting"]]);
+    assert.equal(library.getUserHolds(ben.id).length, 0);
+    assert.equal(library.getRecord(loan.id).status, "returned");
+    assert.deepEqual(library.checkIntegrity(), []);
+});
+
+test("超過取書期限的預約失效，書轉給下一位", () => {
+    const { library, clock, book, users: [amy, ben, cleo] } = setup();
+    library.borrowBook(amy.id, book.id);
+    library.placeHold(ben.id, book.id);
+    library.placeHold(cleo.id, book.id);
+    library.returnBook(book.id, amy.id);
+
+    clock.advanceDays(3);
+    assert.equal(library.processExpiredHolds().length, 0, "期限當天仍可取書");
+
+    clock.advanceDays(1);
+    const expired = library.processExpiredHolds();
+    assert.deepEqual(expired.map(hold => hold.userId), [ben.id]);
+    assert.deepEqual(queue(library, book), [[cleo.id, "ready"]]);
+    assert.equal(book.copies[0].status, "reserved");
+
+    // 沒有人排隊時，失效的預約把書放回架上
+    clock.advanceDays(4);
+    library.processExpiredHolds();
+    assert.deepEqual(queue(library, book), []);
+    assert.equal(book.copies[0].status, "available");
+    assert.deepEqual(library.checkIntegrity(), []);
+});
+
+test("取消保留中的預約，書轉給下一位", () => {
+    const { library, book, users: [amy, ben, cleo] } = setup();
+    library.borrowBook(amy.id, book.id);
+    const benHold = library.placeHold(ben.id, book.id);
+    library.placeHold(cleo.id, book.id);
+    library.returnBook(book.id, amy.id);
+
+    assert.throws(() => library.cancelHold(benHold.id, cleo.id), /does not belong/);
+    library.cancelHold(benHold.id, ben.id);
+    assert.deepEqual(queue(library, book), [[cleo.id, "ready"]]);
+});
+
+test("有架上的書時不能預約", () => {
+    const { library, book, users: [amy] } = setup();
+    assert.throws(() => library.placeHold(amy.id, book.id), /has available copies/);
+});
+
+test("其他讀者有還沒取走的預約時不能續借 (排隊中或已保留)", () => {
+    const { library, book, users: [amy, ben, cleo] } = setup({ copies: 2 });
+    const amyLoan = library.borrowBook(amy.id, book.id);
+    library.borrowBook(ben.id, book.id);
+    const cleoHold = library.placeHold(cleo.id, book.id);
+    assert.throws(() => library.renewLoan(amyLoan.id), /other patrons have placed holds/);
+
+    // Ben 還書後那本保留給 Cleo，預約還沒完成，Amy 仍然不能續借
+    library.returnBook(book.id, ben.id);
+    assert.equal(library.getBookHoldQueue(book.id)[0].status, "ready");
+    assert.throws(() => library.renewLoan(amyLoan.id), /other patrons have placed holds/);
+
+    library.cancelHold(cleoHold.id, cleo.id);
+    const renewed = library.renewLoan(amyLoan.id);
+    assert.equal(renewed.renewals, 1);
+});
+
+test("查詢隊伍、讀者預約與統計不修改狀態，到期處理只在明確呼叫時發生", () => {
+    const { library, clock, book, users: [amy, ben, cleo] } = setup();
+    const loan = library.borrowBook(amy.id, book.id);
+    library.placeHold(ben.id, book.id);
+    library.placeHold(cleo.id, book.id);
+    library.returnBook(book.id, amy.id);
+    clock.advanceDays(4);
+
+    const auditSize = library.getAuditLog().length;
+    assert.deepEqual(queue(library, book), [[ben.id, "ready"], [cleo.id, "waiting"]]);
+    assert.equal(library.getUserHolds(cleo.id)[0].position, 2);
+    assert.equal(library.getStatistics().activeHolds, 2);
+    assert.equal(library.getAuditLog().length, auditSize);
+
+    library.processExpiredHolds();
+    assert.deepEqual(queue(library, book), [[cleo.id, "ready"]]);
+    assert.equal(library.getAuditLog().length, auditSize + 1);
+
+    // 逾期檢查只記錄真的變成 overdue 的借閱，沒有新的逾期就不留記錄
+    library.borrowBook(cleo.id, book.id, 7);
+    assert.equal(library.checkOverdueBooks().length, 0);
+    clock.advanceDays(8);
+    const before = library.getAuditLog().length;
+    assert.equal(library.checkOverdueBooks().length, 1);
+    assert.deepEqual(library.getAuditLog().at(-1).changes.map(change => change.collection), ["records"]);
+    assert.equal(library.checkOverdueBooks().length, 0);
+    assert.equal(library.getAuditLog().length, before + 1);
+    assert.equal(loan.status, "returned");
+});
@@ -0,0 +1,99 @@
+// ===== 盤點作業：存檔、重新啟動與過期的作業 ID =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Library, SimulatedClock } = require('../object-modeling');
+const { InventoryDesk } = require('../library/inventory-audit');
+const { createLibraryRouter } = require('../library/rest-api');
+const { NotFoundError } = require('../library/errors');
+
+function setup(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "inventory-test-"));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const clock = new SimulatedClock(new Date(2025, 6, 1, 9, 0));
+    const library = new Library(1, { clock });
+    const gatsby = library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", 180, "Fiction", {
+        copies: 2, shelfLocation: "FIC-F"
+    });
+    return { library, gatsby, deskFile: InventoryDesk.pathFor(path.join(directory, "library.json")) };
+}
+
+// 模擬伺服器：每次呼叫都是一個新的 router (重新啟動)
+async function startServer(t, library, inventory) {
+    const app = express();
+    app.use("/api", createLibraryRouter(library, { inventory }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    t.after(() => server.close());
+    const base = `http://localhost:${server.address().port}/api`;
+    return async (method, route, body) => {
+        const response = await fetch(base + route, {
+            method,
+            headers: { "Content-Type": "application/json" },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+}
+
+test("作業 ID 依序編號，找不到的作業丟 NotFoundError", t => {
+    const { library, gatsby } = setup(t);
+    const desk = new InventoryDesk(library);
+    assert.equal(desk.open({ shelfRange: { from: "FIC-A", to: "FIC-Z" } }), 1);
+    assert.equal(desk.open(), 2);
+    assert.throws(() => desk.open({ shelfRange: { from: "Z", to: "A" } }), /Invalid shelf range/);
+    assert.equal(desk.open(), 3, "建立失敗不佔用 ID");
+
+    desk.scanAll(1, [gatsby.copies[0].barcode]);
+    assert.equal(desk.getSession(1).scanCount, 1);
+    assert.equal(desk.getSession(99), undefined);
+    assert.throws(() => desk.scanAll(99, ["X"]), NotFoundError);
+    assert.throws(() => desk.close(99), /Inventory session with ID 99 not found/);
+});
+
+test("load 之後掃描與結束都寫回檔案，重新載入後接著做", t => {
+    const { library, gatsby, deskFile } = setup(t);
+    const [first, second] = gatsby.copies;
+    const desk = InventoryDesk.load(library, deskFile);
+    const id = desk.open({ shelfRange: { from: "FIC-A", to: "FIC-Z" } });
+    desk.scanAll(id, [first.barcode]);
+
+    // 掃描到一半失敗，已經掃到的也存了
+    assert.throws(() => desk.scanAll(id, [String(second.id), ""]), /Scanned code must be a non-empty/);
+    const reloaded = InventoryDesk.load(library, deskFile);
+    assert.equal(reloaded.getSession(id).scanCount, 2);
+
+    const report = reloaded.close(id);
+    assert.equal(report.sections.present.rows.length, 2);
+    const afterClose = InventoryDesk.load(library, deskFile);
+    assert.equal(afterClose.getSession(id).status, "closed");
+    assert.equal(afterClose.open(), id + 1, "下一個 ID 也存在檔案裡");
+    assert.equal(fs.existsSync(`${deskFile}.tmp`), false);
+});
+
+test("重新啟動後，有存檔的作業可以繼續；只在記憶體中的作業消失，舊 ID 回 404", async t => {
+    const { library, gatsby, deskFile } = setup(t);
+    const [first, second] = gatsby.copies;
+
+    const before = await startServer(t, library, InventoryDesk.load(library, deskFile));
+    const opened = await before("POST", "/inventory", { shelfFrom: "FIC-A", shelfTo: "FIC-Z" });
+    assert.equal(opened.status, 201);
+    await before("POST", `/inventory/${opened.body.id}/scans`, { codes: [first.barcode] });
+
+    const after = await startServer(t, library, InventoryDesk.load(library, deskFile));
+    assert.equal((await after("POST", `/inventory/${opened.body.id}/scans`, { codes: [second.barcode] })).body.scanned, 2);
+    const closed = await after("POST", `/inventory/${opened.body.id}/close`);
+    assert.equal(closed.body.report.sections.missing.rows.length, 0);
+
+    // 沒有傳 inventory 時作業只在記憶體中
+    const transient = await startServer(t, library);
+    assert.deepEqual(await transient("GET", `/inventory/${opened.body.id}`),
+        { status: 404, body: { error: `Inventory session with ID ${opened.body.id} not found` } });
+    assert.equal((await transient("POST", "/inventory/7/close")).status, 404);
+    assert.equal((await transient("POST", "/inventory/7/mark-missing-lost")).status, 404);
+});
@@ -0,0 +1,63 @@
+// ===== ISBN 檢查碼、轉換，以及匯入與引用比對時的使用 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidIsbn10, isValidIsbn13, normalizeIsbn, isbn10To13, isbn13To10 } = require('../library/isbn');
+const { importCatalog } = require('../library/catalog-io');
+const { Library } = require('../object-modeling');
+
+test("ISBN-10 檢查碼 (加權總和可被 11 整除，X 代表 10)", () => {
+    assert.equal(isValidIsbn10("0306406152"), true);
+    assert.equal(isValidIsbn10("080442957X"), true);
+    assert.equal(isValidIsbn10("0306406153"), false);
+    assert.equal(isValidIsbn10("X306406152"), false, "X 只能是最後一碼");
+    assert.equal(isValidIsbn10("030640615"), false);
+});
+
+test("ISBN-13 檢查碼 (權重 1、3 交替，總和可被 10 整除)", () => {
+    assert.equal(isValidIsbn13("9780306406157"), true);
+    assert.equal(isValidIsbn13("9791090636071"), true);
+    assert.equal(isValidIsbn13("9780306406158"), false);
+    assert.equal(isValidIsbn13("9770306406157"), false, "只接受 978、979 開頭");
+});
+
+test("ISBN-10 與 ISBN-13 互轉", () => {
+    assert.equal(isbn10To13("0306406152"), "9780306406157");
+    assert.equal(isbn10To13("080442957X"), "9780804429573");
+    assert.equal(isbn13To10("9780306406157"), "0306406152");
+    assert.equal(isbn13To10("9780804429573"), "080442957X");
+    assert.equal(isbn13To10("9791090636071"), null, "979 開頭沒有 ISBN-10");
+});
+
+test("normalizeIsbn 去掉前綴、連字號與空白並轉成 ISBN-13", () => {
+    assert.equal(normalizeIsbn("ISBN 0-306-40615-2"), "9780306406157");
+    assert.equal(normalizeIsbn("ISBN-13: 978-0-306-40615-7"), "9780306406157");
+    assert.equal(normalizeIsbn("0-8044-2957-x"), "9780804429573");
+    assert.equal(normalizeIsbn("978-0-306-40615-8"), null);
+    assert.equal(normalizeIsbn(""), null);
+    assert.equal(normalizeIsbn(undefined), null);
+});
+
+test("匯入時拒絕檢查碼錯誤的 ISBN，ISBN-10 與館藏中的 ISBN-13 視為重複", () => {
+    const library = new Library();
+    library.addBook("Existing", "Someone", "9780306406157", 100, "Science");
+    const csv = [
+        "title,author,isbn,pages,category",
+        "Same Book,Someone,0-306-40615-2,100,Science",
+        "Bad Checksum,Someone,978-0-306-40615-8,100,Science",
+        "New Book,Someone,080442957X,200,Fiction"
+    ].join("\n");
+
+    const report = importCatalog(library, csv, { format: "csv" });
+    assert.deepEqual(report.duplicates.map(row => [row.line, row.existingBookId]), [[2, 1]]);
+    assert.deepEqual(report.rejected.map(row => [row.line, row.reason]), [[3, "Invalid ISBN: 978-0-306-40615-8"]]);
+    assert.deepEqual(report.accepted.map(row => row.isbn), ["9780804429573"]);
+    assert.equal(library.findBookByIsbn("9780804429573").title, "New Book");
+});
+
+test("引用的 ISBN-10 對應到館藏中以 ISBN-13 登錄的書", () => {
+    const library = new Library();
+    const book = library.addBook("Philosophy of Science", "Someone", "9780306406157", 100, "Science");
+    assert.equal(library.resolveCitation({ title: "Whatever", isbn: "0-306-40615-2" }), book);
+    assert.equal(library.resolveCitation({ title: "Whatever", isbn: "0-306-40615-3" }), undefined);
+});
@@ -0,0 +1,79 @@
+// ===== 館藏類型：DVD 借期、最新一期期刊、設備押金 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Library, SimulatedClock } = require('../object-modeling');
+const { ValidationError, ConflictError } = require('../library/errors');
+
+function setup() {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock });
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Regular");
+    return { library, clock, amy, ben };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("DVD 固定借 3 天，指定的借期只能更短", () => {
+    const { library, amy, ben } = setup();
+    const dvd = library.addItem("DVD", { title: "Spirited Away", director: "Hayao Miyazaki", runtimeMinutes: 125 },
+        { copies: 2 });
+
+    const loan = library.borrowBook(amy.id, dvd.id);
+    assert.equal(loan.terms.loanDays, 3);
+    assert.equal(loan.dueDate - loan.borrowDate, 3 * DAY_MS);
+
+    assert.throws(() => library.borrowBook(ben.id, dvd.id, 14), ConflictError);
+    assert.throws(() => library.borrowBook(ben.id, dvd.id, 14), /"Spirited Away" can be borrowed for at most 3 days/);
+    assert.equal(library.borrowBook(ben.id, dvd.id, 1).terms.loanDays, 1);
+});
+
+test("借期必須是正整數天數", () => {
+    const { library, amy } = setup();
+    const book = library.addBook("Refactoring", "Martin Fowler", "9780134757599", 448, "Programming");
+    for (const days of [0, -3, 1.5, NaN, Infinity, "7"]) {
+        assert.throws(() => library.borrowBook(amy.id, book.id, days), ValidationError, String(days));
+    }
+    assert.equal(library.getAuditLog().at(-1).op, "addBook");
+    assert.equal(library.borrowBook(amy.id, book.id, 21).terms.loanDays, 21);
+});
+
+test("同一本期刊最新的一期只能館內閱覽，有更新的一期後就可以借", () => {
+    const { library, amy } = setup();
+    const april = library.addItem("MagazineIssue", { magazine: "Scientific American", issue: "2024-04", issueDate: "2024-04-01" });
+    const may = library.addItem("MagazineIssue", { magazine: "Scientific American", issue: "2024-05", issueDate: "2024-05-01" });
+    const other = library.addItem("MagazineIssue", { magazine: "Wired", issue: "2024-03", issueDate: "2024-03-01" });
+
+    assert.throws(() => library.borrowBook(amy.id, may.id),
+        /"Scientific American \(2024-05\)" is the latest issue of Scientific American and cannot be borrowed/);
+    assert.throws(() => library.borrowBook(amy.id, other.id), /latest issue of Wired/);
+    assert.equal(library.borrowBook(amy.id, april.id).status, "active");
+
+    library.addItem("MagazineIssue", { magazine: "Scientific American", issue: "2024-06", issueDate: "2024-06-01" });
+    assert.equal(library.borrowBook(amy.id, may.id).status, "active");
+});
+
+test("設備要收押金，還書退還，遺失時抵賠償金", () => {
+    const { library, amy, ben } = setup();
+    const laptop = library.addItem("Equipment", {
+        name: "Laptop", manufacturer: "Lenovo", model: "ThinkPad X1", deposit: 50, replacementCost: 800
+    }, { copies: 2 });
+    assert.throws(() => library.addItem("Equipment", { name: "Projector", deposit: 0 }), /Invalid deposit: 0/);
+
+    assert.throws(() => library.borrowBook(amy.id, laptop.id), /A deposit of 50 is required to borrow "Laptop"/);
+    assert.throws(() => library.borrowBook(amy.id, laptop.id, null, { deposit: 49 }), ValidationError);
+
+    const loan = library.borrowBook(amy.id, laptop.id, null, { deposit: 50 });
+    assert.deepEqual(loan.deposit, { amount: 50, status: "held" });
+    library.returnBook(laptop.id, amy.id);
+    assert.deepEqual(loan.deposit, { amount: 50, status: "refunded" });
+    assert.equal(library.getUser(amy.id).fineBalance, 0);
+
+    // 遺失：收設備價值的賠償金，押金先拿來抵
+    const lost = library.borrowBook(ben.id, laptop.id, null, { deposit: 50 });
+    library.markLoanLost(lost.id);
+    assert.equal(lost.replacementCharge, 800);
+    assert.deepEqual(lost.deposit, { amount: 50, status: "applied" });
+    assert.equal(library.getUser(ben.id).fineBalance, 750);
+});
@@ -0,0 +1,124 @@
+// ===== 借閱狀態機：合法的轉換與各狀態的副作用 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Library, SimulatedClock, LOAN_STATUSES, LOAN_TRANSITIONS } = require('../object-modeling');
+const { ConflictError } = require('../library/errors');
+
+function setup() {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock });
+    const book = library.addBook("Domain-Driven Design", "Eric Evans", "9780321125217", 560, "Programming");
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    const record = library.borrowBook(amy.id, book.id, 14);
+    return { library, clock, book, amy, record };
+}
+
+const copyStatus = book => book.copies[0].status;
+
+// 透過 Library 把借閱推進到指定狀態
+function moveTo(library, record, status) {
+    const actions = {
+        overdue: () => {
+            library.setClock(new SimulatedClock(new Date(record.dueDate.getTime() + 2 * 24 * 60 * 60 * 1000)));
+            library.checkOverdueBooks();
+        },
+        lost: () => library.markLoanLost(record.id, { replacementCost: 30 }),
+        claimed_returned: () => library.claimLoanReturned(record.id),
+        returned: () => library.returnBook(record.bookId, record.userId),
+        written_off: () => library.writeOffLoan(record.id, "Uncollectable")
+    };
+    actions[status]();
+}
+
+test("每個狀態只能轉到表上列出的狀態", () => {
+    for (const from of LOAN_STATUSES) {
+        for (const to of LOAN_STATUSES) {
+            const { library, record } = setup();
+            const path = { active: [], overdue: ["overdue"], lost: ["lost"], claimed_returned: ["claimed_returned"],
+                returned: ["returned"], written_off: ["lost", "written_off"] }[from];
+            for (const step of path) moveTo(library, record, step);
+            assert.equal(record.status, from);
+
+            const allowed = LOAN_TRANSITIONS[from].includes(to);
+            if (allowed) {
+                assert.doesNotThrow(() => record.assertCanTransitionTo(to), `${from} => ${to}`);
+            } else {
+                assert.throws(() => record.assertCanTransitionTo(to), ConflictError, `${from} => ${to}`);
+            }
+        }
+    }
+});
+
+test("逾期後還書：active => overdue => returned，並記罰款", () => {
+    const { library, clock, book, amy, record } = setup();
+    clock.advanceDays(17);
+    library.checkOverdueBooks();
+    assert.equal(record.status, "overdue");
+
+    const { fine } = library.returnBook(book.id, amy.id);
+    assert.equal(record.status, "returned");
+    assert.equal(fine, 3);
+    assert.equal(copyStatus(book), "available");
+    assert.deepEqual(record.history.map(entry => [entry.from, entry.to]),
+        [[null, "active"], ["active", "overdue"], ["overdue", "returned"]]);
+});
+
+test("報失收取賠償金，找到後還書退還賠償金", () => {
+    const { library, book, amy, record } = setup();
+    library.markLoanLost(record.id, { replacementCost: 30 });
+    assert.equal(record.status, "lost");
+    assert.equal(copyStatus(book), "lost");
+    assert.equal(library.getUser(amy.id).fineBalance, 30);
+    assert.deepEqual(library.getUser(amy.id).getBorrowedBookIds(), []);
+
+    library.payFine(amy.id, 30);
+    library.returnBook(book.id, amy.id);
+    assert.equal(record.status, "returned");
+    assert.equal(copyStatus(book), "available");
+    assert.equal(library.getUser(amy.id).fineBalance, 0);
+    assert.equal(library.getUser(amy.id).ledger.netPaid, 0);
+    assert.deepEqual(library.checkIntegrity(), []);
+});
+
+test("聲稱已還的書可以報失，再註銷時減免賠償金", () => {
+    const { library, book, amy, record } = setup();
+    library.claimLoanReturned(record.id);
+    assert.equal(record.status, "claimed_returned");
+    assert.equal(copyStatus(book), "lost");
+
+    library.markLoanLost(record.id, { replacementCost: 25 });
+    assert.equal(library.getUser(amy.id).fineBalance, 25);
+    library.writeOffLoan(record.id, "Patron moved away");
+    assert.equal(record.status, "written_off");
+    assert.equal(library.getUser(amy.id).fineBalance, 0);
+    assert.ok(record.isClosed);
+    assert.deepEqual(library.checkIntegrity(), []);
+});
+
+test("不合法的轉換被拒絕且不留下任何變更", () => {
+    const { library, record } = setup();
+    const auditSize = library.getAuditLog().length;
+    assert.throws(() => library.writeOffLoan(record.id, "Nope"), /Cannot change borrow record 1 from "active" to "written_off"/);
+    assert.throws(() => library.writeOffLoan(record.id), /A reason is required/);
+
+    library.returnBook(record.bookId, record.userId);
+    assert.throws(() => library.markLoanLost(record.id), ConflictError);
+    assert.throws(() => library.renewLoan(record.id), /because it is returned/);
+    assert.equal(library.getAuditLog().length, auditSize + 1);
+});
+
+test("書目還有未結案的借閱 (報失、聲稱已還) 時不能刪除，結案後才可以", () => {
+    const { library, book, record } = setup();
+    library.claimLoanReturned(record.id);
+    assert.throws(() => library.removeBook(book.id), ConflictError);
+    assert.throws(() => library.removeBook(book.id), /borrow record 1 is still claimed_returned/);
+
+    library.markLoanLost(record.id, { replacementCost: 30 });
+    assert.throws(() => library.removeBook(book.id), /borrow record 1 is still lost/);
+    assert.equal(library.getBook(book.id), book);
+
+    library.writeOffLoan(record.id, "Uncollectable");
+    assert.equal(library.removeBook(book.id), true);
+    assert.deepEqual(library.checkIntegrity(), []);
+});
@@ -0,0 +1,129 @@
+// ===== 查詢索引：ISBN、複本 ID、條碼，以及依書目與讀者查借閱記錄、預約 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Library, SimulatedClock } = require('../object-modeling');
+
+function setup() {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock });
+    const book = library.addBook("Refactoring", "Martin Fowler", "9780134757599", 448, "Programming", { copies: 2 });
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    return { library, clock, book, amy };
+}
+
+// 索引查到的一定是館藏裡現在的那個物件
+function assertIndexed(library, bookId) {
+    const book = library.getBook(bookId);
+    if (book.isbn) assert.equal(library.findBookByIsbn(book.isbn), book);
+    for (const copy of book.copies) {
+        assert.equal(library.getCopy(copy.id), copy);
+        assert.equal(library.findCopyByBarcode(copy.barcode), copy);
+    }
+}
+
+test("新增書目與複本後可以用 ISBN、複本 ID 與條碼查到", () => {
+    const { library, book } = setup();
+    assert.equal(library.findBookByIsbn("978-0-13-475759-9"), book);
+    const copy = library.addCopy(book.id, { barcode: "REF-3" });
+    assert.equal(library.findCopyByBarcode("REF-3"), copy);
+    assert.equal(library.getCopy(copy.id), copy);
+    assertIndexed(library, book.id);
+
+    assert.throws(() => library.addCopy(book.id, { barcode: "REF-3" }), /barcode REF-3 already exists/);
+    assert.throws(() => library.addBook("Again", "Someone", "9780134757599", 1, "Programming"), /already exists/);
+    assert.equal(library.findCopyByBarcode("nope"), undefined);
+    assert.equal(library.getCopy(99), undefined);
+});
+
+test("刪除書目後查不到，復原刪除後又查得到", () => {
+    const { library, book } = setup();
+    const [copy] = book.copies;
+    assert.equal(library.removeBook(book.id), true);
+    assert.equal(library.findBookByIsbn(book.isbn), undefined);
+    assert.equal(library.getCopy(copy.id), undefined);
+    assert.equal(library.findCopyByBarcode(copy.barcode), undefined);
+
+    const [command] = library.getAuditLog().slice(-1);
+    library.undo(command.id);
+    assertIndexed(library, book.id);
+    assert.equal(library.getCopy(copy.id).barcode, copy.barcode);
+});
+
+test("操作失敗回滾時索引也跟著還原", () => {
+    const { library, book, amy, clock } = setup();
+    // 第二本複本的分館不存在：書目已經建立，整個操作回滾
+    assert.throws(() => library.addBook("Clean Code", "Robert C. Martin", "9780132350884", 464, "Programming",
+        { copies: 2, branch: "NOPE" }), /NOPE/);
+    assert.equal(library.findBookByIsbn("9780132350884"), undefined);
+    assert.equal(library.getCopy(3), undefined);
+    const cleanCode = library.addBook("Clean Code", "Robert C. Martin", "9780132350884", 464, "Programming");
+    assertIndexed(library, cleanCode.id);
+
+    // 回滾會重建複本物件，索引要指向新的物件
+    library.borrowBook(amy.id, book.id, 7);
+    clock.advanceDays(10);
+    assert.throws(() => library.returnBook(book.id, amy.id, { returnedAt: new Date(2000, 0, 1) }));
+    assertIndexed(library, book.id);
+    const onLoan = library.getBook(book.id).copies.find(copy => copy.status === "on_loan");
+    assert.equal(library.returnCopy(onLoan.barcode).record.status, "returned");
+});
+
+test("還書、改複本狀態與預約透過書目索引找到借閱記錄與預約", () => {
+    const { library, clock, book, amy } = setup();
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Regular");
+    const other = library.addBook("Clean Code", "Robert C. Martin", "9780132350884", 464, "Programming");
+    const ebook = library.addItem("EBook", { title: "SICP", author: "Harold Abelson", isbn: "0-262-51087-1", licenses: 1 });
+    const [first, second] = book.copies;
+
+    const amyLoan = library.borrowBook(amy.id, book.id, 7);
+    library.borrowBook(ben.id, book.id, 7);
+    library.borrowBook(ben.id, other.id, 7);
+    const ebookLoan = library.borrowBook(amy.id, ebook.id, 3);
+    assert.throws(() => library.setCopyStatus(amyLoan.copyId, "lost"), /is on loan; return it/);
+
+    // 借閱記錄的複本對到正確的讀者
+    const benCopy = amyLoan.copyId === first.id ? second : first;
+    assert.equal(library.returnCopy(benCopy.barcode).record.userId, ben.id);
+    library.claimLoanReturned(amyLoan.id);
+    assert.throws(() => library.setCopyStatus(amyLoan.copyId, "available"), /borrow record 1 which is claimed_returned/);
+
+    // 預約隊伍只看這本書
+    const cleo = library.addUser("Cleo Wu", "cleo@example.com", "Regular");
+    library.placeHold(amy.id, other.id);
+    library.placeHold(cleo.id, other.id);
+    assert.deepEqual(library.getBookHoldQueue(other.id).map(hold => hold.userId), [amy.id, cleo.id]);
+    assert.deepEqual(library.getBookHoldQueue(book.id), []);
+
+    // 借書時處理這位讀者到期的電子書借閱
+    clock.advanceDays(4);
+    library.returnBook(other.id, ben.id);
+    library.borrowBook(amy.id, other.id);
+    assert.equal(ebookLoan.status, "returned");
+    assert.equal(library.getBookHoldQueue(other.id)[0].userId, cleo.id);
+});
+
+test("載入快照並重播日誌後索引完整", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "library-test-"));
+    try {
+        const { library, book } = setup();
+        const file = path.join(directory, "library.json");
+        library.save(file);
+        library.addCopy(book.id, { barcode: "REF-3" });
+        const ebook = library.addItem("EBook", { title: "SICP", author: "Harold Abelson", isbn: "0-262-51087-1", licenses: 1 });
+        library.removeBook(ebook.id);
+        const dvd = library.addItem("DVD", { title: "Spirited Away", director: "Hayao Miyazaki", runtimeMinutes: 125 });
+
+        const loaded = Library.load(file);
+        assertIndexed(loaded, book.id);
+        assertIndexed(loaded, dvd.id);
+        assert.equal(loaded.findCopyByBarcode("REF-3").bookId, book.id);
+        assert.equal(loaded.findBookByIsbn("0262510871"), undefined);
+        assert.equal(Library.fromJSON(JSON.parse(JSON.stringify(loaded.toJSON()))).getCopy(3).barcode, "REF-3");
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,101 @@
+// ===== 會員等級與會籍：借閱上限、到期、停權與續期 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Library, SimulatedClock } = require('../object-modeling');
+const { ValidationError, ConflictError } = require('../library/errors');
+
+function setup() {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock });
+    const books = Array.from({ length: 6 }, (_, i) =>
+        library.addBook(`Volume ${i + 1}`, "Various", `97800000000${String(i).padStart(2, "0")}`, 100, "Fiction"));
+    const dictionary = library.addBook("Oxford English Dictionary", "Oxford", "9780198611868", 21730, "Reference");
+    return { library, clock, books, dictionary };
+}
+
+test("各等級有自己的借閱上限，升級後立即套用", () => {
+    const { library, books, dictionary } = setup();
+    const student = library.addUser("Amy Chen", "amy@example.com", "Student");
+    assert.equal(student.borrowingLimit, 2);
+
+    library.borrowBook(student.id, books[0].id);
+    library.borrowBook(student.id, books[1].id);
+    assert.throws(() => library.borrowBook(student.id, books[2].id), ConflictError);
+    assert.throws(() => library.borrowBook(student.id, books[2].id), /Amy Chen has reached their borrowing limit/);
+
+    library.changeMembershipTier(student.id, "Premium");
+    assert.equal(student.borrowingLimit, 5);
+    assert.equal(library.borrowBook(student.id, books[2].id).status, "active");
+    assert.equal(library.borrowBook(student.id, dictionary.id).status, "active", "Premium 可以借參考書");
+
+    // 降級時已借的書不收回，只是不能再借
+    library.changeMembershipTier(student.id, "Regular");
+    assert.equal(student.getBorrowedBookIds().length, 4);
+    assert.throws(() => library.borrowBook(student.id, books[3].id), /borrowing limit/);
+    assert.throws(() => library.changeMembershipTier(student.id, "Regular"), /already a Regular member/);
+    assert.throws(() => library.changeMembershipTier(student.id, "Gold"), ValidationError);
+});
+
+test("學生不能借參考書；會籍過期後不能借書，續期後恢復", () => {
+    const { library, clock, books, dictionary } = setup();
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Student");
+    assert.throws(() => library.borrowBook(amy.id, dictionary.id), /Student members cannot borrow Reference items/);
+
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Regular");
+    assert.deepEqual(ben.membershipExpiresAt, new Date(2026, 0, 6, 10, 0));
+    clock.advanceDays(365);
+    assert.equal(ben.membershipStatus(clock.now()), "expired");
+    assert.throws(() => library.borrowBook(ben.id, books[0].id), ConflictError);
+    assert.throws(() => library.borrowBook(ben.id, books[0].id), /Ben Lee's membership expired on 2026-01-\d\d/);
+
+    library.renewMembership(ben.id);
+    assert.equal(ben.membershipStatus(clock.now()), "active");
+    assert.equal(library.borrowBook(ben.id, books[0].id).status, "active");
+});
+
+test("停權時不能借書，解除後恢復；有期限的停權到期自動失效", () => {
+    const { library, clock, books } = setup();
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Regular");
+    assert.throws(() => library.suspendMembership(amy.id, ""), /A reason is required/);
+
+    library.suspendMembership(amy.id, "Damaged materials");
+    assert.equal(amy.membershipStatus(clock.now()), "suspended");
+    assert.throws(() => library.borrowBook(amy.id, books[0].id), /membership is suspended: Damaged materials/);
+    assert.throws(() => library.suspendMembership(amy.id, "Again"), /already suspended/);
+
+    library.reinstateMembership(amy.id);
+    assert.equal(amy.suspension, null);
+    assert.equal(library.borrowBook(amy.id, books[0].id).status, "active");
+    assert.throws(() => library.reinstateMembership(amy.id), /is not suspended/);
+
+    library.suspendMembership(amy.id, "Cooling off", { until: new Date(2025, 0, 13) });
+    assert.throws(() => library.borrowBook(amy.id, books[1].id), /membership is suspended/);
+    clock.advanceDays(7);
+    assert.equal(amy.membershipStatus(clock.now()), "active");
+    assert.equal(library.borrowBook(amy.id, books[1].id).status, "active");
+});
+
+test("續期從目前的到期日往後延，已過期時從今天起算", () => {
+    const { library, clock } = setup();
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Regular");
+    const researcher = library.addUser("Ben Lee", "ben@example.com", "Researcher");
+    assert.deepEqual(researcher.membershipExpiresAt, new Date(2027, 0, 6, 10, 0), "研究人員一期兩年");
+
+    // 提早續期不會損失剩下的天數
+    clock.advanceDays(30);
+    library.renewMembership(amy.id);
+    assert.deepEqual(amy.membershipExpiresAt, new Date(2027, 0, 6, 10, 0));
+    library.renewMembership(amy.id, { termMonths: 6 });
+    assert.deepEqual(amy.membershipExpiresAt, new Date(2027, 6, 6, 10, 0));
+    assert.throws(() => library.renewMembership(amy.id, { termMonths: 0 }), ValidationError);
+
+    // 過期很久才續期：從今天起算一期
+    clock.advanceDays(1000);
+    const now = clock.now();
+    library.renewMembership(researcher.id);
+    const expected = new Date(now);
+    expected.setMonth(expected.getMonth() + 24);
+    assert.deepEqual(researcher.membershipExpiresAt, expected);
+    assert.equal(library.getAuditLog().filter(command => command.op === "renewMembership").length, 3);
+});
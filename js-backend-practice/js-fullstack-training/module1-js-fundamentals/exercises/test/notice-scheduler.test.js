@@ -0,0 +1,106 @@
+// ===== 到期提醒與逾期催還：各階段的通知、不重複寄送 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Library, SimulatedClock } = require('../object-modeling');
+const { NoticeScheduler } = require('../library/notice-scheduler');
+
+function setup(t) {
+    const outbox = fs.mkdtempSync(path.join(os.tmpdir(), "notices-test-"));
+    t.after(() => fs.rmSync(outbox, { recursive: true, force: true }));
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 9, 0));
+    const library = new Library(1, { clock });
+    const gatsby = library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", 180, "Fiction");
+    const dune = library.addBook("Dune", "Frank Herbert", "9780441172719", 412, "Science Fiction");
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Premium");
+    return { outbox, clock, library, gatsby, dune, amy, ben };
+}
+
+const emlFiles = outbox => fs.readdirSync(outbox).filter(file => file.endsWith(".eml")).sort();
+
+test("到期前提醒，逾期第 1、8、22 天依序催還，每種只寄一次", t => {
+    const { outbox, clock, library, gatsby, amy } = setup(t);
+    const loan = library.borrowBook(amy.id, gatsby.id, 14);
+    const scheduler = new NoticeScheduler(library, outbox, { defaultLocale: "en" });
+
+    const sent = [];
+    for (let day = 0; day < 40; day++) {
+        for (const notice of [...scheduler.runOnce(), ...scheduler.runOnce()]) {
+            sent.push([notice.type, loan.getOverdueDays(clock.now())]);
+        }
+        clock.advanceDays(1);
+    }
+    assert.deepEqual(sent, [["courtesy", 0], ["overdue1", 1], ["overdue2", 8], ["final", 22]]);
+    assert.equal(loan.status, "overdue");
+    assert.equal(emlFiles(outbox).length, 4);
+
+    const final = fs.readFileSync(path.join(outbox, scheduler.getSentNotices().at(-1).file), "utf8");
+    assert.match(final, /X-Library-Notice: final/);
+    assert.match(final, /^To: Amy Chen <amy@example.com>/m);
+});
+
+test("排程停了好幾天後只寄最嚴重的一封；續借改了到期日才有新的提醒", t => {
+    const { outbox, clock, library, gatsby, dune, amy } = setup(t);
+    library.borrowBook(amy.id, gatsby.id, 14);
+    const duneLoan = library.borrowBook(amy.id, dune.id, 14);
+    const scheduler = new NoticeScheduler(library, outbox);
+
+    clock.advanceDays(12);
+    assert.deepEqual(scheduler.runOnce().map(notice => notice.type), ["courtesy", "courtesy"]);
+    library.renewLoan(duneLoan.id);
+    assert.deepEqual(scheduler.runOnce(), []);
+
+    clock.advanceDays(10);
+    assert.deepEqual(scheduler.runOnce().map(notice => [notice.recordId, notice.type]), [[1, "overdue2"]]);
+    clock.advanceDays(4);
+    assert.deepEqual(scheduler.runOnce().map(notice => [notice.recordId, notice.type]), [[2, "courtesy"]]);
+});
+
+test("已寄記錄存在 outbox，重新啟動後不會重寄；產生通知失敗時整批都不寄也不記錄", t => {
+    const { outbox, clock, library, gatsby, dune, amy, ben } = setup(t);
+    library.borrowBook(amy.id, gatsby.id, 7);
+    library.borrowBook(ben.id, dune.id, 7);
+    clock.advanceDays(8);
+
+    const failing = new NoticeScheduler(library, outbox, {
+        localeFor: user => {
+            if (user.id === ben.id) throw new Error("No locale for Ben");
+            return "en";
+        }
+    });
+    assert.throws(() => failing.runOnce(), /No locale for Ben/);
+    assert.deepEqual(emlFiles(outbox), []);
+    assert.deepEqual(failing.getSentNotices(), []);
+
+    const first = new NoticeScheduler(library, outbox);
+    assert.equal(first.runOnce().length, 2);
+    assert.equal(emlFiles(outbox).length, 2);
+
+    const restarted = new NoticeScheduler(library, outbox);
+    assert.equal(restarted.getSentNotices().length, 2);
+    assert.deepEqual(restarted.runOnce(), []);
+    assert.equal(emlFiles(outbox).length, 2);
+});
+
+test("排程執行失敗時交給注入的 logger，不會讓程式停掉", t => {
+    const { outbox, library, gatsby, amy } = setup(t);
+    library.borrowBook(amy.id, gatsby.id, 1);
+    const logged = [];
+    const scheduler = new NoticeScheduler(library, outbox, {
+        localeFor: () => {
+            throw new Error("Locale service unavailable");
+        },
+        logger: { error: (...args) => logged.push(args) }
+    });
+
+    scheduler.start();
+    t.after(() => scheduler.stop());
+    assert.equal(scheduler.running, true);
+    assert.equal(logged.length, 1);
+    assert.equal(logged[0][0], "Notice scheduler run failed:");
+    assert.match(logged[0][1].message, /Locale service unavailable/);
+});
@@ -0,0 +1,85 @@
+// ===== 開館日曆：到期日順延與只按開館日計罰 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Library, SimulatedClock } = require('../object-modeling');
+const { OpeningCalendar } = require('../library/opening-calendar');
+
+test("countOpenDays 算的是 start 之後的 days 天", () => {
+    const calendar = new OpeningCalendar({ weeklyHours: { sunday: null } });
+    const friday = new Date(2025, 0, 10, 10, 0);
+    assert.equal(calendar.countOpenDays(friday, 0), 0);
+    assert.equal(calendar.countOpenDays(friday, 1), 1, "星期六開館");
+    assert.equal(calendar.countOpenDays(friday, 2), 1, "星期日休館");
+    assert.equal(calendar.countOpenDays(friday, 3), 2);
+
+    // 休館的到期日本身不影響結果
+    const saturday = new Date(2025, 0, 11, 10, 0);
+    assert.equal(calendar.countOpenDays(saturday, 1), 0);
+    assert.equal(new OpeningCalendar().countOpenDays(friday, 2), 2);
+});
+
+test("星期五到期、休館的星期日還書只罰星期六一天", () => {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0)); // 星期一
+    const library = new Library(1, { clock });
+    library.setOpeningHours({ sunday: null });
+    const book = library.addBook("Refactoring", "Martin Fowler", "9780201485677", 448, "Programming");
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Regular");
+    const record = library.borrowBook(amy.id, book.id, 4);
+    assert.equal(record.dueDate.getDay(), 5);
+
+    clock.advanceDays(6); // 星期日還書 (還書箱)
+    library.checkOverdueBooks();
+    assert.equal(record.getOverdueDays(clock.now()), 1);
+    assert.equal(library.returnBook(book.id, amy.id).fine, 1);
+});
+
+test("逾期期間的臨時休館也不計罰", () => {
+    const clock = new SimulatedClock(new Date(2025, 2, 1, 12, 0)); // 星期六
+    const library = new Library(1, { clock });
+    library.setOpeningHours({ sunday: null });
+    const book = library.addBook("Refactoring", "Martin Fowler", "9780201485677", 448, "Programming", { copies: 2 });
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Regular");
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Regular");
+
+    const first = library.borrowBook(amy.id, book.id, 8); // 3/9 星期日 => 順延到 3/10
+    assert.equal(first.dueDate.getDate(), 10);
+    const second = library.borrowBook(ben.id, book.id, 14); // 3/15 星期六
+    library.addClosure({ from: "2025-03-15", to: "2025-03-16", reason: "Inventory" });
+    assert.equal(second.dueDate.getDate(), 17, "到期日落在休館日時順延");
+    library.addClosure({ from: "2025-03-12", to: "2025-03-13", reason: "Strike" });
+
+    // 3/18 還書：3/11 ~ 3/18 共 8 天，扣掉 3/12、3/13、3/15、3/16
+    clock.advanceDays(17);
+    library.checkOverdueBooks();
+    assert.equal(first.getOverdueDays(clock.now()), 4);
+    assert.equal(library.returnBook(book.id, amy.id).fine, 4);
+
+    // 3/20：3/18、3/19、3/20
+    assert.equal(second.getOverdueDays(new Date(2025, 2, 20, 12, 0)), 3);
+});
+
+test("到期日當天晚幾個小時還書不算逾期一天，之後按日曆日算到還書當天", () => {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0)); // 星期一
+    const library = new Library(1, { clock });
+    library.setOpeningHours({ sunday: null });
+    const book = library.addBook("Refactoring", "Martin Fowler", "9780201485677", 448, "Programming", { copies: 2 });
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Regular");
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Regular");
+    const first = library.borrowBook(amy.id, book.id, 4); // 星期五 10:00 到期
+    const second = library.borrowBook(ben.id, book.id, 4);
+
+    // 星期五 18:00 還書：隔天星期六開館，但還書還在到期日當天
+    clock.advanceDays(4);
+    clock.advanceHours(8);
+    library.checkOverdueBooks();
+    assert.equal(first.status, "overdue");
+    assert.equal(first.getOverdueDays(clock.now()), 0);
+    assert.equal(library.returnBook(book.id, amy.id).fine, 0);
+
+    // 星期一 18:00：星期六、星期日 (休館)、星期一，還書時間晚於到期時間也不多算一天
+    assert.equal(second.getOverdueDays(new Date(2025, 0, 11, 18, 0)), 1);
+    clock.advanceDays(3);
+    assert.equal(second.getOverdueDays(clock.now()), 2);
+    assert.equal(library.returnBook(book.id, ben.id).fine, 2);
+});
@@ -0,0 +1,174 @@
+// ===== 存檔與載入：快照、日誌與舊版快照的轉換 =====
+// 執行：在 js-backend-practice 目錄下 npm test
+//
+// Python 等價物：pytest + tmp_path
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Library, SimulatedClock } = require('../object-modeling');
+
+function buildLibrary() {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock });
+    const gatsby = library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", 180, "Fiction");
+    const cleanCode = library.addBook("Clean Code", "Robert C. Martin", "9780132350884", 464, "Programming", { copies: 2 });
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Regular");
+
+    library.borrowBook(amy.id, gatsby.id);
+    library.placeHold(ben.id, gatsby.id);
+    library.borrowBook(ben.id, cleanCode.id, 7);
+    clock.advanceDays(10);
+    library.returnBook(cleanCode.id, ben.id); // 逾期 3 天，記入罰款
+    library.payFine(ben.id, 1);
+    return { library, clock, gatsby, cleanCode, amy, ben };
+}
+
+function withTempDir(fn) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "library-test-"));
+    try {
+        return fn(directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+function readFixture(version) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", `library-v${version}.json`), "utf8"));
+}
+
+test("快照經過 JSON 來回轉換後狀態不變 (含帳本、預約與稽核記錄)", () => {
+    const { library, ben } = buildLibrary();
+    const restored = Library.fromJSON(JSON.parse(JSON.stringify(library.toJSON())));
+
+    assert.deepEqual(restored.toJSON(), library.toJSON());
+    assert.equal(restored.getUser(ben.id).fineBalance, library.getUser(ben.id).fineBalance);
+    assert.deepEqual(restored.checkIntegrity(), []);
+});
+
+test("存檔之後的變更寫入日誌，載入時重播", () => {
+    withTempDir(directory => {
+        const { library, clock, gatsby, amy, ben } = buildLibrary();
+        const file = path.join(directory, "library.json");
+        library.save(file);
+        assert.equal(fs.readFileSync(Library.journalPathFor(file), "utf8"), "");
+
+        library.returnBook(gatsby.id, amy.id); // 預約者 Ben 的書開始保留
+        library.addUser("Mei Lin", "mei@example.com", "Student");
+        library.payFine(ben.id, 2);
+
+        const loaded = Library.load(file);
+        loaded.setClock(clock);
+        assert.deepEqual(loaded.toJSON(), library.toJSON());
+        assert.equal(loaded.getBookHoldQueue(gatsby.id)[0].status, "ready");
+
+        // 載入後的變更繼續寫入同一份日誌
+        loaded.addUser("Kai Wong", "kai@example.com", "Regular");
+        assert.equal(Library.load(file).getAllUsers().length, 4);
+    });
+});
+
+test("日誌最後一行寫到一半時略過，中間的損壞則報錯", () => {
+    withTempDir(directory => {
+        const { library } = buildLibrary();
+        const file = path.join(directory, "library.json");
+        library.save(file);
+        library.addUser("Mei Lin", "mei@example.com", "Student");
+        const journalPath = Library.journalPathFor(file);
+
+        fs.appendFileSync(journalPath, '{"id": 99, "op": "addU');
+        assert.equal(Library.load(file).getAllUsers().length, 3);
+
+        fs.appendFileSync(journalPath, "\n" + fs.readFileSync(journalPath, "utf8").split("\n")[0] + "\n");
+        assert.throws(() => Library.load(file), /Corrupted journal entry at line 2/);
+    });
+});
+
+test("load 把建構函式的選項傳給載入的圖書館，快照裡的設定以快照為準", () => {
+    withTempDir(directory => {
+        const { library, clock } = buildLibrary();
+        const file = path.join(directory, "library.json");
+        library.save(file);
+        library.addUser("Mei Lin", "mei@example.com", "Student");
+
+        const loaded = Library.load(file, { clock, actor: "desk:lin", holdPickupDays: 7 });
+        assert.deepEqual(loaded.now(), clock.now());
+        assert.equal(loaded.toJSON().holdPickupDays, 3);
+        const kai = loaded.addUser("Kai Wong", "kai@example.com", "Regular");
+        assert.equal(loaded.getAuditLog({ collection: "users", entityId: kai.id })[0].actor, "desk:lin");
+
+        const fresh = Library.load(path.join(directory, "missing.json"), { clock, holdPickupDays: 7 });
+        assert.deepEqual(fresh.now(), clock.now());
+        assert.equal(fresh.toJSON().holdPickupDays, 7);
+    });
+});
+
+test("快照寫好、日誌還沒清空就崩潰時，載入不會重複套用快照裡已有的指令", () => {
+    withTempDir(directory => {
+        const { library } = buildLibrary();
+        const file = path.join(directory, "library.json");
+        library.save(file);
+        const mei = library.addUser("Mei Lin", "mei@example.com", "Student");
+        const journalPath = Library.journalPathFor(file);
+        const journal = fs.readFileSync(journalPath, "utf8");
+
+        library.save(file);
+        fs.writeFileSync(journalPath, journal); // 模擬 save 清空日誌之前崩潰
+        const loaded = Library.load(file);
+        assert.deepEqual(loaded.toJSON(), library.toJSON());
+        assert.equal(loaded.getAuditLog({ collection: "users", entityId: mei.id }).length, 1);
+
+        // 快照之後的新指令照常重播
+        loaded.addUser("Kai Wong", "kai@example.com", "Regular");
+        const reloaded = Library.load(file);
+        assert.equal(reloaded.getAllUsers().length, 4);
+        assert.equal(reloaded.getAuditLog().filter(command => command.op === "addUser").length, 4);
+    });
+});
+
+test("沒有快照檔時從空的圖書館開始", () => {
+    withTempDir(directory => {
+        const library = Library.load(path.join(directory, "missing.json"));
+        assert.equal(library.getAllBooks().length, 0);
+    });
+});
+
+for (const version of [1, 2, 3, 4]) {
+    test(`版本 ${version} 的快照轉換成目前的格式`, () => {
+        const library = Library.fromJSON(readFixture(version));
+        library.setClock(new SimulatedClock(new Date("2025-01-10T02:00:00.000Z")));
+
+        assert.equal(library.toJSON().version, 5);
+        assert.deepEqual(library.checkIntegrity(), []);
+
+        // 版本 1 的 available 旗標變成一本複本，借閱記錄指向它
+        const gatsby = library.getBook(1);
+        assert.equal(gatsby.copies.length, 1);
+        assert.equal(gatsby.copies[0].status, "on_loan");
+        assert.equal(library.getRecord(1).copyId, gatsby.copies[0].id);
+        assert.equal(library.getRecord(2).status, "returned");
+        assert.deepEqual(library.getBookHoldQueue(1).map(hold => [hold.userId, hold.status]), [[2, "waiting"]]);
+
+        // 版本 2 之前的 dailyFineRate 變成預設借閱政策
+        assert.equal(library.getLoanPolicy("Regular", "Fiction").fineRate, version <= 2 ? 2 : 1);
+        // 版本 3 之前的任意會員類型登記成等級
+        assert.equal(library.getUser(1).membershipType, version === 3 ? "Faculty" : "Premium");
+        assert.ok(Object.hasOwn(library.getMembershipTiers(), library.getUser(1).membershipType));
+        // 版本 4 之前只有一個館
+        assert.deepEqual(library.getBranches().map(branch => branch.code), ["MAIN"]);
+
+        // 轉換後照常運作：還書後保留給排隊的讀者
+        const result = library.returnBook(1, 1);
+        assert.equal(result.fine, 0);
+        assert.equal(result.hold.userId, 2);
+        assert.equal(result.hold.status, "ready");
+        assert.deepEqual(library.checkIntegrity(), []);
+    });
+}
+
+test("不支援的快照版本", () => {
+    assert.throws(() => Library.fromJSON({ version: 99 }), /Unsupported library snapshot version: 99/);
+});
@@ -0,0 +1,85 @@
+// ===== 推薦：共借相似度、個人推薦與不參與推薦的讀者 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Library } = require('../object-modeling');
+const { RecommendationEngine } = require('../library/recommendations');
+const { NotFoundError } = require('../library/errors');
+
+// 五位讀者的借閱記錄 (借了又還，記錄仍然算數)
+function setup() {
+    const library = new Library();
+    const add = (title, author, isbn, category) => library.addBook(title, author, isbn, 300, category, { copies: 5 });
+    const books = {
+        dune: add("Dune", "Frank Herbert", "9780441172719", "Science Fiction"),
+        foundation: add("Foundation", "Isaac Asimov", "9780553293357", "Science Fiction"),
+        hyperion: add("Hyperion", "Dan Simmons", "9780553283686", "Science Fiction"),
+        threeBody: add("三體", "劉慈欣", "9787536692930", "Science Fiction"),
+        gatsby: add("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", "Fiction"),
+        mockingbird: add("To Kill a Mockingbird", "Harper Lee", "9780061120084", "Fiction")
+    };
+    const histories = {
+        amy: ["dune", "foundation", "hyperion"],
+        ben: ["dune", "foundation", "threeBody"],
+        carol: ["dune", "hyperion", "gatsby"],
+        dan: ["foundation", "hyperion", "mockingbird"],
+        eve: ["dune"]
+    };
+    const users = {};
+    for (const [name, keys] of Object.entries(histories)) {
+        users[name] = library.addUser(name, `${name}@example.com`, "Premium");
+        for (const key of keys) {
+            library.borrowBook(users[name].id, books[key].id);
+            library.returnBook(books[key].id, users[name].id);
+        }
+    }
+    return { library, books, users, engine: new RecommendationEngine(library) };
+}
+
+const similar = (engine, bookId) => engine.similarItems(bookId).map(({ book, score, coBorrowers }) => [book.title, score, coBorrowers]);
+
+test("借過這本的人也借了：cosine 正規化，共借人數太少的組合不顯示", () => {
+    const { books, engine } = setup();
+    assert.deepEqual(similar(engine, books.hyperion.id), [["Foundation", 0.667, 2], ["Dune", 0.577, 2]]);
+    assert.equal(engine.similarItems(books.hyperion.id)[0].explanation,
+        '2 patrons who borrowed "Hyperion" also borrowed this');
+    assert.deepEqual(similar(engine, books.threeBody.id), [], "只有 Ben 一位共同讀者");
+    assert.throws(() => engine.similarItems(99), NotFoundError);
+});
+
+test("個人推薦加總相似書與偏好分類，不推薦已經借過的書", () => {
+    const { books, users, engine } = setup();
+    assert.deepEqual(engine.categoryAffinity(users.carol.id).map(({ category, items }) => [category, items]),
+        [["Science Fiction", 2], ["Fiction", 1]]);
+
+    const recommendations = engine.recommendForUser(users.eve.id);
+    assert.deepEqual(recommendations.map(({ book }) => book.title), ["Foundation", "Hyperion", "三體"]);
+    assert.deepEqual(recommendations[0].basedOn, [books.dune.id]);
+    assert.equal(recommendations[0].category, "Science Fiction");
+    assert.match(recommendations[0].explanation,
+        /^Patrons who borrowed "Dune" also borrowed this; You often borrow Science Fiction \(100% of your loans\)$/);
+    assert.ok(!recommendations.some(({ book }) => book.id === books.dune.id));
+    assert.throws(() => engine.recommendForUser(99), /User with ID 99 not found/);
+});
+
+test("不參與推薦的讀者收不到推薦，借閱記錄也不列入相似度計算", () => {
+    const { library, books, users, engine } = setup();
+    const titlesFor = user => engine.recommendForUser(user.id).map(({ book }) => book.title);
+    assert.ok(titlesFor(users.dan).length > 0);
+    assert.ok(titlesFor(users.carol).includes("To Kill a Mockingbird"), "Carol 偏好 Fiction，Dan 借過的 Mockingbird 有熱門程度");
+
+    library.setRecommendationsOptOut(users.dan.id);
+    assert.equal(library.getUser(users.dan.id).recommendationsOptOut, true);
+    assert.deepEqual(engine.recommendForUser(users.dan.id), []);
+    assert.deepEqual(engine.categoryAffinity(users.dan.id), []);
+
+    // 少了 Dan，Hyperion 和 Foundation 只剩 Amy 一位共同讀者；分母也不再算 Dan
+    assert.deepEqual(similar(engine, books.hyperion.id), [["Dune", 0.707, 2]]);
+    assert.deepEqual(similar(engine, books.foundation.id), [["Dune", 0.707, 2]]);
+    assert.ok(!titlesFor(users.carol).includes("To Kill a Mockingbird"), "只有 Dan 借過的書熱門程度歸零");
+
+    // 重新參與後恢復
+    library.setRecommendationsOptOut(users.dan.id, false);
+    assert.deepEqual(similar(engine, books.hyperion.id), [["Foundation", 0.667, 2], ["Dune", 0.577, 2]]);
+    assert.ok(titlesFor(users.dan).length > 0);
+});
@@ -0,0 +1,119 @@
+// ===== REST API：錯誤對應到 HTTP 狀態碼 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { Library, SimulatedClock } = require('../object-modeling');
+const { createLibraryRouter, HttpError, statusForError } = require('../library/rest-api');
+const { NotFoundError, ValidationError, ConflictError } = require('../library/errors');
+
+// 啟動只有這個路由的伺服器，回傳 request(method, path, body) => { status, body }
+async function startServer(t, library, options = {}) {
+    const app = express();
+    app.use("/api", createLibraryRouter(library, options));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    t.after(() => server.close());
+    const base = `http://localhost:${server.address().port}/api`;
+    return async (method, path, body, headers = {}) => {
+        const response = await fetch(base + path, {
+            method,
+            headers: { "Content-Type": "application/json", ...headers },
+            body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+}
+
+function setup() {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock });
+    const book = library.addBook("The Great Gatsby", "F. Scott Fitzgerald", "9780743273565", 180, "Fiction");
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Regular");
+    return { library, clock, book, amy, ben };
+}
+
+test("statusForError 只對應刻意丟出的錯誤", () => {
+    assert.equal(statusForError(new HttpError(418, "teapot")), 418);
+    assert.equal(statusForError(new NotFoundError("Book with ID 1 not found")), 404);
+    assert.equal(statusForError(new ValidationError("Invalid date")), 422);
+    assert.equal(statusForError(new ConflictError("Book is not available")), 409);
+
+    // 程式錯誤的訊息剛好像領域錯誤也一樣是 500
+    assert.equal(statusForError(new TypeError("Cannot read properties of undefined (reading 'id')")), 500);
+    assert.equal(statusForError(new RangeError("Invalid array length")), 500);
+    assert.equal(statusForError(new Error("Book already exists")), 500);
+    assert.equal(statusForError(new Error("Book with ID 1 not found")), 500);
+});
+
+test("領域錯誤回 404 / 422 / 409，附上訊息", async t => {
+    const { library, book, amy, ben } = setup();
+    const request = await startServer(t, library);
+
+    assert.deepEqual(await request("GET", "/books/99"), { status: 404, body: { error: "Book with ID 99 not found" } });
+    assert.equal((await request("POST", "/loans", { userId: amy.id, bookId: 99 })).status, 404);
+
+    const invalid = await request("POST", "/loans", { userId: "amy", bookId: book.id });
+    assert.equal(invalid.status, 422);
+    assert.deepEqual(invalid.body.details, [{ field: "userId", message: "must be a positive integer" }]);
+    const unknownTier = await request("POST", "/users", { name: "Cleo", email: "cleo@example.com", membershipType: "Gold" });
+    assert.equal(unknownTier.status, 422);
+    assert.match(unknownTier.body.error, /Unknown membership tier "Gold"/);
+
+    assert.equal((await request("POST", "/loans", { userId: amy.id, bookId: book.id })).status, 201);
+    const conflict = await request("POST", "/loans", { userId: ben.id, bookId: book.id });
+    assert.deepEqual(conflict, { status: 409, body: { error: 'Book "The Great Gatsby" is not available for borrowing' } });
+});
+
+test("請求格式錯誤回 400", async t => {
+    const request = await startServer(t, setup().library);
+    assert.deepEqual(await request("POST", "/users", "{not json"), { status: 400, body: { error: "Malformed JSON body" } });
+});
+
+test("其他錯誤回 500，不外露訊息", async t => {
+    const { library } = setup();
+    library.getAllBooks = () => {
+        throw new TypeError("Cannot read properties of undefined (reading 'copies')");
+    };
+    const logged = [];
+    const request = await startServer(t, library, { logger: { error: error => logged.push(error) } });
+    assert.deepEqual(await request("GET", "/books"), { status: 500, body: { error: "Internal server error" } });
+    assert.deepEqual(logged.map(error => error.constructor), [TypeError]);
+
+    // 領域錯誤不寫進 logger
+    await request("GET", "/books/99");
+    assert.equal(logged.length, 1);
+});
+
+test("逾期天數與會籍狀態以圖書館的時鐘計算", async t => {
+    const { library, clock, book, amy } = setup();
+    const request = await startServer(t, library);
+    const created = await request("POST", "/loans", { userId: amy.id, bookId: book.id, days: 14 });
+    assert.equal(created.body.overdueDays, 0);
+
+    clock.advanceDays(17);
+    library.checkOverdueBooks();
+    const loan = await request("GET", `/loans/${created.body.id}`);
+    assert.deepEqual([loan.body.status, loan.body.overdueDays], ["overdue", 3]);
+    assert.equal((await request("GET", `/loans?userId=${amy.id}`)).body.items[0].overdueDays, 3);
+
+    // 會籍一年，以模擬時間來看還沒到期
+    assert.equal((await request("GET", `/users/${amy.id}`)).body.membershipStatus, "active");
+    clock.advanceDays(365);
+    assert.equal((await request("GET", `/users/${amy.id}`)).body.membershipStatus, "expired");
+});
+
+test("書背標籤的 skip 必須是非負整數", async t => {
+    const { library, book } = setup();
+    const request = await startServer(t, library);
+    for (const skip of ["", "-1", "1.5", "abc", "0x2", "1e1"]) {
+        assert.deepEqual(await request("GET", `/books/${book.id}/spine-labels.svg?skip=${skip}`),
+            { status: 422, body: { error: "skip must be a non-negative integer" } }, skip);
+    }
+    assert.equal((await request("GET", `/books/${book.id}/spine-labels.svg?skip=1&skip=2`)).status, 422);
+    assert.equal((await request("GET", `/books/${book.id}/spine-labels.svg?skip=30`)).status, 422, "超過一張標籤紙的格數");
+});
+
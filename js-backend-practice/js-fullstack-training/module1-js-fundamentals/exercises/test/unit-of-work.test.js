@@ -0,0 +1,149 @@
+// ===== 操作是一個整體：失敗時全部還原，提交前檢查不變量 =====
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Library, SimulatedClock } = require('../object-modeling');
+const { ConflictError } = require('../library/errors');
+const { statusForError } = require('../library/rest-api');
+
+function setup() {
+    const clock = new SimulatedClock(new Date(2025, 0, 6, 10, 0));
+    const library = new Library(1, { clock });
+    const book = library.addBook("Refactoring", "Martin Fowler", "9780134757599", 448, "Programming", { copies: 2 });
+    const amy = library.addUser("Amy Chen", "amy@example.com", "Premium");
+    const ben = library.addUser("Ben Lee", "ben@example.com", "Regular");
+    const events = [];
+    library.on("*", event => events.push(event.type));
+    return { library, clock, book, amy, ben, events };
+}
+
+test("操作中途失敗時，已經改過的實體、計數器都還原，不記稽核也不發事件", () => {
+    const { library, clock, book, amy, events } = setup();
+    library.borrowBook(amy.id, book.id, 7);
+    clock.advanceDays(10);
+    library.checkOverdueBooks();
+
+    const before = JSON.stringify(library.toJSON());
+    const auditSize = library.getAuditLog().length;
+    events.length = 0;
+
+    // 還書日期早於借書日期：罰款與複本狀態已經改了，在最後一步才被擋下
+    assert.throws(() => library.returnBook(book.id, amy.id, { returnedAt: new Date(2000, 0, 1) }),
+        /cannot be earlier than its borrow date/);
+
+    assert.equal(JSON.stringify(library.toJSON()), before);
+    assert.equal(library.getAuditLog().length, auditSize);
+    assert.deepEqual(events, []);
+    assert.deepEqual(library.checkIntegrity(), []);
+
+    // 外部持有的參照仍然指向同一個 (已還原的) 物件
+    assert.equal(book.copies.filter(copy => copy.status === "on_loan").length, 1);
+    const { record } = library.returnBook(book.id, amy.id);
+    assert.equal(record.status, "returned");
+});
+
+test("失敗的操作不消耗 ID", () => {
+    const { library, book, amy, ben } = setup();
+    const other = library.addBook("Working Effectively with Legacy Code", "Michael Feathers", "9780131177055", 456, "Programming");
+    const record = library.borrowBook(amy.id, book.id);
+    const ids = [library.getAllRecords().length, library.getAuditLog().length];
+
+    // 借閱記錄已經建立、ID 已經用掉，提交前的檢查才失敗
+    library.getUser(ben.id).borrowBook(book.id, record.id);
+    assert.throws(() => library.borrowBook(ben.id, other.id), /inconsistent/);
+    assert.deepEqual([library.getAllRecords().length, library.getAuditLog().length], ids);
+
+    library.getUser(ben.id).returnBook(book.id);
+    assert.equal(library.borrowBook(ben.id, other.id).id, record.id + 1);
+    assert.equal(other.copies[0].status, "on_loan");
+});
+
+test("巢狀操作併入外層，只記一筆指令", () => {
+    const { library, book, amy, ben } = setup();
+    library.borrowBook(amy.id, book.id);
+    library.borrowBook(ben.id, book.id);
+    library.placeHold(library.addUser("Cleo", "cleo@example.com", "Regular").id, book.id);
+    const auditSize = library.getAuditLog().length;
+
+    // 還書會順便把書保留給預約者 (預約、複本、使用者、借閱記錄都在同一筆指令裡)
+    library.returnBook(book.id, amy.id);
+    const log = library.getAuditLog();
+    assert.equal(log.length, auditSize + 1);
+    assert.deepEqual(new Set(log.at(-1).changes.map(change => change.collection)),
+        new Set(["books", "users", "records", "holds"]));
+});
+
+test("會破壞不變量的操作被拒絕並還原", () => {
+    const { library, book, amy, ben } = setup();
+    const record = library.borrowBook(amy.id, book.id);
+
+    // 繞過 Library 直接改實體：Ben 名下多了一本沒有借閱記錄的書
+    library.getUser(ben.id).borrowBook(book.id, record.id);
+    const balance = library.getUser(ben.id).fineBalance;
+
+    assert.throws(() => library.assessFine(ben.id, 5, "Damaged cover"),
+        /rolled back because it would leave the library inconsistent: .*User 2 has book 1 on loan but borrow record 1 is not active/);
+    // 是領域衝突 (REST 回 409)，不是程式錯誤
+    assert.throws(() => library.assessFine(ben.id, 5, "Damaged cover"),
+        error => error instanceof ConflictError && statusForError(error) === 409);
+    assert.equal(library.getUser(ben.id).fineBalance, balance);
+
+    // 只檢查這次操作碰到的實體：和 Ben 無關的操作照常進行
+    library.assessFine(amy.id, 5, "Damaged cover");
+    assert.equal(library.getUser(amy.id).fineBalance, 5);
+    assert.equal(library.checkIntegrity().length, 2);
+});
+
+test("復原借書與預約後，依書目與使用者查的借閱記錄、預約跟著更新", () => {
+    const { library, book, amy, ben } = setup();
+    const lastCommandId = () => library.getAuditLog().at(-1).id;
+    library.borrowBook(amy.id, book.id);
+    library.borrowBook(ben.id, book.id);
+    const borrowCommandId = lastCommandId();
+    const cleo = library.addUser("Cleo", "cleo@example.com", "Regular");
+    library.placeHold(cleo.id, book.id);
+
+    library.undo(lastCommandId());
+    library.undo(borrowCommandId);
+    assert.deepEqual(library.getBookHoldQueue(book.id), []);
+    assert.deepEqual(library.checkIntegrity(), []);
+
+    // 被復原的借閱記錄與預約不再算進複本或使用者的借閱數
+    const record = library.borrowBook(cleo.id, book.id);
+    assert.equal(record.copyId, book.copies[1].id);
+    library.returnBook(book.id, amy.id);
+    assert.deepEqual(library.getAllRecords().map(r => [r.id, r.userId, r.status]), [[1, 1, "returned"], [3, 3, "active"]]);
+    assert.deepEqual(library.checkIntegrity(), []);
+});
+
+test("checkIntegrity 找出操作之外被改壞的資料", () => {
+    const { library, book, amy } = setup();
+    library.borrowBook(amy.id, book.id);
+    assert.deepEqual(library.checkIntegrity(), []);
+
+    book.copies.find(copy => copy.status === "available").setStatus("on_loan");
+    assert.deepEqual(library.checkIntegrity(), ["Copy C00000002 is on_loan but has 0 active borrow records"]);
+});
+
+test("訂閱者出錯不影響已完成的操作，錯誤交給 \"error\" 事件或注入的 logger", () => {
+    const logged = [];
+    const library = new Library(1, {
+        clock: new SimulatedClock(new Date(2025, 0, 6, 10, 0)),
+        logger: { error: (...args) => logged.push(args) }
+    });
+    library.on("book.added", () => {
+        throw new Error("listener broke");
+    });
+
+    const book = library.addBook("Refactoring", "Martin Fowler", "9780134757599", 448, "Programming");
+    assert.equal(library.getBook(book.id), book);
+    assert.equal(logged.length, 1);
+    assert.equal(logged[0][0], 'Listener for "book.added" failed:');
+    assert.equal(logged[0][1].message, "listener broke");
+
+    const errors = [];
+    library.on("error", error => errors.push(error.message));
+    library.addBook("Clean Code", "Robert C. Martin", "9780132350884", 464, "Programming");
+    assert.deepEqual(errors, ["listener broke"]);
+    assert.equal(logged.length, 1);
+});